@@ -0,0 +1,150 @@
+/**
+ * AWS SES EMAIL HANDLER - CUSTOMER ACCOUNT SIGN-IN LINK
+ * Emails a one-time magic link to customers who want to manage their storage subscription
+ * Always answers with the same message so the endpoint can't be used to discover customers
+ *
+ * @version 1.0.0
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const { findCustomerByEmail, createMagicLinkToken } = require('./lib/customer-accounts');
+const { SITE_URL, escapeHtml, renderBrandedEmail, sendEmail } = require('./lib/ses-email');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+
+// CORS headers for browser compatibility
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+// Allows 3 sign-in requests per minute per IP address
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 3 });
+
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If we have an account for that email address, a sign-in link is on its way. The link expires in 15 minutes.'
+};
+
+/**
+ * Main handler function
+ * Looks up the Stripe customer and emails a sign-in link via AWS SES
+ */
+exports.handler = async (event, context) => {
+  console.log('🔑 Account sign-in link requested');
+
+  // Handle CORS preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        message: 'Only POST requests are accepted'
+      })
+    };
+  }
+
+  try {
+    checkRateLimit(getClientIP(event, context));
+  } catch (error) {
+    return {
+      statusCode: 429,
+      headers,
+      body: JSON.stringify({ error: 'Too many requests', message: error.message })
+    };
+  }
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(event.body);
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid JSON format',
+          message: 'Request body must be valid JSON'
+        })
+      };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!data.email || !emailRegex.test(data.email)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid email address',
+          message: 'Please provide a valid email address'
+        })
+      };
+    }
+
+    const customer = await findCustomerByEmail(data.email);
+
+    if (!customer) {
+      console.log('ℹ️ No customer found for sign-in request');
+      return { statusCode: 200, headers, body: JSON.stringify(GENERIC_RESPONSE) };
+    }
+
+    const signInUrl = `${SITE_URL}/account.html?token=${encodeURIComponent(createMagicLinkToken(customer.id))}`;
+    const firstName = (customer.name || '').split(' ')[0] || 'there';
+
+    const contentHtml = `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>Use the button below to sign in to your Instant Closet Tote Storage account. From there you can see your subscription, update your card, download invoices and manage your service.</p>
+            </div>
+            <div class="section" style="text-align: center;">
+                <a href="${escapeHtml(signInUrl)}" class="button">Sign In to My Account</a>
+            </div>
+            <div class="section">
+                <p><small>This link expires in 15 minutes and can only be used from this email. If you didn't ask to sign in, you can ignore this message.</small></p>
+            </div>`;
+
+    await sendEmail({
+      to: customer.email,
+      subject: 'Your sign-in link - Instant Closet Tote Storage',
+      html: renderBrandedEmail({
+        title: 'Sign in to your account',
+        heading: 'Sign In to Your Account',
+        contentHtml
+      }),
+      text: `INSTANT CLOSET TOTE STORAGE - SIGN IN\n\n` +
+            `Hi ${firstName},\n\n` +
+            `Open this link to sign in to your account (expires in 15 minutes):\n${signInUrl}\n\n` +
+            `If you didn't ask to sign in, you can ignore this message.`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Sign-In-Link'
+      }
+    });
+
+    return { statusCode: 200, headers, body: JSON.stringify(GENERIC_RESPONSE) };
+
+  } catch (error) {
+    console.error('❌ Error sending sign-in link:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to send sign-in link',
+        message: 'Sorry, we could not send your sign-in link. Please try again or call us at (828) 455-7793.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
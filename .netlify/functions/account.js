@@ -0,0 +1,391 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - CUSTOMER ACCOUNT
+ *
+ * Backend for the self-service account page (account.html).
+ * Customers sign in with the magic link emailed by account-login.js.
+ *
+ * Requests:
+ * - POST { action: 'sign-in', token }   Exchange a magic link for a session
+ * - GET  (Bearer session)               Account + subscription summary
+ * - POST { action: 'invoices' }         List invoices with download links
+ * - POST { action: 'update-card' }      Stripe Billing Portal link to update the card
+ * - POST { action: 'cancel', window_id, request_token, exit_reason, exit_detail, notes }
+ *                                      Cancel: book the final return of every tote (trip fee
+ *                                      charged now) and end the subscription at period end
+ * - POST { action: 'preview-totes', tote_quantity }  Price a tote count change
+ * - POST { action: 'change-totes', tote_quantity, request_token }
+ *                                      Change the tote count (prorated + trip fee); the request
+ *                                      token keeps a double submit from charging twice
+ * - POST { action: 'request-trip', trip_type, totes, window_id, request_token, notes }
+ *                                      Book a tote return or re-pickup (trip fee charged now)
+ * - POST { action: 'totes' }            The customer's totes with status and contents (photo links)
+ * - POST { action: 'referral' }         The customer's referral code and how many friends it brought
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - ICTS_AUTH_SECRET: Token signing secret
+ * - ICTS_SITE_URL: Public site URL used for Billing Portal return links (optional)
+ *
+ * @author Stripe Integration Team
+ * @version 1.8.0 - Tote changes carry a request token
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const {
+    exchangeMagicLink,
+    requireCustomerSession,
+    getCustomerSubscription,
+    getAccountSummary,
+    createCardUpdateSession
+} = require('./lib/customer-accounts');
+const { previewToteChange, changeToteQuantity } = require('./lib/subscriptions');
+const { requestToteTrip } = require('./lib/tote-trips');
+const { requestCancellation } = require('./lib/cancellations');
+const { formatBillingDate } = require('./lib/billing-schedule');
+const { listTotes, assignTotes } = require('./lib/totes');
+const { withPhotoUrls } = require('./lib/tote-photos');
+const { getReferralSummary } = require('./lib/referrals');
+const { validateOrderToken, isIdempotencyConflict } = require('./lib/idempotency');
+const {
+    sendToteChangeNotification,
+    sendToteTripNotification,
+    sendCancellationNotification
+} = require('./lib/account-notifications');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * List the customer's invoices with download links
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Array} Invoice summaries
+ */
+async function listInvoices(customerId) {
+    const invoices = await stripe.invoices.list({
+        customer: customerId,
+        limit: 24
+    });
+
+    return invoices.data
+        .filter(invoice => invoice.status !== 'draft')
+        .map(invoice => ({
+            id: invoice.id,
+            number: invoice.number,
+            date: new Date(invoice.created * 1000).toISOString(),
+            amount_due: invoice.amount_due / 100,
+            amount_paid: invoice.amount_paid / 100,
+            status: invoice.status,
+            hosted_invoice_url: invoice.hosted_invoice_url,
+            invoice_pdf: invoice.invoice_pdf
+        }));
+}
+
+/**
+ * Cancel the signed-in customer's subscription
+ * Books the final return of every tote and sets cancel_at_period_end
+ * (lib/cancellations.js).
+ * @param {string} customerId - Stripe customer ID
+ * @param {Object} requestData - { window_id, request_token, exit_reason, exit_detail, notes }
+ * @returns {Object} { account, final_return_window, amount_charged }
+ */
+async function cancelSubscription(customerId, requestData) {
+    const requestToken = validateOrderToken(requestData.request_token);
+    const subscription = await getCustomerSubscription(customerId);
+    const account = await getAccountSummary(customerId);
+
+    const result = await requestCancellation({
+        account: account,
+        subscription: subscription,
+        windowId: requestData.window_id,
+        requestToken: requestToken,
+        exitReason: requestData.exit_reason,
+        exitDetail: requestData.exit_detail,
+        notes: requestData.notes
+    });
+
+    // Only a new cancellation is announced; a retried request was emailed the first time
+    if (result.isNew) {
+        try {
+            await sendCancellationNotification({
+                account: account,
+                cancellation: result.cancellation,
+                amountCharged: result.amountCharged,
+                periodEndLabel: formatBillingDate(result.cancellation.period_end)
+            });
+        } catch (emailError) {
+            console.error('❌ Cancellation notification failed:', emailError.message);
+        }
+    }
+
+    return {
+        account: await getAccountSummary(customerId),
+        final_return_window: result.cancellation.final_return_window,
+        amount_charged: result.amountCharged
+    };
+}
+
+/**
+ * Price a tote count change for the signed-in customer
+ * @param {string} customerId - Stripe customer ID
+ * @param {number} toteQuantity - Requested number of totes
+ * @returns {Object} Change preview in dollars
+ */
+async function previewTotes(customerId, toteQuantity) {
+    const subscription = await getCustomerSubscription(customerId);
+    const preview = await previewToteChange(subscription, toteQuantity);
+
+    return {
+        current_tote_quantity: preview.quote.currentTotes,
+        new_tote_quantity: preview.quote.newTotes,
+        current_monthly_amount: preview.quote.currentMonthlyCents / 100,
+        new_monthly_amount: preview.quote.newMonthlyCents / 100,
+        billing_months: preview.quote.billingMonths,
+        new_period_amount: preview.quote.newPeriodCents / 100,
+        trip_fee: preview.quote.tripFeesCents / 100,
+        proration_amount: preview.prorationCents / 100,
+        due_now: preview.dueNowCents / 100,
+        credit_amount: preview.creditCents / 100
+    };
+}
+
+/**
+ * Change the tote count for the signed-in customer
+ * @param {string} customerId - Stripe customer ID
+ * @param {Object} requestData - { tote_quantity, request_token }
+ * @returns {Object} { account, amount_charged, already_changed }
+ */
+async function changeTotes(customerId, requestData) {
+    const requestToken = validateOrderToken(requestData.request_token);
+    const subscription = await getCustomerSubscription(customerId);
+    const result = await changeToteQuantity(subscription, parseInt(requestData.tote_quantity), {
+        changedVia: 'customer_portal',
+        requestToken: requestToken
+    });
+    const account = await getAccountSummary(customerId);
+    const amountCharged = result.invoice ? result.invoice.amount_paid / 100 : 0;
+
+    // A repeated request: the totes and the team email were handled the first time
+    if (result.duplicate) {
+        return { account, amount_charged: amountCharged, already_changed: true };
+    }
+
+    // Added totes get their IDs now so the labels can be printed for the delivery
+    if (result.quote.newTotes > result.quote.currentTotes) {
+        try {
+            await assignTotes({
+                stripeCustomerId: customerId,
+                toteQuantity: result.quote.newTotes,
+                source: 'customer_portal'
+            });
+        } catch (storeError) {
+            console.error('⚠️ Could not assign added totes:', storeError.message);
+        }
+    }
+
+    // The team needs to schedule the delivery or pickup; don't fail the change if email does
+    try {
+        await sendToteChangeNotification({
+            account: account,
+            previousQuantity: result.quote.currentTotes,
+            newQuantity: result.quote.newTotes,
+            monthlyAmount: result.monthlyAmount,
+            amountCharged: amountCharged
+        });
+    } catch (emailError) {
+        console.error('❌ Tote change notification failed:', emailError.message);
+    }
+
+    return { account, amount_charged: amountCharged, already_changed: false };
+}
+
+/**
+ * List the signed-in customer's totes
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Array} Totes: { id, number, status, contents: [{ description, quantity, photo_url }] }
+ */
+async function listCustomerTotes(customerId) {
+    const totes = await listTotes({ stripe_customer_id: customerId });
+
+    return totes.map(tote => withPhotoUrls(tote)).map(tote => ({
+        id: tote.id,
+        number: tote.number,
+        status: tote.status,
+        updated_at: tote.updated_at,
+        contents: tote.contents.map(item => ({
+            id: item.id,
+            description: item.description,
+            quantity: item.quantity,
+            photo_url: item.photo_url
+        }))
+    }));
+}
+
+/**
+ * Book a tote return or re-pickup for the signed-in customer
+ * @param {string} customerId - Stripe customer ID
+ * @param {Object} requestData - { trip_type, totes, window_id, request_token, notes }
+ * @returns {Object} { trip, amount_charged }
+ */
+async function requestTrip(customerId, requestData) {
+    const requestToken = validateOrderToken(requestData.request_token);
+    const subscription = await getCustomerSubscription(customerId);
+    const account = await getAccountSummary(customerId);
+
+    const result = await requestToteTrip({
+        account: account,
+        subscription: subscription,
+        tripType: requestData.trip_type,
+        totes: requestData.totes,
+        windowId: requestData.window_id,
+        requestToken: requestToken,
+        notes: requestData.notes
+    });
+
+    // Only a new booking is announced; a retried request was emailed the first time
+    if (result.paymentIntent) {
+        try {
+            await sendToteTripNotification({
+                account: account,
+                tripType: requestData.trip_type,
+                totes: result.trip.totes,
+                windowLabel: result.trip.window_label,
+                amountCharged: result.amountCharged,
+                notes: result.trip.notes
+            });
+        } catch (emailError) {
+            console.error('❌ Tote trip notification failed:', emailError.message);
+        }
+    }
+
+    return {
+        trip: {
+            type: requestData.trip_type,
+            totes: result.trip.totes,
+            window_label: result.trip.window_label
+        },
+        amount_charged: result.amountCharged
+    };
+}
+
+exports.handler = async (event, context) => {
+    const startTime = Date.now();
+
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        // Account summary
+        if (event.httpMethod === 'GET') {
+            const customerId = requireCustomerSession(event);
+            const account = await getAccountSummary(customerId);
+            return { statusCode: 200, headers, body: JSON.stringify({ account }) };
+        }
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        // Sign-in is the only action that doesn't need a session
+        if (requestData.action === 'sign-in') {
+            const { sessionToken, customerId } = await exchangeMagicLink(requestData.token);
+            const account = await getAccountSummary(customerId);
+            console.log(`🔑 Customer ${customerId} signed in`);
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({ session_token: sessionToken, account })
+            };
+        }
+
+        const customerId = requireCustomerSession(event);
+        let responseBody;
+
+        switch (requestData.action) {
+            case 'invoices':
+                responseBody = { invoices: await listInvoices(customerId) };
+                break;
+
+            case 'update-card':
+                responseBody = { url: await createCardUpdateSession(customerId) };
+                break;
+
+            case 'cancel':
+                responseBody = await cancelSubscription(customerId, requestData);
+                break;
+
+            case 'preview-totes':
+                responseBody = { preview: await previewTotes(customerId, parseInt(requestData.tote_quantity)) };
+                break;
+
+            case 'change-totes':
+                responseBody = await changeTotes(customerId, requestData);
+                break;
+
+            case 'request-trip':
+                responseBody = await requestTrip(customerId, requestData);
+                break;
+
+            case 'totes':
+                responseBody = { totes: await listCustomerTotes(customerId) };
+                break;
+
+            case 'referral':
+                responseBody = { referral: await getReferralSummary(customerId) };
+                break;
+
+            default:
+                throw new Error('Invalid account action');
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`✅ Account action '${requestData.action}' completed (${processingTime}ms)`);
+
+        return { statusCode: 200, headers, body: JSON.stringify(responseBody) };
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        console.error(`❌ Account request failed (${processingTime}ms):`, error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in')) {
+            statusCode = 401;
+        } else if (isIdempotencyConflict(error)) {
+            statusCode = 409; // Same request token still in flight, or reused for a different request
+        } else if (error.type === 'StripeCardError') {
+            statusCode = 402;
+        } else if (error.message.includes('Invalid') || error.message.includes('must be') ||
+                   error.message.includes('No active subscription') || error.message.includes('cannot change') ||
+                   error.message.includes('Only active subscriptions') || error.message.includes('required') ||
+                   error.message.includes('delivery window') || error.message.includes('No saved card') ||
+                   error.message.includes('on hold') || error.message.includes('already canceling') ||
+                   error.message.includes('not completed')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({
+                error: error.message,
+                code: statusCode === 401 ? 'SESSION_EXPIRED' : 'ACCOUNT_ERROR'
+            })
+        };
+    }
+};
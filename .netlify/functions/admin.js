@@ -0,0 +1,204 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - ADMIN DASHBOARD (STAFF)
+ *
+ * Backend for the password-protected admin dashboard (admin/index.html).
+ * Staff sign in with the admin password; every other request needs the
+ * staff session (or the staff API key) as a Bearer token (lib/staff-auth.js).
+ *
+ * Requests:
+ * - POST { action: 'sign-in', password }            Exchange the admin password for a staff session
+ * - GET  ?view=payments&limit=25                    Recent payment intents with customer metadata
+ * - GET  ?view=subscriptions&limit=25               Recent subscriptions with tote count, address, phone
+ * - GET  ?view=failed-subscriptions                 Paid setup payments with no subscription
+ * - GET  ?view=deliveries                           Upcoming deliveries and pickups
+ * - GET  ?view=search&q=jane@example.com            Customers by email or phone
+ * - GET  ?view=inbox                                Text conversations with customers (lib/sms.js)
+ * - POST { action: 'retry-fulfillment', payment_intent_id }
+ *                                                   Retry a failed subscription creation
+ * - POST { action: 'assign-route', date, driver, depot }
+ *                                                   Give a day's route to a driver (driver page)
+ * - POST { action: 'sms-reply', phone, body }       Text a reply from the Inbox
+ * - POST { action: 'sms-mark-read', phone }         Mark a conversation read without replying
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - ICTS_ADMIN_PASSWORD: Admin dashboard password
+ * - ICTS_AUTH_SECRET: Token signing secret
+ * - ICTS_DRIVERS: Driver names (see lib/staff-auth.js)
+ * - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER: Inbox replies (see lib/sms.js)
+ *
+ * @author Stripe Integration Team
+ * @version 1.2.0 - Text message inbox
+ */
+
+const { signInStaff, requireStaff } = require('./lib/staff-auth');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+const {
+    listRecentPayments,
+    listRecentSubscriptions,
+    listFailedSubscriptions,
+    listUpcomingDeliveries,
+    searchCustomers
+} = require('./lib/admin-dashboard');
+const { fulfillPaymentIntent } = require('./lib/order-fulfillment');
+const { assignDayRoute } = require('./lib/driver-jobs');
+const { listSmsConversations, replyToConversation, markConversationRead } = require('./lib/sms');
+
+// Password guesses per IP
+const checkSignInRateLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, maxRequests: 5 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Load one dashboard view
+ * @param {Object} query - Query string parameters
+ * @returns {Object} Response body
+ */
+async function getView(query) {
+    switch (query.view) {
+        case 'payments':
+            return { payments: await listRecentPayments({ limit: query.limit }) };
+
+        case 'subscriptions':
+            return { subscriptions: await listRecentSubscriptions({ limit: query.limit }) };
+
+        case 'failed-subscriptions':
+            return { payments: await listFailedSubscriptions() };
+
+        case 'deliveries':
+            return { jobs: await listUpcomingDeliveries() };
+
+        case 'search':
+            return { customers: await searchCustomers(query.q) };
+
+        case 'inbox':
+            return { conversations: await listSmsConversations() };
+
+        default:
+            throw new Error('Invalid dashboard view');
+    }
+}
+
+/**
+ * Retry fulfillment of a paid setup payment
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Object} { subscription_id, subscription_error }
+ */
+async function retryFulfillment(paymentIntentId) {
+    if (!paymentIntentId || !String(paymentIntentId).startsWith('pi_')) {
+        throw new Error('Invalid payment intent ID');
+    }
+
+    const result = await fulfillPaymentIntent(paymentIntentId, { source: 'admin' });
+
+    return {
+        subscription_id: result.subscription ? result.subscription.id : null,
+        subscription_error: result.subscriptionError ? result.subscriptionError.message : null
+    };
+}
+
+exports.handler = async (event, context) => {
+    const startTime = Date.now();
+
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        if (event.httpMethod === 'GET') {
+            requireStaff(event);
+            const responseBody = await getView(event.queryStringParameters || {});
+            return { statusCode: 200, headers, body: JSON.stringify(responseBody) };
+        }
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        // Sign-in is the only action that doesn't need a session
+        if (requestData.action === 'sign-in') {
+            checkSignInRateLimit(getClientIP(event, context));
+            const sessionToken = signInStaff(requestData.password);
+            console.log('🔑 Staff signed in to the admin dashboard');
+            return { statusCode: 200, headers, body: JSON.stringify({ session_token: sessionToken }) };
+        }
+
+        requireStaff(event);
+        let responseBody;
+
+        switch (requestData.action) {
+            case 'retry-fulfillment':
+                responseBody = await retryFulfillment(requestData.payment_intent_id);
+                break;
+
+            case 'assign-route': {
+                const result = await assignDayRoute({
+                    date: requestData.date,
+                    driver: requestData.driver,
+                    depot: requestData.depot
+                });
+                responseBody = { assigned: result.assigned, driver: String(requestData.driver).trim().toLowerCase() };
+                break;
+            }
+
+            case 'sms-reply': {
+                const message = await replyToConversation(requestData.phone, requestData.body);
+                responseBody = { message_id: message.id, status: message.status };
+                break;
+            }
+
+            case 'sms-mark-read':
+                responseBody = { marked: await markConversationRead(requestData.phone) };
+                break;
+
+            default:
+                throw new Error('Invalid admin action');
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`✅ Admin action '${requestData.action}' completed (${processingTime}ms)`);
+
+        return { statusCode: 200, headers, body: JSON.stringify(responseBody) };
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        console.error(`❌ Admin request failed (${processingTime}ms):`, error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in') || error.message.includes('admin password')) {
+            statusCode = 401;
+        } else if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+        } else if (error.message.includes('Invalid') || error.message.includes('must be') ||
+                   error.message.includes('not succeeded') || error.message.includes('not a storage setup') ||
+                   error.message.includes('required') || error.message.includes('not configured')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode,
+            headers,
+            body: JSON.stringify({
+                error: statusCode === 500 ? 'Something went wrong. Please try again.' : error.message,
+                code: 'ADMIN_ERROR'
+            })
+        };
+    }
+};
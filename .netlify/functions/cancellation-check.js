@@ -0,0 +1,34 @@
+/**
+ * NETLIFY SCHEDULED FUNCTION - CANCELLATION CHECK
+ *
+ * Runs daily (schedule in netlify.toml). A canceled subscription only ends
+ * once every tote is back, so any cancellation whose paid period is about
+ * to end with totes still out is held with renewal paused (lib/cancellations.js), and
+ * customer service is told to finish the final return.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Cancellation flow with final return and exit survey
+ */
+
+const { holdUnreturnedCancellations } = require('./lib/cancellations');
+const { sendUnreturnedCancellationNotice } = require('./lib/account-notifications');
+
+exports.handler = async (event, context) => {
+    const held = await holdUnreturnedCancellations();
+    console.log(`⏳ ${held.length} cancellations waiting on totes past period end`);
+
+    let notified = 0;
+    for (const cancellation of held) {
+        try {
+            await sendUnreturnedCancellationNotice(cancellation);
+            notified++;
+        } catch (error) {
+            console.error(`❌ Notice for cancellation ${cancellation.id} failed:`, error.message);
+        }
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ held: held.length, notified: notified })
+    };
+};
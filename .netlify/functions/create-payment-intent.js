@@ -8,58 +8,63 @@
  * - Input validation and sanitization
  * - Rate limiting (5 requests per minute per IP)
  * - Amount limits and business rules validation
+ * - Idempotency keys from the client order token (no duplicate customers or
+ *   payment intents on double clicks, retries or a reopened modal)
+ * 
+ * Every order is also saved in our own order store (lib/orders.js) with its
+ * own order ID, which is copied to the payment intent metadata. The delivery
+ * window picked in the modal is reserved in the capacity calendar (one of its
+ * slots is held for the order token) and stored on both.
+ * 
+ * The service address arrives as separate fields (street, unit, city, state,
+ * ZIP), is normalized with the shared address rules and must be inside the
+ * service area (lib/service-area.js) before any customer or payment intent
+ * is created. Out-of-area orders get OUTSIDE_SERVICE_AREA so the browser can
+ * offer the waitlist instead.
+ * 
+ * A promo or referral code is looked up again here (lib/promotions.js) and
+ * priced by the shared engine, so the amount charged never depends on what
+ * the browser says a code is worth. The subscription part of a coupon is
+ * stored in the metadata for lib/subscriptions.js.
+ * 
+ * Sales tax for the service address comes from the tax module (lib/tax.js).
+ * The browser's amount is checked before tax; the payment intent is for the
+ * total with tax, and the returned quote shows the tax line.
+ * 
+ * The billing plan (orderData.plan: monthly, semiannual or annual) sets how
+ * much storage the setup payment covers - one month, or the whole prepaid
+ * period at the plan's discount. Defaults to monthly.
  * 
  * Environment Variables Required:
  * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
  * 
  * @author Stripe Integration Team
- * @version 3.0.0 - Added customer creation and subscription setup
+ * @version 3.9.0 - Delivery window slots are reserved at checkout
  */
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const pricing = require('./lib/pricing');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+const { validateOrderToken, idempotent, isIdempotencyConflict } = require('./lib/idempotency');
+const { upsertCustomer, createOrder, updateOrder } = require('./lib/orders');
+const { reserveDeliveryWindow } = require('./lib/delivery-calendar');
+const { normalizeAddress, formatAddress } = require('./lib/address');
+const { checkServiceArea } = require('./lib/service-area');
+const { resolvePromoCode } = require('./lib/promotions');
+const { calculateSetupTax } = require('./lib/tax');
 
-// In-memory rate limiting store (resets when function cold-starts)
-// For production, consider using external store like Redis
-const requestCounts = new Map();
-
-/**
- * Rate limiting function - prevents abuse of payment endpoint
- * Allows 5 requests per minute per IP address
- * @param {string} clientIP - Client IP address
- * @throws {Error} If rate limit exceeded
- */
-function checkRateLimit(clientIP) {
-    const now = Date.now();
-    const windowMs = 60 * 1000; // 1 minute window
-    const maxRequests = 5; // Max 5 requests per window
-    
-    // Get existing requests for this IP
-    const requests = requestCounts.get(clientIP) || [];
-    
-    // Filter to only recent requests within the time window
-    const recentRequests = requests.filter(timestamp => (now - timestamp) < windowMs);
-    
-    // Check if rate limit exceeded
-    if (recentRequests.length >= maxRequests) {
-        console.warn(`⚠️ Rate limit exceeded for IP: ${clientIP}`);
-        throw new Error('Too many requests. Please wait a minute before trying again.');
-    }
-    
-    // Add current request timestamp
-    recentRequests.push(now);
-    requestCounts.set(clientIP, recentRequests);
-    
-    console.log(`📈 Request ${recentRequests.length}/${maxRequests} for IP: ${clientIP}`);
-}
+// Allows 5 requests per minute per IP address
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 5 });
 
 /**
  * Validate and sanitize order data
  * Ensures all required fields are present and valid
  * @param {Object} orderData - Raw order data from client
+ * @param {Object|null} discount - Discount resolved from the promo code
  * @returns {Object} Validated and sanitized order data
  * @throws {Error} If validation fails
  */
-function validateOrderData(orderData) {
+function validateOrderData(orderData, discount) {
     if (!orderData || typeof orderData !== 'object') {
         throw new Error('Order data is required');
     }
@@ -91,19 +96,23 @@ function validateOrderData(orderData) {
         throw new Error('Customer name is required (minimum 2 characters)');
     }
     
-    // Validate address
-    if (!orderData.address || orderData.address.trim().length < 10) {
-        throw new Error('Complete address is required (minimum 10 characters)');
+    // Validate and normalize the structured address
+    const { address: serviceAddress, errors: addressErrors } = normalizeAddress(orderData.addressFields);
+    if (!serviceAddress) {
+        throw new Error(addressErrors[0]);
     }
     
-    // Validate tote quantity
+    // Validate tote quantity and plan, and price the order with the shared pricing engine
     const toteNumber = parseInt(orderData.toteNumber);
-    if (!toteNumber || toteNumber < 2 || toteNumber > 10) {
-        throw new Error('Tote quantity must be between 2 and 10');
-    }
+    const plan = pricing.getPlan(orderData.plan);
+    const quote = pricing.calculateQuote({
+        toteNumber: toteNumber,
+        plan: plan.id,
+        discount: discount
+    });
     
-    // Validate total cost (business rules)
-    const expectedCost = 20 + (toteNumber * 10); // $20 trip fee + $10 per tote
+    // Validate total cost (business rules) - the browser's quote is before tax
+    const expectedCost = quote.totalBeforeTaxCents / 100;
     const providedCost = parseFloat(orderData.totalCost);
     
     if (!providedCost || Math.abs(providedCost - expectedCost) > 0.01) {
@@ -116,15 +125,19 @@ function validateOrderData(orderData) {
         name: sanitizeText(orderData.name),
         email: orderData.email.toLowerCase().trim(),
         phone: sanitizeText(orderData.phone),
-        address: sanitizeText(orderData.address),
+        address: formatAddress(serviceAddress),
+        serviceAddress: serviceAddress,
         toteNumber: toteNumber,
-        totalCost: expectedCost // Use calculated cost, not client-provided
+        plan: plan,
+        totalCost: expectedCost, // Use calculated cost, not client-provided
+        quote: quote,
+        discount: discount
     };
 }
 
 /**
  * Validate payment amount
- * Ensures amount is within business rules and matches order data
+ * Ensures the client-provided amount matches the server-side quote
  * @param {number} amount - Amount in cents
  * @param {Object} orderData - Validated order data
  * @throws {Error} If amount validation fails
@@ -135,16 +148,8 @@ function validateAmount(amount, orderData) {
         throw new Error('Invalid payment amount');
     }
     
-    // Business rules: minimum $40 (2 totes), maximum $120 (10 totes + trip fee)
-    const minAmount = 40 * 100; // $40 in cents
-    const maxAmount = 120 * 100; // $120 in cents
-    
-    if (amount < minAmount || amount > maxAmount) {
-        throw new Error(`Payment amount must be between ${minAmount/100} and ${maxAmount/100}`);
-    }
-    
-    // Verify amount matches order data
-    const expectedAmount = orderData.totalCost * 100; // Convert to cents
+    // Verify amount matches the server-side quote (before tax) exactly
+    const expectedAmount = orderData.quote.totalBeforeTaxCents;
     if (amount !== expectedAmount) {
         console.error(`🚨 Amount mismatch: expected ${expectedAmount}, got ${amount}`);
         throw new Error('Payment amount does not match order total');
@@ -153,12 +158,70 @@ function validateAmount(amount, orderData) {
     console.log(`✅ Amount validation passed: ${amount/100}`);
 }
 
+/**
+ * Make sure we deliver to the order's address
+ * @param {Object} orderData - Validated order data
+ * @throws {Error} If the address is outside the service area
+ */
+async function validateServiceArea(orderData) {
+    const result = await checkServiceArea(orderData.serviceAddress);
+    
+    if (!result.inArea) {
+        console.warn(`📍 Order rejected - ${orderData.serviceAddress.postal_code} is outside the service area`);
+        throw new Error(`We don't deliver to ${orderData.serviceAddress.postal_code} yet - it's outside our service area`);
+    }
+    
+    console.log(`✅ Address is in the service area (${result.matchedBy})`);
+}
+
+/**
+ * Add sales tax for the service address to the order's quote
+ * @param {Object} orderData - Validated order data (updated in place)
+ * @returns {Object} Tax from the tax module, with its calculationId
+ */
+async function addSalesTax(orderData) {
+    const tax = await calculateSetupTax(orderData.quote, orderData.serviceAddress);
+    
+    orderData.quote = pricing.calculateQuote({
+        toteNumber: orderData.toteNumber,
+        plan: orderData.plan.id,
+        discount: orderData.discount,
+        tax: tax
+    });
+    orderData.totalCost = orderData.quote.setupTotalCents / 100;
+    
+    console.log(`🧾 Sales tax: ${tax.taxCents / 100} (${tax.label || 'none'})`);
+    return tax;
+}
+
+/**
+ * Convert a normalized address to a Stripe address
+ * @param {Object} serviceAddress - Normalized address
+ * @returns {Object} Stripe address
+ */
+function toStripeAddress(serviceAddress) {
+    return {
+        line1: serviceAddress.line1,
+        line2: serviceAddress.line2 || '',
+        city: serviceAddress.city,
+        state: serviceAddress.state,
+        postal_code: serviceAddress.postal_code,
+        country: 'US'
+    };
+}
+
 /**
  * Create or find existing Stripe customer
+ * 
+ * Writes are idempotent per order token. If a twin request for the same
+ * order already wrote the customer (idempotency conflict), its result is
+ * looked up by email instead of writing again.
+ * 
  * @param {Object} orderData - Validated order data
+ * @param {string} orderToken - Client order token
  * @returns {Object} Stripe customer object
  */
-async function createOrFindCustomer(orderData) {
+async function createOrFindCustomer(orderData, orderToken) {
     console.log('🔍 Looking for existing customer...');
     
     // Check if customer already exists by email
@@ -171,54 +234,103 @@ async function createOrFindCustomer(orderData) {
         const customer = existingCustomers.data[0];
         console.log(`✅ Found existing customer: ${customer.id}`);
         
+        // Already updated for this order (retry or reopened modal)
+        if (customer.metadata.last_order_token === orderToken) {
+            return customer;
+        }
+        
         // Update customer info if needed
-        const updatedCustomer = await stripe.customers.update(customer.id, {
+        try {
+            return await stripe.customers.update(customer.id, {
+                name: orderData.name,
+                phone: orderData.phone,
+                address: toStripeAddress(orderData.serviceAddress),
+                metadata: {
+                    last_order_date: new Date().toISOString(),
+                    last_order_token: orderToken
+                }
+            }, idempotent('customer-update', orderToken));
+        } catch (error) {
+            if (!isIdempotencyConflict(error)) throw error;
+            console.log('♻️ Customer already updated for this order');
+            return stripe.customers.retrieve(customer.id);
+        }
+    }
+    
+    // Create new customer
+    console.log('👤 Creating new Stripe customer...');
+    let customer;
+    try {
+        customer = await stripe.customers.create({
             name: orderData.name,
+            email: orderData.email,
             phone: orderData.phone,
-            address: {
-                line1: orderData.address,
-                country: 'US'
-            },
+            address: toStripeAddress(orderData.serviceAddress),
             metadata: {
-                last_order_date: new Date().toISOString(),
-                total_orders: (parseInt(customer.metadata.total_orders) || 0) + 1
+                first_order_date: new Date().toISOString(),
+                last_order_token: orderToken,
+                tote_quantity: orderData.toteNumber.toString(),
+                source: 'website_form'
             }
-        });
+        }, idempotent('customer-create', orderToken));
+    } catch (error) {
+        if (!isIdempotencyConflict(error)) throw error;
         
-        return updatedCustomer;
-    }
-    
-    // Create new customer
-    console.log('👤 Creating new Stripe customer...');
-    const customer = await stripe.customers.create({
-        name: orderData.name,
-        email: orderData.email,
-        phone: orderData.phone,
-        address: {
-            line1: orderData.address,
-            country: 'US'
-        },
-        metadata: {
-            first_order_date: new Date().toISOString(),
-            tote_quantity: orderData.toteNumber.toString(),
-            total_orders: '1',
-            source: 'website_form'
+        // A twin request created the customer first
+        const created = await stripe.customers.list({ email: orderData.email, limit: 1 });
+        if (created.data.length === 0) {
+            throw new Error('Order is already being processed. Please wait a moment and try again.');
         }
-    });
+        console.log('♻️ Customer already created for this order');
+        return created.data[0];
+    }
     
     console.log(`✅ Created new customer: ${customer.id}`);
     return customer;
 }
 
+/**
+ * Save the order in our order store
+ * The same order token always returns the same order. Stripe remains the
+ * record of payment, so a store failure is logged and doesn't block checkout.
+ * @param {Object} orderData - Validated order data
+ * @param {Object} stripeCustomer - Stripe customer
+ * @param {string} orderToken - Client order token
+ * @param {Object|null} deliveryWindow - Booked delivery window
+ * @returns {Object|null} Order record
+ */
+async function saveOrderRecord(orderData, stripeCustomer, orderToken, deliveryWindow) {
+    try {
+        const customer = await upsertCustomer({
+            email: orderData.email,
+            name: orderData.name,
+            phone: orderData.phone,
+            address: orderData.address,
+            stripeCustomerId: stripeCustomer.id
+        });
+        
+        return await createOrder({
+            orderToken: orderToken,
+            customer: customer,
+            quote: orderData.quote,
+            stripeCustomerId: stripeCustomer.id,
+            address: orderData.address,
+            serviceAddress: orderData.serviceAddress,
+            deliveryWindow: deliveryWindow,
+            source: 'create-payment-intent'
+        });
+    } catch (error) {
+        console.error('⚠️ Could not save order record:', error.message);
+        return null;
+    }
+}
+
 exports.handler = async (event, context) => {
     const startTime = Date.now();
     console.log('🚀 Payment intent creation requested with subscription setup');
     
     // Get client IP for rate limiting
-    const clientIP = event.headers['x-forwarded-for'] || 
-                    event.headers['x-real-ip'] || 
-                    context.clientContext?.identity?.ip || 
-                    'unknown';
+    const clientIP = getClientIP(event, context);
     
     try {
         // Apply rate limiting
@@ -267,45 +379,110 @@ exports.handler = async (event, context) => {
             throw new Error('Missing amount or order data');
         }
         
+        // One token per order; every Stripe write below is keyed by it
+        const orderToken = validateOrderToken(requestData.order_token);
+        
+        // Look up the promo code ourselves - the browser's discount is never trusted
+        const discount = orderData.promoCode
+            ? await resolvePromoCode(orderData.promoCode, {
+                toteNumber: parseInt(orderData.toteNumber),
+                plan: orderData.plan,
+                email: orderData.email
+            })
+            : null;
+        
         // Validate and sanitize order data
         console.log('🔍 Validating order data...');
-        const validatedOrderData = validateOrderData(orderData);
+        const validatedOrderData = validateOrderData(orderData, discount);
         
         // Validate payment amount
         console.log('💰 Validating payment amount...');
         validateAmount(amount, validatedOrderData);
         
+        // Never take money for an address we can't reach
+        await validateServiceArea(validatedOrderData);
+        
+        // Sales tax for the service address
+        const tax = await addSalesTax(validatedOrderData);
+        
+        // No window means the customer chose to have us call to schedule.
+        // The slot is held for this order token until the setup payment's job takes it.
+        const deliveryWindow = orderData.deliveryWindow && orderData.deliveryWindow.id
+            ? await reserveDeliveryWindow(orderData.deliveryWindow.id, { holder: orderToken })
+            : null;
+        
         // Create or find Stripe customer
-        const customer = await createOrFindCustomer(validatedOrderData);
+        const customer = await createOrFindCustomer(validatedOrderData, orderToken);
+        
+        // Our own order record and order ID
+        const order = await saveOrderRecord(validatedOrderData, customer, orderToken, deliveryWindow);
         
         console.log('🎯 Creating payment intent for validated order:', {
             customer: validatedOrderData.name,
             email: validatedOrderData.email,
             amount: amount,
             totes: validatedOrderData.toteNumber,
+            plan: validatedOrderData.plan.id,
             customerId: customer.id
         });
         
         // Create payment intent with customer and setup for future payments
+        // The same order token always returns the same payment intent
         const paymentIntent = await stripe.paymentIntents.create({
-            amount: amount,
-            currency: 'usd',
+            amount: validatedOrderData.quote.setupTotalCents,
+            currency: validatedOrderData.quote.currency,
             customer: customer.id,
-            description: `Instant Closet Tote Storage - Setup + First Month (${validatedOrderData.toteNumber} totes)`,
+            description: validatedOrderData.plan.months > 1
+                ? `Instant Closet Tote Storage - Setup + First ${validatedOrderData.plan.months} Months (${validatedOrderData.toteNumber} totes)`
+                : `Instant Closet Tote Storage - Setup + First Month (${validatedOrderData.toteNumber} totes)`,
             setup_future_usage: 'off_session', // Save payment method for subscriptions
+            // Only stable order fields: a retry with the same order token must send identical parameters
             metadata: {
                 customer_name: validatedOrderData.name,
                 customer_email: validatedOrderData.email,
                 customer_phone: validatedOrderData.phone,
                 customer_address: validatedOrderData.address,
+                service_address: JSON.stringify(validatedOrderData.serviceAddress),
                 tote_quantity: validatedOrderData.toteNumber.toString(),
                 total_cost: validatedOrderData.totalCost.toString(),
-                monthly_cost: (20 + (validatedOrderData.toteNumber * 10)).toString(),
-                client_ip: clientIP,
+                monthly_cost: (validatedOrderData.quote.monthlyCents / 100).toString(),
+                plan: validatedOrderData.plan.id,
+                billing_months: validatedOrderData.plan.months.toString(),
+                period_cost: (validatedOrderData.quote.periodCents / 100).toString(),
+                pricing_version: validatedOrderData.quote.version,
+                promo_code: validatedOrderData.quote.promoCode || '',
+                discount_cents: validatedOrderData.quote.discountCents.toString(),
+                tax_cents: validatedOrderData.quote.taxCents.toString(),
+                tax_rate: validatedOrderData.quote.taxRate.toString(),
+                tax_label: validatedOrderData.quote.taxLabel || '',
+                subscription_coupon: discount && discount.appliesToSubscription ? discount.couponId : '',
+                promotion_code_id: discount && discount.promotionCodeId ? discount.promotionCodeId : '',
+                referral_code: discount && discount.referralCode ? discount.referralCode : '',
+                order_token: orderToken,
+                order_id: order ? order.id : '',
+                delivery_window: deliveryWindow ? deliveryWindow.id : '',
+                delivery_window_label: deliveryWindow ? deliveryWindow.label : '',
+                delivery_window_start: deliveryWindow ? deliveryWindow.starts_at : '',
                 created_via: 'website_form',
                 payment_type: 'setup_with_subscription'
             }
-        });
+        }, idempotent('payment-intent', orderToken));
+        
+        // Stripe Tax makes a new calculation on every request, so it can't be part of
+        // the idempotent create (a plain metadata merge, safe to repeat)
+        if (tax.calculationId) {
+            await stripe.paymentIntents.update(paymentIntent.id, {
+                metadata: { tax_calculation: tax.calculationId }
+            });
+        }
+        
+        if (order && order.payment_intent_id !== paymentIntent.id) {
+            try {
+                await updateOrder(order.id, { payment_intent_id: paymentIntent.id });
+            } catch (error) {
+                console.error('⚠️ Could not link payment intent to order:', error.message);
+            }
+        }
         
         const processingTime = Date.now() - startTime;
         console.log(`✅ Payment intent created successfully: ${paymentIntent.id} (${processingTime}ms)`);
@@ -322,8 +499,11 @@ exports.handler = async (event, context) => {
             body: JSON.stringify({
                 client_secret: paymentIntent.client_secret,
                 payment_intent_id: paymentIntent.id,
+                order_id: order ? order.id : null,
+                delivery_window: deliveryWindow ? { id: deliveryWindow.id, label: deliveryWindow.label } : null,
                 customer_id: customer.id,
-                monthly_amount: 20 + (validatedOrderData.toteNumber * 10)
+                monthly_amount: validatedOrderData.quote.monthlyCents / 100,
+                quote: validatedOrderData.quote
             })
         };
         
@@ -333,8 +513,20 @@ exports.handler = async (event, context) => {
         
         // Determine appropriate status code
         let statusCode = 500;
+        let errorCode = null;
         if (error.message.includes('Too many requests')) {
             statusCode = 429; // Rate limit exceeded
+        } else if (isIdempotencyConflict(error) || error.message.includes('already being processed')) {
+            statusCode = 409; // Same order token used for a different or in-flight request
+        } else if (error.message.includes('promo code')) {
+            statusCode = 400; // Expired or used up since it was applied in the modal
+            errorCode = 'INVALID_PROMO_CODE';
+        } else if (error.message.includes('service area')) {
+            statusCode = 400; // We don't deliver there - browser offers the waitlist
+            errorCode = 'OUTSIDE_SERVICE_AREA';
+        } else if (error.message.includes('delivery window')) {
+            statusCode = 400; // Window unknown or just filled up
+            errorCode = 'DELIVERY_WINDOW_UNAVAILABLE';
         } else if (error.message.includes('required') || 
                   error.message.includes('Invalid') || 
                   error.message.includes('must be')) {
@@ -348,7 +540,7 @@ exports.handler = async (event, context) => {
             },
             body: JSON.stringify({ 
                 error: error.message,
-                code: statusCode === 429 ? 'RATE_LIMIT_EXCEEDED' : 'VALIDATION_ERROR'
+                code: errorCode || (statusCode === 429 ? 'RATE_LIMIT_EXCEEDED' : statusCode === 409 ? 'ORDER_IN_PROGRESS' : 'VALIDATION_ERROR')
             })
         };
     }
@@ -0,0 +1,28 @@
+/**
+ * NETLIFY SCHEDULED FUNCTION - CUSTOMER LIFECYCLE EMAILS
+ *
+ * Runs daily (schedule in netlify.toml) and sends every lifecycle email that
+ * is due (lib/lifecycle.js): welcome, the reminder the day before a trip,
+ * the notice before a renewal charge and the "safely stored" update after a
+ * pickup. Each message is tracked, so a rerun never sends it twice; a failed
+ * send is retried on the next run.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lifecycle email sequence
+ */
+
+const { sendDueLifecycleEmails } = require('./lib/lifecycle');
+
+exports.handler = async (event, context) => {
+    const summary = await sendDueLifecycleEmails();
+
+    Object.keys(summary).forEach((type) => {
+        const counts = summary[type];
+        console.log(`✅ ${type}: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped${counts.error ? ` (${counts.error})` : ''}`);
+    });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify(summary)
+    };
+};
@@ -0,0 +1,69 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - DELIVERY WINDOWS
+ *
+ * Returns the delivery windows with room left for a new order's empty tote
+ * drop-off, from the capacity calendar in lib/delivery-calendar.js.
+ * Available at /api/delivery-windows (see netlify.toml redirects).
+ *
+ * Usage:
+ * - GET /api/delivery-windows
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Delivery window calendar endpoint
+ */
+
+const { getDeliveryWindows } = require('./lib/delivery-calendar');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store' // Capacity changes with every booking
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const calendar = await getDeliveryWindows();
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                time_zone: calendar.timeZone,
+                windows: calendar.windows.map(window => ({
+                    id: window.id,
+                    date: window.date,
+                    label: window.label,
+                    starts_at: window.starts_at,
+                    ends_at: window.ends_at,
+                    remaining: window.remaining
+                }))
+            })
+        };
+
+    } catch (error) {
+        console.error('❌ Error loading delivery windows:', error.message);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Delivery windows are unavailable right now',
+                code: 'CALENDAR_ERROR'
+            })
+        };
+    }
+};
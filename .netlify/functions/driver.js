@@ -0,0 +1,163 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - DRIVER JOBS
+ *
+ * Backend for the driver page (driver/index.html). Drivers sign in with their
+ * name and password from ICTS_DRIVERS; every other request needs the driver
+ * session as a Bearer token (lib/staff-auth.js). Jobs are assigned from the
+ * admin dashboard's Driver Route tab (lib/driver-jobs.js).
+ *
+ * Requests:
+ * - POST { action: 'sign-in', driver, password }     Exchange the password for a driver session
+ * - GET                                              The driver's open jobs in route order
+ * - POST { action: 'on-the-way', job_id }            Text the customer that the driver is coming
+ * - POST { action: 'complete', job_id, tote_scans, photo, signature, signed_by, notes }
+ *                                                    Finish a job with proof of delivery
+ * - POST { action: 'exception', job_id, reason, notes, photo }
+ *                                                    Record a stop that couldn't be done
+ *
+ * Environment Variables Required:
+ * - ICTS_DRIVERS: Driver names and passwords
+ * - ICTS_AUTH_SECRET: Token signing secret
+ * - ICTS_TOTE_PHOTO_BUCKET: S3 bucket for proof photos (see lib/tote-photos.js)
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard (final returns end subscriptions)
+ * - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER: Texts to customers (see lib/sms.js)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - On the way texts
+ */
+
+const { signInDriver, requireDriver } = require('./lib/staff-auth');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+const {
+    EXCEPTION_REASONS,
+    listDriverJobs,
+    markJobOnTheWay,
+    completeDriverJob,
+    recordJobException
+} = require('./lib/driver-jobs');
+
+// Password guesses per IP
+const checkSignInRateLimit = createRateLimiter({ windowMs: 15 * 60 * 1000, maxRequests: 5 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        if (event.httpMethod === 'GET') {
+            const driverId = requireDriver(event);
+            const jobs = await listDriverJobs(driverId);
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({ driver: driverId, jobs: jobs, exception_reasons: EXCEPTION_REASONS })
+            };
+        }
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        // Sign-in is the only action that doesn't need a session
+        if (requestData.action === 'sign-in') {
+            checkSignInRateLimit(getClientIP(event, context));
+            const sessionToken = signInDriver(requestData.driver, requestData.password);
+            return { statusCode: 200, headers, body: JSON.stringify({ session_token: sessionToken }) };
+        }
+
+        const driverId = requireDriver(event);
+        let responseBody;
+
+        switch (requestData.action) {
+            case 'on-the-way': {
+                const result = await markJobOnTheWay({ driverId: driverId, jobId: requestData.job_id });
+                responseBody = {
+                    job_id: result.job.id,
+                    on_the_way_at: result.job.on_the_way_at,
+                    notified: result.notified,
+                    already_notified: result.alreadyNotified
+                };
+                break;
+            }
+
+            case 'complete': {
+                const result = await completeDriverJob({
+                    driverId: driverId,
+                    jobId: requestData.job_id,
+                    toteScans: requestData.tote_scans,
+                    photo: requestData.photo,
+                    signature: requestData.signature,
+                    signedBy: requestData.signed_by,
+                    notes: requestData.notes
+                });
+                responseBody = {
+                    job_id: result.job.id,
+                    status: result.job.status,
+                    totes_updated: result.totesUpdated,
+                    unscanned_totes: result.unscannedTotes,
+                    already_completed: result.alreadyCompleted
+                };
+                break;
+            }
+
+            case 'exception': {
+                const job = await recordJobException({
+                    driverId: driverId,
+                    jobId: requestData.job_id,
+                    reason: requestData.reason,
+                    notes: requestData.notes,
+                    photo: requestData.photo
+                });
+                responseBody = { job_id: job.id, status: job.status };
+                break;
+            }
+
+            default:
+                throw new Error('Invalid driver action');
+        }
+
+        return { statusCode: 200, headers, body: JSON.stringify(responseBody) };
+
+    } catch (error) {
+        console.error('❌ Driver request failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in') || error.message.includes('name or password')) {
+            statusCode = 401;
+        } else if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+        } else if (error.message.includes('Invalid') || error.message.includes('required') ||
+                   error.message.includes('not assigned')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({
+                error: statusCode === 500 ? 'Something went wrong. Please try again.' : error.message,
+                code: 'DRIVER_ERROR'
+            })
+        };
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * NETLIFY SCHEDULED FUNCTION - DUNNING RETRIES
+ *
+ * Runs daily (schedule in netlify.toml) and retries every past-due renewal
+ * invoice whose next retry is due (lib/dunning.js DUNNING_CONFIG). A failed
+ * retry is recorded on the case, which sends the failure emails and puts
+ * the account on hold after too many failures.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Dunning workflow for failed monthly payments
+ */
+
+const { getDueRetries, retryDunningCase } = require('./lib/dunning');
+
+exports.handler = async (event, context) => {
+    const dueCases = await getDueRetries();
+    console.log(`🔁 ${dueCases.length} dunning retries due`);
+
+    let paid = 0;
+    let failed = 0;
+    let errors = 0;
+
+    for (const dunningCase of dueCases) {
+        try {
+            const result = await retryDunningCase(dunningCase);
+            if (result.paid) {
+                paid++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            console.error(`❌ Retry for dunning ${dunningCase.id} failed:`, error.message);
+            errors++;
+        }
+    }
+
+    console.log(`✅ Dunning retries done: ${paid} paid, ${failed} declined, ${errors} errors`);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ due: dueCases.length, paid: paid, declined: failed, errors: errors })
+    };
+};
@@ -0,0 +1,40 @@
+/**
+ * NETLIFY SCHEDULED FUNCTION - LEAD FOLLOW-UP SEQUENCE
+ *
+ * Runs daily (schedule in netlify.toml) and emails every service inquiry
+ * whose next follow-up is due (lib/leads.js FOLLOW_UP_SEQUENCE). Leads that
+ * ordered or unsubscribed drop out of the sequence. A failed email leaves
+ * the lead due, so it is retried on the next run.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lead store and follow-up sequence
+ */
+
+const { getDueFollowUps, recordFollowUpSent } = require('./lib/leads');
+const { sendLeadFollowUp } = require('./lib/lead-emails');
+
+exports.handler = async (event, context) => {
+    const dueLeads = await getDueFollowUps();
+    console.log(`📬 ${dueLeads.length} lead follow-ups due`);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const lead of dueLeads) {
+        const step = (lead.follow_up_step || 0) + 1;
+        try {
+            await sendLeadFollowUp(lead, step);
+            await recordFollowUpSent(lead.id, step);
+            sent++;
+        } catch (error) {
+            console.error(`❌ Follow-up ${step} for lead ${lead.id} failed:`, error.message);
+            failed++;
+        }
+    }
+
+    console.log(`✅ Lead follow-ups done: ${sent} sent, ${failed} failed`);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ due: dueLeads.length, sent: sent, failed: failed })
+    };
+};
@@ -0,0 +1,58 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - LEAD UNSUBSCRIBE
+ *
+ * Target of the unsubscribe link in the lead follow-up emails
+ * (lib/lead-emails.js). Stops the sequence for that lead and shows a
+ * short confirmation page.
+ * Available at /api/lead-unsubscribe?token=... (see netlify.toml redirects).
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lead store and follow-up sequence
+ */
+
+const { unsubscribeLead } = require('./lib/leads');
+
+/**
+ * Render the confirmation page
+ * @param {string} message - Message to show
+ * @returns {string} HTML page
+ */
+function renderPage(message) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Instant Closet Tote Storage</title>
+</head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 60px 20px; color: #333;">
+    <h1>Instant Closet Tote Storage</h1>
+    <p>${message}</p>
+    <p><a href="/">Back to our website</a></p>
+</body>
+</html>`;
+}
+
+exports.handler = async (event, context) => {
+    const token = (event.queryStringParameters || {}).token;
+
+    try {
+        const lead = await unsubscribeLead(token);
+        console.log(`🔕 Lead ${lead.id} unsubscribed from follow-ups`);
+
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+            body: renderPage('You\'re unsubscribed. We won\'t send you any more follow-up emails.')
+        };
+
+    } catch (error) {
+        console.error('❌ Lead unsubscribe failed:', error.message);
+
+        return {
+            statusCode: error.message.includes('Invalid') ? 400 : 500,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+            body: renderPage('This unsubscribe link didn\'t work. Reply to any of our emails and we\'ll take you off the list.')
+        };
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - LEAD EXPORT (STAFF)
+ *
+ * Lists and exports the lead store (waitlist signups, service inquiries and
+ * contact messages) for follow-up calls or a spreadsheet/CRM import.
+ * Requires the staff API key as a Bearer token (lib/staff-auth.js).
+ *
+ * Requests:
+ * - GET ?type=waitlist&status=new&since=2026-10-01   Leads as JSON, newest first
+ * - GET ?format=csv (with the same filters)           Leads as a CSV download
+ *
+ * Environment Variables Required:
+ * - ICTS_STAFF_API_KEY: Staff API key
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lead store and follow-up sequence
+ */
+
+const { requireStaff } = require('./lib/staff-auth');
+const { listLeads, leadsToCsv } = require('./lib/leads');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        requireStaff(event);
+
+        const query = event.queryStringParameters || {};
+        const leads = await listLeads({
+            type: query.type,
+            status: query.status,
+            since: query.since
+        });
+
+        if (query.format === 'csv') {
+            const date = new Date().toISOString().slice(0, 10);
+            return {
+                statusCode: 200,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="icts-leads-${date}.csv"`
+                },
+                body: leadsToCsv(leads)
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ count: leads.length, leads: leads })
+        };
+
+    } catch (error) {
+        console.error('❌ Lead export failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in')) {
+            statusCode = 401;
+        } else if (error.message.includes('Invalid')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: 'LEADS_ERROR' })
+        };
+    }
+};
@@ -0,0 +1,357 @@
+/**
+ * AWS SES EMAIL HANDLER - ACCOUNT SERVICE NOTIFICATIONS
+ * Emails sent when a customer changes their service from the account page:
+ * a confirmation to the customer and a work request to customer service
+ *
+ * @version 1.3.1 - Held cancellation notice explains the paused renewal
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const {
+  CUSTOMER_SERVICE_EMAIL,
+  escapeHtml,
+  renderBrandedEmail,
+  sendEmail
+} = require('./ses-email');
+
+/**
+ * Format a dollar amount for email display
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * Send tote quantity change emails
+ * @param {Object} change
+ * @param {Object} change.account - Account summary (customer-accounts.getAccountSummary)
+ * @param {number} change.previousQuantity - Totes before the change
+ * @param {number} change.newQuantity - Totes after the change
+ * @param {number} change.monthlyAmount - New monthly amount in dollars
+ * @param {number} change.amountCharged - Prorated amount + trip fee charged now, in dollars
+ * @returns {Promise<Object>} { customerMessageId, internalMessageId }
+ */
+async function sendToteChangeNotification({ account, previousQuantity, newQuantity, monthlyAmount, amountCharged }) {
+  const customer = account.customer;
+  const subscriptionId = account.subscription ? account.subscription.id : 'Unknown';
+  const isIncrease = newQuantity > previousQuantity;
+  const tripType = isIncrease ? 'delivery' : 'pickup';
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+
+  const customerHtml = renderBrandedEmail({
+    title: 'Your tote change is confirmed',
+    heading: 'Tote Change Confirmed',
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>Your storage plan has been updated. We'll contact you to schedule the ${tripType}.</p>
+            </div>
+            <div class="section">
+                <div class="field"><strong>Totes:</strong> ${escapeHtml(previousQuantity)} → ${escapeHtml(newQuantity)}</div>
+                <div class="field"><strong>New Monthly Rate:</strong> ${formatAmount(monthlyAmount)}</div>
+                <div class="field"><strong>Charged Today:</strong> ${formatAmount(amountCharged)} (prorated storage + trip fee)</div>
+            </div>`
+  });
+
+  const internalHtml = renderBrandedEmail({
+    title: 'Tote quantity change',
+    heading: `Schedule Tote ${isIncrease ? 'Delivery' : 'Pickup'}`,
+    contentHtml: `
+            <div class="section highlight">
+                <p class="priority">Customer changed their tote count from the account page. Please schedule the ${tripType}.</p>
+            </div>
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(customer.name)}</div>
+                <div class="field"><strong>Email:</strong> ${escapeHtml(customer.email)}</div>
+                <div class="field"><strong>Phone:</strong> ${escapeHtml(customer.phone || 'Not provided')}</div>
+                <div class="field"><strong>Address:</strong> ${escapeHtml(customer.address || 'Not provided')}</div>
+            </div>
+            <div class="section">
+                <h2>Change</h2>
+                <div class="field"><strong>Subscription:</strong> ${escapeHtml(subscriptionId)}</div>
+                <div class="field"><strong>Totes:</strong> ${escapeHtml(previousQuantity)} → ${escapeHtml(newQuantity)}</div>
+                <div class="field"><strong>${isIncrease ? 'Deliver' : 'Pick up'}:</strong> ${Math.abs(newQuantity - previousQuantity)} totes</div>
+                <div class="field"><strong>New Monthly Rate:</strong> ${formatAmount(monthlyAmount)}</div>
+                <div class="field"><strong>Charged Today:</strong> ${formatAmount(amountCharged)}</div>
+            </div>`
+  });
+
+  const [customerMessageId, internalMessageId] = await Promise.all([
+    sendEmail({
+      to: customer.email,
+      subject: 'Your tote change is confirmed - Instant Closet Tote Storage',
+      html: customerHtml,
+      text: `Hi ${firstName},\n\n` +
+            `Your storage plan has been updated from ${previousQuantity} to ${newQuantity} totes.\n` +
+            `New monthly rate: ${formatAmount(monthlyAmount)}\n` +
+            `Charged today: ${formatAmount(amountCharged)} (prorated storage + trip fee)\n\n` +
+            `We'll contact you to schedule the ${tripType}.`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Tote-Change-Confirmation'
+      }
+    }),
+    sendEmail({
+      to: CUSTOMER_SERVICE_EMAIL,
+      replyTo: customer.email,
+      subject: `Tote ${tripType} needed: ${customer.name} (${previousQuantity} → ${newQuantity} totes)`,
+      html: internalHtml,
+      text: `Schedule a tote ${tripType}.\n\n` +
+            `Customer: ${customer.name}\nEmail: ${customer.email}\nPhone: ${customer.phone || 'Not provided'}\n` +
+            `Address: ${customer.address || 'Not provided'}\n\n` +
+            `Subscription: ${subscriptionId}\nTotes: ${previousQuantity} → ${newQuantity}\n` +
+            `New monthly rate: ${formatAmount(monthlyAmount)}\nCharged today: ${formatAmount(amountCharged)}`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Tote-Change-Request'
+      }
+    })
+  ]);
+
+  return { customerMessageId, internalMessageId };
+}
+
+/**
+ * Send tote return / re-pickup request emails
+ * @param {Object} request
+ * @param {Object} request.account - Account summary (customer-accounts.getAccountSummary)
+ * @param {string} request.tripType - 'return' or 'pickup'
+ * @param {Array} request.totes - Tote IDs (or numbers for totes without labels)
+ * @param {string} request.windowLabel - Booked delivery window
+ * @param {number} request.amountCharged - Trip fee charged, in dollars
+ * @param {string} [request.notes] - Customer notes for the driver
+ * @returns {Promise<Object>} { customerMessageId, internalMessageId }
+ */
+async function sendToteTripNotification({ account, tripType, totes, windowLabel, amountCharged, notes }) {
+  const customer = account.customer;
+  const subscriptionId = account.subscription ? account.subscription.id : 'Unknown';
+  const isReturn = tripType === 'return';
+  const tripName = isReturn ? 'tote return' : 'tote pickup';
+  const action = isReturn ? 'deliver your totes back' : 'pick up your totes for storage';
+  const toteList = totes.map(tote => (String(tote).startsWith('T-') ? tote : `#${tote}`)).join(', ');
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+
+  const customerHtml = renderBrandedEmail({
+    title: `Your ${tripName} is booked`,
+    heading: isReturn ? 'Tote Return Booked' : 'Tote Pickup Booked',
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>We'll ${action} during the window below.</p>
+            </div>
+            <div class="section">
+                <div class="field"><strong>When:</strong> ${escapeHtml(windowLabel)}</div>
+                <div class="field"><strong>Totes:</strong> ${escapeHtml(toteList)}</div>
+                <div class="field"><strong>Address:</strong> ${escapeHtml(customer.address || 'Address on file')}</div>
+                <div class="field"><strong>Trip Fee Charged:</strong> ${formatAmount(amountCharged)}</div>
+                ${notes ? `<div class="field"><strong>Your Notes:</strong> ${escapeHtml(notes)}</div>` : ''}
+            </div>`
+  });
+
+  const internalHtml = renderBrandedEmail({
+    title: `Customer ${tripName} request`,
+    heading: isReturn ? 'Tote Return Requested' : 'Tote Pickup Requested',
+    contentHtml: `
+            <div class="section highlight">
+                <p class="priority">Customer booked a ${tripName} from the account page. The trip fee is paid.</p>
+            </div>
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(customer.name)}</div>
+                <div class="field"><strong>Email:</strong> ${escapeHtml(customer.email)}</div>
+                <div class="field"><strong>Phone:</strong> ${escapeHtml(customer.phone || 'Not provided')}</div>
+                <div class="field"><strong>Address:</strong> ${escapeHtml(customer.address || 'Not provided')}</div>
+            </div>
+            <div class="section">
+                <h2>Trip</h2>
+                <div class="field"><strong>Subscription:</strong> ${escapeHtml(subscriptionId)}</div>
+                <div class="field"><strong>Window:</strong> ${escapeHtml(windowLabel)}</div>
+                <div class="field"><strong>${isReturn ? 'Deliver' : 'Pick up'}:</strong> ${escapeHtml(toteList)} (${totes.length} totes)</div>
+                <div class="field"><strong>Trip Fee Charged:</strong> ${formatAmount(amountCharged)}</div>
+                <div class="field"><strong>Notes:</strong> ${escapeHtml(notes || 'None')}</div>
+            </div>`
+  });
+
+  const [customerMessageId, internalMessageId] = await Promise.all([
+    sendEmail({
+      to: customer.email,
+      subject: `Your ${tripName} is booked - Instant Closet Tote Storage`,
+      html: customerHtml,
+      text: `Hi ${firstName},\n\n` +
+            `We'll ${action} on ${windowLabel}.\n` +
+            `Totes: ${toteList}\n` +
+            `Trip fee charged: ${formatAmount(amountCharged)}\n` +
+            `${notes ? `Your notes: ${notes}\n` : ''}`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Tote-Trip-Confirmation'
+      }
+    }),
+    sendEmail({
+      to: CUSTOMER_SERVICE_EMAIL,
+      replyTo: customer.email,
+      subject: `Tote ${isReturn ? 'return' : 'pickup'} booked: ${customer.name} - ${windowLabel}`,
+      html: internalHtml,
+      text: `Customer booked a ${tripName}.\n\n` +
+            `Customer: ${customer.name}\nEmail: ${customer.email}\nPhone: ${customer.phone || 'Not provided'}\n` +
+            `Address: ${customer.address || 'Not provided'}\n\n` +
+            `Subscription: ${subscriptionId}\nWindow: ${windowLabel}\n` +
+            `${isReturn ? 'Deliver' : 'Pick up'}: ${toteList} (${totes.length} totes)\n` +
+            `Trip fee charged: ${formatAmount(amountCharged)}\nNotes: ${notes || 'None'}`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Tote-Trip-Request'
+      }
+    })
+  ]);
+
+  return { customerMessageId, internalMessageId };
+}
+
+/**
+ * Send cancellation emails (final return booked, exit survey answer)
+ * @param {Object} request
+ * @param {Object} request.account - Account summary (customer-accounts.getAccountSummary)
+ * @param {Object} request.cancellation - Cancellation record (cancellations.js)
+ * @param {number} request.amountCharged - Final return trip fee charged, in dollars
+ * @param {string} request.periodEndLabel - Last day of the paid period, for display
+ * @returns {Promise<Object>} { customerMessageId, internalMessageId }
+ */
+async function sendCancellationNotification({ account, cancellation, amountCharged, periodEndLabel }) {
+  const customer = account.customer;
+  const toteList = cancellation.totes.map(tote => (String(tote).startsWith('T-') ? tote : `#${tote}`)).join(', ');
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const windowLabel = cancellation.final_return_window || 'To be scheduled';
+
+  const customerHtml = renderBrandedEmail({
+    title: 'Your cancellation is confirmed',
+    heading: 'Cancellation Confirmed',
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>We're sorry to see you go. We'll bring back every tote during your final return below.</p>
+                <p>Your storage ends on ${escapeHtml(periodEndLabel)} and you won't be billed again, as long as all of your totes are back by then. If the return is moved later, storage continues month to month until it's done.</p>
+            </div>
+            <div class="section">
+                <div class="field"><strong>Final Return:</strong> ${escapeHtml(windowLabel)}</div>
+                <div class="field"><strong>Totes:</strong> ${escapeHtml(toteList)}</div>
+                <div class="field"><strong>Address:</strong> ${escapeHtml(customer.address || 'Address on file')}</div>
+                <div class="field"><strong>Trip Fee Charged:</strong> ${formatAmount(amountCharged)}</div>
+            </div>`
+  });
+
+  const internalHtml = renderBrandedEmail({
+    title: 'Customer cancellation',
+    heading: 'Subscription Canceled - Final Return',
+    contentHtml: `
+            <div class="section highlight">
+                <p class="priority">Customer canceled from the account page. Collect every tote on the final return; mark each one returned.</p>
+            </div>
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(customer.name)}</div>
+                <div class="field"><strong>Email:</strong> ${escapeHtml(customer.email)}</div>
+                <div class="field"><strong>Phone:</strong> ${escapeHtml(customer.phone || 'Not provided')}</div>
+                <div class="field"><strong>Address:</strong> ${escapeHtml(customer.address || 'Not provided')}</div>
+            </div>
+            <div class="section">
+                <h2>Final Return</h2>
+                <div class="field"><strong>Subscription:</strong> ${escapeHtml(cancellation.subscription_id)}</div>
+                <div class="field"><strong>Window:</strong> ${escapeHtml(windowLabel)}</div>
+                <div class="field"><strong>Totes:</strong> ${escapeHtml(toteList)} (${cancellation.totes.length} totes)</div>
+                <div class="field"><strong>Trip Fee Charged:</strong> ${formatAmount(amountCharged)}</div>
+                <div class="field"><strong>Paid Through:</strong> ${escapeHtml(periodEndLabel)}</div>
+            </div>
+            <div class="section">
+                <h2>Exit Survey</h2>
+                <div class="field"><strong>Reason:</strong> ${escapeHtml(cancellation.exit_reason_label)}</div>
+                <div class="field"><strong>Comments:</strong> ${escapeHtml(cancellation.exit_detail || 'None')}</div>
+            </div>`
+  });
+
+  const [customerMessageId, internalMessageId] = await Promise.all([
+    sendEmail({
+      to: customer.email,
+      subject: 'Your cancellation is confirmed - Instant Closet Tote Storage',
+      html: customerHtml,
+      text: `Hi ${firstName},\n\n` +
+            `We're sorry to see you go. We'll bring back every tote on ${windowLabel}.\n` +
+            `Totes: ${toteList}\n` +
+            `Trip fee charged: ${formatAmount(amountCharged)}\n\n` +
+            `Your storage ends on ${periodEndLabel} and you won't be billed again, as long as all of your totes are back by then. ` +
+            'If the return is moved later, storage continues month to month until it\'s done.',
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Cancellation-Confirmation'
+      }
+    }),
+    sendEmail({
+      to: CUSTOMER_SERVICE_EMAIL,
+      replyTo: customer.email,
+      subject: `Cancellation: ${customer.name} - final return ${windowLabel}`,
+      html: internalHtml,
+      text: `Customer canceled from the account page.\n\n` +
+            `Customer: ${customer.name}\nEmail: ${customer.email}\nPhone: ${customer.phone || 'Not provided'}\n` +
+            `Address: ${customer.address || 'Not provided'}\n\n` +
+            `Subscription: ${cancellation.subscription_id}\nFinal return: ${windowLabel}\n` +
+            `Totes: ${toteList} (${cancellation.totes.length} totes)\n` +
+            `Trip fee charged: ${formatAmount(amountCharged)}\nPaid through: ${periodEndLabel}\n\n` +
+            `Exit reason: ${cancellation.exit_reason_label}\nComments: ${cancellation.exit_detail || 'None'}`,
+      tags: {
+        Source: 'Customer-Portal',
+        Type: 'Cancellation-Request'
+      }
+    })
+  ]);
+
+  return { customerMessageId, internalMessageId };
+}
+
+/**
+ * Tell customer service a canceling customer's period ended with totes still out
+ * @param {Object} cancellation - Cancellation record (cancellations.js)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendUnreturnedCancellationNotice(cancellation) {
+  const customerLabel = cancellation.customer_name || cancellation.customer_email || cancellation.stripe_customer_id;
+
+  const html = renderBrandedEmail({
+    title: 'Final return not finished',
+    heading: 'Final Return Not Finished',
+    contentHtml: `
+            <div class="section highlight">
+                <p class="priority">This customer's paid period is ending with totes still out. Renewal is paused; once every tote is marked returned they are charged monthly-rate storage for the extra days and the subscription ends.</p>
+            </div>
+            <div class="section">
+                <div class="field"><strong>Customer:</strong> ${escapeHtml(customerLabel)}</div>
+                <div class="field"><strong>Email:</strong> ${escapeHtml(cancellation.customer_email || 'Not provided')}</div>
+                <div class="field"><strong>Subscription:</strong> ${escapeHtml(cancellation.subscription_id)}</div>
+                <div class="field"><strong>Final Return Window:</strong> ${escapeHtml(cancellation.final_return_window || 'Not scheduled')}</div>
+            </div>`
+  });
+
+  return sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    replyTo: cancellation.customer_email || undefined,
+    subject: `Final return not finished: ${customerLabel}`,
+    html: html,
+    text: `FINAL RETURN NOT FINISHED\n\n` +
+          `The paid period is ending with totes still out. Renewal is paused; once every tote is marked returned the customer is charged monthly-rate storage for the extra days and the subscription ends.\n\n` +
+          `Customer: ${customerLabel}\nEmail: ${cancellation.customer_email || 'Not provided'}\n` +
+          `Subscription: ${cancellation.subscription_id}\nFinal return window: ${cancellation.final_return_window || 'Not scheduled'}`,
+    tags: {
+      Source: 'Cancellation',
+      Type: 'Final-Return-Overdue'
+    }
+  });
+}
+
+module.exports = {
+  sendToteChangeNotification,
+  sendToteTripNotification,
+  sendCancellationNotification,
+  sendUnreturnedCancellationNotice
+};
@@ -0,0 +1,11 @@
+/**
+ * ADDRESS - SERVER ACCESS TO THE SHARED ADDRESS RULES
+ *
+ * Re-exports js/address-rules.js, the same file the browser loads, so the
+ * functions normalize an address exactly like the order form does.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Structured service addresses
+ */
+
+module.exports = require('../../../js/address-rules');
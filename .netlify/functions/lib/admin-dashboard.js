@@ -0,0 +1,280 @@
+/**
+ * ADMIN DASHBOARD - STAFF VIEWS OF ORDERS, CUSTOMERS AND DELIVERIES
+ *
+ * Data behind the admin dashboard (admin/index.html, admin.js function):
+ * - listRecentPayments()         Recent payment intents with the customer
+ *                                metadata create-payment-intent.js writes
+ * - listRecentSubscriptions()    Recent subscriptions with tote count, address and phone
+ * - listFailedSubscriptions()    Paid setup payments that still have no subscription
+ * - listUpcomingDeliveries()     Open delivery and pickup jobs, soonest first
+ * - searchCustomers()            Customers by email or phone
+ *
+ * Stripe stays the source of truth for payments and subscriptions; the
+ * order store adds orders and delivery jobs.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Missed stops in upcoming deliveries
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore } = require('./store');
+const { COLLECTIONS, listDeliveryJobs } = require('./orders');
+const { formatAddress } = require('./address');
+
+const DEFAULT_LIMIT = 25;
+
+// A setup payment fulfills within seconds; give in-flight ones time before calling them failed
+const FULFILLMENT_GRACE_MS = 10 * 60 * 1000;
+
+// Jobs still to be driven; exceptions are stops a driver couldn't finish (driver-jobs.js)
+const OPEN_JOB_STATUSES = ['scheduled', 'unscheduled', 'exception'];
+
+/**
+ * Clamp a requested list size
+ * @param {number|string} limit - Requested limit
+ * @returns {number} 1-100
+ */
+function getLimit(limit) {
+    const parsed = parseInt(limit) || DEFAULT_LIMIT;
+    return Math.min(Math.max(parsed, 1), 100);
+}
+
+/**
+ * Convert a Unix timestamp to an ISO date
+ * @param {number|null} timestamp - Unix seconds
+ * @returns {string|null} ISO date
+ */
+function toIsoDate(timestamp) {
+    return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+/**
+ * Digits of a phone number, without a leading US country code
+ * @param {string} phone - Phone number in any format
+ * @returns {string} e.g. "8284557793"
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Summarize a payment intent for the dashboard
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {Object} Payment summary
+ */
+function summarizePayment(paymentIntent) {
+    const metadata = paymentIntent.metadata || {};
+    return {
+        id: paymentIntent.id,
+        created: toIsoDate(paymentIntent.created),
+        amount: paymentIntent.amount / 100,
+        status: paymentIntent.status,
+        type: metadata.payment_type || metadata.fee_type || 'other',
+        description: paymentIntent.description || null,
+        customer_id: typeof paymentIntent.customer === 'string' ? paymentIntent.customer : null,
+        customer_name: metadata.customer_name || null,
+        customer_email: metadata.customer_email || null,
+        customer_phone: metadata.customer_phone || null,
+        customer_address: metadata.customer_address || null,
+        tote_quantity: metadata.tote_quantity ? parseInt(metadata.tote_quantity) : null,
+        plan: metadata.plan || null,
+        order_id: metadata.order_id || null,
+        subscription_id: metadata.subscription_id || null,
+        subscription_error: metadata.subscription_error || null
+    };
+}
+
+/**
+ * List recent payment intents
+ * @param {Object} [options]
+ * @param {number} [options.limit=25] - How many
+ * @returns {Array} Payment summaries, newest first
+ */
+async function listRecentPayments({ limit } = {}) {
+    const paymentIntents = await stripe.paymentIntents.list({ limit: getLimit(limit) });
+    return paymentIntents.data.map(summarizePayment);
+}
+
+/**
+ * List recent subscriptions with their customer's contact details
+ * The address and phone are the ones written to the customer at checkout.
+ * @param {Object} [options]
+ * @param {number} [options.limit=25] - How many
+ * @returns {Array} Subscription summaries, newest first
+ */
+async function listRecentSubscriptions({ limit } = {}) {
+    const subscriptions = await stripe.subscriptions.list({
+        limit: getLimit(limit),
+        status: 'all',
+        expand: ['data.customer']
+    });
+
+    return subscriptions.data.map(subscription => {
+        const customer = subscription.customer && typeof subscription.customer === 'object' ? subscription.customer : {};
+        const customerMetadata = customer.metadata || {};
+        return {
+            id: subscription.id,
+            created: toIsoDate(subscription.created),
+            status: subscription.status,
+            cancel_at_period_end: subscription.cancel_at_period_end,
+            current_period_end: toIsoDate(subscription.current_period_end),
+            tote_quantity: subscription.metadata.tote_quantity ? parseInt(subscription.metadata.tote_quantity) : null,
+            plan: subscription.metadata.plan || 'monthly',
+            service_hold: subscription.metadata.service_hold === 'true',
+            cancellation_status: subscription.metadata.cancellation_status || null,
+            customer_id: customer.id || subscription.customer,
+            customer_name: customer.name || customerMetadata.customer_name || null,
+            customer_email: customer.email || customerMetadata.customer_email || null,
+            customer_phone: customerMetadata.customer_phone || customer.phone || null,
+            customer_address: customerMetadata.customer_address ||
+                (customer.address ? formatAddress(customer.address) || null : null)
+        };
+    });
+}
+
+/**
+ * List paid setup payments whose subscription was never created
+ * Fulfillment records the error as `subscription_error`; retry one with
+ * fulfillPaymentIntent (admin.js 'retry-fulfillment').
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Array} Payment summaries, newest first
+ */
+async function listFailedSubscriptions({ now = new Date() } = {}) {
+    const cutoff = Math.floor((now.getTime() - FULFILLMENT_GRACE_MS) / 1000);
+    const failed = [];
+
+    for await (const paymentIntent of stripe.paymentIntents.list({ limit: 100 })) {
+        const metadata = paymentIntent.metadata || {};
+        if (paymentIntent.status === 'succeeded' &&
+            metadata.payment_type === 'setup_with_subscription' &&
+            !metadata.subscription_id &&
+            (metadata.subscription_error || paymentIntent.created < cutoff)) {
+            failed.push(summarizePayment(paymentIntent));
+        }
+        if (failed.length >= 100) break;
+    }
+
+    return failed;
+}
+
+/**
+ * List delivery and pickup jobs still to be driven
+ * Scheduled jobs come first by window; jobs without a window follow.
+ * @returns {Array} Delivery jobs with the customer's name and phone
+ */
+async function listUpcomingDeliveries() {
+    const store = getStore();
+    const jobs = (await listDeliveryJobs()).filter(job => OPEN_JOB_STATUSES.includes(job.status));
+    const customers = new Map();
+
+    for (const job of jobs) {
+        if (job.customer_id && !customers.has(job.customer_id)) {
+            customers.set(job.customer_id, await store.get(COLLECTIONS.CUSTOMERS, job.customer_id));
+        }
+    }
+
+    return jobs
+        .sort((a, b) => {
+            if (a.scheduled_for && b.scheduled_for) return a.scheduled_for.localeCompare(b.scheduled_for);
+            if (a.scheduled_for) return -1;
+            if (b.scheduled_for) return 1;
+            return a.created_at.localeCompare(b.created_at);
+        })
+        .map(job => {
+            const customer = customers.get(job.customer_id) || {};
+            return {
+                ...job,
+                customer_name: customer.name || null,
+                customer_email: customer.email || null,
+                customer_phone: customer.phone || null
+            };
+        });
+}
+
+/**
+ * Search customers by email or phone
+ * Matches Stripe customers by email and our customer records by email or
+ * phone digits, merged by Stripe customer ID.
+ * @param {string} query - Email (or part of one) or phone number
+ * @returns {Array} Customer summaries with their orders
+ * @throws {Error} If the query is too short
+ */
+async function searchCustomers(query) {
+    const text = String(query || '').trim().toLowerCase();
+    const phoneDigits = normalizePhone(text);
+    const isPhone = !/[a-z@]/.test(text) && phoneDigits.length >= 4;
+
+    if (text.length < 3 || (!isPhone && /^[\d\s()+.-]+$/.test(text))) {
+        throw new Error('Search must be an email or at least 4 digits of a phone number');
+    }
+
+    const store = getStore();
+    const results = new Map();
+
+    const localCustomers = (await store.find(COLLECTIONS.CUSTOMERS)).filter(customer => isPhone
+        ? normalizePhone(customer.phone).includes(phoneDigits)
+        : String(customer.email || '').toLowerCase().includes(text));
+
+    for (const customer of localCustomers) {
+        const key = customer.stripe_customer_id || customer.id;
+        results.set(key, {
+            stripe_customer_id: customer.stripe_customer_id || null,
+            customer_record_id: customer.id,
+            name: customer.name || null,
+            email: customer.email || null,
+            phone: customer.phone || null,
+            address: customer.address || null
+        });
+    }
+
+    if (!isPhone) {
+        const stripeCustomers = await stripe.customers.search({
+            query: `email~'${text.replace(/'/g, '')}'`,
+            limit: 20
+        });
+        for (const customer of stripeCustomers.data) {
+            const existing = results.get(customer.id) || {};
+            results.set(customer.id, {
+                ...existing,
+                stripe_customer_id: customer.id,
+                name: existing.name || customer.name || null,
+                email: customer.email || existing.email || null,
+                phone: existing.phone || customer.metadata.customer_phone || customer.phone || null,
+                address: existing.address || customer.metadata.customer_address || null,
+                subscription_id: customer.metadata.subscription_id || null,
+                subscription_status: customer.metadata.subscription_status || null,
+                tote_quantity: customer.metadata.tote_quantity ? parseInt(customer.metadata.tote_quantity) : null
+            });
+        }
+    }
+
+    const matches = Array.from(results.values()).slice(0, 25);
+    for (const match of matches) {
+        const orders = match.customer_record_id
+            ? await store.find(COLLECTIONS.ORDERS, { customer_id: match.customer_record_id })
+            : [];
+        match.orders = orders
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(order => ({
+                id: order.id,
+                status: order.status,
+                tote_quantity: order.tote_quantity,
+                created_at: order.created_at
+            }));
+    }
+
+    return matches;
+}
+
+module.exports = {
+    listRecentPayments,
+    listRecentSubscriptions,
+    listFailedSubscriptions,
+    listUpcomingDeliveries,
+    searchCustomers
+};
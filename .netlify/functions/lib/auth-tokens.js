@@ -0,0 +1,107 @@
+/**
+ * AUTH TOKENS - SIGNED, EXPIRING TOKENS FOR MAGIC LINKS AND SESSIONS
+ *
+ * Stateless tokens: a base64url JSON payload plus an HMAC-SHA256 signature.
+ * Every token carries a purpose (e.g. 'magic-link', 'session'), so a token
+ * issued for one use can never be accepted for another.
+ *
+ * Environment Variables Required:
+ * - ICTS_AUTH_SECRET: Long random string used to sign tokens
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Customer account magic links
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Get the signing secret
+ * @returns {string} Secret
+ * @throws {Error} If the secret is not configured
+ */
+function getSecret() {
+    const secret = process.env.ICTS_AUTH_SECRET;
+    if (!secret) {
+        throw new Error('ICTS_AUTH_SECRET is not configured');
+    }
+    return secret;
+}
+
+/**
+ * Sign a token body
+ * @param {string} body - Encoded payload
+ * @returns {string} base64url signature
+ */
+function sign(body) {
+    return crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {string} purpose - What the token may be used for
+ * @param {Object} claims - Data to carry (e.g. { sub: customerId })
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function createToken(purpose, claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        ...claims,
+        purpose: purpose,
+        iat: now,
+        exp: now + ttlSeconds
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Required purpose
+ * @returns {Object} Token claims
+ * @throws {Error} If the token is malformed, tampered with, expired or for another purpose
+ */
+function verifyToken(token, purpose) {
+    if (!token || typeof token !== 'string' || token.split('.').length !== 2) {
+        throw new Error('Invalid or expired token');
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = Buffer.from(sign(body));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new Error('Invalid or expired token');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (parseError) {
+        throw new Error('Invalid or expired token');
+    }
+
+    if (payload.purpose !== purpose || !payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+        throw new Error('Invalid or expired token');
+    }
+
+    return payload;
+}
+
+/**
+ * Read a bearer token from a Netlify function event
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} Token, if present
+ */
+function getBearerToken(event) {
+    const header = event.headers.authorization || event.headers.Authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    createToken,
+    verifyToken,
+    getBearerToken
+};
@@ -0,0 +1,11 @@
+/**
+ * BILLING SCHEDULE - SERVER ACCESS TO THE SHARED BILLING DATES
+ *
+ * Re-exports js/billing-schedule.js, the same file the browser loads, so a
+ * subscription's first invoice is on the date the payment modal showed.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Calendar-month billing anchor and free period
+ */
+
+module.exports = require('../../../js/billing-schedule');
@@ -0,0 +1,390 @@
+/**
+ * CANCELLATIONS - FINAL RETURN AND EXIT SURVEY
+ *
+ * Cancelling storage means giving every tote back, so a cancellation is
+ * booked like a return trip (tote-trips.js) for all of the customer's totes:
+ * 1. requestCancellation() records the exit survey, books the final return
+ *    delivery, charges its trip fee and sets cancel_at_period_end
+ * 2. Staff mark each tote 'returned' as it is handed back (totes.js);
+ *    completeCancellationIfReturned() notes when the last one is
+ * 3. If the period is about to end with totes still out,
+ *    holdUnreturnedCancellations() (cancellation-check scheduled function)
+ *    turns cancel_at_period_end off again and pauses collection, so the
+ *    subscription stays alive without charging a new period (a prepaid
+ *    plan would otherwise renew for 6 or 12 months). When the last tote is
+ *    back, the days stored past the period end are invoiced at the monthly
+ *    rate (chargeHeldStorage) and the subscription is canceled right away
+ * 4. customer.subscription.deleted closes the record and the orders
+ *
+ * Statuses:
+ * - pending_return    Final return booked, subscription ends at period end
+ * - awaiting_return   Period passed with totes still out; ends when they are back
+ * - returned          Every tote is back; subscription ends at period end
+ * - ended             Subscription ended
+ *
+ * Accounts from before tote labels have no tote records; their final return
+ * is done when its delivery job is marked completed.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Held cancellations pause renewals and bill the extra days
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore, createId } = require('./store');
+const { idempotent } = require('./idempotency');
+const pricing = require('./pricing');
+const { COLLECTIONS, setOrderStatus } = require('./orders');
+const { listTotes } = require('./totes');
+const { requestToteTrip } = require('./tote-trips');
+
+const CANCELLATIONS_COLLECTION = 'cancellations';
+
+const CANCELLATION_STATUSES = ['pending_return', 'awaiting_return', 'returned', 'ended'];
+
+// Exit survey answers (account.html offers the same list)
+const EXIT_REASONS = {
+    moving: 'Moving away',
+    no_longer_needed: 'Don\'t need the storage anymore',
+    too_expensive: 'Too expensive',
+    switching: 'Switching to another storage option',
+    service_issue: 'Problem with our service',
+    other: 'Other'
+};
+
+// Turn cancel_at_period_end off this long before the period ends if totes are still out
+const PERIOD_END_MARGIN_MS = 2 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the exit survey
+ * @param {Object} survey
+ * @param {string} survey.reason - One of EXIT_REASONS
+ * @param {string} [survey.detail] - Free-text comment
+ * @returns {Object} { reason, reasonLabel, detail }
+ * @throws {Error} If the reason is missing or unknown
+ */
+function validateExitSurvey({ reason, detail }) {
+    if (!reason) {
+        throw new Error('An exit reason is required');
+    }
+    if (!EXIT_REASONS[reason]) {
+        throw new Error('Invalid exit reason');
+    }
+
+    return {
+        reason: reason,
+        reasonLabel: EXIT_REASONS[reason],
+        detail: String(detail || '').trim().slice(0, 1000) || null
+    };
+}
+
+/**
+ * Find the open cancellation of a subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Object|null} Cancellation record
+ */
+async function findOpenCancellation(subscriptionId) {
+    const cancellations = await getStore().find(CANCELLATIONS_COLLECTION, { subscription_id: subscriptionId });
+    return cancellations.find(cancellation => cancellation.status !== 'ended') || null;
+}
+
+/**
+ * List cancellations
+ * @param {Object} [where] - Field filter, e.g. { status: 'awaiting_return' }
+ * @returns {Array} Cancellations, newest first
+ */
+async function listCancellations(where) {
+    const cancellations = await getStore().find(CANCELLATIONS_COLLECTION, where || {});
+    return cancellations.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Cancel the signed-in customer's subscription
+ * Books the final return of every tote (trip fee charged now), then sets
+ * cancel_at_period_end. The request token makes a retry return the first
+ * result without booking or charging again.
+ *
+ * @param {Object} details
+ * @param {Object} details.account - Account summary (customer-accounts.getAccountSummary)
+ * @param {Object} details.subscription - Customer's Stripe subscription
+ * @param {string} details.windowId - Delivery window for the final return
+ * @param {string} details.requestToken - Client request token
+ * @param {string} details.exitReason - One of EXIT_REASONS
+ * @param {string} [details.exitDetail] - Exit survey comment
+ * @param {string} [details.notes] - Notes for the driver
+ * @returns {Object} { cancellation, trip, amountCharged, isNew }
+ * @throws {Error} If the request is invalid, already canceling, or the charge fails
+ */
+async function requestCancellation(details) {
+    const survey = validateExitSurvey({ reason: details.exitReason, detail: details.exitDetail });
+    const subscription = details.subscription;
+    const store = getStore();
+
+    const existing = await findOpenCancellation(subscription.id);
+    if (existing && existing.request_token === details.requestToken) {
+        console.log(`♻️ Cancellation already recorded for request ${details.requestToken}: ${existing.id}`);
+        return { cancellation: existing, trip: null, amountCharged: existing.trip_fee_cents / 100, isNew: false };
+    }
+    if (existing || subscription.cancel_at_period_end) {
+        throw new Error('This subscription is already canceling');
+    }
+
+    // Every tote still on the account; numbers for accounts without tote records
+    const customerId = details.account.customer.id;
+    const ownedTotes = await listTotes({ stripe_customer_id: customerId });
+    const totes = ownedTotes.length > 0
+        ? ownedTotes.filter(tote => tote.status !== 'returned').map(tote => tote.id)
+        : Array.from({ length: parseInt(subscription.metadata.tote_quantity) || 0 }, (value, index) => index + 1);
+
+    const driverNotes = String(details.notes || '').trim();
+    const tripResult = await requestToteTrip({
+        account: details.account,
+        subscription: subscription,
+        tripType: 'return',
+        totes: totes,
+        windowId: details.windowId,
+        requestToken: details.requestToken,
+        notes: `FINAL RETURN - customer is canceling, collect every tote.${driverNotes ? ` ${driverNotes}` : ''}`
+    });
+
+    const now = new Date().toISOString();
+    const updated = await stripe.subscriptions.update(subscription.id, {
+        cancel_at_period_end: true,
+        metadata: {
+            cancel_requested_at: now,
+            cancel_requested_via: 'customer_portal',
+            cancellation_status: 'pending_return',
+            exit_reason: survey.reason
+        }
+    }, idempotent('cancel-subscription', details.requestToken));
+
+    console.log(`🛑 Subscription ${subscription.id} set to cancel at period end after the final return`);
+
+    const cancellation = await store.insert(CANCELLATIONS_COLLECTION, {
+        id: createId('cxl'),
+        subscription_id: subscription.id,
+        stripe_customer_id: customerId,
+        customer_name: details.account.customer.name || null,
+        customer_email: details.account.customer.email || null,
+        status: 'pending_return',
+        exit_reason: survey.reason,
+        exit_reason_label: survey.reasonLabel,
+        exit_detail: survey.detail,
+        totes: tripResult.trip.totes,
+        final_return_job_id: tripResult.trip.id || null,
+        final_return_window: tripResult.trip.window_label || null,
+        trip_fee_cents: Math.round(tripResult.amountCharged * 100),
+        period_end: new Date(updated.current_period_end * 1000).toISOString(),
+        request_token: details.requestToken,
+        returned_at: null,
+        ended_at: null,
+        created_at: now,
+        updated_at: now
+    });
+
+    return { cancellation, trip: tripResult.trip, amountCharged: tripResult.amountCharged, isNew: true };
+}
+
+/**
+ * Whether every tote of a cancellation has been returned
+ * @param {Object} cancellation - Cancellation record
+ * @returns {boolean}
+ */
+async function areAllTotesReturned(cancellation) {
+    const ownedTotes = await listTotes({ stripe_customer_id: cancellation.stripe_customer_id });
+    if (ownedTotes.length > 0) {
+        return ownedTotes.every(tote => tote.status === 'returned');
+    }
+
+    // No tote records: the final return job being done is all we know
+    if (!cancellation.final_return_job_id) {
+        return false;
+    }
+    const job = await getStore().get(COLLECTIONS.DELIVERY_JOBS, cancellation.final_return_job_id);
+    return Boolean(job) && job.status === 'completed';
+}
+
+/**
+ * Invoice the storage of a held cancellation past its paid period
+ * Whole days from period end to the invoice, at the monthly rate for the
+ * totes that were out (a month is 30 days). The invoice is keyed by the
+ * cancellation and its creation time ends the count, so a retry bills the
+ * same amount once.
+ * @param {Object} cancellation - awaiting_return cancellation
+ * @param {Object} subscription - Its Stripe subscription
+ * @returns {Object|null} Stripe invoice, or null if no day was past the period
+ */
+async function chargeHeldStorage(cancellation, subscription) {
+    const periodEnd = new Date(cancellation.period_end).getTime();
+    if (Date.now() - periodEnd < DAY_MS) {
+        return null;
+    }
+
+    const toteCount = (cancellation.totes || []).length || parseInt(subscription.metadata.tote_quantity) || 0;
+    const dailyCents = pricing.calculatePeriodCents(toteCount, 'monthly') / 30;
+    const defaultTaxRates = (subscription.default_tax_rates || []).map(rate => typeof rate === 'string' ? rate : rate.id);
+
+    let invoice = await stripe.invoices.create({
+        customer: cancellation.stripe_customer_id,
+        collection_method: 'charge_automatically',
+        auto_advance: true,
+        pending_invoice_items_behavior: 'exclude',
+        description: 'Storage until your totes were returned',
+        ...(defaultTaxRates.length > 0 ? { default_tax_rates: defaultTaxRates } : {}),
+        ...(subscription.automatic_tax && subscription.automatic_tax.enabled ? { automatic_tax: { enabled: true } } : {}),
+        metadata: {
+            reason: 'cancellation_hold',
+            cancellation_id: cancellation.id,
+            subscription_id: subscription.id
+        }
+    }, idempotent('cancellation-hold-invoice', cancellation.id));
+
+    if (invoice.status !== 'draft') {
+        return invoice;
+    }
+
+    const heldDays = Math.max(Math.floor((invoice.created * 1000 - periodEnd) / DAY_MS), 1);
+
+    await stripe.invoiceItems.create({
+        customer: cancellation.stripe_customer_id,
+        invoice: invoice.id,
+        amount: Math.round(dailyCents * heldDays),
+        currency: pricing.PRICING_CONFIG.currency,
+        description: `Storage for ${toteCount} totes, ${heldDays} day${heldDays === 1 ? '' : 's'} past the end of your plan`,
+        metadata: {
+            reason: 'cancellation_hold',
+            held_days: String(heldDays)
+        }
+    }, idempotent('cancellation-hold-storage', cancellation.id));
+
+    invoice = await stripe.invoices.finalizeInvoice(invoice.id);
+    try {
+        invoice = await stripe.invoices.pay(invoice.id);
+    } catch (error) {
+        // Left open: Stripe keeps collecting it (auto_advance) after the subscription ends
+        console.error(`❌ Held storage invoice ${invoice.id} for ${subscription.id} was not paid:`, error.message);
+    }
+
+    console.log(`🧾 Held storage for ${subscription.id}: ${heldDays} days, invoice ${invoice.id}`);
+    return invoice;
+}
+
+/**
+ * Check a customer's open cancellation after a tote or the final return
+ * job changed. Once every tote is back the subscription is left to end at
+ * period end, or, if the period already rolled over, the days past it are
+ * invoiced and the subscription is canceled now.
+ * @param {string} stripeCustomerId - Stripe customer ID
+ * @returns {Object|null} Updated cancellation, or null if nothing changed
+ */
+async function completeCancellationIfReturned(stripeCustomerId) {
+    const cancellations = await getStore().find(CANCELLATIONS_COLLECTION, { stripe_customer_id: stripeCustomerId });
+    const cancellation = cancellations.find(record => ['pending_return', 'awaiting_return'].includes(record.status));
+
+    if (!cancellation || !(await areAllTotesReturned(cancellation))) {
+        return null;
+    }
+
+    if (cancellation.status === 'awaiting_return') {
+        // Collection was paused while held, so the renewal wasn't charged; these days are
+        const subscription = await stripe.subscriptions.retrieve(cancellation.subscription_id);
+        await chargeHeldStorage(cancellation, subscription);
+        await stripe.subscriptions.cancel(cancellation.subscription_id, { prorate: false });
+        console.log(`🛑 All totes back - subscription ${cancellation.subscription_id} canceled now`);
+    } else {
+        await stripe.subscriptions.update(cancellation.subscription_id, {
+            metadata: { cancellation_status: 'returned' }
+        });
+        console.log(`📦 All totes back - subscription ${cancellation.subscription_id} ends at period end`);
+    }
+
+    const now = new Date().toISOString();
+    return getStore().update(CANCELLATIONS_COLLECTION, cancellation.id, {
+        status: 'returned',
+        returned_at: now,
+        updated_at: now
+    });
+}
+
+/**
+ * Keep subscriptions whose period ends before their totes are back
+ * The subscription renews with collection paused (its invoices are voided),
+ * so no new period is charged; completeCancellationIfReturned() bills the
+ * days actually stored.
+ * @param {Date} [now] - Current time
+ * @returns {Array} Cancellations moved to awaiting_return
+ */
+async function holdUnreturnedCancellations(now = new Date()) {
+    const pending = await getStore().find(CANCELLATIONS_COLLECTION, { status: 'pending_return' });
+    const held = [];
+
+    for (const cancellation of pending) {
+        if (new Date(cancellation.period_end).getTime() - now.getTime() > PERIOD_END_MARGIN_MS) {
+            continue;
+        }
+        if (await areAllTotesReturned(cancellation)) {
+            await completeCancellationIfReturned(cancellation.stripe_customer_id);
+            continue;
+        }
+
+        await stripe.subscriptions.update(cancellation.subscription_id, {
+            cancel_at_period_end: false,
+            pause_collection: { behavior: 'void' },
+            metadata: { cancellation_status: 'awaiting_return' }
+        });
+
+        held.push(await getStore().update(CANCELLATIONS_COLLECTION, cancellation.id, {
+            status: 'awaiting_return',
+            updated_at: now.toISOString()
+        }));
+        console.warn(`⏳ ${cancellation.subscription_id} reaches period end with totes out - held until they are back`);
+    }
+
+    return held;
+}
+
+/**
+ * Close the cancellation and orders of an ended subscription
+ * @param {Object} subscription - Stripe subscription from customer.subscription.deleted
+ * @returns {Object|null} Ended cancellation, or null if the customer didn't cancel from the account page
+ */
+async function recordSubscriptionEnded(subscription) {
+    const store = getStore();
+    const now = new Date().toISOString();
+
+    const orders = await store.find(COLLECTIONS.ORDERS, { subscription_id: subscription.id });
+    for (const order of orders.filter(record => record.status !== 'canceled')) {
+        await setOrderStatus(order.id, 'canceled', {
+            note: `Subscription ${subscription.id} ended`,
+            source: 'stripe-webhook'
+        });
+    }
+
+    const cancellation = await findOpenCancellation(subscription.id);
+    if (!cancellation) {
+        return null;
+    }
+
+    return store.update(CANCELLATIONS_COLLECTION, cancellation.id, {
+        status: 'ended',
+        ended_at: now,
+        updated_at: now
+    });
+}
+
+module.exports = {
+    CANCELLATIONS_COLLECTION,
+    CANCELLATION_STATUSES,
+    EXIT_REASONS,
+    validateExitSurvey,
+    findOpenCancellation,
+    listCancellations,
+    requestCancellation,
+    completeCancellationIfReturned,
+    holdUnreturnedCancellations,
+    recordSubscriptionEnded
+};
@@ -0,0 +1,251 @@
+/**
+ * STRIPE CATALOG - STABLE PRODUCTS AND PRICES BY LOOKUP KEY
+ *
+ * Every product we bill for has one Stripe product with a fixed ID and one
+ * active price found by its lookup key. Amounts come from the shared pricing
+ * engine; bootstrapCatalog() creates anything missing and moves a lookup key
+ * to a new price when an amount changes. Run it once per Stripe account
+ * (npm run catalog:bootstrap) and again after a pricing change.
+ *
+ * Prices are tax-exclusive (sales tax is added on top, see lib/tax.js).
+ * Stripe Tax needs this on every price a subscription bills.
+ *
+ * Every billing plan (pricing engine PRICING_CONFIG.plans) has its own
+ * per-tote recurring price; PLAN_LOOKUP_KEYS maps plan IDs to lookup keys.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.2.0 - Prepaid plan prices
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const pricing = require('./pricing');
+
+// Sales tax is added on top of every catalog price
+const TAX_BEHAVIOR = 'exclusive';
+
+const LOOKUP_KEYS = {
+    TOTE_MONTHLY: 'tote_monthly',
+    TOTE_SEMIANNUAL: 'tote_semiannual',
+    TOTE_ANNUAL: 'tote_annual',
+    TRIP_FEE: 'trip_fee',
+    RETURN_DELIVERY: 'return_delivery'
+};
+
+const PLAN_LOOKUP_KEYS = {
+    monthly: LOOKUP_KEYS.TOTE_MONTHLY,
+    semiannual: LOOKUP_KEYS.TOTE_SEMIANNUAL,
+    annual: LOOKUP_KEYS.TOTE_ANNUAL
+};
+
+/**
+ * Get the per-tote storage price lookup key for a billing plan
+ * @param {string} [planId] - Plan ID (defaults to monthly)
+ * @returns {string} Lookup key
+ * @throws {Error} If the plan has no catalog price
+ */
+function getPlanLookupKey(planId) {
+    const lookupKey = PLAN_LOOKUP_KEYS[pricing.getPlan(planId).id];
+    if (!lookupKey) {
+        throw new Error(`No catalog price for plan ${planId}`);
+    }
+    return lookupKey;
+}
+
+/**
+ * Catalog definitions
+ * @returns {Array} Product + price definitions from the pricing engine
+ */
+function getCatalogDefinitions() {
+    const config = pricing.PRICING_CONFIG;
+
+    return [
+        {
+            lookupKey: LOOKUP_KEYS.TOTE_MONTHLY,
+            productId: 'icts_tote_storage',
+            productName: 'Monthly Tote Storage',
+            description: 'Storage for one tote, billed monthly',
+            unitAmount: config.totePerMonthCents,
+            recurring: { interval: 'month' }
+        },
+        {
+            lookupKey: LOOKUP_KEYS.TOTE_SEMIANNUAL,
+            productId: 'icts_tote_storage_semiannual',
+            productName: 'Tote Storage - 6 Months Prepaid',
+            description: 'Storage for one tote, billed every 6 months',
+            unitAmount: pricing.calculatePeriodCents(1, 'semiannual'),
+            recurring: { interval: 'month', interval_count: pricing.getPlan('semiannual').months }
+        },
+        {
+            lookupKey: LOOKUP_KEYS.TOTE_ANNUAL,
+            productId: 'icts_tote_storage_annual',
+            productName: 'Tote Storage - Annual Prepaid',
+            description: 'Storage for one tote, billed yearly',
+            unitAmount: pricing.calculatePeriodCents(1, 'annual'),
+            recurring: { interval: 'month', interval_count: pricing.getPlan('annual').months }
+        },
+        {
+            lookupKey: LOOKUP_KEYS.TRIP_FEE,
+            productId: 'icts_trip_fee',
+            productName: 'Trip Fee',
+            description: 'One delivery or pickup trip',
+            unitAmount: config.tripFeeCents
+        },
+        {
+            lookupKey: LOOKUP_KEYS.RETURN_DELIVERY,
+            productId: 'icts_return_delivery',
+            productName: 'Return Delivery',
+            description: 'Delivery of stored totes back to the customer',
+            unitAmount: config.tripFeeCents
+        }
+    ];
+}
+
+// Prices rarely change; cache them for the life of the function instance
+const priceCache = new Map();
+
+/**
+ * Get the active catalog price for a lookup key
+ * @param {string} lookupKey - One of LOOKUP_KEYS
+ * @returns {Object} Stripe price
+ * @throws {Error} If the catalog has not been bootstrapped
+ */
+async function getCatalogPrice(lookupKey) {
+    if (priceCache.has(lookupKey)) {
+        return priceCache.get(lookupKey);
+    }
+
+    const prices = await stripe.prices.list({
+        lookup_keys: [lookupKey],
+        active: true,
+        limit: 1
+    });
+
+    if (prices.data.length === 0) {
+        throw new Error(`Stripe catalog price '${lookupKey}' not found. Run npm run catalog:bootstrap.`);
+    }
+
+    priceCache.set(lookupKey, prices.data[0]);
+    return prices.data[0];
+}
+
+/**
+ * Create the product for a catalog entry if it doesn't exist yet
+ * @param {Object} definition - Catalog definition
+ * @returns {Object} Stripe product
+ */
+async function ensureProduct(definition) {
+    try {
+        return await stripe.products.retrieve(definition.productId);
+    } catch (error) {
+        if (error.code !== 'resource_missing') {
+            throw error;
+        }
+    }
+
+    console.log(`📦 Creating product ${definition.productId}...`);
+
+    return stripe.products.create({
+        id: definition.productId,
+        name: definition.productName,
+        description: definition.description,
+        metadata: {
+            lookup_key: definition.lookupKey
+        }
+    });
+}
+
+/**
+ * Create the price for a catalog entry, or replace it when the amount changed
+ * A price created before prices had a tax behavior gets one set in place.
+ * @param {Object} definition - Catalog definition
+ * @returns {Object} { price, action } where action is 'unchanged', 'updated', 'created' or 'replaced'
+ */
+async function ensurePrice(definition) {
+    const existing = await stripe.prices.list({
+        lookup_keys: [definition.lookupKey],
+        active: true,
+        limit: 1
+    });
+    const current = existing.data[0];
+    const expectedInterval = definition.recurring ? definition.recurring.interval : null;
+    const expectedIntervalCount = definition.recurring ? definition.recurring.interval_count || 1 : null;
+
+    if (current &&
+        current.unit_amount === definition.unitAmount &&
+        current.product === definition.productId &&
+        (current.recurring ? current.recurring.interval : null) === expectedInterval &&
+        (current.recurring ? current.recurring.interval_count : null) === expectedIntervalCount) {
+        if (current.tax_behavior === TAX_BEHAVIOR) {
+            return { price: current, action: 'unchanged' };
+        }
+        // Stripe allows setting the tax behavior once, while it is unspecified
+        if (!current.tax_behavior || current.tax_behavior === 'unspecified') {
+            console.log(`🧾 Setting tax behavior on price ${definition.lookupKey}...`);
+            const price = await stripe.prices.update(current.id, { tax_behavior: TAX_BEHAVIOR });
+            return { price, action: 'updated' };
+        }
+    }
+
+    console.log(`💰 ${current ? 'Replacing' : 'Creating'} price ${definition.lookupKey}...`);
+
+    const priceParams = {
+        product: definition.productId,
+        currency: pricing.PRICING_CONFIG.currency,
+        unit_amount: definition.unitAmount,
+        lookup_key: definition.lookupKey,
+        transfer_lookup_key: true,
+        tax_behavior: TAX_BEHAVIOR,
+        metadata: {
+            pricing_version: pricing.PRICING_VERSION
+        }
+    };
+
+    if (definition.recurring) {
+        priceParams.recurring = definition.recurring;
+    }
+
+    const price = await stripe.prices.create(priceParams);
+
+    // Existing subscriptions keep their old price until moved; new ones use the new price
+    if (current) {
+        await stripe.prices.update(current.id, { active: false });
+    }
+
+    return { price, action: current ? 'replaced' : 'created' };
+}
+
+/**
+ * Create or update every catalog product and price
+ * Safe to run repeatedly; unchanged entries are left alone.
+ * @returns {Array} Results: { lookupKey, priceId, unitAmount, action }
+ */
+async function bootstrapCatalog() {
+    const results = [];
+
+    for (const definition of getCatalogDefinitions()) {
+        await ensureProduct(definition);
+        const { price, action } = await ensurePrice(definition);
+
+        priceCache.set(definition.lookupKey, price);
+        results.push({
+            lookupKey: definition.lookupKey,
+            priceId: price.id,
+            unitAmount: price.unit_amount,
+            action: action
+        });
+    }
+
+    return results;
+}
+
+module.exports = {
+    LOOKUP_KEYS,
+    PLAN_LOOKUP_KEYS,
+    getPlanLookupKey,
+    getCatalogDefinitions,
+    getCatalogPrice,
+    bootstrapCatalog
+};
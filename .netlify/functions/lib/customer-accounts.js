@@ -0,0 +1,284 @@
+/**
+ * CUSTOMER ACCOUNTS - MAGIC-LINK SESSIONS AND ACCOUNT SUMMARY
+ *
+ * Customers sign in with a one-time link emailed to the address on their
+ * Stripe customer. The link token is exchanged for a short-lived session
+ * token that the account page sends as a Bearer token. Each link token has
+ * a random ID that is recorded in the used_magic_links collection when it is
+ * exchanged, so the link works once.
+ *
+ * Card update links (dunning emails) carry their own token that only opens
+ * the Billing Portal's card update page for that customer. It lasts a few
+ * days (each failed payment emails a fresh one) and also works once: its ID
+ * is recorded in used_card_update_links when the portal is opened.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - ICTS_AUTH_SECRET: Token signing secret (see auth-tokens.js)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.7.0 - Card update links work once
+ */
+
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createToken, verifyToken, getBearerToken } = require('./auth-tokens');
+const { formatAddress } = require('./address');
+const pricing = require('./pricing');
+const { SITE_URL } = require('./ses-email');
+const { getStore } = require('./store');
+
+const USED_MAGIC_LINKS_COLLECTION = 'used_magic_links';
+const USED_CARD_UPDATE_LINKS_COLLECTION = 'used_card_update_links';
+
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;     // Login links expire after 15 minutes
+const SESSION_TTL_SECONDS = 12 * 60 * 60;   // Sessions last 12 hours
+
+/**
+ * Find the Stripe customer for an email address
+ * @param {string} email - Customer email
+ * @returns {Object|null} Stripe customer
+ */
+async function findCustomerByEmail(email) {
+    const customers = await stripe.customers.list({
+        email: email.toLowerCase().trim(),
+        limit: 1
+    });
+    return customers.data[0] || null;
+}
+
+/**
+ * Record that a single-use token has been used
+ * @param {string} collection - Where the token IDs are kept
+ * @param {Object} claims - Verified token claims (jti, sub, exp)
+ * @param {string} usedMessage - Error message if it was used before
+ * @throws {Error} If the token was already used
+ */
+async function recordTokenUse(collection, claims, usedMessage) {
+    try {
+        await getStore().insert(collection, {
+            id: claims.jti,
+            customer_id: claims.sub,
+            expires_at: new Date(claims.exp * 1000).toISOString(),
+            used_at: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.message.includes('already exists')) {
+            throw new Error(usedMessage);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Create a one-time login link token for a customer
+ * @param {string} customerId - Stripe customer ID
+ * @returns {string} Magic link token
+ */
+function createMagicLinkToken(customerId) {
+    return createToken('magic-link', {
+        sub: customerId,
+        jti: crypto.randomBytes(16).toString('hex')
+    }, MAGIC_LINK_TTL_SECONDS);
+}
+
+/**
+ * Exchange a magic link token for a session token
+ * The link's ID is recorded first; a link that was already used is rejected.
+ * @param {string} magicToken - Token from the login link
+ * @returns {Object} { sessionToken, customerId }
+ * @throws {Error} If the link is invalid, expired or already used
+ */
+async function exchangeMagicLink(magicToken) {
+    const invalidLinkMessage = 'This sign-in link is invalid or has expired. Please sign in again.';
+    let claims;
+    try {
+        claims = verifyToken(magicToken, 'magic-link');
+    } catch (error) {
+        throw new Error(invalidLinkMessage);
+    }
+    if (!claims.jti) {
+        throw new Error(invalidLinkMessage);
+    }
+
+    await recordTokenUse(USED_MAGIC_LINKS_COLLECTION, claims,
+        'This sign-in link has already been used. Please sign in again.');
+
+    return {
+        sessionToken: createToken('session', { sub: claims.sub }, SESSION_TTL_SECONDS),
+        customerId: claims.sub
+    };
+}
+
+/**
+ * Create a card update link for a customer (sent in dunning emails)
+ * @param {string} customerId - Stripe customer ID
+ * @param {number} ttlDays - How long the link works
+ * @returns {string} Link to the update-card function
+ */
+function createCardUpdateLink(customerId, ttlDays) {
+    const token = createToken('card-update', {
+        sub: customerId,
+        jti: crypto.randomBytes(16).toString('hex')
+    }, ttlDays * 24 * 60 * 60);
+    return `${SITE_URL}/api/update-card?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify a card update link token without using it up
+ * Links from before card update links were single-use have no ID and are refused.
+ * @param {string} token - Token from the link
+ * @returns {Object} Token claims; `sub` is the Stripe customer ID
+ * @throws {Error} If the link is invalid or expired
+ */
+function verifyCardUpdateToken(token) {
+    let claims;
+    try {
+        claims = verifyToken(token, 'card-update');
+    } catch (error) {
+        throw new Error('Invalid or expired card update link');
+    }
+    if (!claims.jti) {
+        throw new Error('Invalid or expired card update link');
+    }
+    return claims;
+}
+
+/**
+ * Use up a card update link
+ * @param {string} token - Token from the link
+ * @returns {string} Stripe customer ID
+ * @throws {Error} If the link is invalid, expired or already used
+ */
+async function redeemCardUpdateToken(token) {
+    const claims = verifyCardUpdateToken(token);
+    await recordTokenUse(USED_CARD_UPDATE_LINKS_COLLECTION, claims, 'This card update link has already been used');
+    return claims.sub;
+}
+
+/**
+ * Create a Stripe Billing Portal session for updating the card on file
+ * @param {string} customerId - Stripe customer ID
+ * @returns {string} Billing Portal URL
+ */
+async function createCardUpdateSession(customerId) {
+    const session = await stripe.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: `${SITE_URL}/account.html`,
+        flow_data: {
+            type: 'payment_method_update'
+        }
+    });
+
+    return session.url;
+}
+
+/**
+ * Require a valid customer session on a request
+ * @param {Object} event - Netlify function event
+ * @returns {string} Stripe customer ID of the signed-in customer
+ * @throws {Error} If no valid session token is present
+ */
+function requireCustomerSession(event) {
+    try {
+        return verifyToken(getBearerToken(event), 'session').sub;
+    } catch (error) {
+        throw new Error('Your session has expired. Please sign in again.');
+    }
+}
+
+/**
+ * Get the live subscription of a signed-in customer
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Object} Stripe subscription
+ * @throws {Error} If the customer has no subscription of their own
+ */
+async function getCustomerSubscription(customerId) {
+    const customer = await stripe.customers.retrieve(customerId);
+    const subscriptionId = customer && !customer.deleted && customer.metadata.subscription_id;
+
+    if (!subscriptionId) {
+        throw new Error('No active subscription found on this account');
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+    // Never act on a subscription that belongs to someone else
+    if (subscription.customer !== customerId) {
+        throw new Error('No active subscription found on this account');
+    }
+
+    return subscription;
+}
+
+/**
+ * Build the account summary shown on the account page
+ * Reads the subscription fields written to customer metadata at checkout,
+ * refreshed with the live subscription when it can be retrieved.
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Object} Account summary
+ */
+async function getAccountSummary(customerId) {
+    const customer = await stripe.customers.retrieve(customerId);
+
+    if (!customer || customer.deleted) {
+        throw new Error('Your session has expired. Please sign in again.');
+    }
+
+    const metadata = customer.metadata || {};
+    let subscription = null;
+
+    if (metadata.subscription_id) {
+        // Customers from before prepaid plans are on the monthly plan
+        const plan = pricing.PRICING_CONFIG.plans[metadata.plan] ? pricing.getPlan(metadata.plan) : pricing.getPlan();
+        subscription = {
+            id: metadata.subscription_id,
+            status: metadata.subscription_status || 'unknown',
+            next_billing_date: metadata.next_billing_date || null,
+            plan: plan.id,
+            plan_label: plan.label,
+            billing_months: plan.months,
+            monthly_amount: metadata.monthly_amount ? parseFloat(metadata.monthly_amount) : null,
+            period_amount: metadata.period_amount ? parseFloat(metadata.period_amount) : null,
+            tote_quantity: metadata.tote_quantity ? parseInt(metadata.tote_quantity) : null,
+            service_hold: metadata.service_hold === 'true',
+            cancel_at_period_end: false,
+            cancellation_status: null
+        };
+
+        try {
+            const live = await stripe.subscriptions.retrieve(metadata.subscription_id);
+            subscription.status = live.status;
+            subscription.cancel_at_period_end = live.cancel_at_period_end;
+            subscription.cancellation_status = live.metadata.cancellation_status || null;
+            subscription.next_billing_date = new Date(live.current_period_end * 1000).toISOString();
+            subscription.current_period_end = new Date(live.current_period_end * 1000).toISOString();
+        } catch (error) {
+            console.warn(`⚠️ Could not refresh subscription ${metadata.subscription_id}:`, error.message);
+        }
+    }
+
+    return {
+        customer: {
+            id: customer.id,
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone,
+            address: customer.address ? formatAddress(customer.address) || null : null
+        },
+        subscription: subscription
+    };
+}
+
+module.exports = {
+    findCustomerByEmail,
+    createMagicLinkToken,
+    exchangeMagicLink,
+    createCardUpdateLink,
+    verifyCardUpdateToken,
+    redeemCardUpdateToken,
+    createCardUpdateSession,
+    requireCustomerSession,
+    getCustomerSubscription,
+    getAccountSummary
+};
@@ -0,0 +1,391 @@
+/**
+ * DELIVERY CALENDAR - CAPACITY-LIMITED DELIVERY WINDOWS
+ *
+ * Builds the delivery windows offered for the first empty-tote drop-off and
+ * for trips customers book from the account page (returns, re-pickups).
+ * Each weekday has a set of windows, each with a capacity (how many trips
+ * the team can make in it).
+ *
+ * Booking a window reserves one of its numbered slots (window_slots
+ * collection, IDs like 2026-10-21_0900-1200#2). The reservation is an
+ * insert, which the store refuses for an ID that exists, so two checkouts
+ * can't take the last slot at once. A slot is held for `holdMinutes` while
+ * the checkout or trip charge is in progress; the delivery job created
+ * afterwards keeps it for good (job.window_slot_id). A hold that expired
+ * without a job is taken over with a one-time marker record, the same way
+ * fulfillment steps are (order-fulfillment.js).
+ *
+ * A window's remaining capacity is its capacity minus its live slots and
+ * the bookings made before slots existed (scheduled jobs without a slot,
+ * unpaid orders without a slot from the last `holdMinutes`).
+ *
+ * Window IDs look like 2026-10-21_0900-1200 (local date, start, end in the
+ * calendar time zone) and are what the browser sends back with the order.
+ *
+ * Environment Variables (optional):
+ * - ICTS_DELIVERY_CALENDAR: JSON overriding any CALENDAR_CONFIG field,
+ *   e.g. {"closedDates":["2026-12-25"],"dateOverrides":{"2026-12-24":[]}}
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.2.0 - Windows are reserved slot by slot
+ */
+
+const { getStore } = require('./store');
+const { COLLECTIONS } = require('./orders');
+
+const CALENDAR_CONFIG = {
+    timeZone: 'America/New_York',
+    leadDays: 2,          // Earliest delivery is two days after ordering
+    horizonDays: 14,      // Offer two weeks of windows
+    holdMinutes: 30,      // Unpaid checkouts and trip charges hold their slot this long
+    // Windows by weekday (0 = Sunday); times are local to timeZone
+    weeklyWindows: {
+        1: [{ start: '09:00', end: '12:00', capacity: 4 }, { start: '13:00', end: '17:00', capacity: 4 }],
+        2: [{ start: '09:00', end: '12:00', capacity: 4 }, { start: '13:00', end: '17:00', capacity: 4 }],
+        3: [{ start: '09:00', end: '12:00', capacity: 4 }, { start: '13:00', end: '17:00', capacity: 4 }],
+        4: [{ start: '09:00', end: '12:00', capacity: 4 }, { start: '13:00', end: '17:00', capacity: 4 }],
+        5: [{ start: '09:00', end: '12:00', capacity: 4 }, { start: '13:00', end: '17:00', capacity: 4 }],
+        6: [{ start: '10:00', end: '14:00', capacity: 3 }]
+    },
+    closedDates: [],      // 'YYYY-MM-DD' dates with no deliveries
+    dateOverrides: {}     // 'YYYY-MM-DD' -> window list replacing that day's weekly windows
+};
+
+const WINDOW_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})_(\d{2})(\d{2})-(\d{2})(\d{2})$/;
+
+/**
+ * Get the calendar configuration (defaults + ICTS_DELIVERY_CALENDAR)
+ * @returns {Object} Calendar configuration
+ */
+function getCalendarConfig() {
+    if (!process.env.ICTS_DELIVERY_CALENDAR) {
+        return CALENDAR_CONFIG;
+    }
+
+    try {
+        return { ...CALENDAR_CONFIG, ...JSON.parse(process.env.ICTS_DELIVERY_CALENDAR) };
+    } catch (error) {
+        console.error('⚠️ ICTS_DELIVERY_CALENDAR is not valid JSON, using defaults:', error.message);
+        return CALENDAR_CONFIG;
+    }
+}
+
+/**
+ * Get a local calendar date (YYYY-MM-DD) in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local date
+ */
+function getLocalDate(date, timeZone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return date.toLocaleDateString('en-CA', { timeZone: timeZone });
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} localDate - Date string
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+function addDays(localDate, days) {
+    const date = new Date(`${localDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC instant
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate(localDate, time, timeZone) {
+    const asUtc = new Date(`${localDate}T${time}:00Z`);
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit'
+    }).formatToParts(asUtc).forEach(part => { parts[part.type] = part.value; });
+
+    // How far the zone's wall clock is from UTC at that moment
+    const zoneWallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return new Date(asUtc.getTime() - (zoneWallClock - asUtc.getTime()));
+}
+
+/**
+ * Format HH:MM as a 12-hour time, e.g. "1:00 PM"
+ * @param {string} time - HH:MM
+ * @returns {string} Formatted time
+ */
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Describe a window for customers, e.g. "Wed, Oct 21, 9:00 AM - 12:00 PM"
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {string} start - HH:MM
+ * @param {string} end - HH:MM
+ * @returns {string} Label
+ */
+function formatWindowLabel(localDate, start, end) {
+    const day = new Date(`${localDate}T12:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    });
+    return `${day}, ${formatTime(start)} - ${formatTime(end)}`;
+}
+
+/**
+ * Windows configured for one date, before bookings
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {Object} config - Calendar configuration
+ * @returns {Array} Window definitions { start, end, capacity }
+ */
+function getConfiguredWindows(localDate, config) {
+    if (config.closedDates.includes(localDate)) {
+        return [];
+    }
+    if (config.dateOverrides[localDate]) {
+        return config.dateOverrides[localDate];
+    }
+    const weekday = new Date(`${localDate}T12:00:00Z`).getUTCDay();
+    return config.weeklyWindows[weekday] || [];
+}
+
+/**
+ * Build a window object
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {Object} definition - { start, end, capacity }
+ * @param {Object} config - Calendar configuration
+ * @returns {Object} Window
+ */
+function buildWindow(localDate, definition, config) {
+    return {
+        id: `${localDate}_${definition.start.replace(':', '')}-${definition.end.replace(':', '')}`,
+        date: localDate,
+        start: definition.start,
+        end: definition.end,
+        starts_at: zonedTimeToDate(localDate, definition.start, config.timeZone).toISOString(),
+        ends_at: zonedTimeToDate(localDate, definition.end, config.timeZone).toISOString(),
+        label: formatWindowLabel(localDate, definition.start, definition.end),
+        capacity: definition.capacity
+    };
+}
+
+/**
+ * Is a slot taken? Held slots count until their hold runs out; a slot whose
+ * delivery job was created counts for good.
+ * @param {Object} slot - window_slots record
+ * @param {Set} bookedSlotIds - Slot IDs that have a delivery job
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isSlotTaken(slot, bookedSlotIds, now) {
+    return bookedSlotIds.has(slot.id) || slot.held_until > now.toISOString();
+}
+
+/**
+ * Load what counts against capacity
+ * @param {Object} config - Calendar configuration
+ * @param {Date} now
+ * @returns {Object} { slots, bookedSlotIds, unslotted } - unslotted maps window ID -> count of
+ *   bookings made before slots existed
+ */
+async function loadBookings(config, now) {
+    const store = getStore();
+    const holdSince = new Date(now.getTime() - config.holdMinutes * 60 * 1000).toISOString();
+    const unslotted = new Map();
+    const add = (windowId) => unslotted.set(windowId, (unslotted.get(windowId) || 0) + 1);
+
+    const jobs = (await store.find(COLLECTIONS.DELIVERY_JOBS))
+        .filter(job => job.window_id && job.status !== 'canceled');
+    const bookedSlotIds = new Set(jobs.filter(job => job.window_slot_id).map(job => job.window_slot_id));
+    jobs.filter(job => !job.window_slot_id).forEach(job => add(job.window_id));
+
+    const pendingOrders = await store.find(COLLECTIONS.ORDERS, { status: 'pending_payment' });
+    pendingOrders.filter(order => order.delivery_window_id && !order.delivery_slot_id && order.created_at >= holdSince)
+        .forEach(order => add(order.delivery_window_id));
+
+    // Takeover markers have no window_id
+    const slots = (await store.find(COLLECTIONS.WINDOW_SLOTS)).filter(slot => slot.window_id);
+
+    return { slots, bookedSlotIds, unslotted };
+}
+
+/**
+ * Count bookings per window ID
+ * @param {Object} config - Calendar configuration
+ * @param {Date} now
+ * @returns {Map} Window ID -> booked count
+ */
+async function countBookings(config, now) {
+    const { slots, bookedSlotIds, unslotted } = await loadBookings(config, now);
+    const counts = new Map(unslotted);
+    slots.filter(slot => isSlotTaken(slot, bookedSlotIds, now))
+        .forEach(slot => counts.set(slot.window_id, (counts.get(slot.window_id) || 0) + 1));
+    return counts;
+}
+
+/**
+ * List delivery windows customers can pick
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @returns {Object} { timeZone, windows } - windows have id, date, label, remaining, ...
+ */
+async function getDeliveryWindows(options = {}) {
+    const config = getCalendarConfig();
+    const now = options.now || new Date();
+    const counts = await countBookings(config, now);
+    const firstDate = addDays(getLocalDate(now, config.timeZone), config.leadDays);
+    const windows = [];
+
+    for (let day = 0; day < config.horizonDays; day++) {
+        const localDate = addDays(firstDate, day);
+        getConfiguredWindows(localDate, config).forEach(definition => {
+            const window = buildWindow(localDate, definition, config);
+            window.remaining = Math.max(window.capacity - (counts.get(window.id) || 0), 0);
+            windows.push(window);
+        });
+    }
+
+    return {
+        timeZone: config.timeZone,
+        windows: windows.filter(window => window.remaining > 0)
+    };
+}
+
+/**
+ * Check that a window ID is one we offer right now
+ * @param {string} windowId - Window ID from the browser
+ * @param {Object} config - Calendar configuration
+ * @param {Date} now
+ * @returns {Object} Window
+ * @throws {Error} If the window is unknown or too soon
+ */
+function findOfferedWindow(windowId, config, now) {
+    const match = WINDOW_ID_PATTERN.exec(String(windowId || ''));
+    if (!match) {
+        throw new Error('Invalid delivery window');
+    }
+
+    const [, localDate, startHours, startMinutes, endHours, endMinutes] = match;
+    const firstDate = addDays(getLocalDate(now, config.timeZone), config.leadDays);
+    const lastDate = addDays(firstDate, config.horizonDays - 1);
+    const definition = getConfiguredWindows(localDate, config).find(candidate =>
+        candidate.start === `${startHours}:${startMinutes}` && candidate.end === `${endHours}:${endMinutes}`);
+
+    if (!definition || localDate < firstDate || localDate > lastDate) {
+        throw new Error('Invalid delivery window - please choose another time');
+    }
+
+    return buildWindow(localDate, definition, config);
+}
+
+/**
+ * Claim one slot: insert it if it was never used, or take over an expired hold
+ * @param {Object} store - Order store
+ * @param {string} slotId - Slot ID
+ * @param {Object|undefined} existing - Slot record as last read
+ * @param {Object} hold - { window_id, holder, held_until }
+ * @returns {boolean} True if this call got the slot
+ */
+async function claimSlot(store, slotId, existing, hold) {
+    const now = new Date().toISOString();
+    try {
+        if (!existing) {
+            await store.insert(COLLECTIONS.WINDOW_SLOTS, { id: slotId, ...hold, claims: 1, created_at: now, updated_at: now });
+            return true;
+        }
+
+        // Only the call that inserts the marker for this takeover may update the slot
+        const claims = (existing.claims || 1) + 1;
+        await store.insert(COLLECTIONS.WINDOW_SLOTS, { id: `${slotId}@${claims}`, takeover_of: slotId, created_at: now });
+        await store.update(COLLECTIONS.WINDOW_SLOTS, slotId, { ...hold, claims: claims, updated_at: now });
+        return true;
+    } catch (error) {
+        if (error.message.includes('already exists')) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reserve a slot in a delivery window
+ * The slot is held for holdMinutes; create the delivery job with the
+ * returned window (its slot_id) to keep it. Asking again with the same
+ * holder returns the same slot, so retried requests don't take two.
+ * @param {string} windowId - Window ID from the browser
+ * @param {Object} options
+ * @param {string} options.holder - Who is booking (client order or request token)
+ * @param {Date} [options.now]
+ * @returns {Object} Window, with slot_id
+ * @throws {Error} If the window is unknown, too soon, or full
+ */
+async function reserveDeliveryWindow(windowId, options) {
+    const config = getCalendarConfig();
+    const now = options.now || new Date();
+    const window = findOfferedWindow(windowId, config, now);
+    const { slots, bookedSlotIds, unslotted } = await loadBookings(config, now);
+    const windowSlots = new Map(slots.filter(slot => slot.window_id === window.id).map(slot => [slot.id, slot]));
+
+    const hold = {
+        window_id: window.id,
+        holder: options.holder,
+        held_until: new Date(now.getTime() + config.holdMinutes * 60 * 1000).toISOString()
+    };
+
+    // A retry keeps its slot; one whose hold ran out is renewed unless someone took it
+    const own = [...windowSlots.values()].find(slot => slot.holder === options.holder);
+    if (own && (isSlotTaken(own, bookedSlotIds, now) || await claimSlot(getStore(), own.id, own, hold))) {
+        return { ...window, slot_id: own.id };
+    }
+    const slotCount = window.capacity - (unslotted.get(window.id) || 0);
+    for (let number = 1; number <= slotCount; number++) {
+        const slotId = `${window.id}#${number}`;
+        const existing = windowSlots.get(slotId);
+        if (existing && (existing === own || isSlotTaken(existing, bookedSlotIds, now))) {
+            continue;
+        }
+        if (await claimSlot(getStore(), slotId, existing, hold)) {
+            console.log(`📅 Reserved ${slotId} for ${options.holder}`);
+            return { ...window, slot_id: slotId };
+        }
+    }
+
+    throw new Error('That delivery window is now full - please choose another time');
+}
+
+/**
+ * Give back a slot whose booking didn't go through (e.g. the trip fee was declined)
+ * @param {string} slotId - Slot from reserveDeliveryWindow
+ * @param {string} holder - Who reserved it
+ */
+async function releaseDeliveryWindow(slotId, holder) {
+    const store = getStore();
+    const slot = await store.get(COLLECTIONS.WINDOW_SLOTS, slotId);
+    if (slot && slot.holder === holder) {
+        await store.update(COLLECTIONS.WINDOW_SLOTS, slotId, {
+            held_until: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    CALENDAR_CONFIG,
+    getCalendarConfig,
+    getLocalDate,
+    addDays,
+    getDeliveryWindows,
+    reserveDeliveryWindow,
+    releaseDeliveryWindow
+};
@@ -0,0 +1,204 @@
+/**
+ * AWS SES EMAIL HANDLER - DELIVERY EMAILS
+ * Emails sent when a driver finishes a job from the driver page
+ * (lib/driver-jobs.js): the customer hears that their totes were delivered,
+ * picked up or brought back, or that we missed them, and customer service
+ * gets an internal notice for every missed stop
+ *
+ * @version 1.0.0 - Driver proof of delivery
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const {
+  CUSTOMER_SERVICE_EMAIL,
+  SITE_URL,
+  escapeHtml,
+  renderBrandedEmail,
+  sendEmail
+} = require('./ses-email');
+
+// What the customer is told for each job type
+const COMPLETED_MESSAGES = {
+  empty_tote_delivery: {
+    subject: 'Your empty totes have arrived',
+    heading: 'Your Totes Are Here',
+    text: 'We dropped off your empty totes. Pack them up at your own pace - we\'ll be back to pick them up.'
+  },
+  tote_pickup: {
+    subject: 'Your totes are on their way to storage',
+    heading: 'Totes Picked Up',
+    text: 'We picked up your totes and they\'re on their way to our storage facility. You can see them on your account page any time.'
+  },
+  tote_return: {
+    subject: 'Your totes are back',
+    heading: 'Totes Delivered Back',
+    text: 'We brought your totes back to you.'
+  }
+};
+
+/**
+ * Email the customer that a job is done
+ * @param {Object} options
+ * @param {Object} options.job - Completed delivery job
+ * @param {Object} options.customer - Customer record (name, email)
+ * @param {Array} options.toteIds - Totes the driver scanned
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendJobCompletedEmail({ job, customer, toteIds }) {
+  const message = COMPLETED_MESSAGES[job.type];
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const accountUrl = `${SITE_URL}/account.html`;
+  const toteText = toteIds.length > 0
+    ? `Totes: ${toteIds.join(', ')}`
+    : `Totes: ${job.tote_count}`;
+
+  const html = renderBrandedEmail({
+    title: message.subject,
+    heading: message.heading,
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>${escapeHtml(message.text)}</p>
+                <div class="highlight">
+                    <div class="field"><strong>${escapeHtml(toteText)}</strong></div>
+                    ${job.proof && job.proof.signed_by ? `<div class="field"><strong>Signed for by:</strong> ${escapeHtml(job.proof.signed_by)}</div>` : ''}
+                </div>
+            </div>
+            <div class="section" style="text-align: center;">
+                <a class="button" href="${escapeHtml(accountUrl)}">View My Account</a>
+            </div>
+            <div class="section">
+                <p><small>Something not right? Just reply to this email or call us at (828) 455-7793.</small></p>
+            </div>`
+  });
+
+  return sendEmail({
+    to: customer.email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: `${message.subject} - Instant Closet Tote Storage`,
+    html: html,
+    text: `Hi ${firstName},\n\n` +
+          `${message.text}\n\n` +
+          `${toteText}\n\n` +
+          `Your account: ${accountUrl}\n\n` +
+          'Something not right? Reply to this email or call us at (828) 455-7793.',
+    tags: {
+      Source: 'Driver',
+      Type: 'Job-Completed'
+    }
+  });
+}
+
+/**
+ * Email the customer that we missed them
+ * @param {Object} options
+ * @param {Object} options.job - Delivery job with the exception recorded
+ * @param {Object} options.customer - Customer record (name, email)
+ * @param {string} options.reasonLabel - What went wrong, e.g. "Nobody was home"
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendCustomerMissedEmail({ job, customer, reasonLabel }) {
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const visitText = job.type === 'tote_pickup' ? 'pick up your totes' : 'drop off your totes';
+
+  const html = renderBrandedEmail({
+    title: 'We missed you',
+    heading: 'Sorry We Missed You',
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>Our driver came by to ${escapeHtml(visitText)} but couldn't finish the stop.</p>
+                <div class="priority">${escapeHtml(reasonLabel)}</div>
+                <p>Reply to this email or call us at (828) 455-7793 and we'll find a new time that works for you.</p>
+            </div>`
+  });
+
+  return sendEmail({
+    to: customer.email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: 'Sorry we missed you - Instant Closet Tote Storage',
+    html: html,
+    text: `Hi ${firstName},\n\n` +
+          `Our driver came by to ${visitText} but couldn't finish the stop: ${reasonLabel}.\n\n` +
+          'Reply to this email or call us at (828) 455-7793 and we\'ll find a new time that works for you.',
+    tags: {
+      Source: 'Driver',
+      Type: 'Job-Missed'
+    }
+  });
+}
+
+/**
+ * Tell customer service about a stop the driver couldn't finish
+ * @param {Object} options
+ * @param {Object} options.job - Delivery job with the exception recorded
+ * @param {Object} options.customer - Customer record
+ * @param {string} options.reasonLabel - What went wrong
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendInternalExceptionNotice({ job, customer, reasonLabel }) {
+  const exception = job.exception;
+
+  const html = renderBrandedEmail({
+    title: 'Driver could not finish a stop',
+    heading: 'Stop Not Completed',
+    contentHtml: `
+            <div class="priority">${escapeHtml(reasonLabel)} - the job needs a new window</div>
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(customer.name || 'Not provided')}</div>
+                <div class="field"><strong>Email:</strong> <a href="mailto:${escapeHtml(customer.email || '')}">${escapeHtml(customer.email || 'Not provided')}</a></div>
+                <div class="field"><strong>Phone:</strong> ${escapeHtml(customer.phone || 'Not provided')}</div>
+            </div>
+            <div class="section">
+                <h2>Stop</h2>
+                <div class="highlight">
+                    <div class="field"><strong>Job:</strong> ${escapeHtml(job.id)} (${escapeHtml(job.type)})</div>
+                    <div class="field"><strong>Window:</strong> ${escapeHtml(job.window_label || 'Not scheduled')}</div>
+                    <div class="field"><strong>Address:</strong> ${escapeHtml(job.address || 'Not provided')}</div>
+                    <div class="field"><strong>Driver:</strong> ${escapeHtml(exception.driver)}</div>
+                    <div class="field"><strong>Driver Notes:</strong> ${escapeHtml(exception.notes || 'None')}</div>
+                    <div class="field"><strong>Photo:</strong> ${exception.photo_key ? 'Yes (saved on the job)' : 'No'}</div>
+                </div>
+            </div>`,
+    footerNote: 'Reply directly to this email to contact the customer'
+  });
+
+  return sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    replyTo: customer.email || undefined,
+    subject: `Missed stop: ${customer.name || customer.email || job.id} - ${reasonLabel}`,
+    html: html,
+    text: 'STOP NOT COMPLETED\n\n' +
+          `Reason: ${reasonLabel}\n` +
+          `Name: ${customer.name || ''}\nEmail: ${customer.email || ''}\nPhone: ${customer.phone || ''}\n` +
+          `Job: ${job.id} (${job.type})\nWindow: ${job.window_label || 'Not scheduled'}\n` +
+          `Address: ${job.address || ''}\nDriver: ${exception.driver}\nDriver notes: ${exception.notes || 'None'}`,
+    tags: {
+      Source: 'Driver',
+      Type: 'Internal-Job-Exception'
+    }
+  });
+}
+
+/**
+ * Send the emails for a stop the driver couldn't finish (customer + customer service)
+ * @param {Object} options
+ * @param {Object} options.job - Delivery job with the exception recorded
+ * @param {Object} options.customer - Customer record
+ * @param {string} options.reasonLabel - What went wrong
+ */
+async function sendJobExceptionEmails({ job, customer, reasonLabel }) {
+  if (customer.email) {
+    await sendCustomerMissedEmail({ job, customer, reasonLabel });
+  } else {
+    console.warn(`⚠️ No email for the customer of ${job.id} - customer not told about the missed stop`);
+  }
+
+  await sendInternalExceptionNotice({ job, customer, reasonLabel });
+}
+
+module.exports = {
+  sendJobCompletedEmail,
+  sendJobExceptionEmails
+};
@@ -0,0 +1,61 @@
+/**
+ * STRAIGHT-LINE DISTANCE PROVIDER
+ *
+ * Estimates driving distance between stops from their coordinates alone:
+ * great-circle distance times a road factor, at an average speed. Needs no
+ * network or API key, so route planning works offline. Good enough to
+ * order stops in a town-sized area; a road-network provider can replace it
+ * through registerDistanceProvider() in lib/route-planning.js.
+ *
+ * Provider interface:
+ * - getMatrix(points)    points are [longitude, latitude]. Returns (async)
+ *                        { distances, durations }: square matrices in meters
+ *                        and seconds, [from][to]
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Route planning
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Array} from - [longitude, latitude]
+ * @param {Array} to - [longitude, latitude]
+ * @returns {number} Meters
+ */
+function haversineMeters(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const deltaLatitude = toRadians(to[1] - from[1]);
+    const deltaLongitude = toRadians(to[0] - from[0]);
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+        Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Create a straight-line distance provider
+ * @param {Object} options
+ * @param {number} options.roadFactor - Road distance per straight-line distance (mountain roads wind)
+ * @param {number} options.averageSpeedMph - Average driving speed between stops
+ * @returns {Object} Distance provider
+ */
+function createStraightLineProvider({ roadFactor, averageSpeedMph }) {
+    const metersPerSecond = averageSpeedMph * 1609.344 / 3600;
+
+    return {
+        name: 'straight-line',
+
+        async getMatrix(points) {
+            const distances = points.map(from => points.map(to => haversineMeters(from, to) * roadFactor));
+            const durations = distances.map(row => row.map(meters => meters / metersPerSecond));
+            return { distances, durations };
+        }
+    };
+}
+
+module.exports = {
+    haversineMeters,
+    createStraightLineProvider
+};
@@ -0,0 +1,425 @@
+/**
+ * DRIVER JOBS - ASSIGNING STOPS AND PROOF OF DELIVERY
+ *
+ * The driver side of delivery jobs:
+ * - assignDayRoute()      Staff hand a day's planned route (route-planning.js)
+ *                         to a driver; each job gets `driver` and `route_sequence`
+ * - listDriverJobs()      What the driver page shows: their open stops in route order
+ * - markJobOnTheWay()     The driver is heading to the stop; the customer
+ *                         gets a text (sms-notifications.js)
+ * - completeDriverJob()   Delivered / picked up / returned, with scanned tote
+ *                         QR codes, a photo and/or a signature as proof
+ * - recordJobException()  The stop couldn't be done (nobody home, no access...)
+ *
+ * Completing a job also:
+ * - moves each scanned tote to its next status (empty_delivered, in_storage,
+ *   or returned/filled for a return)
+ * - updates the order (a pickup makes it active; otherwise a history note)
+ * - finishes a cancellation once its final return is done (cancellations.js)
+ * - emails the customer (delivery-emails.js)
+ *
+ * Job statuses added here (orders.js creates jobs as scheduled/unscheduled):
+ * - completed   Done, with `proof`
+ * - exception   Driver couldn't do it; staff rebook it (`exception` says why)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - On the way texts
+ */
+
+const { getStore } = require('./store');
+const {
+    COLLECTIONS,
+    DELIVERY_JOB_TYPES,
+    listDeliveryJobs,
+    updateDeliveryJob,
+    setOrderStatus,
+    getOrder
+} = require('./orders');
+const { getTote, listTotes, setToteStatus } = require('./totes');
+const { uploadJobPhoto } = require('./tote-photos');
+const { planDayRoute } = require('./route-planning');
+const { CANCELLATIONS_COLLECTION, completeCancellationIfReturned } = require('./cancellations');
+const { isDriver } = require('./staff-auth');
+const { sendJobCompletedEmail, sendJobExceptionEmails } = require('./delivery-emails');
+const { sendOnTheWayNotice } = require('./sms-notifications');
+
+// Jobs a driver can still act on
+const OPEN_DRIVER_STATUSES = ['scheduled', 'exception'];
+
+// What finishing each kind of job means
+const JOB_OUTCOMES = {
+    [DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY]: { label: 'Delivered', toteStatus: 'empty_delivered', orderStatus: null },
+    [DELIVERY_JOB_TYPES.TOTE_PICKUP]: { label: 'Picked up', toteStatus: 'in_storage', orderStatus: 'active' },
+    // Totes back with the customer, packed; 'returned' instead on a final return after cancelling
+    [DELIVERY_JOB_TYPES.TOTE_RETURN]: { label: 'Returned', toteStatus: 'filled', orderStatus: null }
+};
+
+// Exception reasons offered on the driver page; labels are what the customer reads
+const EXCEPTION_REASONS = {
+    customer_not_home: 'Nobody was home',
+    no_access: 'We couldn\'t get to your door (gate or building access)',
+    address_not_found: 'We couldn\'t find the address',
+    totes_not_ready: 'The totes weren\'t ready for pickup',
+    refused: 'The delivery was refused',
+    other: 'Something came up on our end'
+};
+
+/**
+ * Assign a day's route to a driver
+ * Plans the route and saves each stop's position on its job, so the driver
+ * page lists them in order. Stops without a location are assigned last.
+ * @param {Object} options
+ * @param {string} options.date - Local date, YYYY-MM-DD
+ * @param {string} options.driver - Driver name from ICTS_DRIVERS
+ * @param {string} [options.depot] - "latitude,longitude" to start from
+ * @returns {Object} { assigned, plan }
+ * @throws {Error} If the driver is unknown or the date is invalid
+ */
+async function assignDayRoute({ date, driver, depot }) {
+    const driverId = String(driver || '').trim().toLowerCase();
+    if (!isDriver(driverId)) {
+        throw new Error('Invalid driver - add them to ICTS_DRIVERS');
+    }
+
+    const plan = await planDayRoute({ date, depot });
+    const stops = [...plan.stops, ...plan.unrouted];
+
+    for (const [index, stop] of stops.entries()) {
+        await updateDeliveryJob(stop.job_id, {
+            driver: driverId,
+            route_sequence: index + 1,
+            route_date: date
+        });
+    }
+
+    console.log(`🚚 ${stops.length} stop(s) on ${date} assigned to ${driverId}`);
+    return { assigned: stops.length, plan };
+}
+
+/**
+ * List a driver's open jobs in route order
+ * @param {string} driverId - Driver name
+ * @returns {Array} Jobs with the customer's name, phone and the totes to scan
+ */
+async function listDriverJobs(driverId) {
+    const store = getStore();
+    const jobs = (await listDeliveryJobs({ driver: driverId }))
+        .filter(job => OPEN_DRIVER_STATUSES.includes(job.status))
+        .sort((a, b) => (a.route_date || '').localeCompare(b.route_date || '') ||
+            (a.route_sequence || 0) - (b.route_sequence || 0));
+
+    const result = [];
+    for (const job of jobs) {
+        const customer = job.customer_id ? await store.get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+        result.push({
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            route_date: job.route_date,
+            route_sequence: job.route_sequence,
+            window_label: job.window_label,
+            address: job.address,
+            tote_count: job.tote_count,
+            expected_totes: await getExpectedTotes(job),
+            notes: job.notes,
+            on_the_way_at: job.on_the_way_at || null,
+            customer_name: customer ? customer.name : null,
+            customer_phone: customer ? customer.phone : null,
+            exception: job.exception || null
+        });
+    }
+    return result;
+}
+
+/**
+ * Tote IDs a job should involve
+ * Tote trips list them; setup jobs use the order's totes.
+ * @param {Object} job - Delivery job
+ * @returns {Array} Tote IDs (empty for accounts without tote labels)
+ */
+async function getExpectedTotes(job) {
+    const listed = (job.totes || []).filter(tote => typeof tote === 'string' && tote.startsWith('T-'));
+    if (listed.length > 0) {
+        return listed;
+    }
+    if (job.order_id) {
+        return (await listTotes({ order_id: job.order_id })).map(tote => tote.id);
+    }
+    return [];
+}
+
+/**
+ * Load a job the driver is allowed to act on
+ * @param {string} jobId - Delivery job ID
+ * @param {string} driverId - Signed-in driver
+ * @returns {Object} Delivery job
+ * @throws {Error} If the job doesn't exist or isn't theirs
+ */
+async function getDriverJob(jobId, driverId) {
+    const job = jobId ? await getStore().get(COLLECTIONS.DELIVERY_JOBS, String(jobId)) : null;
+    if (!job) {
+        throw new Error('Invalid job ID');
+    }
+    if (job.driver !== driverId) {
+        throw new Error('This job is not assigned to you');
+    }
+    return job;
+}
+
+/**
+ * Record that the driver is heading to a stop and text the customer
+ * Only the first tap texts; a second tap (or a retry) returns the job as is.
+ * @param {Object} details
+ * @param {string} details.driverId - Signed-in driver
+ * @param {string} details.jobId - Delivery job ID
+ * @returns {Object} { job, notified, alreadyNotified }
+ * @throws {Error} If the job isn't theirs or isn't open
+ */
+async function markJobOnTheWay(details) {
+    const job = await getDriverJob(details.jobId, details.driverId);
+
+    if (!OPEN_DRIVER_STATUSES.includes(job.status)) {
+        throw new Error(`Invalid job - it is ${job.status}`);
+    }
+    if (job.on_the_way_at) {
+        return { job, notified: false, alreadyNotified: true };
+    }
+
+    const updated = await updateDeliveryJob(job.id, { on_the_way_at: new Date().toISOString() });
+
+    let notified = false;
+    try {
+        notified = Boolean(await sendOnTheWayNotice(updated));
+    } catch (error) {
+        console.error('⚠️ Could not send the on the way text:', error.message);
+    }
+
+    return { job: updated, notified, alreadyNotified: false };
+}
+
+/**
+ * Read tote IDs from QR scans or typed IDs
+ * A label's QR code is a link ending in ?tote=T-7K3QXM; the bare ID works too.
+ * @param {Array} scans - Scanned or typed values
+ * @returns {Array} Unique tote IDs
+ * @throws {Error} If a value holds no tote ID
+ */
+function parseToteScans(scans) {
+    const toteIds = (Array.isArray(scans) ? scans : []).map(scan => {
+        const match = /T-[A-Z0-9]{4,12}/.exec(String(scan).toUpperCase());
+        if (!match) {
+            throw new Error(`Invalid tote scan: ${String(scan).slice(0, 60)}`);
+        }
+        return match[0];
+    });
+    return Array.from(new Set(toteIds));
+}
+
+/**
+ * Find the order a job belongs to
+ * Setup jobs carry the order ID; tote trips carry the subscription.
+ * @param {Object} job - Delivery job
+ * @returns {Object|null} Order
+ */
+async function findJobOrder(job) {
+    if (job.order_id) {
+        return getOrder(job.order_id);
+    }
+    if (job.subscription_id) {
+        const orders = await getStore().find(COLLECTIONS.ORDERS, { subscription_id: job.subscription_id });
+        return orders.sort((a, b) => b.created_at.localeCompare(a.created_at))[0] || null;
+    }
+    return null;
+}
+
+/**
+ * Whether a return job is a cancelled customer's final return
+ * @param {Object} job - Delivery job
+ * @returns {boolean}
+ */
+async function isFinalReturn(job) {
+    const cancellations = await getStore().find(CANCELLATIONS_COLLECTION, { final_return_job_id: job.id });
+    return cancellations.length > 0;
+}
+
+/**
+ * Complete a job with proof of delivery
+ * Saving the job comes first; tote, order and email follow-ups are logged
+ * and skipped on failure so the driver's proof is never lost.
+ * @param {Object} details
+ * @param {string} details.driverId - Signed-in driver
+ * @param {string} details.jobId - Delivery job ID
+ * @param {Array} [details.toteScans] - Scanned QR codes or typed tote IDs
+ * @param {string} [details.photo] - Photo as a data URL
+ * @param {string} [details.signature] - Signature as a PNG data URL
+ * @param {string} [details.signedBy] - Name of whoever signed
+ * @param {string} [details.notes] - Driver notes
+ * @returns {Object} { job, totesUpdated, unscannedTotes, alreadyCompleted }
+ * @throws {Error} If the job isn't theirs, has no proof, or a scan isn't on the job
+ */
+async function completeDriverJob(details) {
+    const job = await getDriverJob(details.jobId, details.driverId);
+
+    // A retry from a phone that lost signal
+    if (job.status === 'completed') {
+        return { job, totesUpdated: [], unscannedTotes: [], alreadyCompleted: true };
+    }
+    if (!OPEN_DRIVER_STATUSES.includes(job.status)) {
+        throw new Error(`Invalid job - it is ${job.status}`);
+    }
+    if (!details.photo && !details.signature) {
+        throw new Error('A photo or signature is required as proof of delivery');
+    }
+
+    const scannedTotes = parseToteScans(details.toteScans);
+    const expectedTotes = await getExpectedTotes(job);
+    const strayTotes = expectedTotes.length > 0
+        ? scannedTotes.filter(toteId => !expectedTotes.includes(toteId))
+        : [];
+    if (strayTotes.length > 0) {
+        throw new Error(`Invalid tote scan - ${strayTotes.join(', ')} is not on this job`);
+    }
+
+    const customer = job.customer_id ? await getStore().get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+    const now = new Date().toISOString();
+    const proof = {
+        driver: details.driverId,
+        outcome: JOB_OUTCOMES[job.type].label,
+        scanned_totes: scannedTotes,
+        unscanned_totes: expectedTotes.filter(toteId => !scannedTotes.includes(toteId)),
+        photo_key: details.photo ? await uploadJobPhoto(job.id, details.photo) : null,
+        signature_key: details.signature ? await uploadJobPhoto(job.id, details.signature) : null,
+        signed_by: String(details.signedBy || '').trim().slice(0, 100) || null,
+        notes: String(details.notes || '').trim().slice(0, 1000) || null,
+        completed_at: now
+    };
+
+    const completed = await updateDeliveryJob(job.id, {
+        status: 'completed',
+        completed_at: now,
+        proof: proof
+    });
+    console.log(`✅ ${job.id} ${proof.outcome.toLowerCase()} by ${details.driverId}`);
+
+    // Totes
+    const finalReturn = job.type === DELIVERY_JOB_TYPES.TOTE_RETURN && await isFinalReturn(job);
+    const toteStatus = finalReturn ? 'returned' : JOB_OUTCOMES[job.type].toteStatus;
+    const totesUpdated = [];
+    for (const toteId of scannedTotes) {
+        try {
+            if (await getTote(toteId)) {
+                await setToteStatus(toteId, toteStatus, { source: `driver:${details.driverId}` });
+                totesUpdated.push(toteId);
+            }
+        } catch (error) {
+            console.error(`⚠️ Could not update tote ${toteId}:`, error.message);
+        }
+    }
+
+    // Order
+    const order = await findJobOrder(job).catch(error => {
+        console.error('⚠️ Could not find the order for the job:', error.message);
+        return null;
+    });
+    if (order) {
+        const orderStatus = JOB_OUTCOMES[job.type].orderStatus && order.status === 'paid'
+            ? JOB_OUTCOMES[job.type].orderStatus
+            : order.status;
+        await setOrderStatus(order.id, orderStatus, {
+            note: `${proof.outcome} (${job.id}) by ${details.driverId}` +
+                (proof.unscanned_totes.length > 0 ? ` - not scanned: ${proof.unscanned_totes.join(', ')}` : ''),
+            source: 'driver'
+        }).catch(error => {
+            console.error('⚠️ Could not update the order for the job:', error.message);
+        });
+    }
+
+    // The last tote back finishes a cancellation
+    if (finalReturn && customer && customer.stripe_customer_id) {
+        await completeCancellationIfReturned(customer.stripe_customer_id).catch(error => {
+            console.error('⚠️ Could not check the cancellation after the final return:', error.message);
+        });
+    }
+
+    // Customer email
+    if (customer && customer.email) {
+        await sendJobCompletedEmail({ job: completed, customer, toteIds: scannedTotes }).catch(error => {
+            console.error('⚠️ Could not email the customer about the completed job:', error.message);
+        });
+    }
+
+    return { job: completed, totesUpdated, unscannedTotes: proof.unscanned_totes, alreadyCompleted: false };
+}
+
+/**
+ * Record that a stop couldn't be done
+ * The job stays with the driver as an exception until staff rebook it.
+ * @param {Object} details
+ * @param {string} details.driverId - Signed-in driver
+ * @param {string} details.jobId - Delivery job ID
+ * @param {string} details.reason - One of EXCEPTION_REASONS
+ * @param {string} [details.notes] - What happened
+ * @param {string} [details.photo] - Photo as a data URL (e.g. the locked gate)
+ * @returns {Object} Updated job
+ * @throws {Error} If the job isn't theirs or the reason is unknown
+ */
+async function recordJobException(details) {
+    const job = await getDriverJob(details.jobId, details.driverId);
+
+    if (!EXCEPTION_REASONS[details.reason]) {
+        throw new Error('Invalid exception reason');
+    }
+    if (job.status !== 'scheduled') {
+        throw new Error(`Invalid job - it is ${job.status}`);
+    }
+    const notes = String(details.notes || '').trim().slice(0, 1000) || null;
+    if (details.reason === 'other' && !notes) {
+        throw new Error('Notes are required when the reason is "other"');
+    }
+
+    const updated = await updateDeliveryJob(job.id, {
+        status: 'exception',
+        exception: {
+            driver: details.driverId,
+            reason: details.reason,
+            notes: notes,
+            photo_key: details.photo ? await uploadJobPhoto(job.id, details.photo) : null,
+            at: new Date().toISOString()
+        }
+    });
+    console.warn(`⚠️ ${job.id} not completed by ${details.driverId}: ${details.reason}`);
+
+    const order = await findJobOrder(job).catch(() => null);
+    if (order) {
+        await setOrderStatus(order.id, order.status, {
+            note: `Stop not completed (${job.id}): ${EXCEPTION_REASONS[details.reason]}`,
+            source: 'driver'
+        }).catch(error => {
+            console.error('⚠️ Could not note the exception on the order:', error.message);
+        });
+    }
+
+    try {
+        const customer = job.customer_id ? await getStore().get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+        await sendJobExceptionEmails({
+            job: updated,
+            customer: customer || {},
+            reasonLabel: EXCEPTION_REASONS[details.reason]
+        });
+    } catch (error) {
+        console.error('⚠️ Could not send the missed stop emails:', error.message);
+    }
+
+    return updated;
+}
+
+module.exports = {
+    JOB_OUTCOMES,
+    EXCEPTION_REASONS,
+    assignDayRoute,
+    listDriverJobs,
+    parseToteScans,
+    markJobOnTheWay,
+    completeDriverJob,
+    recordJobException
+};
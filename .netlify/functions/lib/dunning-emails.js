@@ -0,0 +1,216 @@
+/**
+ * AWS SES EMAIL HANDLER - DUNNING EMAILS
+ * Failed monthly payment emails for lib/dunning.js: the customer gets a
+ * secure link to update their card, and customer service gets an internal
+ * notice in the same layout as the contact form emails
+ *
+ * @version 1.0.0 - Dunning workflow for failed monthly payments
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const {
+  CUSTOMER_SERVICE_EMAIL,
+  escapeHtml,
+  renderBrandedEmail,
+  sendEmail
+} = require('./ses-email');
+
+/**
+ * Format an amount in cents for display
+ * @param {number} cents - Amount in cents
+ * @returns {string} e.g. "$45.00"
+ */
+function formatAmount(cents) {
+  return `$${((cents || 0) / 100).toFixed(2)}`;
+}
+
+/**
+ * Format an ISO date for display
+ * @param {string|null} isoDate - ISO date
+ * @returns {string} e.g. "October 20, 2025"
+ */
+function formatDate(isoDate) {
+  if (!isoDate) return 'None';
+  return new Date(isoDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'America/New_York'
+  });
+}
+
+/**
+ * Email the customer about a failed payment
+ * @param {Object} options
+ * @param {Object} options.dunningCase - Dunning case (lib/dunning.js)
+ * @param {boolean} options.onHold - Whether their stored items are on hold
+ * @param {string} options.cardUpdateUrl - Secure card update link
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendCustomerPaymentFailedEmail({ dunningCase, onHold, cardUpdateUrl }) {
+  const firstName = (dunningCase.customer_name || '').split(' ')[0] || 'there';
+  const amount = formatAmount(dunningCase.amount_due_cents);
+  const subject = onHold
+    ? 'Action needed: your storage account is on hold - Instant Closet Tote Storage'
+    : 'Your storage payment didn\'t go through - Instant Closet Tote Storage';
+  const retryText = dunningCase.next_retry_at
+    ? `We'll try your card again on ${formatDate(dunningCase.next_retry_at)}, or right away once you update it.`
+    : 'We won\'t retry this card again until you update it.';
+  const holdText = 'Your stored totes are safe, but we can\'t schedule returns until the balance is paid.';
+
+  const html = renderBrandedEmail({
+    title: subject,
+    heading: onHold ? 'Your Account Is On Hold' : 'Payment Didn\'t Go Through',
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                <p>We couldn't charge your card for your monthly tote storage payment of <strong>${escapeHtml(amount)}</strong>.</p>
+                ${onHold ? `<div class="priority">${escapeHtml(holdText)}</div>` : ''}
+                <p>${escapeHtml(retryText)}</p>
+            </div>
+            <div class="section" style="text-align: center;">
+                <a class="button" href="${escapeHtml(cardUpdateUrl)}">Update My Card</a>
+            </div>
+            <div class="section">
+                <p><small>This secure link opens your billing details without a password. Questions? Just reply to this email or call us at (828) 455-7793.</small></p>
+            </div>`
+  });
+
+  return sendEmail({
+    to: dunningCase.customer_email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: subject,
+    html: html,
+    text: `Hi ${firstName},\n\n` +
+          `We couldn't charge your card for your monthly tote storage payment of ${amount}.\n\n` +
+          (onHold ? `${holdText}\n\n` : '') +
+          `${retryText}\n\n` +
+          `Update your card: ${cardUpdateUrl}\n\n` +
+          'Questions? Reply to this email or call us at (828) 455-7793.',
+    tags: {
+      Source: 'Dunning',
+      Type: onHold ? 'Payment-Failed-Hold' : 'Payment-Failed'
+    }
+  });
+}
+
+/**
+ * Tell customer service about a failed payment
+ * @param {Object} dunningCase - Dunning case (lib/dunning.js)
+ * @param {boolean} holdStarted - Whether this failure put the account on hold
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendInternalPaymentFailedNotice(dunningCase, holdStarted) {
+  const customerLabel = dunningCase.customer_name || dunningCase.customer_email || dunningCase.stripe_customer_id;
+
+  const html = renderBrandedEmail({
+    title: 'Monthly payment failed',
+    heading: holdStarted ? 'Account Put On Hold - Payment Failed' : 'Monthly Payment Failed',
+    contentHtml: `
+            ${holdStarted ? `<div class="priority">${dunningCase.failure_count} failed attempts - returns are on hold until the invoice is paid</div>` : ''}
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(dunningCase.customer_name || 'Not provided')}</div>
+                <div class="field"><strong>Email:</strong> <a href="mailto:${escapeHtml(dunningCase.customer_email || '')}">${escapeHtml(dunningCase.customer_email || 'Not provided')}</a></div>
+                <div class="field"><strong>Stripe Customer:</strong> ${escapeHtml(dunningCase.stripe_customer_id)}</div>
+            </div>
+            <div class="section">
+                <h2>Payment</h2>
+                <div class="highlight">
+                    <div class="field"><strong>Amount Due:</strong> ${escapeHtml(formatAmount(dunningCase.amount_due_cents))}</div>
+                    <div class="field"><strong>Invoice:</strong> ${escapeHtml(dunningCase.invoice_number || dunningCase.invoice_id)}</div>
+                    <div class="field"><strong>Failed Attempts:</strong> ${dunningCase.failure_count}</div>
+                    <div class="field"><strong>Reason:</strong> ${escapeHtml(dunningCase.last_failure_reason || 'Not given')}</div>
+                    <div class="field"><strong>Next Retry:</strong> ${escapeHtml(formatDate(dunningCase.next_retry_at))}</div>
+                </div>
+            </div>`,
+    footerNote: 'Reply directly to this email to contact the customer'
+  });
+
+  return sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    replyTo: dunningCase.customer_email || undefined,
+    subject: `${holdStarted ? 'On hold' : 'Payment failed'}: ${customerLabel} - ${formatAmount(dunningCase.amount_due_cents)}`,
+    html: html,
+    text: `MONTHLY PAYMENT FAILED${holdStarted ? ' - ACCOUNT ON HOLD' : ''}\n\n` +
+          `Name: ${dunningCase.customer_name || ''}\nEmail: ${dunningCase.customer_email || ''}\n` +
+          `Stripe customer: ${dunningCase.stripe_customer_id}\n` +
+          `Amount due: ${formatAmount(dunningCase.amount_due_cents)}\n` +
+          `Invoice: ${dunningCase.invoice_number || dunningCase.invoice_id}\n` +
+          `Failed attempts: ${dunningCase.failure_count}\n` +
+          `Reason: ${dunningCase.last_failure_reason || 'Not given'}\n` +
+          `Next retry: ${formatDate(dunningCase.next_retry_at)}`,
+    tags: {
+      Source: 'Dunning',
+      Type: holdStarted ? 'Internal-Hold' : 'Internal-Payment-Failed'
+    }
+  });
+}
+
+/**
+ * Send the emails for a failed payment (customer + customer service)
+ * @param {Object} options
+ * @param {Object} options.dunningCase - Dunning case (lib/dunning.js)
+ * @param {boolean} options.holdStarted - Whether this failure put the account on hold
+ * @param {string} options.cardUpdateUrl - Secure card update link
+ */
+async function sendPaymentFailedEmails({ dunningCase, holdStarted, cardUpdateUrl }) {
+  if (dunningCase.customer_email) {
+    await sendCustomerPaymentFailedEmail({
+      dunningCase: dunningCase,
+      onHold: dunningCase.status === 'on_hold',
+      cardUpdateUrl: cardUpdateUrl
+    });
+  } else {
+    console.warn(`⚠️ No email for ${dunningCase.stripe_customer_id} - customer not told about failed payment`);
+  }
+
+  await sendInternalPaymentFailedNotice(dunningCase, holdStarted);
+}
+
+/**
+ * Tell customer service that a past-due payment came through
+ * @param {Object} dunningCase - Recovered dunning case (lib/dunning.js)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendPaymentRecoveredNotice(dunningCase) {
+  const customerLabel = dunningCase.customer_name || dunningCase.customer_email || dunningCase.stripe_customer_id;
+
+  const html = renderBrandedEmail({
+    title: 'Past-due payment recovered',
+    heading: 'Past-Due Payment Recovered',
+    contentHtml: `
+            <div class="section">
+                <h2>Customer</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(dunningCase.customer_name || 'Not provided')}</div>
+                <div class="field"><strong>Email:</strong> ${escapeHtml(dunningCase.customer_email || 'Not provided')}</div>
+            </div>
+            <div class="section">
+                <h2>Payment</h2>
+                <div class="field"><strong>Amount:</strong> ${escapeHtml(formatAmount(dunningCase.amount_due_cents))}</div>
+                <div class="field"><strong>Invoice:</strong> ${escapeHtml(dunningCase.invoice_number || dunningCase.invoice_id)}</div>
+                <div class="field"><strong>Failed Attempts Before Paying:</strong> ${dunningCase.failure_count}</div>
+                <div class="field"><strong>Hold Lifted:</strong> ${dunningCase.hold_started_at ? 'Yes' : 'Was not on hold'}</div>
+            </div>`
+  });
+
+  return sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    subject: `Payment recovered: ${customerLabel} - ${formatAmount(dunningCase.amount_due_cents)}`,
+    html: html,
+    text: `PAST-DUE PAYMENT RECOVERED\n\n` +
+          `Name: ${dunningCase.customer_name || ''}\nEmail: ${dunningCase.customer_email || ''}\n` +
+          `Amount: ${formatAmount(dunningCase.amount_due_cents)}\n` +
+          `Invoice: ${dunningCase.invoice_number || dunningCase.invoice_id}\n` +
+          `Hold lifted: ${dunningCase.hold_started_at ? 'Yes' : 'Was not on hold'}`,
+    tags: {
+      Source: 'Dunning',
+      Type: 'Internal-Recovered'
+    }
+  });
+}
+
+module.exports = {
+  sendPaymentFailedEmails,
+  sendPaymentRecoveredNotice
+};
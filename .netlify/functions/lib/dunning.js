@@ -0,0 +1,333 @@
+/**
+ * DUNNING - FAILED MONTHLY PAYMENTS
+ *
+ * One dunning case per failed renewal invoice, driven by the
+ * invoice.payment_failed webhook (stripe-webhook.js):
+ * 1. Each failure emails the customer a card update link and notifies
+ *    customer service (dunning-emails.js)
+ * 2. The invoice is retried on DUNNING_CONFIG.retryScheduleDays by the
+ *    dunning-retry scheduled function, or as soon as the customer saves a
+ *    new card
+ * 3. After holdAfterFailures failed attempts the subscription goes on hold:
+ *    it stays past due and stored totes can't be returned until it is paid
+ * 4. invoice.paid closes the case and lifts the hold
+ *
+ * Stripe's own automatic retries should be turned off (Billing > Revenue
+ * recovery > Retries) so invoices are only retried on this schedule.
+ *
+ * Statuses:
+ * - retrying    Past due, retries scheduled
+ * - on_hold     Past due after too many failures; returns are on hold
+ * - recovered   The invoice was paid
+ * - closed      The invoice was voided or written off
+ *
+ * Environment Variables:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - ICTS_DUNNING: JSON overriding any DUNNING_CONFIG field, e.g.
+ *   {"retryScheduleDays":[2,4,7],"holdAfterFailures":2,"cardUpdateLinkDays":7}
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Card update links last a week and work once
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore, createId } = require('./store');
+const { createCardUpdateLink } = require('./customer-accounts');
+const { sendPaymentFailedEmails, sendPaymentRecoveredNotice } = require('./dunning-emails');
+
+const DUNNING_COLLECTION = 'dunning_cases';
+
+const DUNNING_STATUSES = ['retrying', 'on_hold', 'recovered', 'closed'];
+
+const DUNNING_CONFIG = {
+    retryScheduleDays: [3, 5, 7],   // Days after failure 1, 2, 3... until the next retry
+    holdAfterFailures: 3,           // Failed attempts before stored totes are put on hold
+    cardUpdateLinkDays: 7           // How long the emailed link works (single-use); each failure emails a new one
+};
+
+/**
+ * Get the dunning configuration (defaults + ICTS_DUNNING)
+ * @returns {Object} Dunning configuration
+ */
+function getDunningConfig() {
+    if (!process.env.ICTS_DUNNING) {
+        return DUNNING_CONFIG;
+    }
+
+    try {
+        return { ...DUNNING_CONFIG, ...JSON.parse(process.env.ICTS_DUNNING) };
+    } catch (error) {
+        console.error('⚠️ ICTS_DUNNING is not valid JSON, using defaults:', error.message);
+        return DUNNING_CONFIG;
+    }
+}
+
+/**
+ * Resolve the ID of an expandable Stripe field
+ * @param {string|Object|null} field - ID string or expanded object
+ * @returns {string|null} Object ID
+ */
+function getId(field) {
+    if (!field) return null;
+    return typeof field === 'string' ? field : field.id;
+}
+
+/**
+ * Whether an invoice is a subscription renewal (the ones we dun)
+ * First invoices, tote changes and trip fees are paid on the spot instead.
+ * @param {Object} invoice - Stripe invoice
+ * @returns {boolean}
+ */
+function isRenewalInvoice(invoice) {
+    return Boolean(getId(invoice.subscription)) && invoice.billing_reason === 'subscription_cycle';
+}
+
+/**
+ * Find the dunning case for an invoice
+ * @param {string} invoiceId - Stripe invoice ID
+ * @returns {Object|null} Dunning case
+ */
+async function findDunningCase(invoiceId) {
+    const [dunningCase] = await getStore().find(DUNNING_COLLECTION, { invoice_id: invoiceId });
+    return dunningCase || null;
+}
+
+/**
+ * List dunning cases
+ * @param {Object} [where] - Field filter, e.g. { status: 'on_hold' }
+ * @returns {Array} Dunning cases, newest first
+ */
+async function listDunningCases(where) {
+    const cases = await getStore().find(DUNNING_COLLECTION, where || {});
+    return cases.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Put a subscription's stored items on hold, or lift the hold
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {string} customerId - Stripe customer ID
+ * @param {boolean} onHold - True to hold, false to lift
+ */
+async function setServiceHold(subscriptionId, customerId, onHold) {
+    const metadata = {
+        service_hold: onHold ? 'true' : '',
+        service_hold_since: onHold ? new Date().toISOString() : ''
+    };
+
+    await stripe.subscriptions.update(subscriptionId, { metadata });
+    await stripe.customers.update(customerId, { metadata });
+
+    console.log(`${onHold ? '⛔' : '✅'} Service hold ${onHold ? 'placed on' : 'lifted from'} ${subscriptionId}`);
+}
+
+/**
+ * Record a failed renewal payment and run the dunning step for it
+ * Safe to call twice for the same attempt (webhook retries): a failure is
+ * only acted on once per invoice attempt.
+ * @param {Object} invoice - Stripe invoice from invoice.payment_failed
+ * @returns {Object|null} { dunningCase, duplicate } or null for invoices we don't dun
+ */
+async function recordPaymentFailure(invoice) {
+    if (!isRenewalInvoice(invoice)) {
+        console.log(`ℹ️ Invoice ${invoice.id} (${invoice.billing_reason}) is not a renewal - no dunning`);
+        return null;
+    }
+
+    const store = getStore();
+    const config = getDunningConfig();
+    const now = new Date();
+    const existing = await findDunningCase(invoice.id);
+
+    if (existing && (invoice.attempt_count || 0) <= existing.failure_count) {
+        console.log(`♻️ Failure ${invoice.attempt_count} of invoice ${invoice.id} already handled`);
+        return { dunningCase: existing, duplicate: true };
+    }
+
+    const failureCount = Math.max(invoice.attempt_count || 0, existing ? existing.failure_count + 1 : 1);
+
+    const retryDays = config.retryScheduleDays[failureCount - 1];
+    const onHold = failureCount >= config.holdAfterFailures;
+    const paymentError = invoice.payment_intent && invoice.payment_intent.last_payment_error;
+    const fields = {
+        failure_count: failureCount,
+        status: onHold ? 'on_hold' : 'retrying',
+        next_retry_at: retryDays ? new Date(now.getTime() + retryDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        last_failure_at: now.toISOString(),
+        last_failure_reason: paymentError && paymentError.message ? String(paymentError.message).slice(0, 200) : null,
+        amount_due_cents: invoice.amount_due,
+        updated_at: now.toISOString()
+    };
+
+    let dunningCase;
+    if (existing) {
+        dunningCase = await store.update(DUNNING_COLLECTION, existing.id, fields);
+    } else {
+        dunningCase = await store.insert(DUNNING_COLLECTION, {
+            id: createId('dun'),
+            invoice_id: invoice.id,
+            invoice_number: invoice.number || null,
+            subscription_id: getId(invoice.subscription),
+            stripe_customer_id: getId(invoice.customer),
+            customer_email: invoice.customer_email || null,
+            customer_name: invoice.customer_name || null,
+            currency: invoice.currency,
+            hold_started_at: null,
+            resolved_at: null,
+            created_at: now.toISOString(),
+            ...fields
+        });
+    }
+
+    const holdStarted = onHold && !dunningCase.hold_started_at;
+    if (holdStarted) {
+        await setServiceHold(dunningCase.subscription_id, dunningCase.stripe_customer_id, true);
+        dunningCase = await store.update(DUNNING_COLLECTION, dunningCase.id, { hold_started_at: now.toISOString() });
+    }
+
+    console.warn(`⚠️ Dunning ${dunningCase.id}: invoice ${invoice.id} failed ${failureCount} time(s), ${dunningCase.next_retry_at ? `retry ${dunningCase.next_retry_at}` : 'no retries left'}`);
+
+    // Email failures are logged, not thrown: the case is already recorded and
+    // a webhook retry would skip it as a duplicate
+    try {
+        await sendPaymentFailedEmails({
+            dunningCase: dunningCase,
+            holdStarted: holdStarted,
+            cardUpdateUrl: createCardUpdateLink(dunningCase.stripe_customer_id, config.cardUpdateLinkDays)
+        });
+    } catch (emailError) {
+        console.error(`❌ Dunning emails for ${dunningCase.id} failed:`, emailError.message);
+    }
+
+    return { dunningCase, duplicate: false };
+}
+
+/**
+ * Close the dunning case of a paid invoice and lift any hold
+ * @param {Object} invoice - Stripe invoice from invoice.paid
+ * @returns {Object|null} Closed dunning case, or null if there was none open
+ */
+async function recordPaymentRecovered(invoice) {
+    const dunningCase = await findDunningCase(invoice.id);
+    if (!dunningCase || !['retrying', 'on_hold'].includes(dunningCase.status)) {
+        return null;
+    }
+
+    return closeDunningCase(dunningCase, 'recovered');
+}
+
+/**
+ * Close a dunning case and lift its hold
+ * @param {Object} dunningCase - Open dunning case
+ * @param {string} status - 'recovered' or 'closed'
+ * @returns {Object} Updated dunning case
+ */
+async function closeDunningCase(dunningCase, status) {
+    const now = new Date().toISOString();
+
+    if (dunningCase.hold_started_at) {
+        await setServiceHold(dunningCase.subscription_id, dunningCase.stripe_customer_id, false);
+    }
+
+    const closed = await getStore().update(DUNNING_COLLECTION, dunningCase.id, {
+        status: status,
+        next_retry_at: null,
+        resolved_at: now,
+        updated_at: now
+    });
+
+    console.log(`✅ Dunning ${closed.id} ${status} after ${closed.failure_count} failure(s)`);
+
+    if (status === 'recovered') {
+        try {
+            await sendPaymentRecoveredNotice(closed);
+        } catch (emailError) {
+            console.error(`❌ Recovery notice for ${closed.id} failed:`, emailError.message);
+        }
+    }
+
+    return closed;
+}
+
+/**
+ * Dunning cases whose next retry is due
+ * @param {Date} [now] - Current time
+ * @returns {Array} Dunning cases
+ */
+async function getDueRetries(now = new Date()) {
+    const cases = await getStore().find(DUNNING_COLLECTION);
+    return cases.filter(dunningCase =>
+        ['retrying', 'on_hold'].includes(dunningCase.status) &&
+        dunningCase.next_retry_at &&
+        new Date(dunningCase.next_retry_at) <= now
+    );
+}
+
+/**
+ * Try to collect a past-due invoice again
+ * Uses the customer's current default card, so a card saved from the update
+ * link is charged. A failure is recorded like a webhook failure.
+ * @param {Object} dunningCase - Open dunning case
+ * @returns {Object} { paid, dunningCase }
+ */
+async function retryDunningCase(dunningCase) {
+    const invoice = await stripe.invoices.retrieve(dunningCase.invoice_id);
+
+    if (invoice.status === 'paid') {
+        return { paid: true, dunningCase: await closeDunningCase(dunningCase, 'recovered') };
+    }
+    if (invoice.status !== 'open') {
+        // Voided or marked uncollectible in the dashboard
+        return { paid: false, dunningCase: await closeDunningCase(dunningCase, 'closed') };
+    }
+
+    const customer = await stripe.customers.retrieve(dunningCase.stripe_customer_id);
+    const paymentMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+
+    console.log(`🔁 Retrying invoice ${invoice.id} (dunning ${dunningCase.id}, attempt ${dunningCase.failure_count + 1})`);
+
+    try {
+        await stripe.invoices.pay(invoice.id, {
+            off_session: true,
+            ...(paymentMethod ? { payment_method: getId(paymentMethod) } : {})
+        });
+    } catch (error) {
+        if (error.type !== 'StripeCardError') {
+            throw error;
+        }
+        const failedInvoice = await stripe.invoices.retrieve(invoice.id, { expand: ['payment_intent'] });
+        const result = await recordPaymentFailure(failedInvoice);
+        return { paid: false, dunningCase: result ? result.dunningCase : dunningCase };
+    }
+
+    return { paid: true, dunningCase: await closeDunningCase(dunningCase, 'recovered') };
+}
+
+/**
+ * Retry a customer's past-due invoices right away (after they save a new card)
+ * @param {string} customerId - Stripe customer ID
+ * @returns {number} Open cases retried
+ */
+async function retryCustomerDunningCases(customerId) {
+    const cases = await getStore().find(DUNNING_COLLECTION, { stripe_customer_id: customerId });
+    const openCases = cases.filter(dunningCase => ['retrying', 'on_hold'].includes(dunningCase.status));
+
+    for (const dunningCase of openCases) {
+        await retryDunningCase(dunningCase);
+    }
+    return openCases.length;
+}
+
+module.exports = {
+    DUNNING_COLLECTION,
+    DUNNING_STATUSES,
+    DUNNING_CONFIG,
+    getDunningConfig,
+    isRenewalInvoice,
+    findDunningCase,
+    listDunningCases,
+    recordPaymentFailure,
+    recordPaymentRecovered,
+    getDueRetries,
+    retryDunningCase,
+    retryCustomerDunningCases
+};
@@ -0,0 +1,620 @@
+/**
+ * EMAIL TEMPLATES - SHARED TEMPLATING ENGINE
+ * Renders the transactional emails kept in templates/ so each email function
+ * only supplies data. Variables are HTML-escaped, layouts and partials are
+ * shared, <style> rules are inlined for email clients, and the plain-text
+ * part is generated from the HTML.
+ *
+ * Template syntax (a small Handlebars subset):
+ * - {{name}}, {{order.id}}            Escaped value ({{{name}}} inserts trusted HTML as is)
+ * - {{#if x}}...{{else}}...{{/if}}    Also {{#unless x}}; empty lists count as false
+ * - {{#each list}}...{{/each}}        {{this}} is the item and {{@index}} its position;
+ *                                     item fields are looked up before outer data
+ * - {{> name}}                        templates/partials/name.html with the current data
+ * - {{! comment }}
+ *
+ * Emails live in templates/emails/. One may start with front matter naming
+ * its layout (templates/layouts/) and values for the layout, which are
+ * templates too:
+ *   ---
+ *   layout: branded
+ *   heading: Payment Receipt
+ *   ---
+ * The layout places the rendered email at {{{body}}}.
+ *
+ * @version 1.0.0 - Templating engine for transactional emails
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = process.env.ICTS_EMAIL_TEMPLATE_DIR || path.resolve(__dirname, '../../../templates');
+
+// Compiled templates by file path (template files don't change while a function is warm)
+const templateCache = new Map();
+
+const BLOCK_KEYWORDS = ['if', 'unless', 'each'];
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*\r?\n?/;
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Plain-text markers: line break between blocks, blank line around paragraphs and headings
+const TEXT_LINE = '\u0001';
+const TEXT_PARAGRAPH = '\u0002';
+
+/**
+ * Escape a value for safe inclusion in HTML email content
+ * @param {*} str - Raw value
+ * @returns {string} Escaped string ('' when empty)
+ */
+function escapeHtml(str) {
+  if (str === undefined || str === null) return '';
+  return String(str).replace(/[<>&"']/g, (char) => {
+    const escapeMap = {
+      '<': '&lt;',
+      '>': '&gt;',
+      '&': '&amp;',
+      '"': '&quot;',
+      "'": '&#x27;'
+    };
+    return escapeMap[char];
+  });
+}
+
+/**
+ * Turn HTML entities back into characters
+ * @param {string} str - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(str) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+    }
+    return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Parsing and rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse template source into a node tree
+ * @param {string} source - Template text (without front matter)
+ * @param {string} name - Template name for error messages
+ * @returns {Array} Nodes
+ */
+function parseTemplate(source, name) {
+  const tagPattern = /\{\{!--[\s\S]*?--\}\}|\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+  const root = { type: 'root', children: [] };
+  const stack = [{ node: root, list: root.children }];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const list = stack[stack.length - 1].list;
+    if (match.index > lastIndex) {
+      list.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      list.push({ type: 'value', path: match[1], raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag === undefined || tag[0] === '!') {
+      continue;
+    }
+
+    if (tag[0] === '#') {
+      const [keyword, argument] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCK_KEYWORDS.includes(keyword) || !argument) {
+        throw new Error(`Invalid template block {{${tag}}} in ${name}`);
+      }
+      const block = { type: keyword, path: argument, children: [], inverse: [] };
+      list.push(block);
+      stack.push({ node: block, list: block.children });
+    } else if (tag[0] === '/') {
+      const frame = stack.pop();
+      if (stack.length === 0 || frame.node.type !== tag.slice(1).trim()) {
+        throw new Error(`Invalid template: unexpected {{${tag}}} in ${name}`);
+      }
+    } else if (tag === 'else') {
+      const frame = stack[stack.length - 1];
+      if (frame.node.type === 'root') {
+        throw new Error(`Invalid template: {{else}} outside a block in ${name}`);
+      }
+      frame.list = frame.node.inverse;
+    } else if (tag[0] === '>') {
+      list.push({ type: 'partial', name: tag.slice(1).trim() });
+    } else {
+      list.push({ type: 'value', path: tag, raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid template: {{#${stack[stack.length - 1].node.type}}} is never closed in ${name}`);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Look up a value in the data scopes, innermost first
+ * @param {string} valuePath - e.g. 'this', '@index', 'order.id'
+ * @param {Array} scopes - { value, index } frames
+ * @returns {*} Value, or undefined
+ */
+function lookup(valuePath, scopes) {
+  if (valuePath === 'this' || valuePath === '.') return scopes[0].value;
+  if (valuePath === '@index') return scopes[0].index;
+
+  const keys = valuePath.replace(/^this\./, '').split('.');
+  const scope = scopes.find(frame => frame.value !== null && typeof frame.value === 'object' && keys[0] in frame.value);
+  if (!scope) return undefined;
+
+  return keys.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope.value);
+}
+
+/**
+ * Truthiness used by {{#if}} and {{#unless}}
+ * @param {*} value - Looked-up value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes - Parsed template
+ * @param {Array} scopes - { value, index } frames, innermost first
+ * @param {Object} options
+ * @param {boolean} options.escape - false for front matter values (the layout escapes them)
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, options) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'value': {
+        const value = lookup(node.path, scopes);
+        if (value === undefined || value === null) return '';
+        return node.raw || !options.escape ? String(value) : escapeHtml(value);
+      }
+
+      case 'if':
+      case 'unless': {
+        const passes = isTruthy(lookup(node.path, scopes)) === (node.type === 'if');
+        return renderNodes(passes ? node.children : node.inverse, scopes, options);
+      }
+
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.inverse, scopes, options);
+        }
+        return items.map((item, index) => renderNodes(node.children, [{ value: item, index }, ...scopes], options)).join('');
+      }
+
+      case 'partial':
+        return renderNodes(loadTemplate('partials', node.name).nodes, scopes, options);
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Read and compile a template file (cached)
+ * @param {string} kind - 'emails', 'layouts' or 'partials'
+ * @param {string} name - File name without .html
+ * @returns {Object} { nodes, layout, attributes }
+ */
+function loadTemplate(kind, name) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(String(name || ''))) {
+    throw new Error(`Invalid template name: ${name}`);
+  }
+
+  const filePath = path.join(TEMPLATE_DIR, kind, `${name}.html`);
+  if (templateCache.has(filePath)) {
+    return templateCache.get(filePath);
+  }
+
+  let source;
+  try {
+    source = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Email template not found: ${kind}/${name}`);
+  }
+
+  const templateName = `${kind}/${name}`;
+  const template = { nodes: null, layout: null, attributes: {} };
+
+  const frontMatter = source.match(FRONT_MATTER_PATTERN);
+  if (frontMatter) {
+    source = source.slice(frontMatter[0].length);
+    frontMatter[1].split(/\r?\n/).forEach((line) => {
+      const separator = line.indexOf(':');
+      if (!line.trim() || separator === -1) return;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (key === 'layout') {
+        template.layout = value;
+      } else {
+        template.attributes[key] = parseTemplate(value, templateName);
+      }
+    });
+  }
+
+  template.nodes = parseTemplate(source, templateName);
+  templateCache.set(filePath, template);
+  return template;
+}
+
+// ---------------------------------------------------------------------------
+// CSS inlining
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a selector the inliner can match: tags, classes and ids joined by
+ * descendant or child combinators
+ * @param {string} selector - e.g. '.section h2'
+ * @returns {Object|null} { compounds, specificity }, or null to leave the rule in <style>
+ */
+function parseSelector(selector) {
+  if (/[:[*+~]/.test(selector)) return null;
+
+  const parts = selector.replace(/\s*>\s*/g, ' > ').trim().split(/\s+/);
+  const compounds = [];
+  let combinator = ' ';
+  let specificity = 0;
+
+  for (const part of parts) {
+    if (part === '>') {
+      combinator = '>';
+      continue;
+    }
+    const match = part.match(/^([a-z][a-z0-9-]*)?((?:[.#][a-z0-9_-]+)*)$/i);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const compound = { tag: match[1] ? match[1].toLowerCase() : null, id: null, classes: [], combinator };
+    (match[2].match(/[.#][a-z0-9_-]+/gi) || []).forEach((token) => {
+      if (token[0] === '#') compound.id = token.slice(1);
+      else compound.classes.push(token.slice(1));
+    });
+    specificity += (compound.id ? 10000 : 0) + compound.classes.length * 100 + (compound.tag ? 1 : 0);
+    compounds.push(compound);
+    combinator = ' ';
+  }
+
+  return compounds.length > 0 && parts[parts.length - 1] !== '>' ? { compounds, specificity } : null;
+}
+
+/**
+ * Parse declarations from a rule body
+ * @param {string} body - e.g. 'color: #000 !important; padding: 20px'
+ * @returns {Array} { property, value, important }
+ */
+function parseDeclarations(body) {
+  return body.split(';').map((declaration) => {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) return null;
+    const property = declaration.slice(0, separator).trim().toLowerCase();
+    let value = declaration.slice(separator + 1).trim();
+    const important = /!important$/i.test(value);
+    value = value.replace(/\s*!important$/i, '');
+    return property && value ? { property, value, important } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Mark every declaration in an @media block !important so it still beats the inlined styles
+ * @param {string} block - Full @media block
+ * @returns {string} Block with important declarations
+ */
+function makeBlockImportant(block) {
+  return block.replace(/\{([^{}]*)\}/g, (match, body) => {
+    const declarations = parseDeclarations(body);
+    return `{ ${declarations.map(d => `${d.property}: ${d.value} !important;`).join(' ')} }`;
+  });
+}
+
+/**
+ * Split a stylesheet into rules to inline and CSS to keep in <style>
+ * @param {string} css - Stylesheet text
+ * @param {number} orderOffset - Source order of the first rule
+ * @returns {Object} { rules, kept }
+ */
+function parseStylesheet(css, orderOffset) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  const kept = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const open = source.indexOf('{', position);
+    if (open === -1) break;
+    const prelude = source.slice(position, open).trim();
+
+    // At-rules (@media, @font-face) stay in <style> whole
+    if (prelude.startsWith('@')) {
+      let depth = 1;
+      let index = open + 1;
+      while (index < source.length && depth > 0) {
+        if (source[index] === '{') depth++;
+        else if (source[index] === '}') depth--;
+        index++;
+      }
+      const block = source.slice(position, index).trim();
+      kept.push(prelude.startsWith('@media') ? makeBlockImportant(block) : block);
+      position = index;
+      continue;
+    }
+
+    const close = source.indexOf('}', open);
+    if (close === -1) break;
+    const body = source.slice(open + 1, close);
+    const declarations = parseDeclarations(body);
+    position = close + 1;
+
+    prelude.split(',').map(selector => selector.trim()).filter(Boolean).forEach((selector) => {
+      const parsed = parseSelector(selector);
+      if (parsed) {
+        rules.push({ ...parsed, declarations, order: orderOffset + rules.length });
+      } else {
+        kept.push(`${selector} { ${body.trim()} }`);
+      }
+    });
+  }
+
+  return { rules, kept };
+}
+
+/**
+ * Whether an element matches one compound selector
+ * @param {Object} compound - { tag, id, classes }
+ * @param {Object} element - { tag, id, classes }
+ * @returns {boolean}
+ */
+function matchesCompound(compound, element) {
+  return (!compound.tag || compound.tag === element.tag) &&
+    (!compound.id || compound.id === element.id) &&
+    compound.classes.every(className => element.classes.includes(className));
+}
+
+/**
+ * Whether the ancestors satisfy the rest of a selector
+ * @param {Array} compounds - Parsed selector
+ * @param {number} compoundIndex - Compound to match next (right to left)
+ * @param {Array} ancestors - Open elements, outermost first
+ * @param {number} ancestorIndex - Nearest ancestor still available
+ * @param {string} combinator - How compounds[compoundIndex + 1] relates to this one
+ * @returns {boolean}
+ */
+function matchesAncestors(compounds, compoundIndex, ancestors, ancestorIndex, combinator) {
+  if (compoundIndex < 0) return true;
+  for (let index = ancestorIndex; index >= 0; index--) {
+    if (matchesCompound(compounds[compoundIndex], ancestors[index]) &&
+        matchesAncestors(compounds, compoundIndex - 1, ancestors, index - 1, compounds[compoundIndex].combinator)) {
+      return true;
+    }
+    if (combinator === '>') return false;
+  }
+  return false;
+}
+
+/**
+ * Read an attribute from a tag's attribute text
+ * @param {string} attributes - Text after the tag name
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value, or null when missing
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+}
+
+/**
+ * Move <style> rules onto the elements' style attributes
+ * Rules the inliner can't match (pseudo-classes, *, attribute selectors) and
+ * @media blocks stay in one <style> in the <head>.
+ * @param {string} html - Full HTML document or fragment
+ * @returns {string} HTML with inline styles
+ */
+function inlineCss(html) {
+  const rules = [];
+  const kept = [];
+  let document = html.replace(/<style[^>]*>([\s\S]*?)<\/style>\s*/gi, (match, css) => {
+    const parsed = parseStylesheet(css, rules.length);
+    rules.push(...parsed.rules);
+    kept.push(...parsed.kept);
+    return '';
+  });
+
+  if (rules.length > 0) {
+    const ancestors = [];
+    let inHead = false;
+
+    document = document.replace(/<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g,
+      (tag, closing, tagName, attributes, selfClosing) => {
+        if (!tagName) return tag;
+        const name = tagName.toLowerCase();
+
+        if (name === 'head') {
+          inHead = !closing;
+          return tag;
+        }
+        if (closing) {
+          const openIndex = ancestors.map(element => element.tag).lastIndexOf(name);
+          if (openIndex !== -1) ancestors.length = openIndex;
+          return tag;
+        }
+        if (inHead || name === 'html') {
+          return tag;
+        }
+
+        const element = {
+          tag: name,
+          id: getAttribute(attributes, 'id'),
+          classes: (getAttribute(attributes, 'class') || '').split(/\s+/).filter(Boolean)
+        };
+
+        const matched = rules
+          .filter(rule => matchesCompound(rule.compounds[rule.compounds.length - 1], element) &&
+            matchesAncestors(rule.compounds, rule.compounds.length - 2, ancestors, ancestors.length - 1,
+              rule.compounds[rule.compounds.length - 1].combinator))
+          .sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+
+        if (!VOID_ELEMENTS.includes(name) && !selfClosing) {
+          ancestors.push(element);
+        }
+        if (matched.length === 0) {
+          return tag;
+        }
+
+        // Later, more specific and !important declarations win; the element's own style comes last
+        const styles = new Map();
+        const apply = (declaration) => {
+          const current = styles.get(declaration.property);
+          if (current && current.important && !declaration.important) return;
+          styles.delete(declaration.property);
+          styles.set(declaration.property, declaration);
+        };
+        matched.forEach(rule => rule.declarations.forEach(apply));
+        parseDeclarations(decodeEntities(getAttribute(attributes, 'style') || '')).forEach(apply);
+
+        const style = Array.from(styles.values())
+          .map(d => `${d.property}: ${d.value}${d.important ? ' !important' : ''}`)
+          .join('; ');
+        const otherAttributes = attributes.replace(/\s+style\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i, '');
+        return `<${tagName}${otherAttributes} style="${escapeHtml(style)}"${selfClosing ? ' /' : ''}>`;
+      });
+  }
+
+  if (kept.length === 0) {
+    return document;
+  }
+
+  const styleBlock = `<style>\n${kept.join('\n')}\n</style>\n`;
+  return /<\/head>/i.test(document)
+    ? document.replace(/<\/head>/i, `${styleBlock}</head>`)
+    : styleBlock + document;
+}
+
+// ---------------------------------------------------------------------------
+// Plain text
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate the plain-text part of an email from its HTML
+ * Block elements become line breaks, headings and paragraphs get a blank
+ * line, list items a dash, and links keep their address in brackets.
+ * @param {string} html - Email HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  let text = String(html || '')
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<(style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s+/g, ' ');
+
+  // Links keep their address unless the link text already shows it
+  text = text.replace(/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>([\s\S]*?)<\/a>/gi, (match, doubleQuoted, singleQuoted, label) => {
+    const address = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted).replace(/^(mailto|tel):/i, '');
+    const labelText = decodeEntities(label.replace(/<[^>]+>/g, '')).trim();
+    if (!labelText) return escapeHtml(address);
+    return labelText === address ? label : `${label} (${escapeHtml(address)})`;
+  });
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, `${TEXT_LINE}- `)
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<\/?(h[1-6]|p|table|ul|ol)\b[^>]*>/gi, TEXT_PARAGRAPH)
+    .replace(/<\/?(div|tr|li|section|blockquote|hr)\b[^>]*>/gi, TEXT_LINE)
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/ *[\u0001\u0002][\u0001\u0002 ]*/g, breaks => (breaks.includes(TEXT_PARAGRAPH) ? '\n\n' : '\n'))
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// Public rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Render HTML inside a layout and inline its CSS
+ * @param {string} layoutName - File in templates/layouts/
+ * @param {string} bodyHtml - Already-rendered HTML placed at {{{body}}}
+ * @param {Object} data - Layout values (title, heading, ...)
+ * @returns {string} Full HTML document
+ */
+function renderWithLayout(layoutName, bodyHtml, data = {}) {
+  const layout = loadTemplate('layouts', layoutName);
+  const html = renderNodes(layout.nodes, [{ value: { ...data, body: bodyHtml } }], { escape: true });
+  return inlineCss(html);
+}
+
+/**
+ * Render an email template to HTML
+ * @param {string} name - File in templates/emails/, e.g. 'order-receipt'
+ * @param {Object} data - Values for the template
+ * @returns {string} HTML with inline styles
+ */
+function renderTemplate(name, data = {}) {
+  const template = loadTemplate('emails', name);
+  const scopes = [{ value: data }];
+  const bodyHtml = renderNodes(template.nodes, scopes, { escape: true });
+
+  if (!template.layout) {
+    return inlineCss(bodyHtml);
+  }
+
+  const layoutData = { ...data };
+  Object.keys(template.attributes).forEach((key) => {
+    layoutData[key] = renderNodes(template.attributes[key], scopes, { escape: false });
+  });
+  return renderWithLayout(template.layout, bodyHtml, layoutData);
+}
+
+/**
+ * Render an email template to its HTML and plain-text parts
+ * @param {string} name - File in templates/emails/
+ * @param {Object} data - Values for the template
+ * @returns {Object} { html, text }
+ */
+function renderEmail(name, data = {}) {
+  const html = renderTemplate(name, data);
+  return { html, text: htmlToText(html) };
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  escapeHtml,
+  inlineCss,
+  htmlToText,
+  renderWithLayout,
+  renderTemplate,
+  renderEmail
+};
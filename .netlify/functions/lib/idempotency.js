@@ -0,0 +1,67 @@
+/**
+ * IDEMPOTENCY - ORDER TOKENS AND STRIPE IDEMPOTENCY KEYS
+ *
+ * The browser creates one order token per order and sends it with every
+ * order request. Each Stripe write made for the order uses an idempotency
+ * key built from that token, so double clicks, retries and reopened payment
+ * modals return the original customer, payment intent and subscription
+ * instead of creating new ones.
+ *
+ * Stripe remembers idempotency keys for 24 hours and rejects a reused key
+ * whose request parameters differ (StripeIdempotencyError).
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Idempotent order creation
+ */
+
+const ORDER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Validate a client order token
+ * @param {string} orderToken - Token sent by the browser
+ * @returns {string} The token
+ * @throws {Error} If the token is missing or malformed
+ */
+function validateOrderToken(orderToken) {
+    if (typeof orderToken !== 'string' || !ORDER_TOKEN_PATTERN.test(orderToken)) {
+        throw new Error('Valid order token is required');
+    }
+    return orderToken;
+}
+
+/**
+ * Build the idempotency key for one Stripe write of an order
+ * @param {string} operation - Which write, e.g. 'payment-intent'
+ * @param {string} orderToken - Client order token (or another stable order ID)
+ * @returns {string} Idempotency key
+ */
+function getIdempotencyKey(operation, orderToken) {
+    return `icts-${operation}-${orderToken}`;
+}
+
+/**
+ * Request options for an idempotent Stripe write
+ * @param {string} operation - Which write, e.g. 'payment-intent'
+ * @param {string} orderToken - Client order token (or another stable order ID)
+ * @returns {Object} Stripe request options
+ */
+function idempotent(operation, orderToken) {
+    return { idempotencyKey: getIdempotencyKey(operation, orderToken) };
+}
+
+/**
+ * Whether a Stripe error means the key was already used for this order
+ * (with different parameters, or by a request still in flight)
+ * @param {Error} error - Error thrown by the Stripe client
+ * @returns {boolean} True for idempotency conflicts
+ */
+function isIdempotencyConflict(error) {
+    return Boolean(error) && error.type === 'StripeIdempotencyError';
+}
+
+module.exports = {
+    validateOrderToken,
+    getIdempotencyKey,
+    idempotent,
+    isIdempotencyConflict
+};
@@ -0,0 +1,151 @@
+/**
+ * AWS SES EMAIL HANDLER - LEAD EMAILS
+ * The internal notice for a new waitlist signup, and the follow-up sequence
+ * sent to service inquiries that haven't ordered yet (see lib/leads.js)
+ *
+ * @version 1.0.0 - Lead store and follow-up sequence
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const {
+  CUSTOMER_SERVICE_EMAIL,
+  SITE_URL,
+  escapeHtml,
+  renderBrandedEmail,
+  sendEmail
+} = require('./ses-email');
+
+// One entry per FOLLOW_UP_SEQUENCE step in lib/leads.js
+const FOLLOW_UP_CONTENT = {
+  1: {
+    subject: 'Your tote storage quote - Instant Closet Tote Storage',
+    heading: 'Still Need Some Space?',
+    paragraphs: [
+      'Thanks for asking about Instant Closet Tote Storage. Your quote is waiting whenever you are ready.',
+      'We drop off empty totes, you pack them, and we store them until you want them back.'
+    ]
+  },
+  2: {
+    subject: 'How tote storage works - Instant Closet Tote Storage',
+    heading: 'Storage Without the Trip',
+    paragraphs: [
+      'No truck to rent and no storage unit to drive to. We deliver sturdy totes right to your door.',
+      'When you want something back, book a return from your account and we bring the tote to you.'
+    ]
+  },
+  3: {
+    subject: 'Any questions? - Instant Closet Tote Storage',
+    heading: 'We\'re Here to Help',
+    paragraphs: [
+      'This is our last check-in about your storage inquiry.',
+      'If you have questions about pricing or scheduling, just reply to this email or call us at (828) 455-7793.'
+    ]
+  }
+};
+
+/**
+ * Build the unsubscribe link for a lead
+ * @param {Object} lead - Lead record
+ * @returns {string} Unsubscribe URL
+ */
+function getUnsubscribeUrl(lead) {
+  return `${SITE_URL}/api/lead-unsubscribe?token=${encodeURIComponent(lead.unsubscribe_token)}`;
+}
+
+/**
+ * Tell customer service about a new waitlist signup
+ * @param {Object} lead - Lead record (lib/leads.js)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendWaitlistNotification(lead) {
+  const source = lead.utm_source ? `${lead.utm_source} / ${lead.utm_medium || 'none'}` : 'Direct';
+
+  const html = renderBrandedEmail({
+    title: 'New waitlist signup',
+    heading: 'New Waitlist Signup (Outside Service Area)',
+    contentHtml: `
+            <div class="section">
+                <h2>Contact</h2>
+                <div class="field"><strong>Name:</strong> ${escapeHtml(lead.name)}</div>
+                <div class="field"><strong>Email:</strong> <a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a></div>
+                <div class="field"><strong>Phone:</strong> ${escapeHtml(lead.phone || 'Not provided')}</div>
+                <div class="field"><strong>ZIP Code:</strong> ${escapeHtml(lead.zip || 'Not provided')}</div>
+                <div class="field"><strong>Totes Wanted:</strong> ${escapeHtml(lead.tote_interest || 'Not specified')}</div>
+            </div>
+            <div class="section">
+                <h2>Source</h2>
+                <div class="field"><strong>Campaign:</strong> ${escapeHtml(lead.utm_campaign || 'None')}</div>
+                <div class="field"><strong>Source:</strong> ${escapeHtml(source)}</div>
+            </div>`,
+    footerNote: 'Reply directly to this email to respond to the customer'
+  });
+
+  return sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    replyTo: lead.email,
+    subject: `Waitlist: ${lead.name || lead.email} - ${lead.zip || 'no ZIP'}`,
+    html: html,
+    text: `NEW WAITLIST SIGNUP FROM WEBSITE\n\n` +
+          `Name: ${lead.name || ''}\nEmail: ${lead.email}\nPhone: ${lead.phone || 'Not provided'}\n` +
+          `ZIP: ${lead.zip || 'Not provided'}\nTotes wanted: ${lead.tote_interest || 'Not specified'}\n` +
+          `Source: ${source}\nCampaign: ${lead.utm_campaign || 'None'}`,
+    tags: {
+      Source: 'Website-Waitlist',
+      Type: 'Waitlist-Signup'
+    }
+  });
+}
+
+/**
+ * Send one step of the service inquiry follow-up sequence
+ * @param {Object} lead - Lead record (lib/leads.js)
+ * @param {number} step - Sequence step (1-3)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendLeadFollowUp(lead, step) {
+  const content = FOLLOW_UP_CONTENT[step];
+  if (!content) {
+    throw new Error(`Invalid follow-up step: ${step}`);
+  }
+
+  const firstName = (lead.name || '').split(' ')[0] || 'there';
+  const quoteUrl = `${SITE_URL}/#hero-form`;
+  const unsubscribeUrl = getUnsubscribeUrl(lead);
+
+  const html = renderBrandedEmail({
+    title: content.subject,
+    heading: content.heading,
+    contentHtml: `
+            <div class="section">
+                <h2>Hi ${escapeHtml(firstName)},</h2>
+                ${content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n                ')}
+            </div>
+            <div class="section" style="text-align: center;">
+                <a class="button" href="${escapeHtml(quoteUrl)}">Get My Totes</a>
+            </div>
+            <div class="section">
+                <p><small>Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>.</small></p>
+            </div>`
+  });
+
+  return sendEmail({
+    to: lead.email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: content.subject,
+    html: html,
+    text: `Hi ${firstName},\n\n` +
+          `${content.paragraphs.join('\n\n')}\n\n` +
+          `Get your totes: ${quoteUrl}\n\n` +
+          `Unsubscribe: ${unsubscribeUrl}`,
+    tags: {
+      Source: 'Lead-Follow-Up',
+      Type: `Follow-Up-${step}`
+    }
+  });
+}
+
+module.exports = {
+  FOLLOW_UP_CONTENT,
+  sendWaitlistNotification,
+  sendLeadFollowUp
+};
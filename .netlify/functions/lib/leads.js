@@ -0,0 +1,330 @@
+/**
+ * LEADS - WAITLIST AND NOT-READY-YET VISITORS
+ *
+ * One record per email address for everyone who contacts us without paying:
+ * waitlist signups from outside the service area, service inquiries from the
+ * order form, and general contact messages. Submitting again updates the same
+ * lead instead of creating a duplicate.
+ *
+ * Types (a lead only moves up this list, never down):
+ * - contact           General contact form message
+ * - waitlist          Outside the service area; tell them when we get there
+ * - service_inquiry   In the area and asked about totes - gets the follow-up sequence
+ *
+ * Statuses:
+ * - new           Nobody has followed up yet
+ * - contacted     At least one follow-up email went out
+ * - converted     Placed an order (follow-ups stop)
+ * - unsubscribed  Asked us to stop emailing (follow-ups stop)
+ *
+ * The UTM source is first-touch: the campaign that first brought them in.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lead store and follow-up sequence
+ */
+
+const crypto = require('crypto');
+const { getStore, createId } = require('./store');
+
+const LEADS_COLLECTION = 'leads';
+
+const LEAD_TYPES = ['contact', 'waitlist', 'service_inquiry'];
+
+const LEAD_STATUSES = ['new', 'contacted', 'converted', 'unsubscribed'];
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// Follow-ups for service inquiries, counted from the previous email (or the inquiry)
+const FOLLOW_UP_SEQUENCE = [
+    { step: 1, delayDays: 1 },
+    { step: 2, delayDays: 3 },
+    { step: 3, delayDays: 7 }
+];
+
+const EXPORT_COLUMNS = [
+    'id', 'created_at', 'type', 'status', 'name', 'email', 'phone', 'zip', 'address',
+    'tote_interest', 'submissions', 'follow_up_step', ...UTM_FIELDS, 'landing_page'
+];
+
+/**
+ * Add days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} ISO timestamp
+ */
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Keep only the UTM fields we track, trimmed and shortened
+ * @param {Object} utm - UTM parameters from the browser
+ * @returns {Object} UTM fields (missing ones are null)
+ */
+function cleanUtm(utm) {
+    const input = utm || {};
+    const cleaned = {};
+    UTM_FIELDS.forEach(field => {
+        const value = typeof input[field] === 'string' ? input[field].trim().slice(0, 100) : '';
+        cleaned[field] = value || null;
+    });
+    return cleaned;
+}
+
+/**
+ * Find the lead for an email address
+ * @param {string} email - Email address (any case)
+ * @returns {Object|null} Lead record
+ */
+async function findLeadByEmail(email) {
+    const [lead] = await getStore().find(LEADS_COLLECTION, {
+        email: String(email || '').toLowerCase().trim()
+    });
+    return lead || null;
+}
+
+/**
+ * Record a lead, merging it into the existing lead for the same email
+ * @param {Object} details
+ * @param {string} details.email - Email (unique key)
+ * @param {string} details.type - One of LEAD_TYPES
+ * @param {string} [details.name]
+ * @param {string} [details.phone]
+ * @param {string} [details.zip]
+ * @param {string} [details.address]
+ * @param {number} [details.toteInterest] - Totes they asked about
+ * @param {string} [details.message]
+ * @param {Object} [details.utm] - utm_source, utm_medium, ... from analytics-enhanced.js
+ * @param {string} [details.landingPage] - Page the UTM parameters were on
+ * @returns {Object} { lead, duplicate } - duplicate is true if the email was already a lead
+ */
+async function recordLead(details) {
+    const store = getStore();
+    const email = String(details.email || '').toLowerCase().trim();
+    if (!email) {
+        throw new Error('Lead email is required');
+    }
+    if (!LEAD_TYPES.includes(details.type)) {
+        throw new Error(`Invalid lead type: ${details.type}`);
+    }
+
+    const now = new Date();
+    const fields = {};
+    ['name', 'phone', 'zip', 'address', 'message'].forEach(key => {
+        if (details[key]) fields[key] = details[key];
+    });
+    if (details.toteInterest > 0) {
+        fields.tote_interest = details.toteInterest;
+    }
+
+    const existing = await findLeadByEmail(email);
+    if (existing) {
+        const update = {
+            ...fields,
+            submissions: (existing.submissions || 1) + 1,
+            last_submitted_at: now.toISOString(),
+            updated_at: now.toISOString()
+        };
+
+        // First touch wins - only fill in UTM data if we never had any
+        if (!existing.utm_source && details.utm) {
+            Object.assign(update, cleanUtm(details.utm), { landing_page: details.landingPage || null });
+        }
+
+        if (LEAD_TYPES.indexOf(details.type) > LEAD_TYPES.indexOf(existing.type)) {
+            update.type = details.type;
+        }
+
+        // Became a service inquiry: start the follow-up sequence
+        if (update.type === 'service_inquiry' && existing.status === 'new' && !existing.next_follow_up_at) {
+            update.next_follow_up_at = addDays(now, FOLLOW_UP_SEQUENCE[0].delayDays);
+        }
+
+        const lead = await store.update(LEADS_COLLECTION, existing.id, update);
+        console.log(`🔁 Lead ${lead.id} submitted again (${lead.submissions} times)`);
+        return { lead, duplicate: true };
+    }
+
+    const lead = await store.insert(LEADS_COLLECTION, {
+        id: createId('lead'),
+        email: email,
+        name: null,
+        phone: null,
+        zip: null,
+        address: null,
+        tote_interest: null,
+        message: null,
+        ...fields,
+        type: details.type,
+        status: 'new',
+        ...cleanUtm(details.utm),
+        landing_page: details.landingPage || null,
+        submissions: 1,
+        follow_up_step: 0,
+        next_follow_up_at: details.type === 'service_inquiry'
+            ? addDays(now, FOLLOW_UP_SEQUENCE[0].delayDays)
+            : null,
+        last_follow_up_at: null,
+        unsubscribe_token: crypto.randomBytes(16).toString('hex'),
+        converted_order_id: null,
+        last_submitted_at: now.toISOString(),
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+    });
+    console.log(`🧲 New ${lead.type} lead ${lead.id}`);
+    return { lead, duplicate: false };
+}
+
+/**
+ * List leads, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.type] - Lead type
+ * @param {string} [filters.status] - Lead status
+ * @param {string} [filters.since] - Only leads created on or after this date
+ * @returns {Array} Lead records
+ */
+async function listLeads(filters = {}) {
+    const where = {};
+    if (filters.type) {
+        if (!LEAD_TYPES.includes(filters.type)) {
+            throw new Error(`Invalid lead type: ${filters.type}`);
+        }
+        where.type = filters.type;
+    }
+    if (filters.status) {
+        if (!LEAD_STATUSES.includes(filters.status)) {
+            throw new Error(`Invalid lead status: ${filters.status}`);
+        }
+        where.status = filters.status;
+    }
+
+    let since = null;
+    if (filters.since) {
+        since = new Date(filters.since);
+        if (isNaN(since.getTime())) {
+            throw new Error(`Invalid since date: ${filters.since}`);
+        }
+    }
+
+    const leads = await getStore().find(LEADS_COLLECTION, where);
+    return leads
+        .filter(lead => !since || new Date(lead.created_at) >= since)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Format one CSV cell (quoted, and never starting a spreadsheet formula)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export leads as CSV
+ * @param {Array} leads - Lead records
+ * @returns {string} CSV with a header row
+ */
+function leadsToCsv(leads) {
+    const rows = leads.map(lead => EXPORT_COLUMNS.map(column => toCsvCell(lead[column])).join(','));
+    return [EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Leads whose next follow-up email is due
+ * @param {Date} [now] - Current time
+ * @returns {Array} Lead records
+ */
+async function getDueFollowUps(now = new Date()) {
+    const leads = await getStore().find(LEADS_COLLECTION, { type: 'service_inquiry' });
+    return leads.filter(lead =>
+        (lead.status === 'new' || lead.status === 'contacted') &&
+        lead.next_follow_up_at &&
+        new Date(lead.next_follow_up_at) <= now
+    );
+}
+
+/**
+ * Record that a follow-up email went out and schedule the next one
+ * @param {string} leadId - Lead ID
+ * @param {number} step - Step that was sent
+ * @returns {Object} Updated lead
+ */
+async function recordFollowUpSent(leadId, step) {
+    const now = new Date();
+    const next = FOLLOW_UP_SEQUENCE.find(candidate => candidate.step === step + 1);
+
+    return getStore().update(LEADS_COLLECTION, leadId, {
+        status: 'contacted',
+        follow_up_step: step,
+        last_follow_up_at: now.toISOString(),
+        next_follow_up_at: next ? addDays(now, next.delayDays) : null,
+        updated_at: now.toISOString()
+    });
+}
+
+/**
+ * Mark a lead as converted once they place an order (stops follow-ups)
+ * @param {string} email - Customer email
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} Updated lead, or null if they were never a lead
+ */
+async function markLeadConverted(email, orderId) {
+    const lead = await findLeadByEmail(email);
+    if (!lead || lead.status === 'converted') {
+        return lead;
+    }
+
+    console.log(`🎯 Lead ${lead.id} converted with order ${orderId}`);
+    return getStore().update(LEADS_COLLECTION, lead.id, {
+        status: 'converted',
+        converted_order_id: orderId,
+        next_follow_up_at: null,
+        updated_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Stop emailing a lead (link in every follow-up email)
+ * @param {string} token - The lead's unsubscribe token
+ * @returns {Object} Updated lead
+ */
+async function unsubscribeLead(token) {
+    if (!/^[a-f0-9]{32}$/.test(String(token || ''))) {
+        throw new Error('Invalid unsubscribe link');
+    }
+
+    const [lead] = await getStore().find(LEADS_COLLECTION, { unsubscribe_token: token });
+    if (!lead) {
+        throw new Error('Invalid unsubscribe link');
+    }
+
+    return getStore().update(LEADS_COLLECTION, lead.id, {
+        status: 'unsubscribed',
+        next_follow_up_at: null,
+        updated_at: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    LEADS_COLLECTION,
+    LEAD_TYPES,
+    LEAD_STATUSES,
+    UTM_FIELDS,
+    FOLLOW_UP_SEQUENCE,
+    findLeadByEmail,
+    recordLead,
+    listLeads,
+    toCsvCell,
+    leadsToCsv,
+    getDueFollowUps,
+    recordFollowUpSent,
+    markLeadConverted,
+    unsubscribeLead
+};
@@ -0,0 +1,186 @@
+/**
+ * AWS SES EMAIL HANDLER - LIFECYCLE EMAILS
+ * The scheduled customer emails picked by lib/lifecycle.js: welcome after the
+ * first order, a reminder the day before each trip, a notice before each
+ * renewal charge and an update once picked-up totes are in storage. The
+ * content is in templates/emails/.
+ *
+ * @version 1.0.0 - Lifecycle email sequence
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const {
+  CUSTOMER_SERVICE_EMAIL,
+  SITE_URL,
+  renderTemplateEmail,
+  sendEmail
+} = require('./ses-email');
+
+// What the trip reminder says for each delivery job type
+const TRIP_REMINDERS = {
+  empty_tote_delivery: {
+    subject: 'Your empty totes arrive tomorrow',
+    heading: 'Totes Arrive Tomorrow',
+    intro: 'We\'re dropping off your empty totes tomorrow.',
+    checklist: [
+      'Clear a spot by the door for the totes',
+      'Let us know if there\'s a gate code or a better entrance'
+    ]
+  },
+  tote_pickup: {
+    subject: 'We pick up your totes tomorrow',
+    heading: 'Pickup Tomorrow',
+    intro: 'We\'re picking up your packed totes tomorrow.',
+    checklist: [
+      'Close each lid until it clicks',
+      'Keep the QR label on each tote where we can scan it',
+      'Add what\'s inside each tote on your account page so you can find it later'
+    ]
+  },
+  tote_return: {
+    subject: 'Your totes come back tomorrow',
+    heading: 'Return Tomorrow',
+    intro: 'We\'re bringing your stored totes back tomorrow.',
+    checklist: []
+  }
+};
+
+/**
+ * First name for the greeting
+ * @param {string} [name] - Full name
+ * @returns {string} First name, or 'there'
+ */
+function getFirstName(name) {
+  return (name || '').split(' ')[0] || 'there';
+}
+
+/**
+ * Welcome a customer after their first paid order
+ * @param {Object} options
+ * @param {string} options.email - Customer email
+ * @param {string} [options.name] - Customer name
+ * @param {Object} options.order - Order record (tote_quantity, delivery_window_label)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendWelcomeEmail({ email, name, order }) {
+  const { html, text } = renderTemplateEmail('welcome', {
+    first_name: getFirstName(name),
+    tote_quantity: order.tote_quantity,
+    delivery_window: order.delivery_window_label,
+    account_url: `${SITE_URL}/account.html`
+  });
+
+  return sendEmail({
+    to: email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: 'Welcome to Instant Closet Tote Storage',
+    html: html,
+    text: text,
+    tags: {
+      Source: 'Lifecycle',
+      Type: 'Welcome'
+    }
+  });
+}
+
+/**
+ * Remind a customer about tomorrow's delivery, pickup or return
+ * @param {Object} options
+ * @param {Object} options.job - Scheduled delivery job
+ * @param {Object} options.customer - Customer record (name, email)
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendTripReminder({ job, customer }) {
+  const content = TRIP_REMINDERS[job.type];
+
+  const { html, text } = renderTemplateEmail('trip-reminder', {
+    heading: content.heading,
+    intro: content.intro,
+    checklist: content.checklist,
+    first_name: getFirstName(customer.name),
+    window_label: job.window_label,
+    address: job.address || customer.address || 'The address on your account',
+    tote_count: job.tote_count,
+    tote_id_list: (job.totes || []).join(', ')
+  });
+
+  return sendEmail({
+    to: customer.email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: `${content.subject} - Instant Closet Tote Storage`,
+    html: html,
+    text: text,
+    tags: {
+      Source: 'Lifecycle',
+      Type: 'Trip-Reminder'
+    }
+  });
+}
+
+/**
+ * Tell a customer about their next renewal charge
+ * @param {Object} options
+ * @param {string} options.email - Customer email
+ * @param {string} [options.name] - Customer name
+ * @param {number} options.amountCents - Amount of the upcoming invoice
+ * @param {string} options.chargeDate - Formatted charge date
+ * @param {number} options.toteQuantity - Totes on the subscription
+ * @param {string} options.planLabel - e.g. 'Monthly'
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendBillingNotice({ email, name, amountCents, chargeDate, toteQuantity, planLabel }) {
+  const { html, text } = renderTemplateEmail('billing-notice', {
+    first_name: getFirstName(name),
+    amount: (amountCents / 100).toFixed(2),
+    charge_date: chargeDate,
+    tote_quantity: toteQuantity,
+    plan_label: planLabel,
+    account_url: `${SITE_URL}/account.html`
+  });
+
+  return sendEmail({
+    to: email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: `Your next payment is on ${chargeDate} - Instant Closet Tote Storage`,
+    html: html,
+    text: text,
+    tags: {
+      Source: 'Lifecycle',
+      Type: 'Billing-Notice'
+    }
+  });
+}
+
+/**
+ * Tell a customer their picked-up totes are in storage
+ * @param {Object} options
+ * @param {Object} options.customer - Customer record (name, email)
+ * @param {Array} options.toteIds - Totes now in storage
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendStoredUpdate({ customer, toteIds }) {
+  const { html, text } = renderTemplateEmail('stored-update', {
+    first_name: getFirstName(customer.name),
+    tote_id_list: toteIds.join(', '),
+    account_url: `${SITE_URL}/account.html`
+  });
+
+  return sendEmail({
+    to: customer.email,
+    replyTo: CUSTOMER_SERVICE_EMAIL,
+    subject: 'Your items are safely stored - Instant Closet Tote Storage',
+    html: html,
+    text: text,
+    tags: {
+      Source: 'Lifecycle',
+      Type: 'Stored-Update'
+    }
+  });
+}
+
+module.exports = {
+  sendWelcomeEmail,
+  sendTripReminder,
+  sendBillingNotice,
+  sendStoredUpdate
+};
@@ -0,0 +1,339 @@
+/**
+ * LIFECYCLE EMAILS - SCHEDULED CUSTOMER EMAILS WITH SEND TRACKING
+ *
+ * Picks the customer emails that are due, run daily by the
+ * customer-lifecycle scheduled function:
+ * - welcome          After a customer's first paid order
+ * - trip_reminder    The day before a scheduled delivery, pickup or return
+ * - billing_notice   billingNoticeDays before a subscription renews
+ * - stored_update    Once a completed pickup has had time to reach storage
+ *
+ * Every message has a key naming what it is about, e.g.
+ * trip_reminder:job_abc:2026-10-21, and is recorded in the lifecycle_emails
+ * collection under that key before it is sent. A key that was already sent
+ * (or is being sent) is skipped, so a message goes out at most once. A failed
+ * send is retried on the next run while the message is still due. A
+ * rescheduled trip gets a new key, so its new date is reminded too.
+ *
+ * Environment Variables:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard (billing notices)
+ * - ICTS_LIFECYCLE_EMAILS: JSON overriding any LIFECYCLE_CONFIG field, e.g.
+ *   {"billingNoticeDays":5}
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lifecycle email sequence
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore } = require('./store');
+const { COLLECTIONS, DELIVERY_JOB_TYPES } = require('./orders');
+const { getTote } = require('./totes');
+const { getCalendarConfig, getLocalDate, addDays } = require('./delivery-calendar');
+const pricing = require('./pricing');
+const billingSchedule = require('./billing-schedule');
+const {
+    sendWelcomeEmail,
+    sendTripReminder,
+    sendBillingNotice,
+    sendStoredUpdate
+} = require('./lifecycle-emails');
+
+const LIFECYCLE_EMAILS_COLLECTION = 'lifecycle_emails';
+
+const LIFECYCLE_EMAIL_TYPES = ['welcome', 'trip_reminder', 'billing_notice', 'stored_update'];
+
+const LIFECYCLE_CONFIG = {
+    billingNoticeDays: 3,         // Days before a renewal charge to send the notice
+    storedUpdateDelayHours: 2,    // Wait after a pickup before saying the totes are stored
+    lookbackDays: 7               // Welcome and stored updates only for orders and pickups this recent
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the lifecycle email configuration (defaults + ICTS_LIFECYCLE_EMAILS)
+ * @returns {Object} Lifecycle configuration
+ */
+function getLifecycleConfig() {
+    if (!process.env.ICTS_LIFECYCLE_EMAILS) {
+        return LIFECYCLE_CONFIG;
+    }
+
+    try {
+        return { ...LIFECYCLE_CONFIG, ...JSON.parse(process.env.ICTS_LIFECYCLE_EMAILS) };
+    } catch (error) {
+        console.error('⚠️ ICTS_LIFECYCLE_EMAILS is not valid JSON, using defaults:', error.message);
+        return LIFECYCLE_CONFIG;
+    }
+}
+
+/**
+ * Record a message as being sent, unless it already was
+ * @param {string} key - Message key, e.g. welcome:cust_abc
+ * @param {Object} details - { type, email, reference }
+ * @returns {Object|null} Tracking record, or null if the message was already sent or is being sent
+ */
+async function claimMessage(key, details) {
+    const store = getStore();
+    const now = new Date().toISOString();
+
+    const existing = await store.get(LIFECYCLE_EMAILS_COLLECTION, key);
+    if (existing) {
+        if (existing.status !== 'failed') {
+            return null;
+        }
+        return store.update(LIFECYCLE_EMAILS_COLLECTION, key, {
+            status: 'sending',
+            attempts: existing.attempts + 1,
+            updated_at: now
+        });
+    }
+
+    try {
+        return await store.insert(LIFECYCLE_EMAILS_COLLECTION, {
+            id: key,
+            type: details.type,
+            email: details.email,
+            reference: details.reference,
+            status: 'sending',
+            attempts: 1,
+            message_id: null,
+            error: null,
+            sent_at: null,
+            created_at: now,
+            updated_at: now
+        });
+    } catch (error) {
+        // Another run claimed it first
+        if (error.message.includes('already exists')) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Send a message once, recording the outcome under its key
+ * @param {string} key - Message key
+ * @param {Object} details - { type, email, reference }
+ * @param {Function} send - Sends the email; resolves to the SES message ID
+ * @returns {string} 'sent', 'failed' or 'skipped'
+ */
+async function sendTracked(key, details, send) {
+    if (!details.email) {
+        console.warn(`⚠️ No email for ${key} - not sent`);
+        return 'skipped';
+    }
+
+    const claimed = await claimMessage(key, details);
+    if (!claimed) {
+        return 'skipped';
+    }
+
+    try {
+        const messageId = await send();
+        const now = new Date().toISOString();
+        await getStore().update(LIFECYCLE_EMAILS_COLLECTION, key, {
+            status: 'sent',
+            message_id: messageId,
+            error: null,
+            sent_at: now,
+            updated_at: now
+        });
+        return 'sent';
+    } catch (error) {
+        console.error(`❌ Lifecycle email ${key} failed:`, error.message);
+        await getStore().update(LIFECYCLE_EMAILS_COLLECTION, key, {
+            status: 'failed',
+            error: error.message,
+            updated_at: new Date().toISOString()
+        });
+        return 'failed';
+    }
+}
+
+/**
+ * Welcome customers whose first paid order is recent
+ * @param {Date} now - Current time
+ * @param {Object} config - Lifecycle configuration
+ * @returns {Array} Send outcomes
+ */
+async function sendDueWelcomes(now, config) {
+    const store = getStore();
+    const since = now.getTime() - config.lookbackDays * DAY_MS;
+
+    // Each customer's first order that was paid (abandoned checkouts don't count)
+    const firstOrders = new Map();
+    (await store.find(COLLECTIONS.ORDERS, {}))
+        .filter(order => order.status !== 'pending_payment')
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .forEach((order) => {
+            const customerKey = order.customer_id || order.customer_email;
+            if (!firstOrders.has(customerKey)) {
+                firstOrders.set(customerKey, order);
+            }
+        });
+
+    const outcomes = [];
+    for (const [customerKey, order] of firstOrders) {
+        if (order.status === 'canceled' || new Date(order.created_at).getTime() < since) {
+            continue;
+        }
+        const customer = order.customer_id ? await store.get(COLLECTIONS.CUSTOMERS, order.customer_id) : null;
+        const email = (customer && customer.email) || order.customer_email;
+        outcomes.push(await sendTracked(`welcome:${customerKey}`, {
+            type: 'welcome',
+            email: email,
+            reference: order.id
+        }, () => sendWelcomeEmail({ email, name: customer && customer.name, order })));
+    }
+    return outcomes;
+}
+
+/**
+ * Remind customers about tomorrow's deliveries, pickups and returns
+ * @param {Date} now - Current time
+ * @returns {Array} Send outcomes
+ */
+async function sendDueTripReminders(now) {
+    const store = getStore();
+    const timeZone = getCalendarConfig().timeZone;
+    const tomorrow = addDays(getLocalDate(now, timeZone), 1);
+
+    const jobs = (await store.find(COLLECTIONS.DELIVERY_JOBS, { status: 'scheduled' }))
+        .filter(job => job.scheduled_for && getLocalDate(new Date(job.scheduled_for), timeZone) === tomorrow);
+
+    const outcomes = [];
+    for (const job of jobs) {
+        const customer = job.customer_id ? await store.get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+        outcomes.push(await sendTracked(`trip_reminder:${job.id}:${tomorrow}`, {
+            type: 'trip_reminder',
+            email: customer && customer.email,
+            reference: job.id
+        }, () => sendTripReminder({ job, customer })));
+    }
+    return outcomes;
+}
+
+/**
+ * Tell customers about renewal charges in the next billingNoticeDays
+ * Subscriptions set to cancel at period end won't be charged and are skipped.
+ * @param {Date} now - Current time
+ * @param {Object} config - Lifecycle configuration
+ * @returns {Array} Send outcomes
+ */
+async function sendDueBillingNotices(now, config) {
+    const until = now.getTime() + config.billingNoticeDays * DAY_MS;
+    const outcomes = [];
+
+    for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100, expand: ['data.customer'] })) {
+        const chargeAt = subscription.current_period_end * 1000;
+        if (!['active', 'trialing'].includes(subscription.status) || subscription.cancel_at_period_end ||
+            chargeAt <= now.getTime() || chargeAt > until) {
+            continue;
+        }
+
+        const customer = subscription.customer && typeof subscription.customer === 'object' ? subscription.customer : {};
+        const customerMetadata = customer.metadata || {};
+        const email = customer.email || customerMetadata.customer_email;
+        const chargeDate = new Date(chargeAt);
+
+        outcomes.push(await sendTracked(`billing_notice:${subscription.id}:${chargeDate.toISOString().slice(0, 10)}`, {
+            type: 'billing_notice',
+            email: email,
+            reference: subscription.id
+        }, async () => {
+            const upcoming = await stripe.invoices.retrieveUpcoming({
+                customer: customer.id || subscription.customer,
+                subscription: subscription.id
+            });
+            return sendBillingNotice({
+                email: email,
+                name: customer.name || customerMetadata.customer_name,
+                amountCents: upcoming.amount_due,
+                chargeDate: billingSchedule.formatBillingDate(chargeDate),
+                toteQuantity: parseInt(subscription.metadata.tote_quantity) || null,
+                planLabel: pricing.getPlan(subscription.metadata.plan).label
+            });
+        }));
+    }
+    return outcomes;
+}
+
+/**
+ * Tell customers their recently picked-up totes are in storage
+ * @param {Date} now - Current time
+ * @param {Object} config - Lifecycle configuration
+ * @returns {Array} Send outcomes
+ */
+async function sendDueStoredUpdates(now, config) {
+    const store = getStore();
+    const readyBefore = now.getTime() - config.storedUpdateDelayHours * 60 * 60 * 1000;
+    const since = now.getTime() - config.lookbackDays * DAY_MS;
+
+    const pickups = (await store.find(COLLECTIONS.DELIVERY_JOBS, { type: DELIVERY_JOB_TYPES.TOTE_PICKUP, status: 'completed' }))
+        .filter((job) => {
+            const completedAt = new Date(job.completed_at).getTime();
+            return completedAt <= readyBefore && completedAt >= since;
+        });
+
+    const outcomes = [];
+    for (const job of pickups) {
+        // Only totes still in storage (one may already be on its way back)
+        const toteIds = [];
+        for (const toteId of (job.proof && job.proof.scanned_totes) || job.totes || []) {
+            const tote = await getTote(toteId);
+            if (tote && tote.status === 'in_storage') {
+                toteIds.push(toteId);
+            }
+        }
+        if (toteIds.length === 0) {
+            continue;
+        }
+
+        const customer = job.customer_id ? await store.get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+        outcomes.push(await sendTracked(`stored_update:${job.id}`, {
+            type: 'stored_update',
+            email: customer && customer.email,
+            reference: job.id
+        }, () => sendStoredUpdate({ customer, toteIds })));
+    }
+    return outcomes;
+}
+
+/**
+ * Send every lifecycle email that is due
+ * One kind failing (e.g. Stripe is down) doesn't stop the others.
+ * @param {Date} [now] - Current time
+ * @returns {Object} Counts by type, e.g. { welcome: { sent: 1, failed: 0, skipped: 2 }, ... }
+ */
+async function sendDueLifecycleEmails(now = new Date()) {
+    const config = getLifecycleConfig();
+    const senders = {
+        welcome: () => sendDueWelcomes(now, config),
+        trip_reminder: () => sendDueTripReminders(now),
+        billing_notice: () => sendDueBillingNotices(now, config),
+        stored_update: () => sendDueStoredUpdates(now, config)
+    };
+
+    const summary = {};
+    for (const type of LIFECYCLE_EMAIL_TYPES) {
+        summary[type] = { sent: 0, failed: 0, skipped: 0 };
+        try {
+            const outcomes = await senders[type]();
+            outcomes.forEach((outcome) => { summary[type][outcome]++; });
+        } catch (error) {
+            console.error(`❌ Could not check ${type} emails:`, error.message);
+            summary[type].error = error.message;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    LIFECYCLE_EMAILS_COLLECTION,
+    LIFECYCLE_EMAIL_TYPES,
+    LIFECYCLE_CONFIG,
+    getLifecycleConfig,
+    sendDueLifecycleEmails
+};
@@ -0,0 +1,155 @@
+/**
+ * ORDER CONFIRMATION EMAILS - SHARED SES MODULE
+ * Builds and sends the customer receipt and the internal order notification
+ * Used by the send-order-confirmation endpoint and by server-side order fulfillment
+ * 
+ * @version 1.8.0 - Emails rendered from templates/ by the shared templating engine
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const pricing = require('./pricing');
+const billingSchedule = require('./billing-schedule');
+const { CUSTOMER_SERVICE_EMAIL, renderTemplateEmail, sendEmail } = require('./ses-email');
+
+/**
+ * Clean a value for the email templates (they escape it when rendering)
+ * @param {*} str - Raw value
+ * @returns {string} Text without HTML tags, or 'Not provided' when empty
+ */
+function sanitize(str) {
+  if (!str) return 'Not provided';
+  return String(str)
+    .replace(/<[^>]*>?/gm, '') // Remove HTML tags
+    .trim();
+}
+
+/**
+ * Clean a list of tote IDs (array or comma-separated string)
+ * @param {Array|string} toteIds - Raw tote IDs
+ * @returns {string[]} Valid tote IDs, e.g. ['T-7K3QXM']
+ */
+function sanitizeToteIds(toteIds) {
+  const list = Array.isArray(toteIds) ? toteIds : String(toteIds || '').split(',');
+  return list
+    .map(toteId => String(toteId).trim().toUpperCase())
+    .filter(toteId => /^T-[A-Z0-9]{4,12}$/.test(toteId));
+}
+
+/**
+ * Sanitize raw order confirmation data
+ * @param {Object} data - Raw order confirmation data
+ * @returns {Object} Sanitized order data used by the email templates
+ */
+function sanitizeOrderData(data) {
+  return {
+    customer_name: sanitize(data.customer_name),
+    to_email: sanitize(data.to_email),
+    order_id: sanitize(data.order_id),
+    payment_intent_id: sanitize(data.payment_intent_id),
+    subscription_id: sanitize(data.subscription_id) || 'Not provided',
+    amount_paid: parseFloat(data.amount_paid).toFixed(2),
+    tax_amount: (parseFloat(data.tax_amount) || 0).toFixed(2),
+    tax_label: data.tax_label ? sanitize(data.tax_label) : 'Sales tax',
+    tote_quantity: parseInt(data.tote_quantity) || 0,
+    plan: pricing.PRICING_CONFIG.plans[data.plan] ? data.plan : pricing.PRICING_CONFIG.defaultPlan,
+    next_billing_date: data.next_billing_date && !isNaN(Date.parse(data.next_billing_date)) ? data.next_billing_date : null,
+    customer_address: sanitize(data.customer_address),
+    customer_phone: sanitize(data.customer_phone),
+    delivery_window: sanitize(data.delivery_window),
+    tote_ids: sanitizeToteIds(data.tote_ids),
+    payment_date: data.payment_date || new Date().toLocaleString('en-US', { 
+      timeZone: 'America/New_York',
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })
+  };
+}
+
+/**
+ * Send the customer receipt and the internal order notification via AWS SES
+ * Both emails are templates/emails/ files; this only works out the values.
+ * @param {Object} data - Raw order confirmation data (customer_name, to_email, order_id, ...)
+ * @returns {Promise<Object>} Message IDs for both emails
+ */
+async function sendOrderConfirmationEmails(data) {
+  const sanitizedData = sanitizeOrderData(data);
+
+  // Billing plan chosen at checkout (monthly, or prepaid for several months)
+  const plan = pricing.getPlan(sanitizedData.plan);
+  const isPrepaid = plan.months > 1;
+
+  // The subscription's first invoice date, or the billing schedule's for an order placed now
+  const nextBilling = sanitizedData.next_billing_date
+    || billingSchedule.getFirstInvoiceDate(new Date(), { billingMonths: plan.months });
+
+  // One billing period of the plan from the shared pricing engine
+  const perToteRate = (pricing.calculatePeriodCents(1, plan.id) / 100).toFixed(2);
+
+  // The amount paid includes sales tax; the setup fee is shown before tax
+  const hasTax = parseFloat(sanitizedData.tax_amount) > 0;
+
+  const templateData = {
+    ...sanitizedData,
+    subscription_id: sanitizedData.subscription_id !== 'Not provided' ? sanitizedData.subscription_id : null,
+    delivery_window: sanitizedData.delivery_window !== 'Not provided' ? sanitizedData.delivery_window : null,
+    stripe_payment_id: sanitizedData.payment_intent_id !== 'Not provided' && sanitizedData.payment_intent_id !== sanitizedData.order_id
+      ? sanitizedData.payment_intent_id
+      : null,
+    tote_id_list: sanitizedData.tote_ids.join(', '),
+    has_tax: hasTax,
+    setup_fee: (parseFloat(sanitizedData.amount_paid) - parseFloat(sanitizedData.tax_amount)).toFixed(2),
+    is_prepaid: isPrepaid,
+    plan_months: plan.months,
+    plan_name: plan.label,
+    plan_label: plan.percentOff ? `${plan.label} (${plan.percentOff}% off)` : plan.label,
+    service_type: isPrepaid ? `Prepaid Tote Storage Service (${plan.label})` : 'Monthly Tote Storage Service',
+    rate_display: isPrepaid ? `$${perToteRate} per tote every ${plan.months} months` : `$${perToteRate} per tote`,
+    next_billing_date: billingSchedule.formatBillingDate(nextBilling),
+    next_billing_amount: (pricing.calculatePeriodCents(sanitizedData.tote_quantity, plan.id) / 100).toFixed(2)
+  };
+
+  console.log('📤 Sending customer receipt via AWS SES...');
+
+  const receipt = renderTemplateEmail('order-receipt', templateData);
+  const customerMessageId = await sendEmail({
+    to: sanitizedData.to_email,
+    subject: `Order Receipt - Instant Closet Tote Storage #${sanitizedData.order_id}`,
+    html: receipt.html,
+    text: receipt.text,
+    tags: {
+      Source: 'Customer-Receipt',
+      Type: 'Order-Confirmation'
+    }
+  });
+
+  console.log('📤 Now sending internal order notification...');
+
+  const notification = renderTemplateEmail('order-notification', templateData);
+  const internalMessageId = await sendEmail({
+    to: CUSTOMER_SERVICE_EMAIL,
+    replyTo: sanitizedData.to_email,
+    subject: `New Order Alert: ${sanitizedData.customer_name} - ${sanitizedData.tote_quantity} totes - ${sanitizedData.amount_paid}`,
+    html: notification.html,
+    text: notification.text,
+    tags: {
+      Source: 'Internal-Order-Notification',
+      Type: 'New-Order'
+    }
+  });
+
+  console.log('🎉 Both emails sent! Customer:', customerMessageId, 'Internal:', internalMessageId);
+
+  return {
+    customerMessageId: customerMessageId,
+    internalMessageId: internalMessageId,
+    customerEmail: sanitizedData.to_email,
+    orderId: sanitizedData.order_id
+  };
+}
+
+module.exports = {
+  sanitizeOrderData,
+  sendOrderConfirmationEmails
+};
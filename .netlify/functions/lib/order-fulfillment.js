@@ -0,0 +1,482 @@
+/**
+ * ORDER FULFILLMENT - SERVER-SIDE COMPLETION OF A PAID ORDER
+ *
+ * Finishes an order once its setup payment intent has succeeded:
+ * 1. Creates the monthly subscription (if not created yet)
+ * 2. Records the payment in the order store (status, setup delivery jobs)
+ *    and assigns the customer's totes (IDs for the QR labels); a lead with
+ *    the same email is marked converted so its follow-up emails stop, and a
+ *    referral code used at checkout is recorded for the referrer's credit
+ *    (a Stripe promotion code's use is recorded for its redemption limits);
+ *    the setup charge's sales tax is reported to Stripe Tax (if used);
+ *    the customer is texted their delivery window (sms-notifications.js)
+ * 3. Sends the customer receipt and internal notification (if not sent yet)
+ *
+ * The browser flow and the Stripe webhook both call this, usually at the
+ * same moment. Every step after the subscription is claimed in the
+ * fulfillment_steps store collection (key <payment intent>:<step>) before
+ * it runs, so only one run does it; the other waits for it to finish, then
+ * skips it and reads the result from the store. A step that fails is retried
+ * by the next call. Waiting is capped per run (STEP_WAIT_BUDGET_MS, well
+ * inside the function timeout); steps still running elsewhere after that
+ * are reported as `pending` and the confirmation is not counted as sent, so
+ * the webhook answers with an error and Stripe retries it. Subscription
+ * creation is safe without a claim: it looks up `original_payment_intent`
+ * first and uses idempotency keys. If the store can't be reached, steps run
+ * without a claim, as before claims existed; the receipt is then guarded
+ * only by `confirmation_sent_at`.
+ *
+ * Progress is also recorded on the payment intent metadata (`subscription_id`,
+ * `confirmation_sent_at`, `tax_transaction`) for the dashboard and for
+ * payments fulfilled before the step claims existed. A failed subscription
+ * creation is recorded as `subscription_error` (shown on the admin
+ * dashboard) and cleared once a later attempt succeeds.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.12.0 - Bounded waits, honest pending state, no store needed for the receipt
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getMonthlyAmount, getNextBillingDate, createSubscriptionForPaymentIntent } = require('./subscriptions');
+const { sendOrderConfirmationEmails } = require('./order-confirmation-email');
+const { getStore, createId } = require('./store');
+const {
+    recordSetupPayment,
+    addOrderNote,
+    listDeliveryJobs,
+    getOrder,
+    findOrderByPaymentIntent,
+    updateOrder
+} = require('./orders');
+const { assignTotes, listTotes } = require('./totes');
+const { markLeadConverted } = require('./leads');
+const { recordReferral } = require('./referrals');
+const { recordPromotionRedemption } = require('./promotions');
+const { recordSetupTax } = require('./tax');
+const { sendWindowConfirmation } = require('./sms-notifications');
+
+const FULFILLMENT_STEPS_COLLECTION = 'fulfillment_steps';
+
+// A claim this old belongs to a run that stopped part way; another run may take the step over
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// How long one run may wait, in total, for steps another run is doing
+// (functions time out after 10 seconds), and how often it checks
+const STEP_WAIT_BUDGET_MS = 4000;
+const STEP_POLL_MS = 250;
+
+/**
+ * Build the order confirmation email payload from payment intent metadata
+ * @param {Object} paymentIntent - Succeeded Stripe payment intent
+ * @param {Object|null} subscription - Stripe subscription, if one exists
+ * @returns {Object} Data for sendOrderConfirmationEmails
+ */
+function buildConfirmationData(paymentIntent, subscription) {
+    const metadata = paymentIntent.metadata;
+
+    return {
+        customer_name: metadata.customer_name,
+        to_email: metadata.customer_email,
+        order_id: metadata.order_id || paymentIntent.id,
+        payment_intent_id: paymentIntent.id,
+        subscription_id: subscription ? subscription.id : 'Pending setup',
+        amount_paid: ((paymentIntent.amount_received || paymentIntent.amount) / 100).toFixed(2),
+        tax_amount: ((parseInt(metadata.tax_cents) || 0) / 100).toFixed(2),
+        tax_label: metadata.tax_label || '',
+        tote_quantity: metadata.tote_quantity,
+        plan: metadata.plan || '',
+        next_billing_date: subscription && subscription.trial_end
+            ? new Date(subscription.trial_end * 1000).toISOString()
+            : new Date(getNextBillingDate(new Date(paymentIntent.created * 1000), parseInt(metadata.billing_months) || 1) * 1000).toISOString(),
+        customer_address: metadata.customer_address,
+        customer_phone: metadata.customer_phone,
+        delivery_window: metadata.delivery_window_label || '',
+        payment_date: new Date(paymentIntent.created * 1000).toLocaleDateString('en-US', {
+            timeZone: 'America/New_York',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        })
+    };
+}
+
+/**
+ * Claim one fulfillment step for this run
+ * The claim is a store record keyed by payment intent and step; inserting it
+ * fails if another run got there first. A failed step, or one whose run
+ * stopped part way (claim older than STALE_CLAIM_MS), can be claimed again:
+ * the run taking it over first inserts a record for the new attempt number
+ * (`<key>#<attempt>`), so only one of several runs doing so at once gets it.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} step - Step name, e.g. 'confirmation'
+ * @param {string} source - Caller name
+ * @returns {string} 'claimed', or 'done' / 'running' if another run has it
+ * @throws {Error} If the store can't be read or written
+ */
+async function claimStep(paymentIntentId, step, source) {
+    const store = getStore();
+    const key = `${paymentIntentId}:${step}`;
+    const now = new Date();
+
+    const existing = await store.get(FULFILLMENT_STEPS_COLLECTION, key);
+    if (existing) {
+        const stale = existing.status === 'running' &&
+            now.getTime() - new Date(existing.updated_at).getTime() > STALE_CLAIM_MS;
+        if (existing.status !== 'failed' && !stale) {
+            return existing.status;
+        }
+
+        const attempt = (existing.attempts || 1) + 1;
+        try {
+            await store.insert(FULFILLMENT_STEPS_COLLECTION, {
+                id: `${key}#${attempt}`,
+                payment_intent_id: paymentIntentId,
+                step: step,
+                source: source,
+                created_at: now.toISOString()
+            });
+        } catch (error) {
+            // Another run took it over first
+            if (error.message.includes('already exists')) {
+                return 'running';
+            }
+            throw error;
+        }
+        await store.update(FULFILLMENT_STEPS_COLLECTION, key, {
+            status: 'running',
+            source: source,
+            attempts: attempt,
+            updated_at: now.toISOString()
+        });
+        return 'claimed';
+    }
+
+    try {
+        await store.insert(FULFILLMENT_STEPS_COLLECTION, {
+            id: key,
+            payment_intent_id: paymentIntentId,
+            step: step,
+            status: 'running',
+            source: source,
+            attempts: 1,
+            error: null,
+            created_at: now.toISOString(),
+            updated_at: now.toISOString()
+        });
+        return 'claimed';
+    } catch (error) {
+        // Another run claimed it first
+        if (error.message.includes('already exists')) {
+            return 'running';
+        }
+        throw error;
+    }
+}
+
+/**
+ * Record how a claimed step ended
+ * A store error here is only logged: the step itself already happened (or
+ * failed), and the claim goes stale and is retried if it stays 'running'.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} step - Step name
+ * @param {Object} fields - { status, error }
+ */
+async function finishStep(paymentIntentId, step, fields) {
+    try {
+        await getStore().update(FULFILLMENT_STEPS_COLLECTION, `${paymentIntentId}:${step}`, {
+            ...fields,
+            updated_at: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`⚠️ Could not record fulfillment step '${step}' as ${fields.status}:`, error.message);
+    }
+}
+
+/**
+ * Run a fulfillment step unless another run has done it or is doing it
+ * While another run is doing it, wait (until run.waitUntil) for it to
+ * finish, so later steps see its result; if it failed meanwhile, this run
+ * retries it. Without a store to claim in, the step just runs.
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} step - Step name
+ * @param {Object} run - This fulfillment run: { source, waitUntil, pending } (pending is set here)
+ * @param {Function} work - Does the step; may return a value
+ * @returns {Object} { ran, value, pending } - pending if another run was still on it after the wait
+ * @throws {Error} What the step threw (the step is marked failed so a later run retries it)
+ */
+async function runStep(paymentIntentId, step, run, work) {
+    let claim;
+    try {
+        claim = await claimStep(paymentIntentId, step, run.source);
+        while (claim === 'running' && Date.now() < run.waitUntil) {
+            await new Promise(resolve => setTimeout(resolve, STEP_POLL_MS));
+            claim = await claimStep(paymentIntentId, step, run.source);
+        }
+    } catch (error) {
+        console.error(`⚠️ Could not claim fulfillment step '${step}' for ${paymentIntentId} - running it unclaimed:`, error.message);
+        return { ran: true, value: await work(), pending: false };
+    }
+
+    if (claim !== 'claimed') {
+        console.log(`⏭️ Fulfillment step '${step}' for ${paymentIntentId} ${claim === 'done' ? 'already done' : 'still running in another call'}`);
+        if (claim === 'running') {
+            run.pending = true;
+        }
+        return { ran: false, value: null, pending: claim === 'running' };
+    }
+
+    let value;
+    try {
+        value = await work();
+    } catch (error) {
+        await finishStep(paymentIntentId, step, { status: 'failed', error: String(error.message).slice(0, 450) });
+        throw error;
+    }
+    await finishStep(paymentIntentId, step, { status: 'done', error: null });
+    return { ran: true, value: value, pending: false };
+}
+
+/**
+ * Load the order when another run recorded the payment
+ * Links a subscription created by this run (e.g. an admin retry) to the order.
+ * @param {Object} paymentIntent - Succeeded setup payment intent
+ * @param {Object|null} subscription - Stripe subscription, if one exists
+ * @returns {Object|null} Order record
+ */
+async function findFulfilledOrder(paymentIntent, subscription) {
+    const order = (paymentIntent.metadata.order_id && await getOrder(paymentIntent.metadata.order_id)) ||
+        await findOrderByPaymentIntent(paymentIntent.id);
+
+    if (order && subscription && order.subscription_id !== subscription.id) {
+        return updateOrder(order.id, { subscription_id: subscription.id });
+    }
+    return order;
+}
+
+/**
+ * Complete a paid order on the server
+ *
+ * Subscription and email failures are reported on the result instead of
+ * thrown, so one failing step never blocks the other.
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} [options]
+ * @param {string} [options.source] - Caller name, recorded as `fulfilled_via`
+ * @returns {Promise<Object>} { paymentIntent, subscription, order, monthlyAmount,
+ *          totes, confirmationSent, pending, subscriptionError, confirmationError } -
+ *          `pending` if another call was still on a step when this one stopped
+ *          waiting; confirmationSent is only true once the receipt really went out
+ * @throws {Error} If the payment intent is not a succeeded setup payment
+ */
+async function fulfillPaymentIntent(paymentIntentId, options = {}) {
+    const source = options.source || 'unknown';
+    const run = { source: source, waitUntil: Date.now() + STEP_WAIT_BUDGET_MS, pending: false };
+    console.log(`📦 Fulfilling payment intent ${paymentIntentId} (via ${source})...`);
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.status !== 'succeeded') {
+        throw new Error('Payment intent has not succeeded yet');
+    }
+
+    if (paymentIntent.metadata.payment_type !== 'setup_with_subscription') {
+        throw new Error('Payment intent is not a storage setup payment');
+    }
+
+    const result = {
+        paymentIntent,
+        subscription: null,
+        order: null,
+        monthlyAmount: getMonthlyAmount(parseInt(paymentIntent.metadata.tote_quantity) || 0, paymentIntent.metadata.plan),
+        totes: [],
+        confirmationSent: false,
+        pending: false,
+        subscriptionError: null,
+        confirmationError: null
+    };
+    const metadataUpdates = {};
+    // Set when another run was still recording the order or totes; the receipt waits for them
+    let stepsPending = false;
+
+    // Step 1: Subscription
+    try {
+        if (paymentIntent.metadata.subscription_id) {
+            console.log(`✅ Subscription already created: ${paymentIntent.metadata.subscription_id}`);
+            result.subscription = await stripe.subscriptions.retrieve(paymentIntent.metadata.subscription_id);
+        } else {
+            result.subscription = await createSubscriptionForPaymentIntent(paymentIntent, {
+                createdVia: source === 'stripe-webhook' ? 'stripe_webhook' : 'website_initial_payment'
+            });
+            metadataUpdates.subscription_id = result.subscription.id;
+            if (paymentIntent.metadata.subscription_error) {
+                metadataUpdates.subscription_error = '';
+                metadataUpdates.subscription_error_at = '';
+            }
+        }
+    } catch (error) {
+        console.error('⚠️ Subscription creation failed during fulfillment:', error.message);
+        result.subscriptionError = error;
+        metadataUpdates.subscription_error = String(error.message).slice(0, 450);
+        metadataUpdates.subscription_error_at = new Date().toISOString();
+    }
+
+    // Step 2: Order record (our own order ID, status history, delivery jobs)
+    let order = null;
+    try {
+        const orderStep = await runStep(paymentIntent.id, 'order', run,
+            () => recordSetupPayment(paymentIntent, result.subscription, { source }));
+        stepsPending = stepsPending || orderStep.pending;
+        order = orderStep.ran ? orderStep.value : await findFulfilledOrder(paymentIntent, result.subscription);
+        result.order = order;
+        if (order && order.id !== paymentIntent.metadata.order_id) {
+            metadataUpdates.order_id = order.id;
+        }
+    } catch (error) {
+        console.error('⚠️ Order record update failed during fulfillment:', error.message);
+    }
+
+    // Totes for the order (only the ones the customer doesn't have yet)
+    if (order && order.stripe_customer_id) {
+        try {
+            const toteStep = await runStep(paymentIntent.id, 'totes', run, () => assignTotes({
+                customerId: order.customer_id,
+                stripeCustomerId: order.stripe_customer_id,
+                orderId: order.id,
+                toteQuantity: order.tote_quantity,
+                source: source
+            }));
+            stepsPending = stepsPending || toteStep.pending;
+            result.totes = toteStep.ran
+                ? toteStep.value
+                : await listTotes({ stripe_customer_id: order.stripe_customer_id });
+        } catch (error) {
+            console.error('⚠️ Tote assignment failed during fulfillment:', error.message);
+        }
+    }
+
+    // Stop lead follow-ups for customers who came in through a form
+    if (paymentIntent.metadata.customer_email) {
+        try {
+            await runStep(paymentIntent.id, 'lead', run, () => markLeadConverted(
+                paymentIntent.metadata.customer_email,
+                order ? order.id : paymentIntent.metadata.order_id
+            ));
+        } catch (error) {
+            console.error('⚠️ Could not mark lead converted:', error.message);
+        }
+    }
+
+    // The referrer is credited once this customer's first monthly invoice is paid
+    if (paymentIntent.metadata.referral_code && order && order.stripe_customer_id) {
+        try {
+            await runStep(paymentIntent.id, 'referral', run, () => recordReferral({
+                code: paymentIntent.metadata.referral_code,
+                referredEmail: paymentIntent.metadata.customer_email,
+                referredStripeCustomerId: order.stripe_customer_id,
+                orderId: order.id
+            }));
+        } catch (error) {
+            console.error('⚠️ Could not record referral:', error.message);
+        }
+    }
+
+    // Stripe never redeems a promotion code used at checkout; count it here for its limits
+    if (paymentIntent.metadata.promotion_code_id) {
+        try {
+            await runStep(paymentIntent.id, 'promotion', run, () => recordPromotionRedemption({
+                promotionCodeId: paymentIntent.metadata.promotion_code_id,
+                code: paymentIntent.metadata.promo_code,
+                paymentIntentId: paymentIntent.id,
+                email: paymentIntent.metadata.customer_email,
+                stripeCustomerId: order ? order.stripe_customer_id : null,
+                orderId: order ? order.id : paymentIntent.metadata.order_id
+            }));
+        } catch (error) {
+            console.error('⚠️ Could not record promotion code redemption:', error.message);
+        }
+    }
+
+    // Stripe Tax only counts the setup charge's tax once it is reported
+    if (paymentIntent.metadata.tax_calculation && !paymentIntent.metadata.tax_transaction) {
+        try {
+            const taxStep = await runStep(paymentIntent.id, 'tax', run, () => recordSetupTax(paymentIntent));
+            if (taxStep.ran && taxStep.value) {
+                metadataUpdates.tax_transaction = taxStep.value;
+            }
+        } catch (error) {
+            console.error('⚠️ Could not record sales tax transaction:', error.message);
+        }
+    }
+
+    // Text the delivery window (each job also records the window it confirmed)
+    if (order) {
+        try {
+            await runStep(paymentIntent.id, 'window_sms', run, async () => {
+                for (const job of await listDeliveryJobs({ order_id: order.id })) {
+                    await sendWindowConfirmation(job);
+                }
+            });
+        } catch (error) {
+            console.error('⚠️ Could not text the delivery window:', error.message);
+        }
+    }
+
+    // Step 3: Confirmation emails
+    if (paymentIntent.metadata.confirmation_sent_at) {
+        console.log(`✅ Confirmation already sent at ${paymentIntent.metadata.confirmation_sent_at}`);
+        result.confirmationSent = true;
+    } else if (stepsPending) {
+        // Not sent yet: the webhook fails and Stripe retries it until the receipt is out
+        console.log(`⏭️ Confirmation for ${paymentIntent.id} waits for the call still recording the order`);
+    } else {
+        try {
+            const confirmationStep = await runStep(paymentIntent.id, 'confirmation', run, async () => {
+                const confirmationData = buildConfirmationData(paymentIntent, result.subscription);
+                if (order) {
+                    confirmationData.order_id = order.id;
+                }
+                confirmationData.tote_ids = result.totes.map(tote => tote.id);
+                await sendOrderConfirmationEmails(confirmationData);
+
+                if (order) {
+                    await addOrderNote(order.id, 'Order confirmation emails sent', source).catch(error => {
+                        console.error('⚠️ Could not record confirmation on order:', error.message);
+                    });
+                }
+            });
+            if (confirmationStep.ran) {
+                metadataUpdates.confirmation_sent_at = new Date().toISOString();
+            }
+            // Sent now or by an earlier run; not if another run is still sending it
+            result.confirmationSent = !confirmationStep.pending;
+        } catch (error) {
+            console.error('⚠️ Order confirmation failed during fulfillment:', error.message);
+            result.confirmationError = error;
+        }
+    }
+
+    // Record progress so later calls skip completed steps
+    // (a plain metadata merge, safe to repeat without an idempotency key)
+    if (Object.keys(metadataUpdates).length > 0) {
+        metadataUpdates.fulfilled_via = source;
+        await stripe.paymentIntents.update(paymentIntent.id, { metadata: metadataUpdates });
+    }
+
+    result.pending = run.pending;
+
+    console.log(`✅ Fulfillment finished for ${paymentIntent.id}:`, {
+        subscription: result.subscription ? result.subscription.id : null,
+        confirmationSent: result.confirmationSent,
+        pending: result.pending
+    });
+
+    return result;
+}
+
+module.exports = {
+    fulfillPaymentIntent,
+    runStep
+};
@@ -0,0 +1,553 @@
+/**
+ * ORDERS - DATA ACCESS FOR CUSTOMERS, ORDERS AND DELIVERY JOBS
+ *
+ * Our own record of every order, kept next to (not instead of) Stripe.
+ * Stripe stays the source of truth for money; this store owns the order
+ * number, line items, status history and the delivery work it creates.
+ *
+ * Collections:
+ * - customers             One per email address
+ * - orders                One per client order token; ID like ICTS-261018-7K3QX
+ * - order_items           Line items priced by the shared pricing engine
+ * - order_status_history  Every status change and notable event
+ * - delivery_jobs         Trips the team has to make (deliver totes, pick up, return)
+ * - window_slots          Delivery window capacity claims (lib/delivery-calendar.js)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.7.0 - Orders and jobs keep their delivery window slot
+ */
+
+const crypto = require('crypto');
+const { getStore, createId } = require('./store');
+const pricing = require('./pricing');
+
+const COLLECTIONS = {
+    CUSTOMERS: 'customers',
+    ORDERS: 'orders',
+    ORDER_ITEMS: 'order_items',
+    ORDER_STATUS_HISTORY: 'order_status_history',
+    DELIVERY_JOBS: 'delivery_jobs',
+    WINDOW_SLOTS: 'window_slots'
+};
+
+const ORDER_STATUSES = ['pending_payment', 'paid', 'active', 'canceled'];
+
+const DELIVERY_JOB_TYPES = {
+    EMPTY_TOTE_DELIVERY: 'empty_tote_delivery',   // Bring empty totes to the customer
+    TOTE_PICKUP: 'tote_pickup',                   // Collect filled totes for storage
+    TOTE_RETURN: 'tote_return'                    // Bring stored totes back
+};
+
+// Unambiguous characters for order numbers (no 0/O, 1/I)
+const ORDER_NUMBER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Create a human-friendly order ID, e.g. ICTS-261018-7K3QX
+ * @returns {string} Order ID
+ */
+function createOrderId() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = Array.from(crypto.randomBytes(5))
+        .map(byte => ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length])
+        .join('');
+    return `ICTS-${date}-${suffix}`;
+}
+
+/**
+ * Create or update the customer record for an email address
+ * @param {Object} details
+ * @param {string} details.email - Customer email (unique key)
+ * @param {string} [details.name]
+ * @param {string} [details.phone]
+ * @param {string} [details.address]
+ * @param {string} [details.stripeCustomerId]
+ * @param {string} [details.source] - Where we first heard from them
+ * @returns {Object} Customer record
+ */
+async function upsertCustomer(details) {
+    const store = getStore();
+    const email = String(details.email || '').toLowerCase().trim();
+    if (!email) {
+        throw new Error('Customer email is required');
+    }
+
+    const now = new Date().toISOString();
+    const fields = {};
+    ['name', 'phone', 'address'].forEach(key => {
+        if (details[key]) fields[key] = details[key];
+    });
+    if (details.stripeCustomerId) {
+        fields.stripe_customer_id = details.stripeCustomerId;
+    }
+
+    const [existing] = await store.find(COLLECTIONS.CUSTOMERS, { email });
+    if (existing) {
+        return store.update(COLLECTIONS.CUSTOMERS, existing.id, { ...fields, updated_at: now });
+    }
+
+    return store.insert(COLLECTIONS.CUSTOMERS, {
+        id: createId('cust'),
+        email: email,
+        name: null,
+        phone: null,
+        address: null,
+        stripe_customer_id: null,
+        ...fields,
+        source: details.source || 'website_form',
+        created_at: now,
+        updated_at: now
+    });
+}
+
+/**
+ * Build the line items for a quote
+ * @param {Object} quote - Quote from the pricing engine
+ * @returns {Array} Line items without IDs
+ */
+function buildLineItems(quote) {
+    const items = [
+        {
+            kind: 'trip_fee',
+            description: 'Trip fees (empty tote delivery + filled tote pickup)',
+            quantity: quote.tripCount,
+            unit_amount_cents: quote.tripFeeCents,
+            amount_cents: quote.tripFeesCents
+        },
+        {
+            kind: 'storage_first_period',
+            description: quote.billingMonths > 1
+                ? `First ${quote.billingMonths} months of storage, ${quote.planLabel} (${quote.toteNumber} totes)`
+                : `First month of storage (${quote.toteNumber} totes)`,
+            quantity: quote.toteNumber,
+            unit_amount_cents: quote.firstPeriodCents / quote.toteNumber,
+            amount_cents: quote.firstPeriodCents
+        }
+    ];
+
+    if (quote.discountCents > 0) {
+        items.push({
+            kind: 'discount',
+            description: `Promo ${quote.promoCode}${quote.promoLabel ? ` - ${quote.promoLabel}` : ''}`,
+            quantity: 1,
+            unit_amount_cents: -quote.discountCents,
+            amount_cents: -quote.discountCents
+        });
+    }
+
+    if (quote.taxCents > 0) {
+        items.push({
+            kind: 'tax',
+            description: quote.taxLabel || 'Sales tax',
+            quantity: 1,
+            unit_amount_cents: quote.taxCents,
+            amount_cents: quote.taxCents
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Append an entry to an order's status history
+ * @param {string} orderId - Order ID
+ * @param {Object} entry
+ * @param {string} entry.status - Order status after this entry
+ * @param {string} [entry.previousStatus] - Status before (null for new orders)
+ * @param {string} [entry.note] - What happened
+ * @param {string} [entry.source] - Which function recorded it
+ * @returns {Object} History record
+ */
+async function appendOrderHistory(orderId, { status, previousStatus, note, source }) {
+    return getStore().insert(COLLECTIONS.ORDER_STATUS_HISTORY, {
+        id: createId('hist'),
+        order_id: orderId,
+        from_status: previousStatus || null,
+        to_status: status,
+        note: note || null,
+        source: source || null,
+        created_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Create the order for a client order token, or return the existing one
+ * @param {Object} details
+ * @param {string} details.orderToken - Client order token (unique key)
+ * @param {Object} details.customer - Customer record (upsertCustomer)
+ * @param {Object} details.quote - Quote from the pricing engine
+ * @param {string} [details.stripeCustomerId]
+ * @param {string} [details.address] - Service address
+ * @param {Object} [details.serviceAddress] - Normalized service address (lib/address.js)
+ * @param {Object} [details.deliveryWindow] - Reserved delivery window { id, label, starts_at, slot_id }
+ * @param {string} [details.source] - Which function created it
+ * @returns {Object} Order record
+ */
+async function createOrder(details) {
+    const store = getStore();
+
+    const [existing] = await store.find(COLLECTIONS.ORDERS, { order_token: details.orderToken });
+    if (existing) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const quote = details.quote;
+    const deliveryWindow = details.deliveryWindow || {};
+    const order = await store.insert(COLLECTIONS.ORDERS, {
+        id: createOrderId(),
+        order_token: details.orderToken,
+        customer_id: details.customer.id,
+        customer_email: details.customer.email,
+        stripe_customer_id: details.stripeCustomerId || null,
+        payment_intent_id: null,
+        subscription_id: null,
+        status: 'pending_payment',
+        tote_quantity: quote.toteNumber,
+        address: details.address || details.customer.address || null,
+        service_address: details.serviceAddress || null,
+        currency: quote.currency,
+        pricing_version: quote.version,
+        promo_code: quote.promoCode,
+        setup_total_cents: quote.setupTotalCents,
+        plan: quote.plan,
+        billing_months: quote.billingMonths,
+        period_cents: quote.periodCents,
+        monthly_cents: quote.monthlyCents,
+        delivery_window_id: deliveryWindow.id || null,
+        delivery_window_label: deliveryWindow.label || null,
+        delivery_window_start: deliveryWindow.starts_at || null,
+        delivery_slot_id: deliveryWindow.slot_id || null,
+        created_at: now,
+        updated_at: now
+    });
+
+    for (const item of buildLineItems(quote)) {
+        await store.insert(COLLECTIONS.ORDER_ITEMS, {
+            id: createId('item'),
+            order_id: order.id,
+            ...item
+        });
+    }
+
+    await appendOrderHistory(order.id, {
+        status: order.status,
+        note: 'Order created',
+        source: details.source
+    });
+
+    console.log(`🗂️ Order ${order.id} created`);
+    return order;
+}
+
+/**
+ * Get an order by ID
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} Order record
+ */
+async function getOrder(orderId) {
+    return getStore().get(COLLECTIONS.ORDERS, orderId);
+}
+
+/**
+ * Find the order for a Stripe payment intent
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Object|null} Order record
+ */
+async function findOrderByPaymentIntent(paymentIntentId) {
+    const [order] = await getStore().find(COLLECTIONS.ORDERS, { payment_intent_id: paymentIntentId });
+    return order || null;
+}
+
+/**
+ * Get an order with its line items, history and delivery jobs
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} { order, items, history, deliveryJobs }
+ */
+async function getOrderDetails(orderId) {
+    const store = getStore();
+    const order = await store.get(COLLECTIONS.ORDERS, orderId);
+    if (!order) return null;
+
+    const byCreated = (a, b) => a.created_at.localeCompare(b.created_at);
+
+    return {
+        order: order,
+        items: await store.find(COLLECTIONS.ORDER_ITEMS, { order_id: orderId }),
+        history: (await store.find(COLLECTIONS.ORDER_STATUS_HISTORY, { order_id: orderId })).sort(byCreated),
+        deliveryJobs: (await store.find(COLLECTIONS.DELIVERY_JOBS, { order_id: orderId })).sort(byCreated)
+    };
+}
+
+/**
+ * Update order fields (not status - use setOrderStatus)
+ * @param {string} orderId - Order ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object|null} Updated order
+ */
+async function updateOrder(orderId, fields) {
+    const patch = { ...fields, updated_at: new Date().toISOString() };
+    delete patch.status;
+    return getStore().update(COLLECTIONS.ORDERS, orderId, patch);
+}
+
+/**
+ * Change an order's status and record it in the history
+ * Setting the current status again only adds a history note.
+ * @param {string} orderId - Order ID
+ * @param {string} status - One of ORDER_STATUSES
+ * @param {Object} [options]
+ * @param {string} [options.note] - What happened
+ * @param {string} [options.source] - Which function made the change
+ * @returns {Object} Updated order
+ * @throws {Error} If the order doesn't exist or the status is unknown
+ */
+async function setOrderStatus(orderId, status, options = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw new Error(`Invalid order status: ${status}`);
+    }
+
+    const order = await getOrder(orderId);
+    if (!order) {
+        throw new Error(`Order ${orderId} not found`);
+    }
+
+    const updated = await getStore().update(COLLECTIONS.ORDERS, orderId, {
+        status: status,
+        updated_at: new Date().toISOString()
+    });
+
+    await appendOrderHistory(orderId, {
+        status: status,
+        previousStatus: order.status,
+        note: options.note,
+        source: options.source
+    });
+
+    return updated;
+}
+
+/**
+ * Add a note to an order's history without changing its status
+ * @param {string} orderId - Order ID
+ * @param {string} note - What happened
+ * @param {string} [source] - Which function recorded it
+ * @returns {Object|null} History record, or null if the order doesn't exist
+ */
+async function addOrderNote(orderId, note, source) {
+    const order = await getOrder(orderId);
+    if (!order) return null;
+    return appendOrderHistory(orderId, {
+        status: order.status,
+        previousStatus: order.status,
+        note: note,
+        source: source
+    });
+}
+
+/**
+ * Create a delivery job
+ * @param {Object} details
+ * @param {string} details.orderId - Order the trip belongs to
+ * @param {string} details.customerId - Customer record ID
+ * @param {string} details.type - One of DELIVERY_JOB_TYPES
+ * @param {number} details.toteCount - Totes to deliver or collect
+ * @param {string} details.address - Service address
+ * @param {Object} [details.window] - Booked window { id, label, starts_at, slot_id }; the job is then scheduled
+ *   and holds the window slot for good
+ * @param {Array} [details.totes] - Which totes, when the customer picked them
+ * @param {string} [details.subscriptionId] - Stripe subscription the trip belongs to
+ * @param {string} [details.paymentIntentId] - Stripe payment for the trip fee
+ * @param {number} [details.feeCents] - Trip fee charged
+ * @param {string} [details.requestToken] - Client request token (one job per token)
+ * @param {string} [details.notes]
+ * @returns {Object} Delivery job record
+ */
+async function createDeliveryJob(details) {
+    if (!Object.values(DELIVERY_JOB_TYPES).includes(details.type)) {
+        throw new Error(`Invalid delivery job type: ${details.type}`);
+    }
+
+    const now = new Date().toISOString();
+    const window = details.window && details.window.id ? details.window : null;
+    return getStore().insert(COLLECTIONS.DELIVERY_JOBS, {
+        id: createId('job'),
+        order_id: details.orderId || null,
+        customer_id: details.customerId || null,
+        type: details.type,
+        tote_count: details.toteCount,
+        totes: details.totes || null,
+        address: details.address || null,
+        status: window ? 'scheduled' : 'unscheduled',
+        scheduled_for: window ? window.starts_at || null : null,
+        window_id: window ? window.id : null,
+        window_label: window ? window.label || null : null,
+        window_slot_id: window ? window.slot_id || null : null,
+        notes: details.notes || null,
+        subscription_id: details.subscriptionId || null,
+        payment_intent_id: details.paymentIntentId || null,
+        fee_cents: details.feeCents || 0,
+        request_token: details.requestToken || null,
+        created_at: now,
+        updated_at: now
+    });
+}
+
+/**
+ * List delivery jobs
+ * @param {Object} [where] - Field filter, e.g. { status: 'unscheduled' }
+ * @returns {Array} Delivery jobs, oldest first
+ */
+async function listDeliveryJobs(where = {}) {
+    const jobs = await getStore().find(COLLECTIONS.DELIVERY_JOBS, where);
+    return jobs.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Update a delivery job
+ * @param {string} jobId - Delivery job ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object|null} Updated job
+ */
+async function updateDeliveryJob(jobId, fields) {
+    return getStore().update(COLLECTIONS.DELIVERY_JOBS, jobId, {
+        ...fields,
+        updated_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Read the normalized service address saved in payment intent metadata
+ * @param {string} [value] - JSON from the `service_address` metadata field
+ * @returns {Object|null} Normalized address
+ */
+function parseServiceAddress(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Record that a setup order was paid
+ *
+ * Marks the order paid, links the subscription and creates the two setup
+ * trips (empty tote delivery + filled tote pickup). The delivery is booked
+ * into the window picked at checkout, if any. Safe to call again:
+ * trips are only created once. If the order isn't in this store yet (e.g. it
+ * was created by another function instance), it is rebuilt from the payment
+ * intent metadata.
+ *
+ * @param {Object} paymentIntent - Succeeded Stripe setup payment intent
+ * @param {Object|null} subscription - Stripe subscription, if created
+ * @param {Object} [options]
+ * @param {string} [options.source] - Which function recorded it
+ * @returns {Object} Order record
+ */
+async function recordSetupPayment(paymentIntent, subscription, options = {}) {
+    const metadata = paymentIntent.metadata || {};
+    let order = (metadata.order_id && await getOrder(metadata.order_id)) ||
+        await findOrderByPaymentIntent(paymentIntent.id);
+
+    if (!order) {
+        const customer = await upsertCustomer({
+            email: metadata.customer_email,
+            name: metadata.customer_name,
+            phone: metadata.customer_phone,
+            address: metadata.customer_address,
+            stripeCustomerId: typeof paymentIntent.customer === 'string' ? paymentIntent.customer : null
+        });
+        order = await createOrder({
+            orderToken: metadata.order_token || paymentIntent.id,
+            customer: customer,
+            // The discount and tax charged, not a fresh lookup - the code may have expired since
+            quote: pricing.calculateQuote({
+                toteNumber: metadata.tote_quantity,
+                plan: metadata.plan || undefined,
+                discount: metadata.promo_code ? {
+                    code: metadata.promo_code,
+                    label: null,
+                    amountOffCents: parseInt(metadata.discount_cents) || 0
+                } : null,
+                tax: parseInt(metadata.tax_cents) > 0 ? {
+                    taxCents: parseInt(metadata.tax_cents),
+                    rate: parseFloat(metadata.tax_rate) || 0,
+                    label: metadata.tax_label || null
+                } : null
+            }),
+            stripeCustomerId: customer.stripe_customer_id,
+            address: metadata.customer_address,
+            serviceAddress: parseServiceAddress(metadata.service_address),
+            deliveryWindow: {
+                id: metadata.delivery_window,
+                label: metadata.delivery_window_label,
+                starts_at: metadata.delivery_window_start
+            },
+            source: options.source
+        });
+    }
+
+    order = await updateOrder(order.id, {
+        payment_intent_id: paymentIntent.id,
+        subscription_id: subscription ? subscription.id : order.subscription_id
+    });
+
+    if (order.status === 'pending_payment') {
+        order = await setOrderStatus(order.id, 'paid', {
+            note: `Setup payment ${paymentIntent.id} succeeded`,
+            source: options.source
+        });
+    }
+
+    const existingJobs = await listDeliveryJobs({ order_id: order.id });
+    if (existingJobs.length === 0) {
+        for (const type of [DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY, DELIVERY_JOB_TYPES.TOTE_PICKUP]) {
+            await createDeliveryJob({
+                orderId: order.id,
+                customerId: order.customer_id,
+                type: type,
+                toteCount: order.tote_quantity,
+                address: order.address,
+                window: type === DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY ? {
+                    id: order.delivery_window_id,
+                    label: order.delivery_window_label,
+                    starts_at: order.delivery_window_start,
+                    slot_id: order.delivery_slot_id
+                } : null
+            });
+        }
+        console.log(`🚚 Setup delivery jobs created for ${order.id}`);
+    }
+
+    return order;
+}
+
+/**
+ * Count a customer's orders
+ * @param {string} customerId - Customer record ID
+ * @returns {number} Number of orders
+ */
+async function countCustomerOrders(customerId) {
+    const orders = await getStore().find(COLLECTIONS.ORDERS, { customer_id: customerId });
+    return orders.length;
+}
+
+module.exports = {
+    COLLECTIONS,
+    ORDER_STATUSES,
+    DELIVERY_JOB_TYPES,
+    upsertCustomer,
+    createOrder,
+    getOrder,
+    getOrderDetails,
+    findOrderByPaymentIntent,
+    updateOrder,
+    setOrderStatus,
+    addOrderNote,
+    createDeliveryJob,
+    listDeliveryJobs,
+    updateDeliveryJob,
+    recordSetupPayment,
+    parseServiceAddress,
+    countCustomerOrders
+};
@@ -0,0 +1,11 @@
+/**
+ * PRICING - SERVER ACCESS TO THE SHARED PRICING ENGINE
+ *
+ * Re-exports js/pricing-rules.js, the same file the browser loads, so the
+ * functions can never price an order differently from the website.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Shared pricing engine
+ */
+
+module.exports = require('../../../js/pricing-rules');
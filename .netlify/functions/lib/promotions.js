@@ -0,0 +1,273 @@
+/**
+ * PROMOTIONS - PROMO AND REFERRAL CODE LOOKUP
+ *
+ * Turns a code typed into the payment modal into a discount the shared
+ * pricing engine can apply (calculateQuote `discount`). Codes are checked,
+ * in order, against:
+ * 1. PRICING_CONFIG.promos in the pricing engine
+ * 2. Referral codes (lib/referrals.js)
+ * 3. Active Stripe promotion codes
+ *
+ * Raw coupon IDs are not accepted, so internal coupons can't be typed in.
+ * A coupon's `applies_to` metadata decides where it counts: 'setup' (the
+ * setup payment intent), 'subscription' (the monthly invoices) or 'both'
+ * (default). Coupons with duration 'once' only apply to the setup charge,
+ * since that is the customer's first payment. The subscription gets the
+ * coupon itself (see lib/subscriptions.js), so Stripe handles its duration.
+ *
+ * Stripe never redeems the promotion code itself (the setup charge is a
+ * payment intent, and the subscription gets the coupon because Stripe
+ * refuses first-order-only codes after the setup payment). So each paid
+ * order that used one is recorded in the promotion_redemptions collection
+ * (recordPromotionRedemption, called by order-fulfillment.js), and its
+ * max_redemptions, customer and first-order limits are checked against
+ * those records as well as Stripe's.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.2.0 - Promotion code redemptions recorded and limited; no raw coupon IDs
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const pricing = require('./pricing');
+const { REFERRAL_CONFIG, isReferralCode, findReferrer } = require('./referrals');
+const { getStore } = require('./store');
+const { COLLECTIONS } = require('./orders');
+
+const PROMOTION_REDEMPTIONS_COLLECTION = 'promotion_redemptions';
+
+// Stripe's smallest card charge
+const MINIMUM_CHARGE_CENTS = 50;
+
+/**
+ * Describe a Stripe coupon as a pricing engine discount
+ * @param {Object} coupon - Stripe coupon
+ * @param {string} code - Code the customer entered
+ * @returns {Object} Discount
+ * @throws {Error} If the coupon can't be used for our orders
+ */
+function describeCoupon(coupon, code) {
+    if (!coupon.valid) {
+        throw new Error('Invalid promo code - it has expired');
+    }
+    if (coupon.amount_off && coupon.currency !== pricing.PRICING_CONFIG.currency) {
+        throw new Error('Invalid promo code');
+    }
+
+    const appliesTo = (coupon.metadata && coupon.metadata.applies_to) || 'both';
+    const appliesToSetup = appliesTo !== 'subscription';
+    const appliesToSubscription = appliesTo !== 'setup' && coupon.duration !== 'once';
+    if (!appliesToSetup && !appliesToSubscription) {
+        throw new Error('Invalid promo code');
+    }
+
+    const amount = coupon.percent_off
+        ? `${coupon.percent_off}% off`
+        : `${pricing.formatCents(coupon.amount_off)} off`;
+    const parts = [];
+    if (appliesToSetup) {
+        parts.push('your first payment');
+    }
+    if (appliesToSubscription) {
+        parts.push(coupon.duration === 'repeating'
+            ? `${coupon.duration_in_months} months of storage`
+            : 'every month of storage');
+    }
+
+    return {
+        code: code,
+        label: `${amount} ${parts.join(' and ')}`,
+        percentOff: coupon.percent_off || null,
+        amountOffCents: coupon.amount_off || null,
+        appliesToSetup: appliesToSetup,
+        appliesToSubscription: appliesToSubscription,
+        couponId: coupon.id,
+        promotionCodeId: null,
+        referralCode: null
+    };
+}
+
+/**
+ * Whether an email already has a paid order with us
+ * @param {string} email - Customer email
+ * @returns {boolean} True if any of their orders got past payment
+ */
+async function hasPaidOrder(email) {
+    const store = getStore();
+    const [customer] = await store.find(COLLECTIONS.CUSTOMERS, { email: email.toLowerCase().trim() });
+    if (!customer) {
+        return false;
+    }
+    const orders = await store.find(COLLECTIONS.ORDERS, { customer_id: customer.id });
+    return orders.some(order => order.status !== 'pending_payment');
+}
+
+/**
+ * Find an active Stripe promotion code and check its restrictions
+ * @param {string} code - Code the customer entered
+ * @param {Object} context - { email, subtotalCents }
+ * @returns {Object|null} Discount, or null if there is no such promotion code
+ */
+async function findPromotionCode(code, context) {
+    const promotionCodes = await stripe.promotionCodes.list({ code: code, active: true, limit: 1 });
+    const promotionCode = promotionCodes.data[0];
+    if (!promotionCode) {
+        return null;
+    }
+
+    if (promotionCode.expires_at && promotionCode.expires_at * 1000 < Date.now()) {
+        throw new Error('Invalid promo code - it has expired');
+    }
+
+    if (promotionCode.max_redemptions) {
+        const redemptions = await getStore().find(PROMOTION_REDEMPTIONS_COLLECTION, {
+            promotion_code_id: promotionCode.id
+        });
+        if ((promotionCode.times_redeemed || 0) + redemptions.length >= promotionCode.max_redemptions) {
+            throw new Error('Invalid promo code - it has been used up');
+        }
+    }
+
+    const restrictions = promotionCode.restrictions || {};
+    if (restrictions.minimum_amount && context.subtotalCents < restrictions.minimum_amount) {
+        throw new Error(`Invalid promo code - it needs an order of at least ${pricing.formatCents(restrictions.minimum_amount)}`);
+    }
+
+    if (promotionCode.customer || restrictions.first_time_transaction) {
+        if (!context.email) {
+            throw new Error('Invalid promo code - enter your email first');
+        }
+        const customers = await stripe.customers.list({ email: context.email, limit: 1 });
+        const customer = customers.data[0] || null;
+
+        if (promotionCode.customer && (!customer || customer.id !== promotionCode.customer)) {
+            throw new Error('Invalid promo code');
+        }
+        if (restrictions.first_time_transaction &&
+            ((customer && customer.metadata.subscription_id) || await hasPaidOrder(context.email))) {
+            throw new Error('Invalid promo code - it is only for new customers');
+        }
+    }
+
+    return {
+        ...describeCoupon(promotionCode.coupon, promotionCode.code),
+        promotionCodeId: promotionCode.id
+    };
+}
+
+/**
+ * Record that a paid order used a Stripe promotion code
+ * One record per setup payment, so calling it again changes nothing.
+ * @param {Object} details
+ * @param {string} details.promotionCodeId - Stripe promotion code ID
+ * @param {string} details.code - Code the customer entered
+ * @param {string} details.paymentIntentId - Setup payment that used it
+ * @param {string} [details.email] - Customer email
+ * @param {string} [details.stripeCustomerId] - Stripe customer ID
+ * @param {string} [details.orderId] - Our order ID
+ * @returns {Object} Redemption record
+ */
+async function recordPromotionRedemption(details) {
+    const store = getStore();
+    const existing = await store.get(PROMOTION_REDEMPTIONS_COLLECTION, details.paymentIntentId);
+    if (existing) {
+        return existing;
+    }
+
+    const redemption = await store.insert(PROMOTION_REDEMPTIONS_COLLECTION, {
+        id: details.paymentIntentId,
+        promotion_code_id: details.promotionCodeId,
+        code: details.code || null,
+        email: String(details.email || '').toLowerCase().trim() || null,
+        stripe_customer_id: details.stripeCustomerId || null,
+        order_id: details.orderId || null,
+        created_at: new Date().toISOString()
+    });
+    console.log(`🏷️ Promotion code ${redemption.code} redeemed by ${redemption.email} (${redemption.id})`);
+    return redemption;
+}
+
+/**
+ * Look up a referral code
+ * @param {string} code - Code the customer entered
+ * @param {Object} context - { email }
+ * @returns {Object} Discount (the referral coupon's, or none)
+ * @throws {Error} If the code is unknown or the customer's own
+ */
+async function findReferral(code, context) {
+    const referrer = await findReferrer(code);
+    if (!referrer) {
+        throw new Error('Invalid promo code');
+    }
+    if (context.email && referrer.email === context.email.toLowerCase().trim()) {
+        throw new Error('Invalid promo code - you can\'t use your own referral code');
+    }
+
+    const firstName = (referrer.name || '').split(' ')[0] || 'a friend';
+    const discount = REFERRAL_CONFIG.referredCouponId
+        ? describeCoupon(await stripe.coupons.retrieve(REFERRAL_CONFIG.referredCouponId), referrer.referral_code)
+        : {
+            code: referrer.referral_code,
+            percentOff: null,
+            amountOffCents: null,
+            appliesToSetup: false,
+            appliesToSubscription: false,
+            couponId: null,
+            promotionCodeId: null
+        };
+
+    return {
+        ...discount,
+        label: discount.couponId ? `Referred by ${firstName}: ${discount.label}` : `Referred by ${firstName}`,
+        referralCode: referrer.referral_code
+    };
+}
+
+/**
+ * Resolve a promo or referral code for an order
+ * @param {string} promoCode - Code the customer entered
+ * @param {Object} context
+ * @param {number} context.toteNumber - Totes in the order
+ * @param {string} [context.plan] - Billing plan ID (defaults to monthly)
+ * @param {string} [context.email] - Customer email (own-referral and first-order checks)
+ * @returns {Object} Discount for pricing.calculateQuote
+ * @throws {Error} If the code is invalid, expired or doesn't apply
+ */
+async function resolvePromoCode(promoCode, context) {
+    const code = String(promoCode || '').trim();
+    if (!/^[A-Za-z0-9_-]{3,40}$/.test(code)) {
+        throw new Error('Invalid promo code');
+    }
+
+    const subtotalCents = pricing.calculateQuote({ toteNumber: context.toteNumber, plan: context.plan }).subtotalCents;
+    const lookupContext = { email: context.email, subtotalCents: subtotalCents };
+
+    let discount = null;
+    const configuredPromo = pricing.findPromo(code);
+    if (configuredPromo) {
+        discount = { ...configuredPromo, appliesToSetup: true, appliesToSubscription: false };
+    } else if (isReferralCode(code)) {
+        discount = await findReferral(code, lookupContext);
+    } else {
+        discount = await findPromotionCode(code, lookupContext);
+    }
+
+    if (!discount) {
+        throw new Error('Invalid promo code');
+    }
+
+    // A payment intent can't be for less than Stripe's minimum charge
+    const quote = pricing.calculateQuote({ toteNumber: context.toteNumber, plan: context.plan, discount: discount });
+    if (quote.setupTotalCents < MINIMUM_CHARGE_CENTS) {
+        throw new Error('Invalid promo code - it can\'t cover the whole first payment');
+    }
+
+    return discount;
+}
+
+module.exports = {
+    resolvePromoCode,
+    recordPromotionRedemption
+};
@@ -0,0 +1,59 @@
+/**
+ * RATE LIMITING - IN-MEMORY SLIDING WINDOW
+ *
+ * Prevents abuse of public endpoints. State lives in memory and resets when
+ * the function cold-starts; for production, consider an external store
+ * like Redis.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Extracted from create-payment-intent.js
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.maxRequests - Max requests per key per window
+ * @returns {Function} check(key) - throws if the key exceeded the limit
+ */
+function createRateLimiter({ windowMs, maxRequests }) {
+    const requestCounts = new Map();
+
+    return function checkRateLimit(key) {
+        const now = Date.now();
+
+        // Filter to only recent requests within the time window
+        const requests = requestCounts.get(key) || [];
+        const recentRequests = requests.filter(timestamp => (now - timestamp) < windowMs);
+
+        // Check if rate limit exceeded
+        if (recentRequests.length >= maxRequests) {
+            console.warn(`⚠️ Rate limit exceeded for: ${key}`);
+            throw new Error('Too many requests. Please wait a minute before trying again.');
+        }
+
+        // Add current request timestamp
+        recentRequests.push(now);
+        requestCounts.set(key, recentRequests);
+
+        console.log(`📈 Request ${recentRequests.length}/${maxRequests} for: ${key}`);
+    };
+}
+
+/**
+ * Get the client IP address from a Netlify function event
+ * @param {Object} event - Netlify function event
+ * @param {Object} context - Netlify function context
+ * @returns {string} Client IP or 'unknown'
+ */
+function getClientIP(event, context) {
+    return event.headers['x-forwarded-for'] ||
+        event.headers['x-real-ip'] ||
+        context?.clientContext?.identity?.ip ||
+        'unknown';
+}
+
+module.exports = {
+    createRateLimiter,
+    getClientIP
+};
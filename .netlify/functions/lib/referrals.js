@@ -0,0 +1,232 @@
+/**
+ * REFERRALS - CUSTOMER REFERRAL CODES AND FREE-MONTH CREDITS
+ *
+ * Every paying customer gets a referral code (REF-JANE7K) on the account
+ * page. A new customer enters it in the payment modal's promo code field.
+ * When that customer's first monthly invoice is paid, the referrer gets a
+ * free month as Stripe customer balance credit, which Stripe takes off
+ * their next invoice.
+ *
+ * Collections:
+ * - customers   referral_code is added to the customer record (lib/orders.js)
+ * - referrals   One per referred customer: pending until credited
+ *
+ * Environment Variables (optional):
+ * - ICTS_REFERRAL_COUPON_ID: Stripe coupon for the referred customer too
+ *   (without it only the referrer is rewarded)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - Only storage invoices earn the referral credit
+ */
+
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getStore, createId } = require('./store');
+const { idempotent } = require('./idempotency');
+
+const REFERRALS_COLLECTION = 'referrals';
+const CUSTOMERS_COLLECTION = 'customers';
+
+const REFERRAL_CONFIG = {
+    codePrefix: 'REF-',
+    referredCouponId: process.env.ICTS_REFERRAL_COUPON_ID || null
+};
+
+// Same unambiguous alphabet as order numbers (no 0/O, 1/I)
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Whether a code looks like a referral code
+ * @param {string} code - Code entered by the customer
+ * @returns {boolean} True for REF-... codes
+ */
+function isReferralCode(code) {
+    return String(code || '').trim().toUpperCase().startsWith(REFERRAL_CONFIG.codePrefix);
+}
+
+/**
+ * Create a referral code from the customer's first name, e.g. REF-JANE7K
+ * @param {Object} customer - Customer record
+ * @returns {string} Referral code
+ */
+function createReferralCode(customer) {
+    const name = (customer.name || '').split(' ')[0].toUpperCase().replace(/[^A-Z]/g, '').slice(0, 6);
+    const suffix = Array.from(crypto.randomBytes(2))
+        .map(byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length])
+        .join('');
+    return `${REFERRAL_CONFIG.codePrefix}${name || 'ICTS'}${suffix}`;
+}
+
+/**
+ * Get a customer's referral code, creating it the first time
+ * @param {Object} customer - Customer record (lib/orders.js)
+ * @returns {string} Referral code
+ */
+async function getOrCreateReferralCode(customer) {
+    if (customer.referral_code) {
+        return customer.referral_code;
+    }
+
+    const store = getStore();
+    let code = createReferralCode(customer);
+    while ((await store.find(CUSTOMERS_COLLECTION, { referral_code: code })).length > 0) {
+        code = createReferralCode(customer);
+    }
+
+    await store.update(CUSTOMERS_COLLECTION, customer.id, {
+        referral_code: code,
+        updated_at: new Date().toISOString()
+    });
+    console.log(`🎟️ Referral code ${code} created for customer ${customer.id}`);
+    return code;
+}
+
+/**
+ * Find the customer who owns a referral code
+ * @param {string} code - Referral code (any case)
+ * @returns {Object|null} Customer record
+ */
+async function findReferrer(code) {
+    const [customer] = await getStore().find(CUSTOMERS_COLLECTION, {
+        referral_code: String(code || '').trim().toUpperCase()
+    });
+    return customer || null;
+}
+
+/**
+ * Record that a paid order came from a referral
+ * Called once the setup payment succeeded; safe to call again for the same customer.
+ * @param {Object} details
+ * @param {string} details.code - Referral code used at checkout
+ * @param {string} details.referredEmail - New customer's email
+ * @param {string} details.referredStripeCustomerId - New customer's Stripe customer ID
+ * @param {string} details.orderId - Order ID
+ * @returns {Object|null} Referral record, or null for unknown or self-referral codes
+ */
+async function recordReferral(details) {
+    const store = getStore();
+    const referrer = await findReferrer(details.code);
+    if (!referrer || !referrer.stripe_customer_id) {
+        console.warn(`⚠️ Referral code ${details.code} has no referrer`);
+        return null;
+    }
+    if (referrer.email === String(details.referredEmail || '').toLowerCase().trim()) {
+        console.warn(`⚠️ Ignoring self-referral with ${details.code}`);
+        return null;
+    }
+
+    const [existing] = await store.find(REFERRALS_COLLECTION, {
+        referred_stripe_customer_id: details.referredStripeCustomerId
+    });
+    if (existing) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const referral = await store.insert(REFERRALS_COLLECTION, {
+        id: createId('ref'),
+        code: referrer.referral_code,
+        referrer_customer_id: referrer.id,
+        referrer_stripe_customer_id: referrer.stripe_customer_id,
+        referred_email: String(details.referredEmail || '').toLowerCase().trim(),
+        referred_stripe_customer_id: details.referredStripeCustomerId,
+        order_id: details.orderId || null,
+        status: 'pending',
+        credit_cents: null,
+        credit_transaction_id: null,
+        credited_at: null,
+        created_at: now,
+        updated_at: now
+    });
+    console.log(`🤝 Referral ${referral.id}: ${referral.code} referred ${referral.referred_email}`);
+    return referral;
+}
+
+// Invoices that bill a storage period; proration (tote changes) and one-off invoices don't
+const STORAGE_INVOICE_REASONS = ['subscription_cycle', 'subscription_create'];
+
+/**
+ * Credit the referrer a free month when a referred customer pays their first invoice
+ * Only a paid storage invoice counts: the first renewal after the trial, or a
+ * subscription's first invoice when it has no trial.
+ * The credit is the referrer's current monthly amount, added to their Stripe balance.
+ * @param {Object} invoice - Paid Stripe invoice
+ * @returns {Object|null} Credited referral, or null if there was nothing to credit
+ */
+async function creditReferrerForInvoice(invoice) {
+    // The $0 invoice when the trial starts doesn't count
+    if (!invoice.amount_paid || invoice.amount_paid <= 0) {
+        return null;
+    }
+    if (!STORAGE_INVOICE_REASONS.includes(invoice.billing_reason)) {
+        return null;
+    }
+
+    const customerId = typeof invoice.customer === 'string' ? invoice.customer : invoice.customer.id;
+    const [referral] = await getStore().find(REFERRALS_COLLECTION, {
+        referred_stripe_customer_id: customerId,
+        status: 'pending'
+    });
+    if (!referral) {
+        return null;
+    }
+
+    const referrer = await stripe.customers.retrieve(referral.referrer_stripe_customer_id);
+    const creditCents = Math.round(parseFloat((referrer.metadata || {}).monthly_amount || '0') * 100);
+    if (referrer.deleted || creditCents <= 0) {
+        console.warn(`⚠️ Referrer ${referral.referrer_stripe_customer_id} has no monthly amount to credit`);
+        return null;
+    }
+
+    const transaction = await stripe.customers.createBalanceTransaction(referral.referrer_stripe_customer_id, {
+        amount: -creditCents,
+        currency: 'usd',
+        description: `Referral credit - one free month for referring ${referral.referred_email}`,
+        metadata: {
+            referral_id: referral.id,
+            referred_customer: customerId
+        }
+    }, idempotent('referral-credit', referral.id));
+
+    console.log(`🎁 Credited ${referral.referrer_stripe_customer_id} $${(creditCents / 100).toFixed(2)} for referral ${referral.id}`);
+
+    return getStore().update(REFERRALS_COLLECTION, referral.id, {
+        status: 'credited',
+        credit_cents: creditCents,
+        credit_transaction_id: transaction.id,
+        credited_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Referral details for the account page
+ * @param {string} stripeCustomerId - Stripe customer ID
+ * @returns {Object|null} { code, pending, credited }, or null if we have no customer record
+ */
+async function getReferralSummary(stripeCustomerId) {
+    const store = getStore();
+    const [customer] = await store.find(CUSTOMERS_COLLECTION, { stripe_customer_id: stripeCustomerId });
+    if (!customer) {
+        return null;
+    }
+
+    const code = await getOrCreateReferralCode(customer);
+    const referrals = await store.find(REFERRALS_COLLECTION, { referrer_customer_id: customer.id });
+
+    return {
+        code: code,
+        pending: referrals.filter(referral => referral.status === 'pending').length,
+        credited: referrals.filter(referral => referral.status === 'credited').length
+    };
+}
+
+module.exports = {
+    REFERRAL_CONFIG,
+    isReferralCode,
+    getOrCreateReferralCode,
+    findReferrer,
+    recordReferral,
+    creditReferrerForInvoice,
+    getReferralSummary
+};
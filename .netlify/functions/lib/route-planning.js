@@ -0,0 +1,538 @@
+/**
+ * ROUTE PLANNING - ORDERING A DAY'S STOPS FOR THE DRIVER
+ *
+ * Turns one day's scheduled delivery jobs (empty tote drop-offs, pickups,
+ * returns) into an ordered route from the depot:
+ * 1. Each stop is placed on the map. Coordinates are geocoded once from the
+ *    job's address (lib/service-area.js) and saved on the job as `location`
+ * 2. The distance provider gives the distance and drive time between every
+ *    pair of points (distance-providers/straight-line-provider.js by default)
+ * 3. Stops are visited window by window, earliest first, so a morning stop is
+ *    never put after an afternoon one. Inside a window the order comes from
+ *    nearest-neighbor, then improved with 2-opt
+ *
+ * The solver needs no network once the stops have coordinates. Stops that
+ * can't be placed are listed separately for the driver to fit in by hand.
+ *
+ * Output formats: the plan object (JSON), routeToCsv() and
+ * renderRunSheetHtml() (printable run sheet).
+ *
+ * Environment Variables (optional):
+ * - ICTS_DISTANCE_PROVIDER: 'straight-line' (default), or any name added
+ *   with registerDistanceProvider()
+ * - ICTS_ROUTING: JSON overriding any ROUTING_CONFIG field, e.g.
+ *   {"depot":{"name":"Warehouse","location":[-82.5515,35.5951]}}
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Route planning
+ */
+
+const { getStore } = require('./store');
+const { COLLECTIONS, DELIVERY_JOB_TYPES, listDeliveryJobs, updateDeliveryJob } = require('./orders');
+const { getCalendarConfig, getLocalDate } = require('./delivery-calendar');
+const { geocodeAddress } = require('./service-area');
+const { toCsvCell } = require('./leads');
+const { escapeHtml } = require('./ses-email');
+const { createStraightLineProvider } = require('./distance-providers/straight-line-provider');
+
+const ROUTING_CONFIG = {
+    // Where the van starts and ends: location is [longitude, latitude]; without
+    // one the address is geocoded
+    depot: {
+        name: 'Depot',
+        address: null,
+        location: null
+    },
+    returnToDepot: true,
+    // Straight-line provider settings
+    roadFactor: 1.4,
+    averageSpeedMph: 25,
+    // Minutes spent at each kind of stop
+    stopMinutes: {
+        [DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY]: 10,
+        [DELIVERY_JOB_TYPES.TOTE_PICKUP]: 15,
+        [DELIVERY_JOB_TYPES.TOTE_RETURN]: 15
+    },
+    twoOptMaxPasses: 50
+};
+
+const JOB_TYPE_LABELS = {
+    [DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY]: 'Empty tote delivery',
+    [DELIVERY_JOB_TYPES.TOTE_PICKUP]: 'Pickup',
+    [DELIVERY_JOB_TYPES.TOTE_RETURN]: 'Return delivery'
+};
+
+const METERS_PER_MILE = 1609.344;
+
+const CSV_COLUMNS = [
+    'stop', 'arrive', 'window', 'type', 'customer_name', 'customer_phone', 'address',
+    'tote_count', 'totes', 'notes', 'leg_miles', 'job_id'
+];
+
+/**
+ * Get the routing configuration (defaults + ICTS_ROUTING)
+ * @returns {Object} Routing configuration
+ */
+function getRoutingConfig() {
+    if (!process.env.ICTS_ROUTING) {
+        return ROUTING_CONFIG;
+    }
+
+    try {
+        return { ...ROUTING_CONFIG, ...JSON.parse(process.env.ICTS_ROUTING) };
+    } catch (error) {
+        console.error('⚠️ ICTS_ROUTING is not valid JSON, using defaults:', error.message);
+        return ROUTING_CONFIG;
+    }
+}
+
+const providerFactories = {
+    'straight-line': () => {
+        const config = getRoutingConfig();
+        return createStraightLineProvider({ roadFactor: config.roadFactor, averageSpeedMph: config.averageSpeedMph });
+    }
+};
+
+let currentProvider = null;
+
+/**
+ * Register another distance provider
+ * @param {string} name - Value of ICTS_DISTANCE_PROVIDER that selects it
+ * @param {Function} factory - Returns a provider with the straight-line provider's interface
+ */
+function registerDistanceProvider(name, factory) {
+    providerFactories[name] = factory;
+}
+
+/**
+ * Get the configured distance provider
+ * @returns {Object} Distance provider
+ * @throws {Error} If ICTS_DISTANCE_PROVIDER names an unknown provider
+ */
+function getDistanceProvider() {
+    if (!currentProvider) {
+        const providerName = process.env.ICTS_DISTANCE_PROVIDER || 'straight-line';
+        const factory = providerFactories[providerName];
+        if (!factory) {
+            throw new Error(`Unknown distance provider: ${providerName}`);
+        }
+        currentProvider = factory();
+        console.log(`🗺️ Using ${currentProvider.name} distance provider`);
+    }
+    return currentProvider;
+}
+
+/**
+ * Replace the distance provider (tests, scripts)
+ * @param {Object|null} provider - Provider to use, or null to reselect from env
+ */
+function setDistanceProvider(provider) {
+    currentProvider = provider;
+}
+
+/**
+ * Total cost of visiting points in order
+ * @param {Array} path - Matrix indexes
+ * @param {Array} matrix - Cost matrix [from][to]
+ * @returns {number} Sum of the legs
+ */
+function getPathCost(path, matrix) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) {
+        cost += matrix[path[i - 1]][path[i]];
+    }
+    return cost;
+}
+
+/**
+ * Order stops by always driving to the closest one not yet visited
+ * @param {Array} matrix - Cost matrix [from][to]
+ * @param {number} start - Matrix index to start from
+ * @param {Array} stops - Matrix indexes to visit
+ * @returns {Array} Path: start, then every stop
+ */
+function nearestNeighborPath(matrix, start, stops) {
+    const path = [start];
+    const remaining = new Set(stops);
+
+    while (remaining.size > 0) {
+        const from = path[path.length - 1];
+        let closest = null;
+        for (const stop of remaining) {
+            if (closest === null || matrix[from][stop] < matrix[from][closest]) {
+                closest = stop;
+            }
+        }
+        path.push(closest);
+        remaining.delete(closest);
+    }
+
+    return path;
+}
+
+/**
+ * Improve a path with 2-opt: reverse stretches of it while that shortens it
+ * The first point stays first; with an end the last point stays last.
+ * Costs are recomputed for every candidate, so one-way (asymmetric) drive
+ * times from a road-network provider are handled correctly.
+ * @param {Array} path - Matrix indexes, start first
+ * @param {Array} matrix - Cost matrix [from][to]
+ * @param {Object} [options]
+ * @param {number|null} [options.end] - Matrix index the path must finish at (not part of `path`)
+ * @param {number} [options.maxPasses=50] - Stop after this many passes
+ * @returns {Array} Improved path
+ */
+function twoOptPath(path, matrix, { end = null, maxPasses = ROUTING_CONFIG.twoOptMaxPasses } = {}) {
+    const costOf = candidate => getPathCost(end === null ? candidate : [...candidate, end], matrix);
+    let best = path.slice();
+    let bestCost = costOf(best);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let improved = false;
+
+        for (let i = 1; i < best.length - 1; i++) {
+            for (let k = i + 1; k < best.length; k++) {
+                const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+                const candidateCost = costOf(candidate);
+                // Ignore float noise so equal routes don't flip forever
+                if (candidateCost < bestCost - 1e-6) {
+                    best = candidate;
+                    bestCost = candidateCost;
+                    improved = true;
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return best;
+}
+
+/**
+ * Order stops group by group
+ * Each group (a delivery window) is finished before the next starts; inside
+ * a group stops are ordered by nearest-neighbor and 2-opt, starting where
+ * the previous group left off.
+ * @param {Array} matrix - Cost matrix [from][to]; index 0 is the depot
+ * @param {Array} groups - Arrays of matrix indexes, in visiting order
+ * @param {Object} [options]
+ * @param {boolean} [options.returnToDepot=true] - Whether the last group should end near the depot
+ * @param {number} [options.maxPasses] - 2-opt passes per group
+ * @returns {Array} Matrix indexes of every stop in visiting order (without the depot)
+ */
+function solveRoute(matrix, groups, { returnToDepot = true, maxPasses } = {}) {
+    const order = [];
+    let current = 0;
+
+    groups.forEach((group, groupIndex) => {
+        if (group.length === 0) return;
+        const isLast = groupIndex === groups.length - 1;
+        const path = twoOptPath(nearestNeighborPath(matrix, current, group), matrix, {
+            end: isLast && returnToDepot ? 0 : null,
+            maxPasses: maxPasses
+        });
+        order.push(...path.slice(1));
+        current = path[path.length - 1];
+    });
+
+    return order;
+}
+
+/**
+ * Parse a "latitude,longitude" pair (latitude first, as map apps copy them)
+ * @param {string} value - e.g. "35.5951,-82.5515"
+ * @returns {Array} [longitude, latitude]
+ * @throws {Error} If it isn't a valid pair
+ */
+function parseLatLng(value) {
+    const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+    if (parts.length !== 2 || parts.some(Number.isNaN) ||
+        Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+        throw new Error('Invalid depot - use latitude,longitude');
+    }
+    return [parts[1], parts[0]];
+}
+
+/**
+ * Find the depot's coordinates
+ * @param {string} [depotOverride] - "latitude,longitude" from the request
+ * @param {Object} config - Routing configuration
+ * @returns {Object} { name, address, location }
+ * @throws {Error} If no depot location is configured or given
+ */
+async function resolveDepot(depotOverride, config) {
+    if (depotOverride) {
+        return { name: 'Start', address: null, location: parseLatLng(depotOverride) };
+    }
+
+    const depot = config.depot || {};
+    if (Array.isArray(depot.location) && depot.location.length === 2) {
+        return { name: depot.name || 'Depot', address: depot.address || null, location: depot.location };
+    }
+
+    const location = depot.address ? await geocodeAddress(depot.address) : null;
+    if (!location) {
+        throw new Error('A depot location is required - set ICTS_ROUTING depot or pass depot=latitude,longitude');
+    }
+    return { name: depot.name || 'Depot', address: depot.address, location: location };
+}
+
+/**
+ * Place a delivery job on the map
+ * Uses the coordinates saved on the job, or geocodes its address and saves them.
+ * @param {Object} job - Delivery job
+ * @returns {Array|null} [longitude, latitude], or null if the address can't be found
+ */
+async function locateJob(job) {
+    if (Array.isArray(job.location)) {
+        return job.location;
+    }
+    if (!job.address) {
+        return null;
+    }
+
+    try {
+        const location = await geocodeAddress(job.address);
+        if (location) {
+            await updateDeliveryJob(job.id, { location: location });
+        }
+        return location;
+    } catch (error) {
+        console.error(`⚠️ Could not geocode ${job.id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Format a time for the run sheet
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. "9:40 AM"
+ */
+function formatStopTime(date, timeZone) {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timeZone });
+}
+
+/**
+ * Plan the route for one day's scheduled jobs
+ * @param {Object} options
+ * @param {string} options.date - Local date, YYYY-MM-DD (delivery calendar time zone)
+ * @param {string} [options.depot] - "latitude,longitude" to start from instead of the configured depot
+ * @returns {Object} Route plan: { date, depot, stops, unrouted, total_miles, total_minutes, ... }
+ * @throws {Error} If the date or depot is invalid
+ */
+async function planDayRoute({ date, depot }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) {
+        throw new Error('Invalid date - use YYYY-MM-DD');
+    }
+
+    const config = getRoutingConfig();
+    const timeZone = getCalendarConfig().timeZone;
+    const depotPoint = await resolveDepot(depot, config);
+    const store = getStore();
+
+    const jobs = (await listDeliveryJobs({ status: 'scheduled' }))
+        .filter(job => job.scheduled_for && getLocalDate(new Date(job.scheduled_for), timeZone) === date);
+
+    const stops = [];
+    const unrouted = [];
+    for (const job of jobs) {
+        const customer = job.customer_id ? await store.get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+        const stop = {
+            job_id: job.id,
+            type: job.type,
+            type_label: JOB_TYPE_LABELS[job.type] || job.type,
+            window_id: job.window_id,
+            window_label: job.window_label,
+            window_starts_at: job.scheduled_for,
+            customer_name: customer ? customer.name : null,
+            customer_phone: customer ? customer.phone : null,
+            address: job.address,
+            tote_count: job.tote_count,
+            totes: job.totes || null,
+            notes: job.notes || null,
+            location: await locateJob(job)
+        };
+        (stop.location ? stops : unrouted).push(stop);
+    }
+
+    // Matrix index 0 is the depot, stop i is index i + 1
+    const points = [depotPoint.location, ...stops.map(stop => stop.location)];
+    const provider = getDistanceProvider();
+    const { distances, durations } = stops.length > 0
+        ? await provider.getMatrix(points)
+        : { distances: [[0]], durations: [[0]] };
+
+    const windowStarts = Array.from(new Set(stops.map(stop => stop.window_starts_at))).sort();
+    const groups = windowStarts.map(start => stops
+        .map((stop, index) => ({ stop, index: index + 1 }))
+        .filter(entry => entry.stop.window_starts_at === start)
+        .map(entry => entry.index));
+
+    const order = solveRoute(durations, groups, {
+        returnToDepot: config.returnToDepot,
+        maxPasses: config.twoOptMaxPasses
+    });
+
+    // Leave so the first stop is reached as its window opens; wait when early after that
+    let clock = order.length > 0
+        ? new Date(new Date(stops[order[0] - 1].window_starts_at).getTime() - durations[0][order[0]] * 1000)
+        : null;
+    const departAt = clock;
+    let previous = 0;
+    let totalMeters = 0;
+
+    const routed = order.map((index, position) => {
+        const stop = stops[index - 1];
+        const legMeters = distances[previous][index];
+        totalMeters += legMeters;
+
+        const arrival = new Date(Math.max(
+            clock.getTime() + durations[previous][index] * 1000,
+            new Date(stop.window_starts_at).getTime()
+        ));
+        clock = new Date(arrival.getTime() + (config.stopMinutes[stop.type] || 10) * 60 * 1000);
+        previous = index;
+
+        return {
+            sequence: position + 1,
+            ...stop,
+            arrive_at: arrival.toISOString(),
+            arrive_label: formatStopTime(arrival, timeZone),
+            leg_miles: Math.round(legMeters / METERS_PER_MILE * 10) / 10
+        };
+    });
+
+    let returnAt = clock;
+    if (order.length > 0 && config.returnToDepot) {
+        totalMeters += distances[previous][0];
+        returnAt = new Date(clock.getTime() + durations[previous][0] * 1000);
+    }
+
+    console.log(`🗺️ Planned ${date}: ${routed.length} stop(s), ${unrouted.length} without a location`);
+
+    return {
+        date: date,
+        time_zone: timeZone,
+        depot: depotPoint,
+        distance_provider: provider.name,
+        depart_at: departAt ? departAt.toISOString() : null,
+        depart_label: departAt ? formatStopTime(departAt, timeZone) : null,
+        return_at: returnAt ? returnAt.toISOString() : null,
+        return_label: returnAt && config.returnToDepot ? formatStopTime(returnAt, timeZone) : null,
+        total_miles: Math.round(totalMeters / METERS_PER_MILE * 10) / 10,
+        total_minutes: departAt ? Math.round((returnAt - departAt) / 60000) : 0,
+        stops: routed,
+        unrouted: unrouted
+    };
+}
+
+/**
+ * Export a route plan as CSV, one row per stop (unplaced stops last, without a stop number)
+ * @param {Object} plan - Route plan from planDayRoute
+ * @returns {string} CSV with a header row
+ */
+function routeToCsv(plan) {
+    const rows = [...plan.stops, ...plan.unrouted].map(stop => CSV_COLUMNS.map(column => {
+        switch (column) {
+            case 'stop': return toCsvCell(stop.sequence);
+            case 'arrive': return toCsvCell(stop.arrive_label);
+            case 'window': return toCsvCell(stop.window_label);
+            case 'type': return toCsvCell(stop.type_label);
+            case 'totes': return toCsvCell(stop.totes ? stop.totes.join(' ') : '');
+            default: return toCsvCell(stop[column]);
+        }
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Render one run sheet row
+ * @param {Object} stop - Routed or unplaced stop
+ * @returns {string} Table row HTML
+ */
+function renderRunSheetRow(stop) {
+    return `
+        <tr>
+            <td class="stop">${escapeHtml(stop.sequence || '-')}</td>
+            <td>${escapeHtml(stop.arrive_label || '')}<br><small>${escapeHtml(stop.window_label || '')}</small></td>
+            <td><strong>${escapeHtml(stop.type_label)}</strong></td>
+            <td>${escapeHtml(stop.customer_name || '')}<br>${escapeHtml(stop.customer_phone || '')}</td>
+            <td>${escapeHtml(stop.address || '')}</td>
+            <td>${escapeHtml(stop.tote_count)}${stop.totes ? `<br><small>${escapeHtml(stop.totes.join(', '))}</small>` : ''}</td>
+            <td>${escapeHtml(stop.notes || '')}</td>
+            <td class="check"></td>
+        </tr>`;
+}
+
+/**
+ * Render a printable run sheet
+ * @param {Object} plan - Route plan from planDayRoute
+ * @returns {string} Standalone HTML page
+ */
+function renderRunSheetHtml(plan) {
+    const dayLabel = new Date(`${plan.date}T12:00:00Z`).toLocaleDateString('en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+    });
+    const summary = plan.stops.length > 0
+        ? `Leave ${plan.depot.name} ${plan.depart_label} · ${plan.stops.length} stops · ${plan.total_miles} mi` +
+          (plan.return_label ? ` · back about ${plan.return_label}` : '')
+        : 'No routed stops';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Run sheet ${escapeHtml(plan.date)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        p { margin: 0 0 12px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+        th, td { border: 1px solid #999; padding: 6px; text-align: left; vertical-align: top; }
+        th { background: #eee; }
+        td.stop { font-size: 16px; font-weight: bold; text-align: center; }
+        td.check { width: 48px; }
+        small { color: #555; }
+        @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>Instant Closet Tote Storage - Run Sheet</h1>
+    <p><strong>${escapeHtml(dayLabel)}</strong> · ${escapeHtml(summary)}</p>
+    <table>
+        <thead>
+            <tr><th>#</th><th>Arrive</th><th>Stop</th><th>Customer</th><th>Address</th><th>Totes</th><th>Notes</th><th>Done</th></tr>
+        </thead>
+        <tbody>${plan.stops.map(renderRunSheetRow).join('')}
+        </tbody>
+    </table>
+    ${plan.unrouted.length > 0 ? `
+    <h2>Not routed - address not found (fit in by hand)</h2>
+    <table>
+        <thead>
+            <tr><th>#</th><th>Window</th><th>Stop</th><th>Customer</th><th>Address</th><th>Totes</th><th>Notes</th><th>Done</th></tr>
+        </thead>
+        <tbody>${plan.unrouted.map(renderRunSheetRow).join('')}
+        </tbody>
+    </table>` : ''}
+    <p><small>Distances from the ${escapeHtml(plan.distance_provider)} distance provider. Times are estimates.</small></p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    ROUTING_CONFIG,
+    getRoutingConfig,
+    registerDistanceProvider,
+    getDistanceProvider,
+    setDistanceProvider,
+    nearestNeighborPath,
+    twoOptPath,
+    solveRoute,
+    planDayRoute,
+    routeToCsv,
+    renderRunSheetHtml
+};
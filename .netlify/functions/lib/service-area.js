@@ -0,0 +1,141 @@
+/**
+ * SERVICE AREA - WHERE WE DELIVER
+ *
+ * Decides whether a normalized address (lib/address.js) is inside the area
+ * our drivers cover, before any money is taken. An address is in the area if:
+ * - its ZIP code is in `zipCodes`, or
+ * - it geocodes to a point inside one of `polygons`
+ *
+ * Polygons are only checked when the ZIP isn't listed, and need the address
+ * geocoded (US Census geocoder, no key needed). If geocoding fails the
+ * address counts as outside the area; the customer is offered the waitlist
+ * and we follow up by phone.
+ *
+ * geocodeAddress() is also used by route planning (lib/route-planning.js)
+ * to place delivery stops on the map.
+ *
+ * Environment Variables (optional):
+ * - ICTS_SERVICE_AREA: JSON overriding any SERVICE_AREA_CONFIG field, e.g.
+ *   {"zipCodes":["28801","28803"],"polygons":[{"name":"Weaverville","coordinates":[[-82.6,35.7],...]}]}
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - Geocode one-line addresses for route planning
+ */
+
+const SERVICE_AREA_CONFIG = {
+    // Asheville and surrounding towns
+    zipCodes: [
+        '28801', '28803', '28804', '28805', '28806',
+        '28704', '28715', '28730', '28732', '28778', '28787'
+    ],
+    // Extra areas drawn on a map: { name, coordinates: [[longitude, latitude], ...] }
+    polygons: [],
+    geocoderUrl: 'https://geocoding.geo.census.gov/geocoder/locations/address',
+    geocoderOneLineUrl: 'https://geocoding.geo.census.gov/geocoder/locations/onelineaddress',
+    geocoderTimeoutMs: 4000
+};
+
+/**
+ * Get the service area configuration (defaults + ICTS_SERVICE_AREA)
+ * @returns {Object} Service area configuration
+ */
+function getServiceAreaConfig() {
+    if (!process.env.ICTS_SERVICE_AREA) {
+        return SERVICE_AREA_CONFIG;
+    }
+
+    try {
+        return { ...SERVICE_AREA_CONFIG, ...JSON.parse(process.env.ICTS_SERVICE_AREA) };
+    } catch (error) {
+        console.error('⚠️ ICTS_SERVICE_AREA is not valid JSON, using defaults:', error.message);
+        return SERVICE_AREA_CONFIG;
+    }
+}
+
+/**
+ * Check whether a point is inside a polygon (ray casting)
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} coordinates - Polygon ring: [[longitude, latitude], ...]
+ * @returns {boolean} True if inside
+ */
+function isPointInPolygon(point, coordinates) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+        const [xi, yi] = coordinates[i];
+        const [xj, yj] = coordinates[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Geocode an address with the US Census geocoder
+ * @param {Object|string} address - Normalized address, or a one-line address
+ *                                   such as a delivery job's
+ * @param {Object} [config] - Service area configuration
+ * @returns {Array|null} [longitude, latitude], or null if not found
+ */
+async function geocodeAddress(address, config = getServiceAreaConfig()) {
+    const oneLine = typeof address === 'string';
+    const params = new URLSearchParams(oneLine ? { address: address } : {
+        street: address.line1,
+        city: address.city,
+        state: address.state,
+        zip: address.postal_code
+    });
+    params.set('benchmark', 'Public_AR_Current');
+    params.set('format', 'json');
+
+    const response = await fetch(`${oneLine ? config.geocoderOneLineUrl : config.geocoderUrl}?${params}`, {
+        signal: AbortSignal.timeout(config.geocoderTimeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`Geocoder returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const match = data.result && data.result.addressMatches && data.result.addressMatches[0];
+    return match ? [match.coordinates.x, match.coordinates.y] : null;
+}
+
+/**
+ * Check whether we serve an address
+ * @param {Object} address - Normalized address (line1, city, state, postal_code)
+ * @returns {Object} { inArea, matchedBy } - matchedBy is 'zip', a polygon name, or null
+ */
+async function checkServiceArea(address) {
+    const config = getServiceAreaConfig();
+
+    if (config.zipCodes.includes(address.postal_code)) {
+        return { inArea: true, matchedBy: 'zip' };
+    }
+
+    if (config.polygons.length === 0) {
+        return { inArea: false, matchedBy: null };
+    }
+
+    try {
+        const point = await geocodeAddress(address, config);
+        const polygon = point && config.polygons.find(candidate => isPointInPolygon(point, candidate.coordinates));
+        if (polygon) {
+            return { inArea: true, matchedBy: polygon.name || 'polygon' };
+        }
+    } catch (error) {
+        console.error('⚠️ Could not geocode address for service area check:', error.message);
+    }
+
+    return { inArea: false, matchedBy: null };
+}
+
+module.exports = {
+    SERVICE_AREA_CONFIG,
+    getServiceAreaConfig,
+    isPointInPolygon,
+    geocodeAddress,
+    checkServiceArea
+};
@@ -0,0 +1,114 @@
+/**
+ * AWS SES EMAIL HELPER - SHARED SENDING AND BRANDED LAYOUT
+ * One SES client and one branded HTML layout for transactional emails
+ * (account links, service requests, notices) sent by the Netlify functions.
+ * Layouts and templates live in templates/ (lib/email-templates.js).
+ *
+ * @version 1.1.0 - Layout and emails rendered by the shared templating engine
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const AWS = require('aws-sdk');
+const { escapeHtml, htmlToText, renderEmail, renderWithLayout } = require('./email-templates');
+
+// Configure AWS SES client
+const ses = new AWS.SES({
+  accessKeyId: process.env.ICTS_AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.ICTS_AWS_SECRET_ACCESS_KEY,
+  region: process.env.ICTS_AWS_REGION || 'us-east-1'
+});
+
+const FROM_ADDRESS = 'Instant Closet Tote Storage <no-reply@instantclosettotestorage.com>';
+const CUSTOMER_SERVICE_EMAIL = 'customerservice@instantclosettotestorage.com';
+const SITE_URL = process.env.ICTS_SITE_URL || 'https://instantclosettotestorage.com';
+
+// Values every email template can use
+const TEMPLATE_GLOBALS = {
+  site_url: SITE_URL,
+  customer_service_email: CUSTOMER_SERVICE_EMAIL
+};
+
+/**
+ * Wrap email content in the branded layout (templates/layouts/branded.html)
+ * Same look as the contact and order notification emails
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {string} options.heading - Title shown under the logo
+ * @param {string} options.contentHtml - Already-escaped body HTML
+ * @param {string} [options.footerNote] - Extra footer line
+ * @returns {string} Full HTML document with inline styles
+ */
+function renderBrandedEmail({ title, heading, contentHtml, footerNote }) {
+  return renderWithLayout('branded', contentHtml, {
+    ...TEMPLATE_GLOBALS,
+    title: title,
+    heading: heading,
+    footer_note: footerNote
+  });
+}
+
+/**
+ * Render an email from templates/emails/ with the site-wide values filled in
+ * @param {string} name - Template name, e.g. 'order-receipt'
+ * @param {Object} data - Values for the template
+ * @returns {Object} { html, text }
+ */
+function renderTemplateEmail(name, data) {
+  return renderEmail(name, { ...TEMPLATE_GLOBALS, ...data });
+}
+
+/**
+ * Send an email via AWS SES
+ * @param {Object} options
+ * @param {string|string[]} options.to - Recipient address(es)
+ * @param {string} options.subject - Subject line
+ * @param {string} options.html - HTML body
+ * @param {string} [options.text] - Plain-text body (generated from the HTML when omitted)
+ * @param {string} [options.replyTo] - Reply-To address
+ * @param {Object} [options.tags] - SES tags, e.g. { Source: 'Customer-Portal', Type: 'Login-Link' }
+ * @returns {Promise<string>} SES message ID
+ */
+async function sendEmail({ to, subject, html, text, replyTo, tags }) {
+  const emailParams = {
+    Source: FROM_ADDRESS,
+    Destination: {
+      ToAddresses: Array.isArray(to) ? to : [to]
+    },
+    Message: {
+      Subject: {
+        Data: subject,
+        Charset: 'UTF-8'
+      },
+      Body: {
+        Html: {
+          Data: html,
+          Charset: 'UTF-8'
+        },
+        Text: {
+          Data: text || htmlToText(html),
+          Charset: 'UTF-8'
+        }
+      }
+    },
+    Tags: Object.keys(tags || {}).map(name => ({ Name: name, Value: tags[name] }))
+  };
+
+  if (replyTo) {
+    emailParams.ReplyToAddresses = [replyTo];
+  }
+
+  const result = await ses.sendEmail(emailParams).promise();
+  console.log(`✅ Email sent (${subject}):`, result.MessageId);
+  return result.MessageId;
+}
+
+module.exports = {
+  ses,
+  FROM_ADDRESS,
+  CUSTOMER_SERVICE_EMAIL,
+  SITE_URL,
+  escapeHtml,
+  renderBrandedEmail,
+  renderTemplateEmail,
+  sendEmail
+};
@@ -0,0 +1,62 @@
+/**
+ * FAKE SMS ADAPTER
+ *
+ * Sends nothing. Keeps every outgoing text in memory so tests and local
+ * development can read what would have been sent, and accepts any inbound
+ * request, so the sms-inbound function can be called with a plain form post.
+ *
+ * Adapter interface:
+ * - send({ to, body })                  Send one text; `to` is E.164 (+18285551234).
+ *                                       Returns (async) { id, status }
+ * - verifyInbound({ url, params, headers }) Whether an inbound webhook request really
+ *                                       came from the provider
+ * - parseInbound(params)                Read an inbound webhook's form fields:
+ *                                       { from, to, body, providerId, mediaCount }
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - SMS notifications
+ */
+
+/**
+ * Create a fake SMS adapter
+ * @returns {Object} SMS adapter, with `sent` listing every text sent
+ */
+function createFakeSmsAdapter() {
+    const sent = [];
+
+    return {
+        name: 'fake',
+        sent: sent,
+
+        async send({ to, body }) {
+            const message = {
+                id: `SMfake${String(sent.length + 1).padStart(6, '0')}`,
+                to: to,
+                body: body,
+                sent_at: new Date().toISOString()
+            };
+            sent.push(message);
+            console.log(`📱 [fake SMS] to ${to}: ${body}`);
+            return { id: message.id, status: 'sent' };
+        },
+
+        verifyInbound() {
+            return true;
+        },
+
+        // Same fields as Twilio, so tests can post what Twilio would
+        parseInbound(params) {
+            return {
+                from: params.From || '',
+                to: params.To || '',
+                body: params.Body || '',
+                providerId: params.MessageSid || null,
+                mediaCount: parseInt(params.NumMedia) || 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    createFakeSmsAdapter
+};
@@ -0,0 +1,102 @@
+/**
+ * TWILIO SMS ADAPTER
+ *
+ * Sends texts through the Twilio Messages API and checks the signature on
+ * Twilio's inbound message webhook. Any service with the same API (a
+ * Twilio-compatible gateway, a local mock server) works by changing
+ * `apiBaseUrl`.
+ *
+ * Inbound requests are signed with the auth token: X-Twilio-Signature is the
+ * base64 HMAC-SHA1 of the webhook URL followed by every form field name and
+ * value, sorted by name. The URL must be exactly the one set on the phone
+ * number in the Twilio console.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - SMS notifications
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a Twilio SMS adapter
+ * @param {Object} options
+ * @param {string} [options.accountSid] - Twilio account SID (AC...)
+ * @param {string} [options.authToken] - Twilio auth token
+ * @param {string} [options.fromNumber] - Sending number, E.164
+ * @param {string} [options.messagingServiceSid] - Messaging service (MG...), used instead of fromNumber
+ * @param {string} options.apiBaseUrl - e.g. https://api.twilio.com
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} SMS adapter
+ */
+function createTwilioSmsAdapter({ accountSid, authToken, fromNumber, messagingServiceSid, apiBaseUrl, timeoutMs }) {
+    /**
+     * Signature Twilio would send for a request
+     * @param {string} url - Full webhook URL, with query string
+     * @param {Object} params - Form fields
+     * @returns {string} Base64 signature
+     */
+    function signRequest(url, params) {
+        const payload = Object.keys(params).sort()
+            .reduce((text, key) => text + key + params[key], url);
+        return crypto.createHmac('sha1', authToken).update(payload, 'utf8').digest('base64');
+    }
+
+    return {
+        name: 'twilio',
+
+        async send({ to, body }) {
+            if (!accountSid || !authToken || (!fromNumber && !messagingServiceSid)) {
+                throw new Error('SMS is not configured - set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+            }
+
+            const form = new URLSearchParams({ To: to, Body: body });
+            if (messagingServiceSid) {
+                form.set('MessagingServiceSid', messagingServiceSid);
+            } else {
+                form.set('From', fromNumber);
+            }
+
+            const response = await fetch(`${apiBaseUrl}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: form.toString(),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(`Twilio returned ${response.status}: ${data.message || 'no details'}${data.code ? ` (${data.code})` : ''}`);
+            }
+
+            return { id: data.sid, status: data.status || 'queued' };
+        },
+
+        verifyInbound({ url, params, headers }) {
+            const signature = headers['x-twilio-signature'] || headers['X-Twilio-Signature'];
+            if (!authToken || !signature || !url) {
+                return false;
+            }
+
+            const expected = Buffer.from(signRequest(url, params));
+            const received = Buffer.from(String(signature));
+            return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+        },
+
+        parseInbound(params) {
+            return {
+                from: params.From || '',
+                to: params.To || '',
+                body: params.Body || '',
+                providerId: params.MessageSid || params.SmsSid || null,
+                mediaCount: parseInt(params.NumMedia) || 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    createTwilioSmsAdapter
+};
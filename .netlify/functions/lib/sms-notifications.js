@@ -0,0 +1,97 @@
+/**
+ * SMS NOTIFICATIONS - DELIVERY TEXTS
+ *
+ * The texts customers get about their trips (sent through sms.js):
+ * - sendWindowConfirmation()  Once a delivery job is booked into a window
+ *                             (order-fulfillment.js, tote-trips.js)
+ * - sendOnTheWayNotice()      When the driver heads to the stop (driver page)
+ *
+ * Each confirmation is recorded on the job as `window_confirmation_sms` (the
+ * window it confirmed), so a retried fulfillment doesn't text twice and a
+ * job moved to another window gets a new confirmation. Customers without a
+ * phone number, and numbers that texted STOP, are skipped.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - SMS notifications
+ */
+
+const { getStore } = require('./store');
+const { COLLECTIONS, DELIVERY_JOB_TYPES, updateDeliveryJob } = require('./orders');
+const { sendSms } = require('./sms');
+
+const SENDER_NAME = 'Instant Closet Tote Storage';
+
+// How each delivery job type reads in a text
+const TRIP_LABELS = {
+    [DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY]: 'empty tote delivery',
+    [DELIVERY_JOB_TYPES.TOTE_PICKUP]: 'tote pickup',
+    [DELIVERY_JOB_TYPES.TOTE_RETURN]: 'tote return'
+};
+
+/**
+ * Load the customer a job is for
+ * @param {Object} job - Delivery job
+ * @returns {Object|null} Customer record
+ */
+async function getJobCustomer(job) {
+    return job.customer_id ? getStore().get(COLLECTIONS.CUSTOMERS, job.customer_id) : null;
+}
+
+/**
+ * Text the customer the window their trip is booked into
+ * @param {Object} job - Delivery job (scheduled, with window_label)
+ * @returns {Object|null} Logged message, or null if nothing was sent
+ * @throws {Error} If the send fails (callers log it; the booking stands)
+ */
+async function sendWindowConfirmation(job) {
+    if (job.status !== 'scheduled' || !job.window_id || job.window_confirmation_sms === job.window_id) {
+        return null;
+    }
+
+    const customer = await getJobCustomer(job);
+    if (!customer || !customer.phone) {
+        return null;
+    }
+
+    const message = await sendSms({
+        to: customer.phone,
+        body: `${SENDER_NAME}: your ${TRIP_LABELS[job.type] || 'trip'} is booked for ${job.window_label}. ` +
+            'Reply here with any questions, or STOP to opt out of texts.',
+        kind: 'window_confirmation',
+        customerId: customer.id,
+        jobId: job.id
+    });
+
+    if (message) {
+        await updateDeliveryJob(job.id, { window_confirmation_sms: job.window_id });
+    }
+    return message;
+}
+
+/**
+ * Text the customer that the driver is heading to them
+ * @param {Object} job - Delivery job
+ * @returns {Object|null} Logged message, or null if nothing was sent
+ * @throws {Error} If the send fails
+ */
+async function sendOnTheWayNotice(job) {
+    const customer = await getJobCustomer(job);
+    if (!customer || !customer.phone) {
+        return null;
+    }
+
+    const firstName = (customer.name || '').split(' ')[0];
+    return sendSms({
+        to: customer.phone,
+        body: `${SENDER_NAME}: ${firstName ? `Hi ${firstName}, your` : 'Your'} driver is on the way for your ` +
+            `${TRIP_LABELS[job.type] || 'trip'}. Reply here if anything has changed.`,
+        kind: 'on_the_way',
+        customerId: customer.id,
+        jobId: job.id
+    });
+}
+
+module.exports = {
+    sendWindowConfirmation,
+    sendOnTheWayNotice
+};
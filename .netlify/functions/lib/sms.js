@@ -0,0 +1,402 @@
+/**
+ * SMS - TEXT MESSAGES TO AND FROM CUSTOMERS
+ *
+ * Every text goes through this module, which hands delivery to the
+ * configured SMS adapter (see sms-adapters/fake-adapter.js for the
+ * interface) and logs each message in the sms_messages collection:
+ * - sendSms()               Text a customer (sms-notifications.js, staff replies)
+ * - receiveSms()            Record a customer's text from the inbound webhook
+ *                           (sms-inbound function)
+ * - listSmsConversations()  The admin dashboard's Inbox: texts grouped by
+ *                           phone number, newest conversation first
+ * - replyToConversation()   A staff reply from the Inbox
+ *
+ * Phone numbers are kept digits-only without the country code, the way
+ * checkout and the contact form collect them, and only turned into E.164
+ * (+18285551234) for the adapter. A customer who texts STOP is not texted
+ * again until they text START (sms_opt_outs collection, one record per number).
+ *
+ * Environment Variables:
+ * - ICTS_SMS_ADAPTER: 'twilio' (default) or 'fake' (local only), or any name
+ *   added with registerSmsAdapter()
+ * - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN: Twilio account credentials
+ * - TWILIO_FROM_NUMBER: Number texts are sent from, e.g. +18285551234
+ *   (or TWILIO_MESSAGING_SERVICE_SID to send through a messaging service)
+ * - ICTS_SMS: JSON overriding any SMS_CONFIG field, e.g.
+ *   {"webhookUrl":"https://www.instantclosettotestorage.com/api/sms-inbound"}
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.1 - Fake adapter refused on deployed sites
+ */
+
+const { getStore, createId, isDeployed } = require('./store');
+const { COLLECTIONS } = require('./orders');
+const { createTwilioSmsAdapter } = require('./sms-adapters/twilio-adapter');
+const { createFakeSmsAdapter } = require('./sms-adapters/fake-adapter');
+
+const SMS_MESSAGES_COLLECTION = 'sms_messages';
+const SMS_OPT_OUTS_COLLECTION = 'sms_opt_outs';
+
+// Carrier-standard keywords; the provider also honors them on its side
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+
+const SMS_CONFIG = {
+    apiBaseUrl: 'https://api.twilio.com',
+    timeoutMs: 10000,
+    // Public URL of the sms-inbound function as set in the Twilio console;
+    // null uses the URL the request came in on
+    webhookUrl: null,
+    maxBodyLength: 480,           // Three SMS segments
+    conversationMessages: 20      // Latest messages shown per Inbox conversation
+};
+
+/**
+ * Get the SMS configuration (defaults + ICTS_SMS)
+ * @returns {Object} SMS configuration
+ */
+function getSmsConfig() {
+    if (!process.env.ICTS_SMS) {
+        return SMS_CONFIG;
+    }
+
+    try {
+        return { ...SMS_CONFIG, ...JSON.parse(process.env.ICTS_SMS) };
+    } catch (error) {
+        console.error('⚠️ ICTS_SMS is not valid JSON, using defaults:', error.message);
+        return SMS_CONFIG;
+    }
+}
+
+const adapterFactories = {
+    twilio: () => createTwilioSmsAdapter({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        fromNumber: process.env.TWILIO_FROM_NUMBER,
+        messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+        apiBaseUrl: getSmsConfig().apiBaseUrl,
+        timeoutMs: getSmsConfig().timeoutMs
+    }),
+    fake: () => createFakeSmsAdapter()
+};
+
+// Adapters that send nothing and accept any inbound request
+const LOCAL_ADAPTERS = ['fake'];
+
+let currentAdapter = null;
+
+/**
+ * Register another SMS adapter
+ * @param {string} name - Value of ICTS_SMS_ADAPTER that selects it
+ * @param {Function} factory - Returns an adapter with the fake adapter's interface
+ */
+function registerSmsAdapter(name, factory) {
+    adapterFactories[name] = factory;
+}
+
+/**
+ * Get the configured SMS adapter
+ * @returns {Object} SMS adapter
+ * @throws {Error} If ICTS_SMS_ADAPTER names an unknown adapter, or the fake
+ *   adapter on a deployed site
+ */
+function getSmsAdapter() {
+    if (!currentAdapter) {
+        const adapterName = process.env.ICTS_SMS_ADAPTER || 'twilio';
+        const factory = adapterFactories[adapterName];
+        if (!factory) {
+            throw new Error(`Unknown SMS adapter: ${adapterName}`);
+        }
+        if (LOCAL_ADAPTERS.includes(adapterName) && isDeployed()) {
+            throw new Error(`The ${adapterName} SMS adapter only works locally - use twilio or another SMS adapter`);
+        }
+        currentAdapter = factory();
+        console.log(`📱 Using ${currentAdapter.name} SMS adapter`);
+    }
+    return currentAdapter;
+}
+
+/**
+ * Replace the SMS adapter (tests, scripts)
+ * @param {Object|null} adapter - Adapter to use, or null to reselect from env
+ */
+function setSmsAdapter(adapter) {
+    currentAdapter = adapter;
+}
+
+/**
+ * Reduce a phone number to its 10 US digits
+ * @param {string} phone - Any format: 8285551234, (828) 555-1234, +18285551234
+ * @returns {string} Digits without the country code
+ */
+function toPhoneDigits(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Format a phone number as E.164 for the adapter
+ * @param {string} phone - Any format
+ * @returns {string} e.g. +18285551234
+ * @throws {Error} If it isn't a full phone number
+ */
+function toE164(phone) {
+    const digits = toPhoneDigits(phone);
+    if (digits.length === 10) {
+        return `+1${digits}`;
+    }
+    if (digits.length > 10 && String(phone).trim().startsWith('+')) {
+        return `+${digits}`;
+    }
+    throw new Error('Invalid phone number');
+}
+
+/**
+ * Whether a number has texted STOP
+ * @param {string} phone - Any format
+ * @returns {boolean} True if we must not text it
+ */
+async function isOptedOut(phone) {
+    const optOut = await getStore().get(SMS_OPT_OUTS_COLLECTION, toPhoneDigits(phone));
+    return Boolean(optOut);
+}
+
+/**
+ * Find the customer with a phone number
+ * @param {string} phone - Any format
+ * @returns {Object|null} Customer record (the most recently updated, if several share it)
+ */
+async function findCustomerByPhone(phone) {
+    const digits = toPhoneDigits(phone);
+    const customers = (await getStore().find(COLLECTIONS.CUSTOMERS))
+        .filter(customer => toPhoneDigits(customer.phone) === digits)
+        .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+    return customers[0] || null;
+}
+
+/**
+ * Text a customer
+ * The message is logged before it is sent, so a failed send is still on record.
+ * @param {Object} options
+ * @param {string} options.to - Phone number, any format
+ * @param {string} options.body - Message text
+ * @param {string} options.kind - What it is, e.g. 'window_confirmation', 'staff_reply'
+ * @param {string} [options.customerId] - Customer record ID
+ * @param {string} [options.jobId] - Delivery job the text is about
+ * @returns {Object|null} Logged message, or null if the number opted out
+ * @throws {Error} If the number is invalid or the adapter fails
+ */
+async function sendSms({ to, body, kind, customerId, jobId }) {
+    const config = getSmsConfig();
+    const e164 = toE164(to);
+    const text = String(body || '').trim();
+    if (!text) {
+        throw new Error('Message text is required');
+    }
+    if (text.length > config.maxBodyLength) {
+        throw new Error(`Invalid message - keep it under ${config.maxBodyLength} characters`);
+    }
+
+    if (await isOptedOut(to)) {
+        console.log(`🔕 ${kind} text not sent - ${toPhoneDigits(to)} opted out`);
+        return null;
+    }
+
+    const store = getStore();
+    const now = new Date().toISOString();
+    const message = await store.insert(SMS_MESSAGES_COLLECTION, {
+        id: createId('sms'),
+        direction: 'outbound',
+        phone: toPhoneDigits(to),
+        customer_id: customerId || null,
+        job_id: jobId || null,
+        kind: kind,
+        body: text,
+        status: 'sending',
+        provider_id: null,
+        error: null,
+        created_at: now,
+        updated_at: now
+    });
+
+    try {
+        const result = await getSmsAdapter().send({ to: e164, body: text });
+        console.log(`📱 ${kind} text sent to ${message.phone}: ${result.id}`);
+        return store.update(SMS_MESSAGES_COLLECTION, message.id, {
+            status: 'sent',
+            provider_id: result.id,
+            updated_at: new Date().toISOString()
+        });
+    } catch (error) {
+        await store.update(SMS_MESSAGES_COLLECTION, message.id, {
+            status: 'failed',
+            error: error.message,
+            updated_at: new Date().toISOString()
+        });
+        throw error;
+    }
+}
+
+/**
+ * Record a text from a customer
+ * STOP and START change the number's opt-out; every text, keywords included,
+ * lands in the Inbox. A webhook retry with the same provider ID is recorded once.
+ * @param {Object} inbound - From the adapter's parseInbound()
+ * @param {string} inbound.from - Sender, E.164
+ * @param {string} inbound.body - Message text
+ * @param {string} [inbound.providerId] - Provider's message ID
+ * @param {number} [inbound.mediaCount] - Attached photos (not stored; staff see the count)
+ * @returns {Object} Logged message
+ * @throws {Error} If the sender has no phone number
+ */
+async function receiveSms({ from, body, providerId, mediaCount }) {
+    const phone = toPhoneDigits(from);
+    if (phone.length < 10) {
+        throw new Error('Invalid sender phone number');
+    }
+
+    const store = getStore();
+    if (providerId) {
+        const [existing] = await store.find(SMS_MESSAGES_COLLECTION, { provider_id: providerId });
+        if (existing) {
+            return existing;
+        }
+    }
+
+    const text = String(body || '').trim();
+    const keyword = text.toUpperCase();
+    const now = new Date().toISOString();
+
+    if (STOP_KEYWORDS.includes(keyword) && !(await isOptedOut(phone))) {
+        await store.insert(SMS_OPT_OUTS_COLLECTION, { id: phone, created_at: now });
+        console.log(`🔕 ${phone} opted out of texts`);
+    } else if (START_KEYWORDS.includes(keyword)) {
+        await store.remove(SMS_OPT_OUTS_COLLECTION, phone);
+        console.log(`🔔 ${phone} opted back in to texts`);
+    }
+
+    const customer = await findCustomerByPhone(phone);
+    const message = await store.insert(SMS_MESSAGES_COLLECTION, {
+        id: createId('sms'),
+        direction: 'inbound',
+        phone: phone,
+        customer_id: customer ? customer.id : null,
+        job_id: null,
+        kind: 'customer_reply',
+        body: text,
+        media_count: mediaCount || 0,
+        status: 'unread',
+        provider_id: providerId || null,
+        error: null,
+        created_at: now,
+        updated_at: now
+    });
+
+    console.log(`📨 Text from ${phone}${customer ? ` (${customer.email})` : ''} added to the inbox`);
+    return message;
+}
+
+/**
+ * List Inbox conversations
+ * A conversation is every text to and from one number; only numbers that
+ * have texted us are listed, with our notifications shown for context.
+ * @returns {Array} Conversations, those with the newest message first
+ */
+async function listSmsConversations() {
+    const store = getStore();
+    const config = getSmsConfig();
+    const messages = (await store.find(SMS_MESSAGES_COLLECTION))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    const byPhone = new Map();
+    for (const message of messages) {
+        if (!byPhone.has(message.phone)) {
+            byPhone.set(message.phone, []);
+        }
+        byPhone.get(message.phone).push(message);
+    }
+
+    const conversations = [];
+    for (const [phone, thread] of byPhone) {
+        if (!thread.some(message => message.direction === 'inbound')) {
+            continue;
+        }
+
+        const customerId = [...thread].reverse().map(message => message.customer_id).find(Boolean);
+        const customer = customerId ? await store.get(COLLECTIONS.CUSTOMERS, customerId) : null;
+        conversations.push({
+            phone: phone,
+            customer_id: customer ? customer.id : null,
+            customer_name: customer ? customer.name : null,
+            customer_email: customer ? customer.email : null,
+            opted_out: await isOptedOut(phone),
+            unread: thread.filter(message => message.status === 'unread').length,
+            last_message_at: thread[thread.length - 1].created_at,
+            messages: thread.slice(-config.conversationMessages).map(message => ({
+                id: message.id,
+                direction: message.direction,
+                kind: message.kind,
+                body: message.body,
+                media_count: message.media_count || 0,
+                status: message.status,
+                created_at: message.created_at
+            }))
+        });
+    }
+
+    return conversations.sort((a, b) => b.last_message_at.localeCompare(a.last_message_at));
+}
+
+/**
+ * Mark a conversation's texts as read
+ * @param {string} phone - Any format
+ * @returns {number} Messages marked
+ */
+async function markConversationRead(phone) {
+    const store = getStore();
+    const unread = await store.find(SMS_MESSAGES_COLLECTION, { phone: toPhoneDigits(phone), status: 'unread' });
+    const now = new Date().toISOString();
+    for (const message of unread) {
+        await store.update(SMS_MESSAGES_COLLECTION, message.id, { status: 'read', updated_at: now });
+    }
+    return unread.length;
+}
+
+/**
+ * Reply to a conversation from the Inbox
+ * @param {string} phone - Conversation's phone number
+ * @param {string} body - Reply text
+ * @returns {Object} Logged message
+ * @throws {Error} If the number opted out or the send fails
+ */
+async function replyToConversation(phone, body) {
+    const customer = await findCustomerByPhone(phone);
+    const message = await sendSms({
+        to: phone,
+        body: body,
+        kind: 'staff_reply',
+        customerId: customer ? customer.id : null
+    });
+    if (!message) {
+        throw new Error('Invalid reply - this number texted STOP and can\'t be texted until they text START');
+    }
+
+    await markConversationRead(phone);
+    return message;
+}
+
+module.exports = {
+    SMS_MESSAGES_COLLECTION,
+    getSmsConfig,
+    registerSmsAdapter,
+    getSmsAdapter,
+    setSmsAdapter,
+    toPhoneDigits,
+    toE164,
+    isOptedOut,
+    sendSms,
+    receiveSms,
+    listSmsConversations,
+    markConversationRead,
+    replyToConversation
+};
@@ -0,0 +1,156 @@
+/**
+ * STAFF AUTH - API KEY AND ADMIN SESSIONS FOR TEAM-ONLY FUNCTIONS
+ *
+ * Functions used by the team (tote labels, tote check-in, the admin
+ * dashboard) require a Bearer token that is either:
+ * - the staff API key, used by the team's scripts and tools, or
+ * - a staff session from signing in to the admin dashboard (admin/index.html)
+ * Customers never see either.
+ *
+ * Drivers sign in to the driver page (driver/index.html) with their own
+ * password from ICTS_DRIVERS and get a driver session, which only the
+ * driver function accepts.
+ *
+ * Environment Variables Required:
+ * - ICTS_STAFF_API_KEY: Long random string shared with the team's tools
+ * - ICTS_ADMIN_PASSWORD: Password for the admin dashboard
+ * - ICTS_DRIVERS: JSON of driver name -> password, e.g. {"sam":"..."}
+ * - ICTS_AUTH_SECRET: Token signing secret for staff sessions (see auth-tokens.js)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.2.0 - Driver sessions
+ */
+
+const crypto = require('crypto');
+const { createToken, verifyToken, getBearerToken } = require('./auth-tokens');
+
+const STAFF_SESSION_TTL_SECONDS = 12 * 60 * 60;     // One working day
+const DRIVER_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} expected - Configured secret
+ * @param {string} provided - Value from the request
+ * @returns {boolean} Whether they match
+ */
+function secretsMatch(expected, provided) {
+    // Compare digests so the comparison time doesn't depend on the key length
+    const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+    const providedDigest = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(expectedDigest, providedDigest);
+}
+
+/**
+ * Exchange the admin password for a staff session token
+ * @param {string} password - Admin password
+ * @returns {string} Staff session token
+ * @throws {Error} If the password is wrong or not configured
+ */
+function signInStaff(password) {
+    const adminPassword = process.env.ICTS_ADMIN_PASSWORD;
+
+    if (!adminPassword || !password || !secretsMatch(adminPassword, String(password))) {
+        throw new Error('Invalid admin password');
+    }
+
+    return createToken('staff-session', { sub: 'admin' }, STAFF_SESSION_TTL_SECONDS);
+}
+
+/**
+ * Require the staff API key or a staff session on a request
+ * @param {Object} event - Netlify function event
+ * @throws {Error} If neither is present and valid
+ */
+function requireStaff(event) {
+    const staffKey = process.env.ICTS_STAFF_API_KEY;
+    const provided = getBearerToken(event);
+
+    if (!provided) {
+        throw new Error('Staff sign in required');
+    }
+
+    if (staffKey && secretsMatch(staffKey, provided)) {
+        return;
+    }
+
+    try {
+        verifyToken(provided, 'staff-session');
+    } catch (error) {
+        throw new Error('Staff sign in required');
+    }
+}
+
+/**
+ * Get the configured drivers
+ * @returns {Object} Driver name -> password
+ */
+function getDrivers() {
+    if (!process.env.ICTS_DRIVERS) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(process.env.ICTS_DRIVERS);
+    } catch (error) {
+        console.error('⚠️ ICTS_DRIVERS is not valid JSON:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Whether a driver name is configured
+ * @param {string} driverId - Driver name
+ * @returns {boolean}
+ */
+function isDriver(driverId) {
+    return Object.prototype.hasOwnProperty.call(getDrivers(), String(driverId || '').toLowerCase());
+}
+
+/**
+ * Exchange a driver's name and password for a driver session token
+ * @param {string} driverId - Driver name from ICTS_DRIVERS
+ * @param {string} password - That driver's password
+ * @returns {string} Driver session token
+ * @throws {Error} If the name or password is wrong
+ */
+function signInDriver(driverId, password) {
+    const name = String(driverId || '').trim().toLowerCase();
+    const expected = isDriver(name) ? String(getDrivers()[name]) : null;
+
+    if (!expected || !password || !secretsMatch(expected, String(password))) {
+        throw new Error('Invalid driver name or password');
+    }
+
+    return createToken('driver-session', { sub: name }, DRIVER_SESSION_TTL_SECONDS);
+}
+
+/**
+ * Require a driver session on a request
+ * @param {Object} event - Netlify function event
+ * @returns {string} Driver name
+ * @throws {Error} If the session is missing or invalid
+ */
+function requireDriver(event) {
+    const provided = getBearerToken(event);
+    let claims;
+
+    try {
+        claims = provided ? verifyToken(provided, 'driver-session') : null;
+    } catch (error) {
+        claims = null;
+    }
+
+    // A driver removed from ICTS_DRIVERS is signed out right away
+    if (!claims || !isDriver(claims.sub)) {
+        throw new Error('Driver sign in required');
+    }
+    return claims.sub;
+}
+
+module.exports = {
+    signInStaff,
+    requireStaff,
+    isDriver,
+    signInDriver,
+    requireDriver
+};
@@ -0,0 +1,72 @@
+/**
+ * FILE STORE ADAPTER
+ *
+ * Keeps every collection in one JSON file, for local development
+ * (netlify dev) and tests. The file is re-read on every call so several
+ * functions running locally see each other's writes, and written through a
+ * temp file + rename so a crash never leaves half a file behind.
+ *
+ * Not for production: Netlify function instances don't share a disk.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Order persistence layer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { operations } = require('./memory-adapter');
+
+/**
+ * Create a file adapter
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file to store data in
+ * @returns {Object} Store adapter (same interface as the memory adapter)
+ */
+function createFileAdapter({ filePath }) {
+    // Serialize reads and writes within this process
+    let queue = Promise.resolve();
+
+    function readData() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    function writeData(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    function run(operation, mutates) {
+        const result = queue.then(() => {
+            const data = readData();
+            const value = operation(data);
+            if (mutates) writeData(data);
+            return value;
+        });
+        // Keep the queue going even if this operation fails
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        name: 'file',
+        insert: (collection, record) => run(data => operations.insert(data, collection, record), true),
+        update: (collection, id, patch) => run(data => operations.update(data, collection, id, patch), true),
+        get: (collection, id) => run(data => operations.get(data, collection, id), false),
+        find: (collection, where) => run(data => operations.find(data, collection, where), false),
+        remove: (collection, id) => run(data => operations.remove(data, collection, id), true),
+        clear: () => run(data => {
+            Object.keys(data).forEach(key => delete data[key]);
+        }, true)
+    };
+}
+
+module.exports = {
+    createFileAdapter
+};
@@ -0,0 +1,84 @@
+/**
+ * MEMORY STORE ADAPTER
+ *
+ * Keeps every collection in process memory. Used by tests and as the base
+ * of the file adapter. Data is lost when the function instance ends.
+ *
+ * Adapter interface (all methods async):
+ * - insert(collection, record)      Add a record (record.id required)
+ * - update(collection, id, patch)   Shallow-merge a patch; returns the record or null
+ * - get(collection, id)             One record by ID, or null
+ * - find(collection, where)         Records whose fields equal every value in `where`
+ * - remove(collection, id)          Delete a record; returns true if it existed
+ * - clear()                         Delete everything
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Order persistence layer
+ */
+
+/**
+ * Apply an operation to a plain data object ({ collection: { id: record } })
+ * Shared with the file adapter so both behave exactly the same.
+ */
+const operations = {
+    insert(data, collection, record) {
+        if (!record || !record.id) {
+            throw new Error('Record id is required');
+        }
+        const records = data[collection] || (data[collection] = {});
+        if (records[record.id]) {
+            throw new Error(`Record ${record.id} already exists in ${collection}`);
+        }
+        records[record.id] = { ...record };
+        return { ...record };
+    },
+
+    update(data, collection, id, patch) {
+        const records = data[collection] || {};
+        if (!records[id]) return null;
+        records[id] = { ...records[id], ...patch, id: id };
+        return { ...records[id] };
+    },
+
+    get(data, collection, id) {
+        const records = data[collection] || {};
+        return records[id] ? { ...records[id] } : null;
+    },
+
+    find(data, collection, where = {}) {
+        const records = Object.values(data[collection] || {});
+        return records
+            .filter(record => Object.keys(where).every(key => record[key] === where[key]))
+            .map(record => ({ ...record }));
+    },
+
+    remove(data, collection, id) {
+        const records = data[collection] || {};
+        if (!records[id]) return false;
+        delete records[id];
+        return true;
+    }
+};
+
+/**
+ * Create a memory adapter
+ * @returns {Object} Store adapter
+ */
+function createMemoryAdapter() {
+    let data = {};
+
+    return {
+        name: 'memory',
+        insert: async (collection, record) => operations.insert(data, collection, record),
+        update: async (collection, id, patch) => operations.update(data, collection, id, patch),
+        get: async (collection, id) => operations.get(data, collection, id),
+        find: async (collection, where) => operations.find(data, collection, where),
+        remove: async (collection, id) => operations.remove(data, collection, id),
+        clear: async () => { data = {}; }
+    };
+}
+
+module.exports = {
+    operations,
+    createMemoryAdapter
+};
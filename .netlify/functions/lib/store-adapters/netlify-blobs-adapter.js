@@ -0,0 +1,126 @@
+/**
+ * NETLIFY BLOBS STORE ADAPTER
+ *
+ * Keeps every record as one JSON blob in a Netlify Blobs store, keyed
+ * `<collection>/<id>`, so all function instances (and scheduled functions)
+ * share the same data. This is the production store.
+ *
+ * insert() is a conditional write (only if the key is new), so two
+ * functions inserting the same ID at once can't both succeed - step claims,
+ * single-use links and delivery window reservations rely on that.
+ * update() writes only if the record is unchanged since it was read
+ * (ETag), and retries otherwise, so concurrent patches to one record don't
+ * overwrite each other. find() lists the collection and reads each record;
+ * fine for the few thousand records a collection holds here.
+ *
+ * Credentials: on Netlify the site's Blobs context is used when the runtime
+ * provides one; otherwise set siteID and token (a personal access token).
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Hosted store
+ */
+
+const { getStore: getBlobStore } = require('@netlify/blobs');
+
+// Attempts for an update that keeps losing the race to another writer
+const UPDATE_ATTEMPTS = 5;
+
+// Records read at once by find()
+const READ_BATCH_SIZE = 20;
+
+/**
+ * Create a Netlify Blobs adapter
+ * @param {Object} options
+ * @param {string} options.storeName - Blobs store holding every collection
+ * @param {string} [options.siteID] - Netlify site ID (defaults to the runtime context)
+ * @param {string} [options.token] - Netlify access token (defaults to the runtime context)
+ * @param {string} [options.apiURL] - API URL override (tests use a local BlobsServer)
+ * @param {string} [options.edgeURL] - Edge URL override (tests)
+ * @returns {Object} Store adapter (same interface as the memory adapter)
+ */
+function createNetlifyBlobsAdapter({ storeName, siteID, token, apiURL, edgeURL }) {
+    const blobs = getBlobStore({
+        name: storeName,
+        consistency: 'strong',
+        ...(siteID && token ? { siteID: siteID, token: token } : {}),
+        ...(apiURL ? { apiURL: apiURL } : {}),
+        ...(edgeURL ? { edgeURL: edgeURL, uncachedEdgeURL: edgeURL } : {})
+    });
+
+    function recordKey(collection, id) {
+        return `${encodeURIComponent(collection)}/${encodeURIComponent(id)}`;
+    }
+
+    async function listKeys(prefix) {
+        const { blobs: entries } = await blobs.list({ prefix: prefix });
+        return entries.map(entry => entry.key);
+    }
+
+    async function readAll(keys) {
+        const records = [];
+        for (let start = 0; start < keys.length; start += READ_BATCH_SIZE) {
+            const batch = await Promise.all(
+                keys.slice(start, start + READ_BATCH_SIZE).map(key => blobs.get(key, { type: 'json' }))
+            );
+            // A record removed between the list and the read comes back null
+            records.push(...batch.filter(Boolean));
+        }
+        return records;
+    }
+
+    return {
+        name: 'netlify-blobs',
+
+        async insert(collection, record) {
+            if (!record || !record.id) {
+                throw new Error('Record id is required');
+            }
+            const result = await blobs.setJSON(recordKey(collection, record.id), record, { onlyIfNew: true });
+            if (!result.modified) {
+                throw new Error(`Record ${record.id} already exists in ${collection}`);
+            }
+            return { ...record };
+        },
+
+        async update(collection, id, patch) {
+            const key = recordKey(collection, id);
+            for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+                const entry = await blobs.getWithMetadata(key, { type: 'json' });
+                if (!entry) return null;
+
+                const record = { ...entry.data, ...patch, id: id };
+                // The local BlobsServer doesn't send ETags on reads; Netlify always does
+                const result = await blobs.setJSON(key, record, entry.etag ? { onlyIfMatch: entry.etag } : {});
+                if (result.modified) {
+                    return { ...record };
+                }
+            }
+            throw new Error(`Record ${id} in ${collection} kept changing - update not applied`);
+        },
+
+        async get(collection, id) {
+            return blobs.get(recordKey(collection, id), { type: 'json' });
+        },
+
+        async find(collection, where = {}) {
+            const records = await readAll(await listKeys(`${encodeURIComponent(collection)}/`));
+            return records.filter(record => Object.keys(where).every(key => record[key] === where[key]));
+        },
+
+        async remove(collection, id) {
+            const key = recordKey(collection, id);
+            if (await blobs.get(key) === null) return false;
+            await blobs.delete(key);
+            return true;
+        },
+
+        async clear() {
+            const keys = await listKeys('');
+            await Promise.all(keys.map(key => blobs.delete(key)));
+        }
+    };
+}
+
+module.exports = {
+    createNetlifyBlobsAdapter
+};
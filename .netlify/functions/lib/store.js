@@ -0,0 +1,125 @@
+/**
+ * DATA STORE - STORAGE ADAPTER SELECTION
+ *
+ * Every function that persists data goes through getStore(), which returns
+ * the configured storage adapter (see store-adapters/memory-adapter.js for
+ * the interface). Domain modules such as orders.js build on top of it.
+ *
+ * Deployed sites use the Netlify Blobs adapter, shared by every function
+ * instance. The file and memory adapters are for local development and
+ * tests: on a deployed site each function instance has its own temporary
+ * disk, so data would vanish between invocations and scheduled functions
+ * would see an empty store. Deployed, getStore() refuses them.
+ *
+ * Environment Variables:
+ * - ICTS_STORE_ADAPTER: 'netlify-blobs' (default when deployed), 'file'
+ *   (default locally) or 'memory' (local only), or any name added with
+ *   registerStoreAdapter()
+ * - ICTS_STORE_PATH: JSON file used by the file adapter
+ *   (default: <os tmpdir>/icts-store.json)
+ * - ICTS_BLOBS_STORE: Netlify Blobs store name (default: icts)
+ * - ICTS_BLOBS_SITE_ID, ICTS_BLOBS_TOKEN: Site ID and access token for
+ *   Netlify Blobs, when the function runtime doesn't provide a Blobs
+ *   context (scripts, Lambda-compatible functions)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.2.0 - Netlify Blobs store for deployed sites
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryAdapter } = require('./store-adapters/memory-adapter');
+const { createFileAdapter } = require('./store-adapters/file-adapter');
+const { createNetlifyBlobsAdapter } = require('./store-adapters/netlify-blobs-adapter');
+
+const adapterFactories = {
+    memory: () => createMemoryAdapter(),
+    file: () => createFileAdapter({
+        filePath: process.env.ICTS_STORE_PATH || path.join(os.tmpdir(), 'icts-store.json')
+    }),
+    'netlify-blobs': () => {
+        try {
+            return createNetlifyBlobsAdapter({
+                storeName: process.env.ICTS_BLOBS_STORE || 'icts',
+                siteID: process.env.ICTS_BLOBS_SITE_ID,
+                token: process.env.ICTS_BLOBS_TOKEN
+            });
+        } catch (error) {
+            if (error.name === 'MissingBlobsEnvironmentError') {
+                throw new Error('Netlify Blobs is not configured - set ICTS_BLOBS_SITE_ID and ICTS_BLOBS_TOKEN');
+            }
+            throw error;
+        }
+    }
+};
+
+// Adapters whose data lives on the function instance
+const LOCAL_ADAPTERS = ['file', 'memory'];
+
+let currentStore = null;
+
+/**
+ * Whether this is a deployed Netlify function (not `netlify dev` or a script)
+ * @returns {boolean} True on Netlify
+ */
+function isDeployed() {
+    return Boolean(process.env.NETLIFY || process.env.CONTEXT || process.env.AWS_LAMBDA_FUNCTION_NAME) &&
+        !process.env.NETLIFY_DEV;
+}
+
+/**
+ * Register another storage adapter (e.g. a hosted database for production)
+ * @param {string} name - Value of ICTS_STORE_ADAPTER that selects it
+ * @param {Function} factory - Returns an adapter with the memory adapter's interface
+ */
+function registerStoreAdapter(name, factory) {
+    adapterFactories[name] = factory;
+}
+
+/**
+ * Get the configured store
+ * @returns {Object} Storage adapter
+ * @throws {Error} If ICTS_STORE_ADAPTER names an unknown adapter, or a
+ *         local-only adapter on a deployed site
+ */
+function getStore() {
+    if (!currentStore) {
+        const adapterName = process.env.ICTS_STORE_ADAPTER || (isDeployed() ? 'netlify-blobs' : 'file');
+        const factory = adapterFactories[adapterName];
+        if (!factory) {
+            throw new Error(`Unknown store adapter: ${adapterName}`);
+        }
+        if (LOCAL_ADAPTERS.includes(adapterName) && isDeployed()) {
+            throw new Error(`The ${adapterName} store only works locally - use netlify-blobs or another hosted store adapter`);
+        }
+        currentStore = factory();
+        console.log(`🗄️ Using ${currentStore.name} store`);
+    }
+    return currentStore;
+}
+
+/**
+ * Replace the store (tests, scripts)
+ * @param {Object|null} adapter - Adapter to use, or null to reselect from env
+ */
+function setStore(adapter) {
+    currentStore = adapter;
+}
+
+/**
+ * Create a random record ID
+ * @param {string} prefix - Record type prefix, e.g. 'job'
+ * @returns {string} ID like 'job_lq2x9c1k8f3a2b'
+ */
+function createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+module.exports = {
+    isDeployed,
+    registerStoreAdapter,
+    getStore,
+    setStore,
+    createId
+};
@@ -0,0 +1,594 @@
+/**
+ * SUBSCRIPTION SERVICE - SHARED STRIPE SUBSCRIPTION LOGIC
+ *
+ * Creates the monthly storage subscription for a succeeded setup payment.
+ * Shared by the create-subscription function (browser flow) and the
+ * stripe-webhook function (server-side fulfillment). Also changes the tote
+ * count on an existing subscription for the customer account page.
+ *
+ * A coupon that applies to the monthly storage (metadata.subscription_coupon,
+ * set by create-payment-intent from the promo code) is added to the new
+ * subscription. The coupon is used rather than the promotion code, because
+ * Stripe would refuse a first-order-only promotion code after the setup payment;
+ * the promotion code's use is recorded by lib/promotions.js instead.
+ *
+ * Monthly invoices are taxed for the service address: the tax module
+ * (lib/tax.js) adds either a tax rate or Stripe automatic tax.
+ *
+ * The subscription bills the catalog price of the plan chosen at checkout
+ * (metadata.plan): monthly, or prepaid every 6 or 12 months. The setup
+ * payment covers the first billing period, so the trial lasts that long
+ * (plus any free period) and ends on the first invoice date from the shared
+ * billing schedule (lib/billing-schedule.js). Tote changes during that trial
+ * are charged or credited for the rest of the prepaid period here, since
+ * Stripe doesn't prorate a trial.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 2.7.0 - Tote changes in the prepaid first period are charged or credited
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const pricing = require('./pricing');
+const { LOOKUP_KEYS, getPlanLookupKey, getCatalogPrice } = require('./catalog');
+const billingSchedule = require('./billing-schedule');
+const { idempotent, isIdempotencyConflict } = require('./idempotency');
+const { parseServiceAddress } = require('./orders');
+const { getSubscriptionTaxParams } = require('./tax');
+
+// Payment intent metadata copied onto the customer (Stripe allows 50 keys per object;
+// the rest of the checkout metadata stays on the payment intent)
+const CUSTOMER_METADATA_KEYS = [
+    'customer_name',
+    'customer_email',
+    'customer_phone',
+    'customer_address',
+    'order_id',
+    'promo_code',
+    'referral_code'
+];
+
+/**
+ * Calculate the first billing date after the setup payment
+ * Calendar months from the shared billing schedule, plus its free period.
+ * @param {Date} [startDate] - Start of the first period (defaults to now)
+ * @param {number} [billingMonths] - Months per billing period (plan.months)
+ * @returns {number} Unix timestamp for next billing date
+ */
+function getNextBillingDate(startDate = new Date(), billingMonths = 1) {
+    return billingSchedule.getBillingSchedule(startDate, { billingMonths }).firstInvoiceTimestamp;
+}
+
+/**
+ * Calculate the storage amount per month for a number of totes
+ * Prepaid plans include their discount (period amount / months).
+ * @param {number} toteQuantity - Number of totes stored
+ * @param {string} [planId] - Billing plan ID (defaults to monthly)
+ * @returns {number} Monthly amount in dollars
+ */
+function getMonthlyAmount(toteQuantity, planId) {
+    const plan = pricing.getPlan(planId);
+    return Math.round(pricing.calculatePeriodCents(toteQuantity, plan.id) / plan.months) / 100;
+}
+
+/**
+ * Calculate the storage amount per billing period for a number of totes
+ * @param {number} toteQuantity - Number of totes stored
+ * @param {string} [planId] - Billing plan ID (defaults to monthly)
+ * @returns {number} Amount per billing period in dollars
+ */
+function getPeriodAmount(toteQuantity, planId) {
+    return pricing.calculatePeriodCents(toteQuantity, planId) / 100;
+}
+
+/**
+ * Find a subscription already created for a setup payment
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} paymentIntentId - Setup payment intent ID
+ * @returns {Object|null} Stripe subscription with matching original_payment_intent
+ */
+async function findSubscriptionForPaymentIntent(customerId, paymentIntentId) {
+    for await (const subscription of stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 })) {
+        if (subscription.metadata.original_payment_intent === paymentIntentId) {
+            return subscription;
+        }
+    }
+    return null;
+}
+
+/**
+ * Create the monthly storage subscription for a succeeded setup payment
+ *
+ * Everything needed is read from the payment intent itself (customer,
+ * payment method and order metadata), so this works whether or not the
+ * browser is still open.
+ *
+ * Safe to call more than once for the same payment: an existing subscription
+ * with this payment as `original_payment_intent` is returned instead, and
+ * every write uses an idempotency key from the order token. Dates come from
+ * the payment intent so repeated calls send identical parameters.
+ *
+ * @param {Object} paymentIntent - Succeeded Stripe payment intent
+ * @param {Object} [options]
+ * @param {string} [options.createdVia] - Which flow created the subscription
+ * @returns {Object} Created (or previously created) Stripe subscription
+ * @throws {Error} If the payment intent cannot back a subscription
+ */
+async function createSubscriptionForPaymentIntent(paymentIntent, options = {}) {
+    if (paymentIntent.status !== 'succeeded') {
+        throw new Error('Payment intent has not succeeded yet');
+    }
+
+    if (!paymentIntent.payment_method) {
+        throw new Error('No payment method found on payment intent');
+    }
+
+    if (!paymentIntent.customer) {
+        throw new Error('No customer found on payment intent');
+    }
+
+    const customerId = typeof paymentIntent.customer === 'string'
+        ? paymentIntent.customer
+        : paymentIntent.customer.id;
+    const paymentMethodId = typeof paymentIntent.payment_method === 'string'
+        ? paymentIntent.payment_method
+        : paymentIntent.payment_method.id;
+    const toteQuantity = parseInt(paymentIntent.metadata.tote_quantity);
+
+    if (!toteQuantity) {
+        throw new Error('Tote quantity missing from payment intent metadata');
+    }
+
+    const plan = pricing.getPlan(paymentIntent.metadata.plan);
+    const monthlyAmount = getMonthlyAmount(toteQuantity, plan.id);
+    const orderToken = paymentIntent.metadata.order_token || paymentIntent.id;
+
+    let subscription = await findSubscriptionForPaymentIntent(customerId, paymentIntent.id);
+
+    if (subscription) {
+        console.log(`♻️ Subscription already exists for ${paymentIntent.id}: ${subscription.id}`);
+    } else {
+        console.log('💳 Setting up default payment method...');
+
+        // Set the payment method as default for the customer
+        await stripe.customers.update(customerId, {
+            invoice_settings: {
+                default_payment_method: paymentMethodId
+            }
+        }, idempotent('default-payment-method', orderToken));
+
+        // The plan's per-tote price from the catalog; the tote count is the quantity
+        const totePrice = await getCatalogPrice(getPlanLookupKey(plan.id));
+
+        console.log(`🔄 Creating ${plan.label} subscription...`);
+
+        // The setup payment covered the first period - the trial ends when it does
+        const setupDate = new Date(paymentIntent.created * 1000);
+        const trialEnd = getNextBillingDate(setupDate, plan.months);
+        const metadata = paymentIntent.metadata;
+        const taxParams = await getSubscriptionTaxParams(parseServiceAddress(metadata.service_address));
+
+        try {
+            // Create the subscription with trial period
+            subscription = await stripe.subscriptions.create({
+                customer: customerId,
+                items: [{
+                    price: totePrice.id,
+                    quantity: toteQuantity
+                }],
+                trial_end: trialEnd,
+                default_payment_method: paymentMethodId,
+                collection_method: 'charge_automatically',
+                billing_cycle_anchor: trialEnd,
+                ...(metadata.subscription_coupon ? { coupon: metadata.subscription_coupon } : {}),
+                ...taxParams,
+                metadata: {
+                    original_payment_intent: paymentIntent.id,
+                    tote_quantity: toteQuantity.toString(),
+                    plan: plan.id,
+                    billing_months: plan.months.toString(),
+                    setup_date: setupDate.toISOString(),
+                    service_type: plan.months > 1 ? 'prepaid_storage' : 'monthly_storage',
+                    promo_code: metadata.promo_code || '',
+                    referral_code: metadata.referral_code || '',
+                    created_via: options.createdVia || 'website_initial_payment'
+                },
+                description: `${plan.months > 1 ? `Prepaid Tote Storage Service (${plan.label})` : 'Monthly Tote Storage Service'} - ${toteQuantity} totes`
+            }, idempotent('subscription', orderToken));
+        } catch (error) {
+            // The other fulfillment path (browser or webhook) got there first
+            if (!isIdempotencyConflict(error)) throw error;
+            subscription = await findSubscriptionForPaymentIntent(customerId, paymentIntent.id);
+            if (!subscription) throw error;
+            console.log(`♻️ Subscription created concurrently: ${subscription.id}`);
+        }
+    }
+
+    const nextBillingDate = subscription.trial_end || subscription.current_period_end;
+
+    console.log('📅 Updating customer metadata...');
+
+    // Update customer with subscription info
+    try {
+        await stripe.customers.update(customerId, {
+            metadata: {
+                ...Object.fromEntries(CUSTOMER_METADATA_KEYS
+                    .filter(key => paymentIntent.metadata[key] !== undefined)
+                    .map(key => [key, paymentIntent.metadata[key]])),
+                tote_quantity: toteQuantity.toString(),
+                subscription_id: subscription.id,
+                subscription_status: subscription.status,
+                next_billing_date: new Date(nextBillingDate * 1000).toISOString(),
+                plan: plan.id,
+                billing_months: plan.months.toString(),
+                period_amount: getPeriodAmount(toteQuantity, plan.id).toString(),
+                monthly_amount: monthlyAmount.toString()
+            }
+        }, idempotent('customer-subscription', orderToken));
+    } catch (error) {
+        if (!isIdempotencyConflict(error)) throw error;
+        console.log('♻️ Customer metadata already updated for this order');
+    }
+
+    console.log(`📅 Next billing date: ${new Date(nextBillingDate * 1000).toLocaleDateString()}`);
+
+    return subscription;
+}
+
+/**
+ * Build the subscription item change for a new tote count
+ * Also moves subscriptions created before the catalog (one flat price,
+ * quantity 1) onto the per-tote price of their plan.
+ * @param {Object} subscription - Stripe subscription
+ * @param {number} newQuantity - Requested number of totes
+ * @returns {Object} Subscription item update
+ */
+async function buildToteItemUpdate(subscription, newQuantity) {
+    const totePrice = await getCatalogPrice(getPlanLookupKey(subscription.metadata.plan));
+    return {
+        id: subscription.items.data[0].id,
+        price: totePrice.id,
+        quantity: newQuantity
+    };
+}
+
+/**
+ * Prorate a tote change over the prepaid first period
+ * While the subscription is trialing, the setup payment has already paid
+ * for storage up to trial_end and Stripe prorates nothing, so the
+ * difference is worked out here: the change in the period price for the
+ * share of the trial that is left.
+ * @param {Object} subscription - Trialing Stripe subscription
+ * @param {Object} quote - Tote change quote
+ * @param {number} at - Unix time of the change
+ * @returns {number} Cents to charge (negative means credit)
+ */
+function getPrepaidDifferenceCents(subscription, quote, at) {
+    const trialLength = subscription.trial_end - subscription.trial_start;
+    if (!(trialLength > 0)) {
+        return 0;
+    }
+    const remaining = Math.min(Math.max(subscription.trial_end - at, 0), trialLength);
+    return Math.round((quote.newPeriodCents - quote.currentPeriodCents) * remaining / trialLength);
+}
+
+/**
+ * Split the storage difference plus trip fee into a charge and a credit
+ * A net credit goes to the customer's Stripe balance and comes off the
+ * next invoice.
+ * @param {number} prorationCents - Storage difference (negative means credit)
+ * @param {Object} quote - Tote change quote
+ * @returns {Object} { dueNowCents, creditCents }
+ */
+function splitChangeAmount(prorationCents, quote) {
+    const netCents = prorationCents + quote.tripFeesCents;
+    return {
+        dueNowCents: Math.max(netCents, 0),
+        creditCents: Math.max(-netCents, 0)
+    };
+}
+
+/**
+ * Preview a tote quantity change without applying it
+ * @param {Object} subscription - Stripe subscription
+ * @param {number} newQuantity - Requested number of totes
+ * @returns {Object} { quote, prorationCents, dueNowCents, creditCents }
+ */
+async function previewToteChange(subscription, newQuantity) {
+    const quote = pricing.calculateToteChangeQuote({
+        currentTotes: parseInt(subscription.metadata.tote_quantity),
+        newTotes: newQuantity,
+        plan: subscription.metadata.plan
+    });
+
+    let prorationCents;
+    if (subscription.status === 'trialing') {
+        prorationCents = getPrepaidDifferenceCents(subscription, quote, Math.floor(Date.now() / 1000));
+    } else {
+        const upcoming = await stripe.invoices.retrieveUpcoming({
+            customer: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer.id,
+            subscription: subscription.id,
+            subscription_items: [await buildToteItemUpdate(subscription, newQuantity)],
+            subscription_proration_behavior: 'always_invoice',
+            subscription_proration_date: Math.floor(Date.now() / 1000)
+        });
+
+        // Only the proration lines are charged now; the rest is next month's invoice
+        prorationCents = upcoming.lines.data
+            .filter(line => line.proration)
+            .reduce((total, line) => total + line.amount, 0);
+    }
+
+    return {
+        quote: quote,
+        prorationCents: prorationCents,
+        ...splitChangeAmount(prorationCents, quote)
+    };
+}
+
+/**
+ * Charge (or credit) a tote change during the prepaid first period
+ * One invoice per request token, holding the trip fee and the prepaid
+ * difference. Its creation time is the proration date, so a retried
+ * request prices and pays the same invoice. A declined invoice is voided.
+ * @param {Object} details
+ * @param {Object} details.subscription - Trialing Stripe subscription
+ * @param {string} details.customerId - Stripe customer ID
+ * @param {Object} details.quote - Tote change quote
+ * @param {Object} details.tripFeePrice - Catalog trip fee price
+ * @param {string} details.tripType - 'delivery' or 'pickup'
+ * @param {string} details.requestToken - Client request token
+ * @returns {Object} Paid Stripe invoice
+ * @throws {Error} If the charge fails (StripeCardError) or the request was voided
+ */
+async function chargePrepaidToteChange({ subscription, customerId, quote, tripFeePrice, tripType, requestToken }) {
+    const change = `${quote.currentTotes} → ${quote.newTotes} totes`;
+    const defaultPaymentMethod = subscription.default_payment_method;
+
+    let invoice = await stripe.invoices.create({
+        customer: customerId,
+        subscription: subscription.id,
+        collection_method: 'charge_automatically',
+        auto_advance: false,
+        pending_invoice_items_behavior: 'exclude',
+        description: `Tote count change (${change})`,
+        ...(defaultPaymentMethod ? {
+            default_payment_method: typeof defaultPaymentMethod === 'string' ? defaultPaymentMethod : defaultPaymentMethod.id
+        } : {}),
+        ...(subscription.default_tax_rates && subscription.default_tax_rates.length > 0 ? {
+            default_tax_rates: subscription.default_tax_rates.map(rate => typeof rate === 'string' ? rate : rate.id)
+        } : {}),
+        ...(subscription.automatic_tax && subscription.automatic_tax.enabled ? { automatic_tax: { enabled: true } } : {}),
+        metadata: {
+            reason: 'tote_quantity_change',
+            request_token: requestToken
+        }
+    }, idempotent('tote-change-invoice', requestToken));
+
+    if (invoice.status === 'void') {
+        throw new Error('This tote change was not completed - please review the change and try again');
+    }
+
+    if (invoice.status === 'draft') {
+        await stripe.invoiceItems.create({
+            customer: customerId,
+            invoice: invoice.id,
+            price: tripFeePrice.id,
+            quantity: quote.tripCount,
+            description: `Trip fee - tote ${tripType} (${change})`,
+            metadata: {
+                fee_type: 'trip_fee',
+                reason: 'tote_quantity_change'
+            }
+        }, idempotent('tote-change-trip-fee', requestToken));
+
+        const prepaidCents = getPrepaidDifferenceCents(subscription, quote, invoice.created);
+        if (prepaidCents !== 0) {
+            await stripe.invoiceItems.create({
+                customer: customerId,
+                invoice: invoice.id,
+                amount: prepaidCents,
+                currency: quote.currency,
+                description: `Prepaid storage ${prepaidCents > 0 ? 'for added' : 'credit for removed'} totes (${change}) ` +
+                    `through ${billingSchedule.formatBillingDate(subscription.trial_end)}`,
+                metadata: {
+                    reason: 'tote_quantity_change'
+                }
+            }, idempotent('tote-change-prepaid', requestToken));
+        }
+
+        // A total of zero or less is paid on finalizing; a credit goes to the customer balance
+        invoice = await stripe.invoices.finalizeInvoice(invoice.id, { auto_advance: false });
+    }
+
+    if (invoice.status === 'open') {
+        try {
+            invoice = await stripe.invoices.pay(invoice.id);
+        } catch (error) {
+            await stripe.invoices.voidInvoice(invoice.id).catch(voidError => {
+                console.warn(`⚠️ Could not void tote change invoice ${invoice.id}:`, voidError.message);
+            });
+            throw error;
+        }
+    }
+
+    return invoice;
+}
+
+/**
+ * Change the number of totes on an existing subscription
+ *
+ * Active subscriptions: the price is swapped with proration invoiced
+ * immediately, and a trip fee for the delivery or pickup is added to that
+ * same invoice. The invoice is charged to the default card; if the charge
+ * fails, Stripe leaves the subscription unchanged.
+ *
+ * Trialing subscriptions (the prepaid first period): Stripe would prorate
+ * nothing, so the trip fee and the prepaid difference are invoiced and paid
+ * first (chargePrepaidToteChange), then the quantity is changed without
+ * proration.
+ *
+ * Every Stripe write is keyed by the client request token, so a double
+ * submit charges once. A request that already went through is reported as
+ * a duplicate without touching Stripe.
+ *
+ * @param {Object} subscription - Stripe subscription (must belong to the customer)
+ * @param {number} newQuantity - Requested number of totes
+ * @param {Object} options
+ * @param {string} options.requestToken - Client request token
+ * @param {string} [options.changedVia] - Which flow requested the change
+ * @returns {Object} { subscription, quote, monthlyAmount, invoice, duplicate }
+ * @throws {Error} If the subscription can't be changed or the charge fails
+ */
+async function changeToteQuantity(subscription, newQuantity, options = {}) {
+    if (!['active', 'trialing'].includes(subscription.status)) {
+        throw new Error('Only active subscriptions can change tote quantity');
+    }
+
+    if (subscription.cancel_at_period_end) {
+        throw new Error('Subscriptions scheduled to cancel cannot change tote quantity');
+    }
+
+    if (!options.requestToken) {
+        throw new Error('Valid request token is required');
+    }
+
+    const customerId = typeof subscription.customer === 'string'
+        ? subscription.customer
+        : subscription.customer.id;
+
+    if (subscription.metadata.tote_change_request === options.requestToken) {
+        console.log(`♻️ Tote change already applied for request ${options.requestToken}`);
+        const quote = pricing.calculateToteChangeQuote({
+            currentTotes: parseInt(subscription.metadata.previous_tote_quantity),
+            newTotes: parseInt(subscription.metadata.tote_quantity),
+            plan: subscription.metadata.plan
+        });
+        return {
+            subscription: subscription,
+            quote: quote,
+            monthlyAmount: getMonthlyAmount(quote.newTotes, quote.plan),
+            invoice: null,
+            duplicate: true
+        };
+    }
+
+    const currentQuantity = parseInt(subscription.metadata.tote_quantity);
+    const quote = pricing.calculateToteChangeQuote({
+        currentTotes: currentQuantity,
+        newTotes: newQuantity,
+        plan: subscription.metadata.plan
+    });
+    const monthlyAmount = getMonthlyAmount(newQuantity, quote.plan);
+    const tripType = quote.toteDelta > 0 ? 'delivery' : 'pickup';
+    const prepaid = subscription.status === 'trialing';
+    const subscriptionUpdate = {
+        items: [await buildToteItemUpdate(subscription, newQuantity)],
+        description: `${quote.billingMonths > 1 ? `Prepaid Tote Storage Service (${pricing.getPlan(quote.plan).label})` : 'Monthly Tote Storage Service'} - ${newQuantity} totes`,
+        metadata: {
+            tote_quantity: newQuantity.toString(),
+            previous_tote_quantity: String(currentQuantity),
+            tote_quantity_changed_via: options.changedVia || 'customer_portal',
+            tote_change_request: options.requestToken
+        },
+        expand: ['latest_invoice']
+    };
+
+    console.log(`🔢 Changing ${subscription.id} from ${currentQuantity} to ${newQuantity} totes...`);
+
+    const tripFeePrice = await getCatalogPrice(LOOKUP_KEYS.TRIP_FEE);
+    let updatedSubscription;
+    let invoice;
+
+    if (prepaid) {
+        invoice = await chargePrepaidToteChange({
+            subscription: subscription,
+            customerId: customerId,
+            quote: quote,
+            tripFeePrice: tripFeePrice,
+            tripType: tripType,
+            requestToken: options.requestToken
+        });
+
+        try {
+            updatedSubscription = await stripe.subscriptions.update(subscription.id, {
+                ...subscriptionUpdate,
+                proration_behavior: 'none',
+                metadata: {
+                    ...subscriptionUpdate.metadata,
+                    tote_quantity_changed_at: new Date(invoice.created * 1000).toISOString()
+                }
+            }, idempotent('tote-change', options.requestToken));
+        } catch (error) {
+            // Paid but not applied: the same request token picks up the paid invoice and retries the update
+            console.error(`❌ Tote change invoice ${invoice.id} is paid but ${subscription.id} was not updated:`, error.message);
+            throw error;
+        }
+    } else {
+        // Pending invoice items on the subscription are pulled into the proration invoice
+        const tripFeeItem = await stripe.invoiceItems.create({
+            customer: customerId,
+            subscription: subscription.id,
+            price: tripFeePrice.id,
+            quantity: quote.tripCount,
+            description: `Trip fee - tote ${tripType} (${currentQuantity} → ${newQuantity} totes)`,
+            metadata: {
+                fee_type: 'trip_fee',
+                reason: 'tote_quantity_change'
+            }
+        }, idempotent('tote-change-trip-fee', options.requestToken));
+
+        try {
+            updatedSubscription = await stripe.subscriptions.update(subscription.id, {
+                ...subscriptionUpdate,
+                proration_behavior: 'always_invoice',
+                payment_behavior: 'error_if_incomplete',
+                metadata: {
+                    ...subscriptionUpdate.metadata,
+                    // The trip fee item's time, so a retried request sends the same parameters
+                    tote_quantity_changed_at: new Date(tripFeeItem.date * 1000).toISOString()
+                }
+            }, idempotent('tote-change', options.requestToken));
+        } catch (error) {
+            // Don't leave the trip fee waiting on the next monthly invoice; a request still
+            // in flight with the same token owns it
+            if (!isIdempotencyConflict(error)) {
+                await stripe.invoiceItems.del(tripFeeItem.id).catch(deleteError => {
+                    console.warn(`⚠️ Could not remove trip fee item ${tripFeeItem.id}:`, deleteError.message);
+                });
+            }
+            throw error;
+        }
+        invoice = updatedSubscription.latest_invoice;
+    }
+
+    await stripe.customers.update(customerId, {
+        metadata: {
+            tote_quantity: newQuantity.toString(),
+            period_amount: getPeriodAmount(newQuantity, quote.plan).toString(),
+            monthly_amount: monthlyAmount.toString()
+        }
+    });
+
+    console.log(`✅ ${subscription.id} now stores ${newQuantity} totes ($${monthlyAmount}/month)`);
+
+    return {
+        subscription: updatedSubscription,
+        quote: quote,
+        monthlyAmount: monthlyAmount,
+        invoice: invoice,
+        duplicate: false
+    };
+}
+
+module.exports = {
+    getNextBillingDate,
+    getMonthlyAmount,
+    getPeriodAmount,
+    findSubscriptionForPaymentIntent,
+    createSubscriptionForPaymentIntent,
+    previewToteChange,
+    changeToteQuantity
+};
@@ -0,0 +1,130 @@
+/**
+ * RATE TABLE TAX ADAPTER
+ *
+ * Looks the sales tax rate up in a table, by ZIP code first and then by
+ * state. Used for local development and tests, and on Stripe accounts
+ * without Stripe Tax. Subscriptions get a matching Stripe tax rate as
+ * `default_tax_rates`, created the first time a rate is used.
+ *
+ * Adapter interface (all methods async):
+ * - calculate({ address, currency, lines })      Tax on a one-time charge; lines are
+ *                                                 { reference, amountCents }. Returns
+ *                                                 { taxCents, rate, label, calculationId }
+ * - subscriptionTaxParams({ address })           Fields to add to subscriptions.create
+ * - recordTransaction({ calculationId, reference }) Report a paid calculation; returns
+ *                                                 a transaction ID or null
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Sales tax module
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Create a rate table adapter
+ * @param {Object} options
+ * @param {Object} options.zipCodes - { '28801': { rate, label } }
+ * @param {Object} options.states - { NC: { rate, label } }
+ * @returns {Object} Tax adapter
+ */
+function createRateTableAdapter({ zipCodes, states }) {
+    // Stripe tax rates by table entry, for the life of the function instance
+    const taxRateCache = new Map();
+
+    /**
+     * Find the table entry for an address
+     * @param {Object|null} address - Normalized address (lib/address.js)
+     * @returns {Object|null} { rate, label, key }
+     */
+    function lookupRate(address) {
+        if (!address) {
+            return null;
+        }
+        if (zipCodes[address.postal_code]) {
+            return { ...zipCodes[address.postal_code], key: `zip-${address.postal_code}` };
+        }
+        if (states[address.state]) {
+            return { ...states[address.state], key: `state-${address.state}` };
+        }
+        return null;
+    }
+
+    /**
+     * Find or create the Stripe tax rate for a table entry
+     * @param {Object} entry - Table entry from lookupRate
+     * @param {Object} address - Normalized address
+     * @returns {string} Stripe tax rate ID
+     */
+    async function getStripeTaxRateId(entry, address) {
+        // Percentage with at most 4 decimals, as Stripe stores it
+        const percentage = Math.round(entry.rate * 1000000) / 10000;
+        const rateKey = `${entry.key}-${percentage}`;
+        if (taxRateCache.has(rateKey)) {
+            return taxRateCache.get(rateKey);
+        }
+
+        let taxRate = null;
+        for await (const existing of stripe.taxRates.list({ active: true, limit: 100 })) {
+            if (existing.metadata.icts_rate_key === rateKey) {
+                taxRate = existing;
+                break;
+            }
+        }
+
+        if (!taxRate) {
+            console.log(`🧾 Creating Stripe tax rate ${rateKey}...`);
+            taxRate = await stripe.taxRates.create({
+                display_name: 'Sales Tax',
+                description: entry.label,
+                jurisdiction: entry.label,
+                percentage: percentage,
+                inclusive: false,
+                country: 'US',
+                state: address.state,
+                tax_type: 'sales_tax',
+                metadata: {
+                    icts_rate_key: rateKey
+                }
+            });
+        }
+
+        taxRateCache.set(rateKey, taxRate.id);
+        return taxRate.id;
+    }
+
+    return {
+        name: 'rate-table',
+
+        async calculate({ address, lines }) {
+            const entry = lookupRate(address);
+            const taxableCents = lines.reduce((total, line) => total + line.amountCents, 0);
+            if (!entry || !entry.rate || taxableCents <= 0) {
+                return { taxCents: 0, rate: 0, label: null, calculationId: null };
+            }
+
+            return {
+                taxCents: Math.round(taxableCents * entry.rate),
+                rate: entry.rate,
+                label: entry.label,
+                calculationId: null
+            };
+        },
+
+        async subscriptionTaxParams({ address }) {
+            const entry = lookupRate(address);
+            if (!entry || !entry.rate) {
+                return {};
+            }
+            return { default_tax_rates: [await getStripeTaxRateId(entry, address)] };
+        },
+
+        async recordTransaction() {
+            // Rates from our own table - nothing to report to Stripe
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    createRateTableAdapter
+};
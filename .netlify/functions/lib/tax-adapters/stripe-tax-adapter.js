@@ -0,0 +1,91 @@
+/**
+ * STRIPE TAX ADAPTER
+ *
+ * Sales tax from Stripe Tax. The setup charge is priced with a tax
+ * calculation, which is turned into a tax transaction once it is paid so it
+ * shows up in Stripe's tax reports. Subscriptions use automatic tax, which
+ * needs the customer's address (set by create-payment-intent) and catalog
+ * prices with a tax behavior (lib/catalog.js).
+ *
+ * Needs Stripe Tax turned on in the dashboard, with a registration for
+ * every state we deliver in. Same interface as the rate table adapter.
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Sales tax module
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { idempotent } = require('../idempotency');
+
+/**
+ * Create a Stripe Tax adapter
+ * @param {Object} options
+ * @param {string} options.taxCode - Stripe tax code for our services
+ * @returns {Object} Tax adapter
+ */
+function createStripeTaxAdapter({ taxCode }) {
+    return {
+        name: 'stripe-tax',
+
+        async calculate({ address, currency, lines }) {
+            const taxableCents = lines.reduce((total, line) => total + line.amountCents, 0);
+            if (!address || taxableCents <= 0) {
+                return { taxCents: 0, rate: 0, label: null, calculationId: null };
+            }
+
+            let calculation;
+            try {
+                calculation = await stripe.tax.calculations.create({
+                    currency: currency,
+                    customer_details: {
+                        address: {
+                            line1: address.line1,
+                            line2: address.line2 || '',
+                            city: address.city,
+                            state: address.state,
+                            postal_code: address.postal_code,
+                            country: 'US'
+                        },
+                        address_source: 'shipping'
+                    },
+                    line_items: lines.map(line => ({
+                        amount: line.amountCents,
+                        reference: line.reference,
+                        tax_code: taxCode,
+                        tax_behavior: 'exclusive'
+                    }))
+                });
+            } catch (error) {
+                if (error.code === 'customer_tax_location_invalid') {
+                    throw new Error('Invalid address for sales tax - please check the street and ZIP code');
+                }
+                throw error;
+            }
+
+            const taxCents = calculation.tax_amount_exclusive;
+            return {
+                taxCents: taxCents,
+                // Effective rate across all lines, for display
+                rate: Math.round(taxCents / taxableCents * 10000) / 10000,
+                label: 'Sales tax',
+                calculationId: calculation.id
+            };
+        },
+
+        async subscriptionTaxParams() {
+            return { automatic_tax: { enabled: true } };
+        },
+
+        async recordTransaction({ calculationId, reference }) {
+            const transaction = await stripe.tax.transactions.createFromCalculation({
+                calculation: calculationId,
+                reference: reference
+            }, idempotent('tax-transaction', reference));
+            return transaction.id;
+        }
+    };
+}
+
+module.exports = {
+    createStripeTaxAdapter
+};
@@ -0,0 +1,163 @@
+/**
+ * SALES TAX - TAX ADAPTER SELECTION
+ *
+ * Sales tax on the setup charge and the monthly invoices, based on the
+ * service address. Every caller goes through this module, which hands the
+ * work to the configured tax adapter (see tax-adapters/rate-table-adapter.js
+ * for the interface):
+ * - calculateSetupTax()        Tax for the setup payment intent (create-payment-intent)
+ * - getSubscriptionTaxParams() Tax settings for new subscriptions (lib/subscriptions.js)
+ * - recordSetupTax()           Reports the paid setup tax (lib/order-fulfillment.js)
+ *
+ * Environment Variables:
+ * - ICTS_TAX_ADAPTER: 'rate-table' (default) or 'stripe-tax', or any name
+ *   added with registerTaxAdapter()
+ * - ICTS_TAX_RATES: JSON overriding any TAX_CONFIG field, e.g.
+ *   {"states":{"NC":{"rate":0.0475,"label":"NC sales tax"}},"zipCodes":{}}
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Sales tax module
+ */
+
+const { createRateTableAdapter } = require('./tax-adapters/rate-table-adapter');
+const { createStripeTaxAdapter } = require('./tax-adapters/stripe-tax-adapter');
+
+const TAX_CONFIG = {
+    // Rate table: ZIP codes first, then states (combined state + local rates)
+    zipCodes: {
+        '28801': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28803': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28804': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28805': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28806': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28704': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28715': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28730': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28732': { rate: 0.0675, label: 'NC + Henderson County sales tax' },
+        '28778': { rate: 0.07, label: 'NC + Buncombe County sales tax' },
+        '28787': { rate: 0.07, label: 'NC + Buncombe County sales tax' }
+    },
+    states: {
+        NC: { rate: 0.0475, label: 'NC sales tax' }
+    },
+    // Stripe Tax: General - Services
+    stripeTaxCode: 'txcd_20030000'
+};
+
+/**
+ * Get the tax configuration (defaults + ICTS_TAX_RATES)
+ * @returns {Object} Tax configuration
+ */
+function getTaxConfig() {
+    if (!process.env.ICTS_TAX_RATES) {
+        return TAX_CONFIG;
+    }
+
+    try {
+        return { ...TAX_CONFIG, ...JSON.parse(process.env.ICTS_TAX_RATES) };
+    } catch (error) {
+        console.error('⚠️ ICTS_TAX_RATES is not valid JSON, using defaults:', error.message);
+        return TAX_CONFIG;
+    }
+}
+
+const adapterFactories = {
+    'rate-table': () => createRateTableAdapter(getTaxConfig()),
+    'stripe-tax': () => createStripeTaxAdapter({ taxCode: getTaxConfig().stripeTaxCode })
+};
+
+let currentAdapter = null;
+
+/**
+ * Register another tax adapter
+ * @param {string} name - Value of ICTS_TAX_ADAPTER that selects it
+ * @param {Function} factory - Returns an adapter with the rate table adapter's interface
+ */
+function registerTaxAdapter(name, factory) {
+    adapterFactories[name] = factory;
+}
+
+/**
+ * Get the configured tax adapter
+ * @returns {Object} Tax adapter
+ * @throws {Error} If ICTS_TAX_ADAPTER names an unknown adapter
+ */
+function getTaxAdapter() {
+    if (!currentAdapter) {
+        const adapterName = process.env.ICTS_TAX_ADAPTER || 'rate-table';
+        const factory = adapterFactories[adapterName];
+        if (!factory) {
+            throw new Error(`Unknown tax adapter: ${adapterName}`);
+        }
+        currentAdapter = factory();
+        console.log(`🧾 Using ${currentAdapter.name} tax adapter`);
+    }
+    return currentAdapter;
+}
+
+/**
+ * Replace the tax adapter (tests, scripts)
+ * @param {Object|null} adapter - Adapter to use, or null to reselect from env
+ */
+function setTaxAdapter(adapter) {
+    currentAdapter = adapter;
+}
+
+/**
+ * Calculate sales tax on a setup order
+ * The discount is spread over the trip fees and first period by their share
+ * of the subtotal, so each line is taxed on what is actually charged.
+ * @param {Object} quote - Quote from the pricing engine (before tax)
+ * @param {Object} serviceAddress - Normalized service address
+ * @returns {Object} Tax for pricing.calculateQuote: { taxCents, rate, label, calculationId }
+ */
+async function calculateSetupTax(quote, serviceAddress) {
+    const tripDiscountCents = quote.subtotalCents > 0
+        ? Math.round(quote.discountCents * quote.tripFeesCents / quote.subtotalCents)
+        : 0;
+
+    return getTaxAdapter().calculate({
+        address: serviceAddress,
+        currency: quote.currency,
+        lines: [
+            { reference: 'trip_fees', amountCents: quote.tripFeesCents - tripDiscountCents },
+            { reference: 'first_period', amountCents: quote.firstPeriodCents - (quote.discountCents - tripDiscountCents) }
+        ]
+    });
+}
+
+/**
+ * Tax settings for a new subscription at a service address
+ * @param {Object|null} serviceAddress - Normalized service address
+ * @returns {Object} Fields to add to stripe.subscriptions.create
+ */
+async function getSubscriptionTaxParams(serviceAddress) {
+    return getTaxAdapter().subscriptionTaxParams({ address: serviceAddress });
+}
+
+/**
+ * Report the tax on a paid setup payment
+ * @param {Object} paymentIntent - Succeeded setup payment intent
+ * @returns {string|null} Tax transaction ID, or null if there was nothing to report
+ */
+async function recordSetupTax(paymentIntent) {
+    const calculationId = (paymentIntent.metadata || {}).tax_calculation;
+    if (!calculationId) {
+        return null;
+    }
+    return getTaxAdapter().recordTransaction({
+        calculationId: calculationId,
+        reference: paymentIntent.id
+    });
+}
+
+module.exports = {
+    TAX_CONFIG,
+    getTaxConfig,
+    registerTaxAdapter,
+    getTaxAdapter,
+    setTaxAdapter,
+    calculateSetupTax,
+    getSubscriptionTaxParams,
+    recordSetupTax
+};
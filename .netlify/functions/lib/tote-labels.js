@@ -0,0 +1,185 @@
+/**
+ * TOTE LABELS - PRINTABLE QR LABELS (SVG AND PDF)
+ *
+ * 4" x 2" labels: a QR code on the left, the tote ID, "Tote 2 of 5" and the
+ * customer name on the right. The QR code encodes a link to the tote on the
+ * account page, so scanning it with a phone identifies the tote.
+ *
+ * SVG is one label; PDF is one label per page (label printers take a PDF
+ * with pages the size of the label).
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Tote QR labels
+ */
+
+const QRCode = require('qrcode');
+const { SITE_URL } = require('./ses-email');
+
+// Label geometry in points (72 per inch)
+const LABEL_WIDTH = 288;
+const LABEL_HEIGHT = 144;
+const QR_MARGIN = 8;
+const QR_SIZE = LABEL_HEIGHT - QR_MARGIN * 2;
+const TEXT_LEFT = QR_MARGIN * 2 + QR_SIZE;
+
+/**
+ * URL encoded in a tote's QR code
+ * @param {string} toteId - Tote ID
+ * @returns {string} URL
+ */
+function getToteUrl(toteId) {
+    return `${SITE_URL}/account.html?tote=${encodeURIComponent(toteId)}`;
+}
+
+/**
+ * Dark QR modules as squares in label coordinates (top-left origin)
+ * @param {string} toteId - Tote ID
+ * @returns {Object} { moduleSize, squares: [{ x, y }] }
+ */
+function getQrSquares(toteId) {
+    const qr = QRCode.create(getToteUrl(toteId), { errorCorrectionLevel: 'M' });
+    const size = qr.modules.size;
+    const moduleSize = QR_SIZE / (size + 8); // 4-module quiet zone on each side
+    const squares = [];
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (qr.modules.get(row, col)) {
+                squares.push({
+                    x: QR_MARGIN + (col + 4) * moduleSize,
+                    y: QR_MARGIN + (row + 4) * moduleSize
+                });
+            }
+        }
+    }
+
+    return { moduleSize, squares };
+}
+
+/**
+ * Text lines printed next to the QR code
+ * @param {Object} label - { tote, toteCount, customerName }
+ * @returns {Array} Lines: { text, size, bold, y } (y = baseline from the top)
+ */
+function getLabelLines(label) {
+    return [
+        { text: 'INSTANT CLOSET TOTE STORAGE', size: 8, bold: true, y: 28 },
+        { text: label.tote.id, size: 22, bold: true, y: 64 },
+        { text: `Tote ${label.tote.number} of ${label.toteCount}`, size: 12, bold: false, y: 88 },
+        { text: String(label.customerName || '').slice(0, 24), size: 11, bold: false, y: 108 },
+        { text: 'Scan to see contents', size: 8, bold: false, y: 128 }
+    ];
+}
+
+/**
+ * Escape text for SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Render one tote label as SVG
+ * @param {Object} label
+ * @param {Object} label.tote - Tote record
+ * @param {number} label.toteCount - Totes the customer has
+ * @param {string} [label.customerName]
+ * @returns {string} SVG document
+ */
+function renderLabelSvg(label) {
+    const { moduleSize, squares } = getQrSquares(label.tote.id);
+    const size = moduleSize.toFixed(3);
+    const modules = squares
+        .map(square => `<rect x="${square.x.toFixed(3)}" y="${square.y.toFixed(3)}" width="${size}" height="${size}"/>`)
+        .join('');
+    const text = getLabelLines(label)
+        .map(line => `<text x="${TEXT_LEFT}" y="${line.y}" font-size="${line.size}"${line.bold ? ' font-weight="bold"' : ''}>${escapeXml(line.text)}</text>`)
+        .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="4in" height="2in" viewBox="0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}" shape-rendering="crispEdges">
+<rect width="${LABEL_WIDTH}" height="${LABEL_HEIGHT}" fill="#fff"/>
+<g fill="#000">${modules}</g>
+<g font-family="Helvetica, Arial, sans-serif" fill="#000">${text}</g>
+</svg>`;
+}
+
+/**
+ * Escape text for a PDF string literal (Latin-1 only)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapePdfText(text) {
+    return String(text)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/[\\()]/g, char => `\\${char}`);
+}
+
+/**
+ * PDF drawing commands for one label page
+ * @param {Object} label - { tote, toteCount, customerName }
+ * @returns {string} Content stream
+ */
+function buildPdfPage(label) {
+    const { moduleSize, squares } = getQrSquares(label.tote.id);
+    const size = moduleSize.toFixed(3);
+    // PDF coordinates start at the bottom left
+    const modules = squares
+        .map(square => `${square.x.toFixed(3)} ${(LABEL_HEIGHT - square.y - moduleSize).toFixed(3)} ${size} ${size} re`)
+        .join('\n');
+    const text = getLabelLines(label)
+        .map(line => `BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ${TEXT_LEFT} ${LABEL_HEIGHT - line.y} Td (${escapePdfText(line.text)}) Tj ET`)
+        .join('\n');
+
+    return `0 g\n${modules}\nf\n${text}\n`;
+}
+
+/**
+ * Render tote labels as a PDF, one label per page
+ * @param {Array} labels - [{ tote, toteCount, customerName }]
+ * @returns {Buffer} PDF file
+ */
+function renderLabelsPdf(labels) {
+    // Object numbers: 1 catalog, 2 pages, 3-4 fonts, then a page + content pair per label
+    const objects = [];
+    const pageIds = labels.map((label, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${labels.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    labels.forEach((label, index) => {
+        const pageId = pageIds[index];
+        const content = buildPdfPage(label);
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}endstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    getToteUrl,
+    renderLabelSvg,
+    renderLabelsPdf
+};
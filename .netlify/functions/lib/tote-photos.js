@@ -0,0 +1,139 @@
+/**
+ * TOTE PHOTOS - S3 STORAGE FOR CONTENTS PHOTOS
+ * Photos of tote contents are stored privately in S3 and shown to the
+ * customer through short-lived signed links. Drivers' proof of delivery
+ * photos and signatures (lib/driver-jobs.js) go in the same bucket.
+ *
+ * Environment Variables Required:
+ * - ICTS_AWS_ACCESS_KEY_ID / ICTS_AWS_SECRET_ACCESS_KEY / ICTS_AWS_REGION: Same AWS account as SES
+ * - ICTS_TOTE_PHOTO_BUCKET: Private S3 bucket for tote photos
+ *
+ * @version 1.1.0 - Proof of delivery photos and signatures
+ * @author Instant Closet Tote Storage Dev Team
+ */
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+// Configure AWS S3 client
+const s3 = new AWS.S3({
+  accessKeyId: process.env.ICTS_AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.ICTS_AWS_SECRET_ACCESS_KEY,
+  region: process.env.ICTS_AWS_REGION || 'us-east-1'
+});
+
+const PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const MAX_PHOTO_BYTES = 4 * 1024 * 1024;   // Netlify request bodies top out at 6 MB
+const PHOTO_LINK_SECONDS = 60 * 60;         // Signed links work for an hour
+
+/**
+ * Get the photo bucket name
+ * @returns {string} Bucket
+ * @throws {Error} If the bucket is not configured
+ */
+function getBucket() {
+  const bucket = process.env.ICTS_TOTE_PHOTO_BUCKET;
+  if (!bucket) {
+    throw new Error('ICTS_TOTE_PHOTO_BUCKET is not configured');
+  }
+  return bucket;
+}
+
+/**
+ * Store a photo under a key prefix
+ * @param {string} keyPrefix - e.g. "totes/T-7K3QXM"
+ * @param {string} dataUrl - Photo as a data URL (data:image/jpeg;base64,...)
+ * @returns {Promise<string>} Photo key
+ * @throws {Error} If the photo is not a supported image or is too large
+ */
+async function storePhoto(keyPrefix, dataUrl) {
+  const match = /^data:(image\/[a-z]+);base64,(.+)$/.exec(String(dataUrl || ''));
+  if (!match || !PHOTO_TYPES[match[1]]) {
+    throw new Error('Invalid photo - use a JPEG, PNG or WebP image');
+  }
+
+  const body = Buffer.from(match[2], 'base64');
+  if (body.length > MAX_PHOTO_BYTES) {
+    throw new Error('Invalid photo - photos must be 4 MB or smaller');
+  }
+
+  const key = `${keyPrefix}/${crypto.randomBytes(8).toString('hex')}.${PHOTO_TYPES[match[1]]}`;
+
+  await s3.putObject({
+    Bucket: getBucket(),
+    Key: key,
+    Body: body,
+    ContentType: match[1]
+  }).promise();
+
+  console.log(`📷 Photo stored: ${key}`);
+  return key;
+}
+
+/**
+ * Store a contents photo
+ * @param {string} toteId - Tote the photo belongs to
+ * @param {string} dataUrl - Photo as a data URL (data:image/jpeg;base64,...)
+ * @returns {Promise<string>} Photo key to save on the contents item
+ * @throws {Error} If the photo is not a supported image or is too large
+ */
+async function uploadTotePhoto(toteId, dataUrl) {
+  return storePhoto(`totes/${toteId}`, dataUrl);
+}
+
+/**
+ * Store a proof of delivery photo or signature
+ * @param {string} jobId - Delivery job the proof belongs to
+ * @param {string} dataUrl - Image as a data URL (signatures are PNG)
+ * @returns {Promise<string>} Photo key to save on the job
+ * @throws {Error} If the image is not supported or is too large
+ */
+async function uploadJobPhoto(jobId, dataUrl) {
+  return storePhoto(`jobs/${jobId}`, dataUrl);
+}
+
+/**
+ * Get a short-lived link to a stored photo
+ * @param {string} key - Photo key
+ * @returns {string} Signed URL
+ */
+function getTotePhotoUrl(key) {
+  return s3.getSignedUrl('getObject', {
+    Bucket: getBucket(),
+    Key: key,
+    Expires: PHOTO_LINK_SECONDS
+  });
+}
+
+/**
+ * Copy of a tote with a signed link on every contents photo
+ * @param {Object} tote - Tote record
+ * @returns {Object} Tote with contents[].photo_url (null when there is no photo)
+ */
+function withPhotoUrls(tote) {
+  return {
+    ...tote,
+    contents: tote.contents.map(item => {
+      let photoUrl = null;
+      if (item.photo_key) {
+        try {
+          photoUrl = getTotePhotoUrl(item.photo_key);
+        } catch (error) {
+          console.warn('⚠️ Could not sign tote photo link:', error.message);
+        }
+      }
+      return { ...item, photo_url: photoUrl };
+    })
+  };
+}
+
+module.exports = {
+  uploadTotePhoto,
+  uploadJobPhoto,
+  getTotePhotoUrl,
+  withPhotoUrls
+};
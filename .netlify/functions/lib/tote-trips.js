@@ -0,0 +1,252 @@
+/**
+ * TOTE TRIPS - ON-DEMAND RETURNS AND RE-PICKUPS
+ *
+ * Books a trip requested from the account page:
+ * - return: deliver stored totes back to the customer
+ * - pickup: collect totes from the customer for storage again
+ *
+ * The trip fee is charged off-session to the default payment method saved on
+ * the customer's `invoice_settings` at checkout, then the trip is saved as a
+ * delivery job in the chosen window and the customer is texted the window
+ * (sms-notifications.js). A slot in the window is reserved before the charge
+ * and given back if the charge fails (delivery-calendar.js). Each request carries a client request token so a
+ * double click or retry never charges twice.
+ *
+ * Totes are picked by their label ID (totes.js). Customers from before tote
+ * labels have no tote records yet and pick by number (1..N) instead.
+ *
+ * Returns are blocked while the subscription is on hold for unpaid invoices
+ * (dunning.js); re-pickups are still allowed.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.4.0 - Window slot reserved before the trip fee is charged
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { LOOKUP_KEYS, getCatalogPrice } = require('./catalog');
+const { idempotent } = require('./idempotency');
+const { reserveDeliveryWindow, releaseDeliveryWindow } = require('./delivery-calendar');
+const {
+    DELIVERY_JOB_TYPES,
+    upsertCustomer,
+    createDeliveryJob,
+    listDeliveryJobs
+} = require('./orders');
+const { listTotes, setToteStatus } = require('./totes');
+const { sendWindowConfirmation } = require('./sms-notifications');
+
+const TRIP_TYPES = {
+    return: {
+        jobType: DELIVERY_JOB_TYPES.TOTE_RETURN,
+        lookupKey: LOOKUP_KEYS.RETURN_DELIVERY,
+        description: 'Tote return delivery'
+    },
+    pickup: {
+        jobType: DELIVERY_JOB_TYPES.TOTE_PICKUP,
+        lookupKey: LOOKUP_KEYS.TRIP_FEE,
+        description: 'Tote pickup'
+    }
+};
+
+/**
+ * Validate the totes picked for a trip
+ * @param {Array} totes - Tote IDs, or tote numbers (1-based) without tote records
+ * @param {number} toteQuantity - Totes on the subscription
+ * @param {Array} ownedTotes - The customer's tote records
+ * @returns {Array} Tote IDs in label order, or sorted, de-duplicated tote numbers
+ * @throws {Error} If none are picked or one isn't the customer's
+ */
+function validateTotes(totes, toteQuantity, ownedTotes) {
+    if (!Array.isArray(totes) || totes.length === 0) {
+        throw new Error('At least one tote is required');
+    }
+
+    if (ownedTotes.length > 0) {
+        const picked = new Set(totes.map(tote => String(tote).toUpperCase()));
+        const matches = ownedTotes.filter(tote => picked.has(tote.id));
+        if (matches.length !== picked.size) {
+            throw new Error('Invalid tote - choose from the totes on your account');
+        }
+        return matches.map(tote => tote.id);
+    }
+
+    const numbers = Array.from(new Set(totes.map(tote => parseInt(tote)))).sort((a, b) => a - b);
+    if (numbers.some(number => !Number.isInteger(number) || number < 1 || number > toteQuantity)) {
+        throw new Error(`Tote numbers must be between 1 and ${toteQuantity}`);
+    }
+
+    return numbers;
+}
+
+/**
+ * Charge the trip fee to the customer's default payment method
+ * @param {Object} details
+ * @param {string} details.customerId - Stripe customer ID
+ * @param {string} details.subscriptionId - Stripe subscription ID
+ * @param {string} details.tripType - 'return' or 'pickup'
+ * @param {Object} details.deliveryWindow - Booked delivery window
+ * @param {Array} details.totes - Tote IDs or numbers
+ * @param {string} details.requestToken - Client request token
+ * @returns {Object} Succeeded Stripe payment intent
+ * @throws {Error} If there is no saved card, or the charge fails (StripeCardError)
+ */
+async function chargeTripFee({ customerId, subscriptionId, tripType, deliveryWindow, totes, requestToken }) {
+    const trip = TRIP_TYPES[tripType];
+    const customer = await stripe.customers.retrieve(customerId);
+    const paymentMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+
+    if (!paymentMethod) {
+        throw new Error('No saved card found on this account. Please update your card and try again.');
+    }
+
+    const price = await getCatalogPrice(trip.lookupKey);
+
+    console.log(`💳 Charging ${trip.description.toLowerCase()} fee to ${customerId}...`);
+
+    return stripe.paymentIntents.create({
+        amount: price.unit_amount,
+        currency: price.currency,
+        customer: customerId,
+        payment_method: typeof paymentMethod === 'string' ? paymentMethod : paymentMethod.id,
+        off_session: true,
+        confirm: true,
+        description: `${trip.description} - ${deliveryWindow.label}`,
+        metadata: {
+            fee_type: 'trip_fee',
+            trip_type: tripType,
+            lookup_key: trip.lookupKey,
+            subscription_id: subscriptionId,
+            delivery_window: deliveryWindow.id,
+            totes: totes.join(','),
+            request_token: requestToken,
+            created_via: 'customer_portal'
+        }
+    }, idempotent('tote-trip', requestToken));
+}
+
+/**
+ * Book a return or re-pickup for the signed-in customer
+ *
+ * @param {Object} details
+ * @param {Object} details.account - Account summary (customer-accounts.getAccountSummary)
+ * @param {Object} details.subscription - Customer's Stripe subscription
+ * @param {string} details.tripType - 'return' or 'pickup'
+ * @param {Array} details.totes - Tote IDs (numbers for customers without tote records)
+ * @param {string} details.windowId - Delivery window ID from the capacity calendar
+ * @param {string} details.requestToken - Client request token
+ * @param {string} [details.notes] - Notes for the driver
+ * @returns {Object} { trip, paymentIntent, amountCharged }
+ * @throws {Error} If the request is invalid or the charge fails
+ */
+async function requestToteTrip(details) {
+    const trip = TRIP_TYPES[details.tripType];
+    if (!trip) {
+        throw new Error('Invalid trip type');
+    }
+
+    const subscription = details.subscription;
+    if (!['active', 'trialing', 'past_due'].includes(subscription.status)) {
+        throw new Error('Only active subscriptions can request tote trips');
+    }
+    if (details.tripType === 'return' && subscription.metadata.service_hold === 'true') {
+        throw new Error('Returns are on hold until your past-due payment is made. Please update your card.');
+    }
+
+    const customerId = details.account.customer.id;
+    const ownedTotes = await listTotes({ stripe_customer_id: customerId });
+    const totes = validateTotes(details.totes, parseInt(subscription.metadata.tote_quantity) || 0, ownedTotes);
+    const notes = String(details.notes || '').trim().slice(0, 500);
+
+    // Same request token = same request; don't book or charge again
+    const [existing] = await listDeliveryJobs({ request_token: details.requestToken });
+    if (existing) {
+        console.log(`♻️ Tote trip already booked for request ${details.requestToken}: ${existing.id}`);
+        return { trip: existing, paymentIntent: null, amountCharged: existing.fee_cents / 100 };
+    }
+
+    const deliveryWindow = await reserveDeliveryWindow(details.windowId, { holder: details.requestToken });
+
+    let paymentIntent;
+    try {
+        paymentIntent = await chargeTripFee({
+            customerId: customerId,
+            subscriptionId: subscription.id,
+            tripType: details.tripType,
+            deliveryWindow: deliveryWindow,
+            totes: totes,
+            requestToken: details.requestToken
+        });
+    } catch (error) {
+        // Declined or failed: give the slot back for someone else
+        try {
+            await releaseDeliveryWindow(deliveryWindow.slot_id, details.requestToken);
+        } catch (releaseError) {
+            console.error('⚠️ Could not release the trip window:', releaseError.message);
+        }
+        throw error;
+    }
+
+    console.log(`✅ Trip fee charged: ${paymentIntent.id}`);
+
+    // The charge already went through; a store failure must not hide that
+    let job = null;
+    try {
+        const customer = await upsertCustomer({
+            email: details.account.customer.email,
+            name: details.account.customer.name,
+            phone: details.account.customer.phone,
+            address: details.account.customer.address,
+            stripeCustomerId: customerId
+        });
+        job = await createDeliveryJob({
+            customerId: customer.id,
+            type: trip.jobType,
+            toteCount: totes.length,
+            totes: totes,
+            address: details.account.customer.address,
+            window: deliveryWindow,
+            notes: notes,
+            subscriptionId: subscription.id,
+            paymentIntentId: paymentIntent.id,
+            feeCents: paymentIntent.amount,
+            requestToken: details.requestToken
+        });
+
+        if (details.tripType === 'return' && ownedTotes.length > 0) {
+            for (const toteId of totes) {
+                await setToteStatus(toteId, 'out_for_return', { source: 'customer_portal' });
+            }
+        }
+    } catch (error) {
+        console.error('⚠️ Could not save tote trip:', error.message);
+    }
+
+    if (job) {
+        try {
+            await sendWindowConfirmation(job);
+        } catch (error) {
+            console.error('⚠️ Could not text the trip window:', error.message);
+        }
+    }
+
+    return {
+        trip: job || {
+            type: trip.jobType,
+            tote_count: totes.length,
+            totes: totes,
+            window_id: deliveryWindow.id,
+            window_label: deliveryWindow.label,
+            notes: notes || null
+        },
+        paymentIntent: paymentIntent,
+        amountCharged: paymentIntent.amount / 100
+    };
+}
+
+module.exports = {
+    TRIP_TYPES,
+    requestToteTrip
+};
@@ -0,0 +1,197 @@
+/**
+ * TOTES - PER-TOTE INVENTORY
+ *
+ * One record per physical tote, owned by a customer (the Stripe customer from
+ * checkout and our customer record). Each tote has a printable ID (the QR
+ * label encodes it), a status, and an optional contents list with photos.
+ *
+ * Statuses:
+ * - assigned          Reserved for a paid order, not delivered yet
+ * - empty_delivered   Empty tote dropped off at the customer
+ * - filled            Customer packed it; waiting for pickup
+ * - in_storage        In our facility
+ * - out_for_return    Booked to go back to the customer
+ * - returned          Handed back for good on the final return after cancelling
+ *                     (cancellations.js ends the subscription once all are)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - Returned status for the final return after cancelling
+ */
+
+const crypto = require('crypto');
+const { getStore, createId } = require('./store');
+
+const TOTES_COLLECTION = 'totes';
+
+const TOTE_STATUSES = ['assigned', 'empty_delivered', 'filled', 'in_storage', 'out_for_return', 'returned'];
+
+// Same unambiguous alphabet as order numbers (no 0/O, 1/I)
+const TOTE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Create a tote ID, e.g. T-7K3QXM
+ * @returns {string} Tote ID
+ */
+function createToteId() {
+    const suffix = Array.from(crypto.randomBytes(6))
+        .map(byte => TOTE_ID_ALPHABET[byte % TOTE_ID_ALPHABET.length])
+        .join('');
+    return `T-${suffix}`;
+}
+
+/**
+ * Get a tote by ID
+ * @param {string} toteId - Tote ID
+ * @returns {Object|null} Tote record
+ */
+async function getTote(toteId) {
+    return getStore().get(TOTES_COLLECTION, String(toteId || '').toUpperCase());
+}
+
+/**
+ * List a customer's totes, in label order
+ * @param {Object} where - Filter, e.g. { stripe_customer_id } or { order_id }
+ * @returns {Array} Tote records
+ */
+async function listTotes(where) {
+    const totes = await getStore().find(TOTES_COLLECTION, where);
+    return totes.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Add totes for a customer until they have the number they pay for
+ *
+ * Safe to call again: existing totes are kept and only the shortfall is
+ * created, so a retried order or webhook never doubles the inventory.
+ *
+ * @param {Object} details
+ * @param {string} [details.customerId] - Customer record ID (defaults to the existing totes' owner)
+ * @param {string} details.stripeCustomerId - Stripe customer ID
+ * @param {string} [details.orderId] - Order the new totes come with
+ * @param {number} details.toteQuantity - Totes on the subscription
+ * @param {string} [details.source] - Which function assigned them
+ * @returns {Array} All of the customer's totes
+ */
+async function assignTotes(details) {
+    const store = getStore();
+    const existing = await listTotes({ stripe_customer_id: details.stripeCustomerId });
+    const now = new Date().toISOString();
+    const customerId = details.customerId || (existing[0] && existing[0].customer_id) || null;
+    let nextNumber = existing.reduce((highest, tote) => Math.max(highest, tote.number), 0) + 1;
+
+    for (let count = existing.length; count < details.toteQuantity; count++) {
+        let toteId = createToteId();
+        while (await store.get(TOTES_COLLECTION, toteId)) {
+            toteId = createToteId();
+        }
+
+        existing.push(await store.insert(TOTES_COLLECTION, {
+            id: toteId,
+            number: nextNumber++,
+            customer_id: customerId,
+            stripe_customer_id: details.stripeCustomerId,
+            order_id: details.orderId || null,
+            status: 'assigned',
+            status_history: [{ status: 'assigned', at: now, source: details.source || null }],
+            contents: [],
+            created_at: now,
+            updated_at: now
+        }));
+    }
+
+    return existing;
+}
+
+/**
+ * Change a tote's status
+ * @param {string} toteId - Tote ID
+ * @param {string} status - One of TOTE_STATUSES
+ * @param {Object} [options]
+ * @param {string} [options.source] - Who made the change
+ * @returns {Object} Updated tote
+ * @throws {Error} If the tote or status is unknown
+ */
+async function setToteStatus(toteId, status, options = {}) {
+    if (!TOTE_STATUSES.includes(status)) {
+        throw new Error(`Invalid tote status: ${status}`);
+    }
+
+    const tote = await getTote(toteId);
+    if (!tote) {
+        throw new Error(`Invalid tote ID: ${toteId}`);
+    }
+
+    if (tote.status === status) {
+        return tote;
+    }
+
+    const now = new Date().toISOString();
+    return getStore().update(TOTES_COLLECTION, tote.id, {
+        status: status,
+        status_history: [...tote.status_history, { status, at: now, source: options.source || null }],
+        updated_at: now
+    });
+}
+
+/**
+ * Add an item to a tote's contents list
+ * @param {string} toteId - Tote ID
+ * @param {Object} item
+ * @param {string} item.description - What it is
+ * @param {number} [item.quantity] - How many (default 1)
+ * @param {string} [item.photoKey] - Stored photo key (tote-photos.js)
+ * @param {string} [item.addedBy] - 'customer' or 'staff'
+ * @returns {Object} Updated tote
+ */
+async function addToteItem(toteId, item) {
+    const tote = await getTote(toteId);
+    if (!tote) {
+        throw new Error(`Invalid tote ID: ${toteId}`);
+    }
+
+    const description = String(item.description || '').trim().slice(0, 200);
+    if (!description) {
+        throw new Error('Item description is required');
+    }
+
+    const now = new Date().toISOString();
+    return getStore().update(TOTES_COLLECTION, tote.id, {
+        contents: [...tote.contents, {
+            id: createId('item'),
+            description: description,
+            quantity: Math.max(parseInt(item.quantity) || 1, 1),
+            photo_key: item.photoKey || null,
+            added_by: item.addedBy || 'staff',
+            added_at: now
+        }],
+        updated_at: now
+    });
+}
+
+/**
+ * Remove an item from a tote's contents list
+ * @param {string} toteId - Tote ID
+ * @param {string} itemId - Contents item ID
+ * @returns {Object} Updated tote
+ */
+async function removeToteItem(toteId, itemId) {
+    const tote = await getTote(toteId);
+    if (!tote) {
+        throw new Error(`Invalid tote ID: ${toteId}`);
+    }
+
+    return getStore().update(TOTES_COLLECTION, tote.id, {
+        contents: tote.contents.filter(item => item.id !== itemId),
+        updated_at: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    TOTE_STATUSES,
+    getTote,
+    listTotes,
+    assignTotes,
+    setToteStatus,
+    addToteItem,
+    removeToteItem
+};
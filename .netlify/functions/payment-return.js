@@ -0,0 +1,182 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - PAYMENT RETURN (3D SECURE REDIRECT)
+ *
+ * Called by the browser when a customer lands back on the site after a bank
+ * forced a 3D Secure redirect. All in-page order state is lost by then, so
+ * this function rebuilds the order from the payment intent metadata and,
+ * if the payment succeeded, runs the same server-side fulfillment as the
+ * webhook (subscription + confirmation emails, each only once).
+ *
+ * The caller must present the payment intent client secret from the return
+ * URL; order details are only returned when it matches.
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.4.0 - Returns the billing plan
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { fulfillPaymentIntent } = require('./lib/order-fulfillment');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST'
+};
+
+/**
+ * Rebuild the order form's address fields from payment intent metadata
+ * @param {string} [serviceAddress] - JSON normalized address (`service_address`)
+ * @returns {Object|null} { street, unit, city, state, zip }
+ */
+function buildAddressFields(serviceAddress) {
+    let address;
+    try {
+        address = serviceAddress ? JSON.parse(serviceAddress) : null;
+    } catch (error) {
+        address = null;
+    }
+
+    return address ? {
+        street: address.line1,
+        unit: address.line2 || '',
+        city: address.city,
+        state: address.state,
+        zip: address.postal_code
+    } : null;
+}
+
+/**
+ * Rebuild the browser order data object from payment intent metadata
+ * Mirrors the orderData shape built in forms.js / stripe-payment.js
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {Object} Order data
+ */
+function buildOrderData(paymentIntent) {
+    const metadata = paymentIntent.metadata;
+
+    return {
+        name: metadata.customer_name,
+        email: metadata.customer_email,
+        phone: metadata.customer_phone,
+        address: metadata.customer_address,
+        addressFields: buildAddressFields(metadata.service_address),
+        toteNumber: parseInt(metadata.tote_quantity),
+        plan: metadata.plan || undefined,
+        totalCost: paymentIntent.amount / 100,
+        promoCode: metadata.promo_code || undefined,
+        deliveryWindow: metadata.delivery_window
+            ? { id: metadata.delivery_window, label: metadata.delivery_window_label }
+            : null
+    };
+}
+
+exports.handler = async (event, context) => {
+    const startTime = Date.now();
+    console.log('↩️ Payment return requested');
+
+    try {
+        // Only allow POST requests
+        if (event.httpMethod !== 'POST') {
+            return {
+                statusCode: 405,
+                headers,
+                body: JSON.stringify({ error: 'Method not allowed' })
+            };
+        }
+
+        // Parse request body
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            console.error('❌ Invalid JSON in request body');
+            throw new Error('Invalid request format');
+        }
+
+        const { payment_intent_id, client_secret } = requestData;
+
+        if (!payment_intent_id || !client_secret) {
+            throw new Error('Missing payment intent ID or client secret');
+        }
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+
+        // The client secret proves the caller started this payment
+        if (paymentIntent.client_secret !== client_secret) {
+            console.warn(`🚨 Client secret mismatch for ${payment_intent_id}`);
+            return {
+                statusCode: 403,
+                headers,
+                body: JSON.stringify({ error: 'Payment could not be verified', code: 'VERIFICATION_FAILED' })
+            };
+        }
+
+        const orderData = buildOrderData(paymentIntent);
+
+        if (paymentIntent.status !== 'succeeded') {
+            console.log(`ℹ️ Returned payment ${payment_intent_id} is ${paymentIntent.status}`);
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    status: paymentIntent.status,
+                    payment_intent_id: paymentIntent.id,
+                    order: orderData,
+                    error: paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : null
+                })
+            };
+        }
+
+        // Payment succeeded - finish the order (skips steps the webhook already did)
+        const fulfillment = await fulfillPaymentIntent(paymentIntent.id, { source: 'payment-return' });
+        const subscription = fulfillment.subscription;
+
+        let subscriptionData = null;
+        if (subscription) {
+            const trialEnd = subscription.trial_end || subscription.current_period_end;
+            subscriptionData = {
+                subscription_id: subscription.id,
+                order_id: fulfillment.order ? fulfillment.order.id : null,
+                status: subscription.status,
+                next_billing_date: new Date(trialEnd * 1000).toISOString(),
+                monthly_amount: fulfillment.monthlyAmount,
+                trial_end: new Date(trialEnd * 1000).toISOString(),
+                confirmation_sent: fulfillment.confirmationSent
+            };
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`✅ Payment return handled for ${paymentIntent.id} (${processingTime}ms)`);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                status: paymentIntent.status,
+                payment_intent_id: paymentIntent.id,
+                amount: paymentIntent.amount,
+                order: orderData,
+                subscription: subscriptionData,
+                subscription_error: fulfillment.subscriptionError ? fulfillment.subscriptionError.message : null
+            })
+        };
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        console.error(`❌ Error handling payment return (${processingTime}ms):`, error.message);
+
+        return {
+            statusCode: error.message.includes('Missing') || error.message.includes('Invalid') ? 400 : 500,
+            headers: {
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: error.message,
+                code: 'PAYMENT_RETURN_ERROR'
+            })
+        };
+    }
+};
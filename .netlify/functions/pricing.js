@@ -0,0 +1,124 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - PRICING QUOTE
+ * 
+ * Returns an order quote from the shared pricing engine.
+ * Available at /api/pricing (see netlify.toml redirects).
+ * 
+ * Usage:
+ * - GET  /api/pricing?totes=4&plan=annual&promo=CODE&email=EMAIL
+ * - POST /api/pricing  { "toteNumber": 4, "plan": "annual", "promoCode": "CODE", "email": "EMAIL" }
+ * 
+ * The plan (monthly, semiannual or annual) defaults to monthly.
+ * Promo codes are looked up the same way as validate-promo and
+ * create-payment-intent (lib/promotions.js), so Stripe promotion codes and
+ * referral codes quote too. The email is only needed for codes limited to
+ * one customer or to new customers.
+ * 
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard (promo codes)
+ * 
+ * @author Stripe Integration Team
+ * @version 1.2.0 - Promo codes resolved like validate-promo
+ */
+
+const pricing = require('./lib/pricing');
+const { resolvePromoCode } = require('./lib/promotions');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+
+// Same limit as validate-promo, so this isn't a way around it
+const checkPromoRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 10 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+    
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+    
+    try {
+        let toteNumber;
+        let plan;
+        let promoCode;
+        let email;
+        
+        if (event.httpMethod === 'GET') {
+            const params = event.queryStringParameters || {};
+            toteNumber = params.totes;
+            plan = params.plan;
+            promoCode = params.promo;
+            email = params.email;
+        } else {
+            let requestData;
+            try {
+                requestData = JSON.parse(event.body || '{}');
+            } catch (parseError) {
+                throw new Error('Invalid request format');
+            }
+            toteNumber = requestData.toteNumber;
+            plan = requestData.plan;
+            promoCode = requestData.promoCode;
+            email = requestData.email;
+        }
+        
+        // Checks the tote quantity and plan before any promo lookup
+        let quote = pricing.calculateQuote({ toteNumber, plan });
+        
+        if (promoCode) {
+            checkPromoRateLimit(getClientIP(event, context));
+            const discount = await resolvePromoCode(promoCode, {
+                toteNumber: quote.toteNumber,
+                plan: quote.plan,
+                email: typeof email === 'string' && email ? email : null
+            });
+            quote = pricing.calculateQuote({ toteNumber: quote.toteNumber, plan: quote.plan, discount: discount });
+        }
+        
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ quote })
+        };
+        
+    } catch (error) {
+        let statusCode = 400;
+        let errorCode = 'VALIDATION_ERROR';
+        if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+            errorCode = 'RATE_LIMIT_EXCEEDED';
+        } else if (error.message.includes('promo code')) {
+            errorCode = 'INVALID_PROMO_CODE';
+        } else if (!error.message.includes('Invalid') && !error.message.includes('must be')) {
+            // Stripe or the store failed, not the request
+            statusCode = 500;
+            errorCode = 'PRICING_ERROR';
+        }
+        
+        if (statusCode === 500) {
+            console.error('❌ Pricing quote failed:', error.message);
+        } else {
+            console.warn('⚠️ Pricing quote rejected:', error.message);
+        }
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({
+                error: error.message,
+                code: errorCode
+            })
+        };
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - DRIVER ROUTE PLANNING (STAFF)
+ *
+ * Orders one day's scheduled deliveries, pickups and returns into a route
+ * from the depot (lib/route-planning.js). Requires the staff API key or an
+ * admin dashboard session as a Bearer token (lib/staff-auth.js).
+ *
+ * Requests:
+ * - GET ?date=2026-10-21                         Route plan as JSON
+ * - GET ?date=2026-10-21&format=html             Printable run sheet
+ * - GET ?date=2026-10-21&format=csv              Stops as a CSV download
+ * - add &depot=35.5951,-82.5515 to start somewhere other than the configured depot
+ *
+ * Environment Variables Required:
+ * - ICTS_STAFF_API_KEY: Staff API key
+ * - ICTS_ROUTING: Depot location (see lib/route-planning.js)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Route planning
+ */
+
+const { requireStaff } = require('./lib/staff-auth');
+const { planDayRoute, routeToCsv, renderRunSheetHtml } = require('./lib/route-planning');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        requireStaff(event);
+
+        const query = event.queryStringParameters || {};
+        const format = query.format || 'json';
+        if (!['json', 'html', 'csv'].includes(format)) {
+            throw new Error('Invalid format - use json, html or csv');
+        }
+
+        const plan = await planDayRoute({ date: query.date, depot: query.depot });
+
+        if (format === 'csv') {
+            return {
+                statusCode: 200,
+                headers: {
+                    ...headers,
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="icts-route-${plan.date}.csv"`
+                },
+                body: routeToCsv(plan)
+            };
+        }
+
+        if (format === 'html') {
+            return {
+                statusCode: 200,
+                headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+                body: renderRunSheetHtml(plan)
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(plan)
+        };
+
+    } catch (error) {
+        console.error('❌ Route planning failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in')) {
+            statusCode = 401;
+        } else if (error.message.includes('Invalid') || error.message.includes('required')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: 'ROUTE_PLAN_ERROR' })
+        };
+    }
+};
@@ -2,19 +2,18 @@
  * AWS SES EMAIL HANDLER - CONTACT FORM SUBMISSION
  * Replaces EmailJS with AWS SES for contact form emails
  * Handles contact inquiries and lead generation
+ * Every submission is also saved to the lead store (lib/leads.js), so service
+ * inquiries get the follow-up sequence. Waitlist signups go to waitlist.js.
  * 
- * @version 1.0.0
+ * The email itself is templates/emails/contact-submission.html.
+ * 
+ * @version 1.4.0 - Email rendered from templates/ by the shared templating engine
  * @author Instant Closet Tote Storage Dev Team
  */
 
-const AWS = require('aws-sdk');
-
-// Configure AWS SES client
-const ses = new AWS.SES({
-  accessKeyId: process.env.ICTS_AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.ICTS_AWS_SECRET_ACCESS_KEY,
-  region: process.env.ICTS_AWS_REGION || 'us-east-1'
-});
+const { upsertCustomer } = require('./lib/orders');
+const { recordLead } = require('./lib/leads');
+const { CUSTOMER_SERVICE_EMAIL, renderTemplateEmail, sendEmail } = require('./lib/ses-email');
 
 // CORS headers for browser compatibility
 const headers = {
@@ -114,21 +113,11 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Sanitize all inputs to prevent XSS and clean data
+    // Clean all inputs (the email template escapes them when rendering)
     const sanitize = (str) => {
       if (!str) return 'Not provided';
       return String(str)
         .replace(/<[^>]*>?/gm, '') // Remove HTML tags
-        .replace(/[<>&"']/g, (char) => { // Escape special characters
-          const escapeMap = {
-            '<': '&lt;',
-            '>': '&gt;',
-            '&': '&amp;',
-            '"': '&quot;',
-            "'": '&#x27;'
-          };
-          return escapeMap[char];
-        })
         .trim();
     };
 
@@ -140,6 +129,7 @@ exports.handler = async (event, context) => {
       tote_number: sanitize(data.tote_number) || 'Not specified', 
       message: sanitize(data.message) || 'No additional message provided',
       order_cost: sanitize(data.order_cost) || 'Not calculated',
+      zip: sanitize(data.zip),
       timestamp: new Date().toLocaleString('en-US', { 
         timeZone: 'America/New_York',
         weekday: 'long',
@@ -175,151 +165,64 @@ exports.handler = async (event, context) => {
     const isServiceInquiry = sanitizedData.address !== 'Not provided' && 
                             sanitizedData.tote_number !== 'Not specified';
 
-    // Create HTML email template
-    const emailTemplate = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>New ${isServiceInquiry ? 'Service Inquiry' : 'Contact Form'} Submission</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f5f5f5; margin: 0; padding: 20px; }
-        .email-container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1); overflow: hidden; }
-        .header { background-color: #000; color: #ffffff; padding: 30px 40px; text-align: center; }
-        .logo-container { background-color: #000; padding: 20px; border-radius: 8px; display: inline-block; }
-        .logo { width: 300px; height: auto; display: block; max-width: 100%; }
-        .notification-title { font-size: 24px; font-weight: bold; padding: 15px 25px; background-color: #000; border-radius: 6px; color: #ffffff; margin-top: 15px; }
-        .header-divider { width: 100%; height: 2px; background-color: #ffffff; margin: 20px 0 10px 0; }
-        .content { padding: 30px; }
-        .section { margin-bottom: 25px; }
-        .section h2 { color: #2c3e50; border-bottom: 2px solid #F8CF1F; padding-bottom: 8px; margin-bottom: 15px; }
-        .field { margin-bottom: 12px; padding: 8px 0; }
-        .field strong { color: #2c3e50; display: inline-block; min-width: 120px; }
-        .highlight { background-color: #fff3e0; padding: 15px; border-left: 4px solid #ff9800; border-radius: 4px; }
-        .footer { background-color: #2c3e50; color: #ecf0f1; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; }
-        .priority { color: #e74c3c; font-weight: bold; }
-        @media only screen and (max-width: 600px) {
-            body { padding: 10px; }
-            .header, .content, .footer { padding: 20px; }
-            .notification-title { font-size: 20px; padding: 12px 12px; }
-            .logo { width: 200px; }
-        }
-    </style>
-</head>
-<body>
-    <div class="email-container">
-        <div class="header">
-            <div class="logo-section">
-                <div class="logo-container">
-                    <img src="https://instantclosettotestorage.com/images/logo.webp" 
-                         alt="Instant Closet Tote Storage" 
-                         class="logo">
-                </div>
-            </div>
-            <div class="header-divider"></div>
-            <div class="notification-title">${isServiceInquiry ? 'New Service Inquiry' : 'New Contact Form Submission'}</div>
-        </div>
-        
-        <div class="content">
-            <div class="section">
-                <h2>Customer Information</h2>
-                <div class="field"><strong>Name:</strong> ${sanitizedData.name}</div>
-                <div class="field"><strong>Email:</strong> <a href="mailto:${sanitizedData.email}">${sanitizedData.email}</a></div>
-                <div class="field"><strong>Phone:</strong> <a href="tel:${sanitizedData.phone}">${sanitizedData.phone}</a></div>
-                ${sanitizedData.address !== 'Not provided' ? 
-                  `<div class="field"><strong>Address:</strong> ${sanitizedData.address}</div>` : ''
-                }
-            </div>
-
-            ${isServiceInquiry ? `
-            <div class="section">
-                <h2>Service Request Details</h2>
-                <div class="highlight">
-                    <div class="field"><strong>Totes Needed:</strong> <span class="priority">${sanitizedData.tote_number}</span></div>
-                    <div class="field"><strong>Estimated Cost:</strong> <span class="priority">$${sanitizedData.order_cost}</span></div>
-                </div>
-            </div>
-            ` : ''}
-
-            <div class="section">
-                <h2>Customer Message</h2>
-                <div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; border-left: 4px solid #2196f3;">
-                    ${sanitizedData.message.replace(/\n/g, '<br>')}
-                </div>
-            </div>
-
-            <div class="section">
-                <h2>Submission Details</h2>
-                <div class="field"><strong>Received:</strong> ${sanitizedData.timestamp}</div>
-                <div class="field"><strong>Type:</strong> ${isServiceInquiry ? 'Service Inquiry' : 'General Contact'}</div>
-                ${isServiceInquiry ? '<div class="field priority"><strong>Action Required:</strong> Schedule delivery & setup subscription</div>' : ''}
-            </div>
-        </div>
-        
-        <div class="footer">
-            <p><strong>Instant Closet Tote Storage</strong></p>
-            <p>Automated notification from website contact form</p>
-            <p><small>Reply directly to this email to respond to the customer</small></p>
-        </div>
-    </div>
-</body>
-</html>`;
+    // Render the email from its template
+    const email = renderTemplateEmail('contact-submission', {
+      ...sanitizedData,
+      is_service_inquiry: isServiceInquiry,
+      has_address: sanitizedData.address !== 'Not provided',
+      message_lines: sanitizedData.message.split(/\r?\n/)
+    });
 
     // Create subject line based on inquiry type
     const subject = isServiceInquiry 
       ? `Service Inquiry: ${sanitizedData.name} - ${sanitizedData.tote_number} totes - ${sanitizedData.order_cost}`
       : `New Contact Form: ${sanitizedData.name}`;
 
-    // Configure SES email parameters
-    const emailParams = {
-      Source: 'Instant Closet Tote Storage <no-reply@instantclosettotestorage.com>', // Professional sender name
-      Destination: {
-        ToAddresses: ['customerservice@instantclosettotestorage.com'] // Your recipient email
-      },
-      Message: {
-        Subject: {
-          Data: subject,
-          Charset: 'UTF-8'
-        },
-        Body: {
-          Html: { 
-            Data: emailTemplate, 
-            Charset: 'UTF-8' 
-          },
-          Text: {
-            Data: `NEW ${isServiceInquiry ? 'SERVICE INQUIRY' : 'CONTACT'} FROM WEBSITE\n\n` +
-                  `Customer: ${sanitizedData.name}\n` +
-                  `Email: ${sanitizedData.email}\n` +
-                  `Phone: ${sanitizedData.phone}\n` +
-                  `${sanitizedData.address !== 'Not provided' ? `Address: ${sanitizedData.address}\n` : ''}` +
-                  `${isServiceInquiry ? `Totes: ${sanitizedData.tote_number}\nCost: $${sanitizedData.order_cost}\n` : ''}` +
-                  `\nMessage:\n${sanitizedData.message}\n\n` +
-                  `Received: ${sanitizedData.timestamp}`,
-            Charset: 'UTF-8'
-          }
-        }
-      },
-      ReplyToAddresses: [sanitizedData.email], // Allow direct reply to customer
-      Tags: [
-        {
-          Name: 'Source',
-          Value: 'Website-Contact-Form'
-        },
-        {
-          Name: 'Type', 
-          Value: isServiceInquiry ? 'Service-Inquiry' : 'General-Contact'
-        }
-      ]
-    };
-
     console.log('📤 Sending email via AWS SES...');
     
-    // Send email via AWS SES
-    const result = await ses.sendEmail(emailParams).promise();
+    // Send email via AWS SES; replies go straight to the customer
+    const messageId = await sendEmail({
+      to: CUSTOMER_SERVICE_EMAIL,
+      replyTo: sanitizedData.email,
+      subject: subject,
+      html: email.html,
+      text: email.text,
+      tags: {
+        Source: 'Website-Contact-Form',
+        Type: isServiceInquiry ? 'Service-Inquiry' : 'General-Contact'
+      }
+    });
+
+    // Save the contact to the customer store (the email already went out)
+    try {
+      await upsertCustomer({
+        email: data.email,
+        name: sanitizedData.name,
+        phone: sanitizedData.phone,
+        address: sanitize(data.address),
+        source: 'contact_form'
+      });
+    } catch (storeError) {
+      console.warn('⚠️ Could not save contact to customer store:', storeError.message);
+    }
 
-    console.log('✅ Email sent successfully:', result.MessageId);
+    // Save the lead; service inquiries start the follow-up sequence
+    try {
+      await recordLead({
+        type: isServiceInquiry ? 'service_inquiry' : 'contact',
+        email: data.email,
+        name: sanitizedData.name,
+        phone: sanitizedData.phone,
+        zip: sanitizedData.zip !== 'Not provided' ? sanitizedData.zip : null,
+        address: sanitizedData.address !== 'Not provided' ? sanitizedData.address : null,
+        toteInterest: parseInt(data.tote_number, 10) || null,
+        message: data.message ? sanitizedData.message : null,
+        utm: data.utm,
+        landingPage: typeof data.landing_page === 'string' ? data.landing_page.slice(0, 200) : null
+      });
+    } catch (leadError) {
+      console.warn('⚠️ Could not save contact to lead store:', leadError.message);
+    }
 
     // Return success response
     return {
@@ -328,7 +231,7 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         message: 'Contact form submitted successfully',
-        messageId: result.MessageId,
+        messageId: messageId,
         type: isServiceInquiry ? 'service-inquiry' : 'general-contact'
       })
     };
@@ -0,0 +1,97 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - SERVICE AREA CHECK
+ *
+ * Normalizes the order form's address and tells the browser whether we
+ * deliver there, before the payment modal opens. create-payment-intent.js
+ * runs the same check again, so skipping this call never gets an
+ * out-of-area order paid.
+ * Available at /api/service-area (see netlify.toml redirects).
+ *
+ * Usage:
+ * - POST { street, unit, city, state, zip }
+ *   -> { in_area, address, formatted_address }
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Service area check
+ */
+
+const { normalizeAddress, formatAddress } = require('./lib/address');
+const { checkServiceArea } = require('./lib/service-area');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+
+// Checked on every address change in the form, so more generous than checkout
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 20 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        checkRateLimit(getClientIP(event, context));
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        const { address, errors } = normalizeAddress(requestData);
+        if (!address) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: errors[0], errors: errors, code: 'INVALID_ADDRESS' })
+            };
+        }
+
+        const result = await checkServiceArea(address);
+        console.log(`📍 Service area check for ${address.postal_code}: ${result.inArea ? `in area (${result.matchedBy})` : 'outside'}`);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                in_area: result.inArea,
+                address: address,
+                formatted_address: formatAddress(address)
+            })
+        };
+
+    } catch (error) {
+        console.error('❌ Service area check failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+        } else if (error.message.includes('Invalid')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({
+                error: error.message,
+                code: statusCode === 429 ? 'RATE_LIMIT_EXCEEDED' : 'SERVICE_AREA_ERROR'
+            })
+        };
+    }
+};
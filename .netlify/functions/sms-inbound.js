@@ -0,0 +1,87 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - INBOUND TEXT MESSAGES
+ *
+ * The SMS provider calls this endpoint for every text a customer sends to
+ * our number (in Twilio: the phone number's "A message comes in" webhook,
+ * HTTP POST). The text is matched to a customer by phone number and lands
+ * in the admin dashboard's Inbox, where staff reply (lib/sms.js). STOP and
+ * START opt the number out of and back in to our texts.
+ *
+ * Requests are checked with the adapter's signature verification; the
+ * signed URL is ICTS_SMS's `webhookUrl` when set, otherwise the URL the
+ * request came in on. The response is empty TwiML, so no automatic reply
+ * is sent.
+ *
+ * Environment Variables Required:
+ * - TWILIO_AUTH_TOKEN: Verifies the request signature
+ * - ICTS_SMS_ADAPTER, ICTS_SMS: See lib/sms.js
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - SMS notifications
+ */
+
+const { getSmsAdapter, getSmsConfig, receiveSms } = require('./lib/sms');
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Build a TwiML response for the provider
+ * @param {number} statusCode - HTTP status code
+ * @returns {Object} Netlify function response
+ */
+function twimlResponse(statusCode) {
+    return {
+        statusCode: statusCode,
+        headers: {
+            'Content-Type': 'text/xml'
+        },
+        body: EMPTY_TWIML
+    };
+}
+
+/**
+ * Read the form-encoded webhook body
+ * @param {Object} event - Netlify function event
+ * @returns {Object} Form fields
+ */
+function parseFormBody(event) {
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : (event.body || '');
+
+    return Object.fromEntries(new URLSearchParams(rawBody));
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        const adapter = getSmsAdapter();
+        const params = parseFormBody(event);
+        const verified = adapter.verifyInbound({
+            url: getSmsConfig().webhookUrl || event.rawUrl,
+            params: params,
+            headers: event.headers || {}
+        });
+
+        if (!verified) {
+            console.warn('⚠️ Inbound text rejected - invalid signature');
+            return twimlResponse(403);
+        }
+
+        await receiveSms(adapter.parseInbound(params));
+        return twimlResponse(200);
+
+    } catch (error) {
+        console.error('❌ Error handling inbound text:', error.message);
+
+        // Non-2xx makes the provider log the failure; a bad sender won't get better on retry
+        return twimlResponse(error.message.includes('Invalid') ? 400 : 500);
+    }
+};
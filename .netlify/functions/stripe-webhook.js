@@ -0,0 +1,311 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - STRIPE WEBHOOK
+ *
+ * Source of truth for payment and subscription state. Stripe calls this
+ * endpoint for every relevant event, so orders are completed server-side
+ * even if the customer closes the tab after paying or during a 3D Secure
+ * redirect.
+ *
+ * Handled Events:
+ * - payment_intent.succeeded: create subscription + send confirmation emails
+ * - invoice.paid: record successful monthly billing on the customer, and
+ *   credit the referrer a free month for a referred customer's first invoice
+ * - invoice.payment_failed: record failed monthly billing on the customer and
+ *   start or advance dunning for failed renewals (lib/dunning.js)
+ * - customer.updated: when the customer saves a new default card, make it the
+ *   subscription's card and retry any past-due invoice right away
+ * - customer.subscription.*: keep customer subscription metadata in sync;
+ *   a deleted subscription closes its cancellation and orders
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - STRIPE_WEBHOOK_SECRET: Signing secret of this webhook endpoint (whsec_...)
+ *
+ * @author Stripe Integration Team
+ * @version 1.6.0 - invoice.paid follow-ups no longer fail the event
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { fulfillPaymentIntent } = require('./lib/order-fulfillment');
+const { getMonthlyAmount, getPeriodAmount } = require('./lib/subscriptions');
+const { creditReferrerForInvoice } = require('./lib/referrals');
+const { recordPaymentFailure, recordPaymentRecovered, retryCustomerDunningCases } = require('./lib/dunning');
+const { recordSubscriptionEnded } = require('./lib/cancellations');
+
+/**
+ * Build a JSON response for Stripe
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Object} Netlify function response
+ */
+function jsonResponse(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Verify the Stripe signature and parse the event
+ * Signature verification needs the raw, unparsed request body
+ * @param {Object} event - Netlify function event
+ * @returns {Object} Verified Stripe event
+ * @throws {Error} If the signature is missing or invalid
+ */
+function verifyStripeEvent(event) {
+    const signature = event.headers['stripe-signature'] || event.headers['Stripe-Signature'];
+
+    if (!signature) {
+        throw new Error('Missing Stripe signature header');
+    }
+
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : (event.body || '');
+
+    return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+}
+
+/**
+ * Resolve the ID of an expandable Stripe field
+ * @param {string|Object|null} field - ID string or expanded object
+ * @returns {string|null} Object ID
+ */
+function getId(field) {
+    if (!field) return null;
+    return typeof field === 'string' ? field : field.id;
+}
+
+/**
+ * Handle payment_intent.succeeded
+ * Completes setup payments server-side; other payments are ignored
+ * @param {Object} paymentIntent - Stripe payment intent from the event
+ */
+async function handlePaymentIntentSucceeded(paymentIntent) {
+    if (paymentIntent.metadata.payment_type !== 'setup_with_subscription') {
+        console.log(`ℹ️ Ignoring payment intent ${paymentIntent.id} (type: ${paymentIntent.metadata.payment_type || 'none'})`);
+        return;
+    }
+
+    const fulfillment = await fulfillPaymentIntent(paymentIntent.id, { source: 'stripe-webhook' });
+
+    // Throwing makes Stripe retry the event; completed steps are skipped on retry
+    if (fulfillment.subscriptionError) {
+        throw fulfillment.subscriptionError;
+    }
+
+    if (fulfillment.confirmationError) {
+        throw fulfillment.confirmationError;
+    }
+
+    // Another call (usually the browser) was still on part of the order; if it never
+    // finishes, its claims go stale and a later retry does those steps
+    if (fulfillment.pending) {
+        throw new Error('Fulfillment is still running in another call');
+    }
+}
+
+/**
+ * Handle invoice.paid
+ * @param {Object} invoice - Stripe invoice from the event
+ */
+async function handleInvoicePaid(invoice) {
+    const customerId = getId(invoice.customer);
+    const subscriptionId = getId(invoice.subscription);
+
+    if (!customerId || !subscriptionId) {
+        return;
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+    await stripe.customers.update(customerId, {
+        metadata: {
+            subscription_id: subscription.id,
+            subscription_status: subscription.status,
+            next_billing_date: new Date(subscription.current_period_end * 1000).toISOString(),
+            last_payment_date: new Date((invoice.status_transitions.paid_at || invoice.created) * 1000).toISOString(),
+            last_payment_amount: (invoice.amount_paid / 100).toFixed(2),
+            failed_payment_count: '0'
+        }
+    });
+
+    console.log(`✅ Invoice ${invoice.id} paid for subscription ${subscriptionId}`);
+
+    // The payment is recorded above; these follow-ups are logged, not retried, if they fail
+    try {
+        await creditReferrerForInvoice(invoice);
+    } catch (error) {
+        console.error(`⚠️ Could not credit the referrer for invoice ${invoice.id}:`, error.message);
+    }
+
+    // Closes an open dunning case and lifts its hold (if this fails, the next
+    // dunning-retry run finds the invoice paid and closes the case)
+    try {
+        await recordPaymentRecovered(invoice);
+    } catch (error) {
+        console.error(`⚠️ Could not close the dunning case for invoice ${invoice.id}:`, error.message);
+    }
+}
+
+/**
+ * Handle invoice.payment_failed
+ * @param {Object} invoice - Stripe invoice from the event
+ */
+async function handleInvoicePaymentFailed(invoice) {
+    const customerId = getId(invoice.customer);
+    const subscriptionId = getId(invoice.subscription);
+
+    if (!customerId || !subscriptionId) {
+        return;
+    }
+
+    await stripe.customers.update(customerId, {
+        metadata: {
+            subscription_status: 'past_due',
+            last_failed_payment_date: new Date().toISOString(),
+            failed_payment_count: String(invoice.attempt_count || 1)
+        }
+    });
+
+    console.warn(`⚠️ Invoice ${invoice.id} payment failed (attempt ${invoice.attempt_count}) for subscription ${subscriptionId}`);
+
+    // Expanded for the decline reason shown to customer service
+    const failedInvoice = await stripe.invoices.retrieve(invoice.id, { expand: ['payment_intent'] });
+    await recordPaymentFailure(failedInvoice);
+}
+
+/**
+ * Handle customer.updated
+ * A new default card (account page or the dunning card update link) becomes
+ * the subscription's card too, and past-due invoices are retried with it.
+ * @param {Object} customer - Stripe customer from the event
+ * @param {Object} previousAttributes - Changed fields before the update
+ */
+async function handleCustomerUpdated(customer, previousAttributes) {
+    const previousSettings = (previousAttributes || {}).invoice_settings;
+    const paymentMethodId = getId(customer.invoice_settings && customer.invoice_settings.default_payment_method);
+
+    if (!previousSettings || !('default_payment_method' in previousSettings) || !paymentMethodId) {
+        return;
+    }
+
+    const subscriptionId = (customer.metadata || {}).subscription_id;
+    if (subscriptionId) {
+        await stripe.subscriptions.update(subscriptionId, { default_payment_method: paymentMethodId });
+    }
+
+    const retried = await retryCustomerDunningCases(customer.id);
+    console.log(`💳 ${customer.id} saved a new card${retried ? ` - retried ${retried} past-due invoice(s)` : ''}`);
+}
+
+/**
+ * Handle customer.subscription.* events
+ * Mirrors the subscription state onto the customer metadata
+ * @param {Object} subscription - Stripe subscription from the event
+ * @param {string} eventType - Stripe event type
+ */
+async function handleSubscriptionChange(subscription, eventType) {
+    const customerId = getId(subscription.customer);
+
+    const metadata = {
+        subscription_id: subscription.id,
+        subscription_status: subscription.status,
+        cancel_at_period_end: subscription.cancel_at_period_end ? 'true' : 'false'
+    };
+
+    // Tote count changes (account page or dashboard) live on the subscription
+    if (subscription.metadata && subscription.metadata.tote_quantity) {
+        const toteQuantity = parseInt(subscription.metadata.tote_quantity);
+        metadata.tote_quantity = toteQuantity.toString();
+        metadata.monthly_amount = getMonthlyAmount(toteQuantity, subscription.metadata.plan).toString();
+        metadata.period_amount = getPeriodAmount(toteQuantity, subscription.metadata.plan).toString();
+    }
+
+    if (subscription.status === 'canceled') {
+        metadata.subscription_ended_date = new Date((subscription.ended_at || Date.now() / 1000) * 1000).toISOString();
+    } else {
+        metadata.next_billing_date = new Date(subscription.current_period_end * 1000).toISOString();
+    }
+
+    await stripe.customers.update(customerId, { metadata });
+
+    if (eventType === 'customer.subscription.deleted') {
+        await recordSubscriptionEnded(subscription);
+    }
+
+    console.log(`🔄 ${eventType}: ${subscription.id} is ${subscription.status}`);
+}
+
+exports.handler = async (event, context) => {
+    const startTime = Date.now();
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return jsonResponse(405, { error: 'Method not allowed' });
+    }
+
+    // Verify the request really came from Stripe
+    let stripeEvent;
+    try {
+        stripeEvent = verifyStripeEvent(event);
+    } catch (error) {
+        console.error('🚨 Webhook signature verification failed:', error.message);
+        return jsonResponse(400, { error: `Webhook Error: ${error.message}` });
+    }
+
+    console.log(`📨 Stripe webhook received: ${stripeEvent.type} (${stripeEvent.id})`);
+
+    try {
+        const object = stripeEvent.data.object;
+
+        switch (stripeEvent.type) {
+            case 'payment_intent.succeeded':
+                await handlePaymentIntentSucceeded(object);
+                break;
+
+            case 'invoice.paid':
+                await handleInvoicePaid(object);
+                break;
+
+            case 'invoice.payment_failed':
+                await handleInvoicePaymentFailed(object);
+                break;
+
+            case 'customer.updated':
+                await handleCustomerUpdated(object, stripeEvent.data.previous_attributes);
+                break;
+
+            case 'customer.subscription.created':
+            case 'customer.subscription.updated':
+            case 'customer.subscription.deleted':
+            case 'customer.subscription.paused':
+            case 'customer.subscription.resumed':
+            case 'customer.subscription.trial_will_end':
+                await handleSubscriptionChange(object, stripeEvent.type);
+                break;
+
+            default:
+                console.log(`ℹ️ Unhandled event type: ${stripeEvent.type}`);
+        }
+
+        const processingTime = Date.now() - startTime;
+        console.log(`✅ Webhook ${stripeEvent.id} processed (${processingTime}ms)`);
+
+        return jsonResponse(200, { received: true });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        console.error(`❌ Error handling webhook ${stripeEvent.type} (${processingTime}ms):`, error.message);
+
+        // Non-2xx tells Stripe to retry the event later
+        return jsonResponse(500, { error: error.message });
+    }
+};
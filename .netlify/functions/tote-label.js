@@ -0,0 +1,131 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - TOTE QR LABELS (STAFF)
+ *
+ * Printable labels for totes, made server-side from the tote inventory.
+ * Requires the staff API key as a Bearer token (lib/staff-auth.js).
+ *
+ * Usage:
+ * - GET /api/tote-label?id=T-7K3QXM               One label as SVG
+ * - GET /api/tote-label?id=T-7K3QXM&format=pdf    One label as PDF
+ * - GET /api/tote-label?order=ICTS-261018-7K3QX   All of an order's labels as PDF (one per page)
+ *
+ * Environment Variables Required:
+ * - ICTS_STAFF_API_KEY: Staff API key
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Tote QR labels
+ */
+
+const { requireStaff } = require('./lib/staff-auth');
+const { getTote, listTotes } = require('./lib/totes');
+const { renderLabelSvg, renderLabelsPdf } = require('./lib/tote-labels');
+const { getStore } = require('./lib/store');
+const { COLLECTIONS } = require('./lib/orders');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Load the labels to print
+ * @param {Object} query - { id } or { order }
+ * @returns {Array} Labels: { tote, toteCount, customerName }
+ * @throws {Error} If nothing matches
+ */
+async function loadLabels(query) {
+    let totes;
+    if (query.id) {
+        const tote = await getTote(query.id);
+        totes = tote ? [tote] : [];
+    } else if (query.order) {
+        totes = await listTotes({ order_id: query.order });
+    } else {
+        throw new Error('A tote id or order is required');
+    }
+
+    if (totes.length === 0) {
+        throw new Error('Invalid tote or order - no totes found');
+    }
+
+    // "Tote 2 of 5" counts all of the customer's totes, not just this order's
+    const owned = await listTotes({ stripe_customer_id: totes[0].stripe_customer_id });
+    const customer = totes[0].customer_id
+        ? await getStore().get(COLLECTIONS.CUSTOMERS, totes[0].customer_id)
+        : null;
+
+    return totes.map(tote => ({
+        tote: tote,
+        toteCount: owned.length,
+        customerName: customer ? customer.name : ''
+    }));
+}
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        requireStaff(event);
+
+        const query = event.queryStringParameters || {};
+        const format = query.format || (query.order ? 'pdf' : 'svg');
+        const labels = await loadLabels(query);
+
+        if (format === 'svg') {
+            if (labels.length !== 1) {
+                throw new Error('Invalid format - SVG is one label at a time, use format=pdf');
+            }
+            return {
+                statusCode: 200,
+                headers: { ...headers, 'Content-Type': 'image/svg+xml' },
+                body: renderLabelSvg(labels[0])
+            };
+        }
+
+        if (format !== 'pdf') {
+            throw new Error('Invalid format - use svg or pdf');
+        }
+
+        console.log(`🏷️ Printing ${labels.length} tote label(s)`);
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `inline; filename="tote-labels-${query.order || query.id}.pdf"`
+            },
+            body: renderLabelsPdf(labels).toString('base64'),
+            isBase64Encoded: true
+        };
+
+    } catch (error) {
+        console.error('❌ Tote label request failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in')) {
+            statusCode = 401;
+        } else if (error.message.includes('Invalid') || error.message.includes('required')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: 'TOTE_LABEL_ERROR' })
+        };
+    }
+};
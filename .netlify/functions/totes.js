@@ -0,0 +1,158 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - TOTE INVENTORY (STAFF)
+ *
+ * Used by the team to look up totes, move them through their statuses as
+ * they are delivered, filled, stored and returned, and record what is in
+ * them (with photos the customer can see on the account page). Marking the
+ * last tote of a canceling customer 'returned' completes the cancellation.
+ * Requires the staff API key as a Bearer token (lib/staff-auth.js).
+ *
+ * Requests:
+ * - GET  ?id=T-7K3QXM | ?order=ICTS-... | ?customer=cus_...   Look up totes
+ * - POST { action: 'set-status', id, status }                  Change a tote's status
+ * - POST { action: 'add-item', id, description, quantity, photo }
+ *                                      Add a contents item (photo: optional image data URL)
+ * - POST { action: 'remove-item', id, item_id }                Remove a contents item
+ *
+ * Environment Variables Required:
+ * - ICTS_STAFF_API_KEY: Staff API key
+ * - ICTS_TOTE_PHOTO_BUCKET: S3 bucket for contents photos (see lib/tote-photos.js)
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard (ends canceled subscriptions)
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - Returned totes complete cancellations
+ */
+
+const { requireStaff } = require('./lib/staff-auth');
+const {
+    getTote,
+    listTotes,
+    setToteStatus,
+    addToteItem,
+    removeToteItem
+} = require('./lib/totes');
+const { uploadTotePhoto, withPhotoUrls } = require('./lib/tote-photos');
+const { completeCancellationIfReturned } = require('./lib/cancellations');
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Look up totes by ID, order or Stripe customer
+ * @param {Object} query - Query string parameters
+ * @returns {Array} Tote records
+ */
+async function findTotes(query) {
+    if (query.id) {
+        const tote = await getTote(query.id);
+        return tote ? [tote] : [];
+    }
+    if (query.order) {
+        return listTotes({ order_id: query.order });
+    }
+    if (query.customer) {
+        return listTotes({ stripe_customer_id: query.customer });
+    }
+    throw new Error('A tote id, order or customer is required');
+}
+
+/**
+ * Add a contents item, storing its photo first
+ * @param {Object} requestData - { id, description, quantity, photo }
+ * @returns {Object} Updated tote
+ */
+async function addItem(requestData) {
+    const tote = await getTote(requestData.id);
+    if (!tote) {
+        throw new Error(`Invalid tote ID: ${requestData.id}`);
+    }
+
+    const photoKey = requestData.photo ? await uploadTotePhoto(tote.id, requestData.photo) : null;
+
+    return addToteItem(tote.id, {
+        description: requestData.description,
+        quantity: requestData.quantity,
+        photoKey: photoKey,
+        addedBy: 'staff'
+    });
+}
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        requireStaff(event);
+
+        if (event.httpMethod === 'GET') {
+            const totes = await findTotes(event.queryStringParameters || {});
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({ totes: totes.map(withPhotoUrls) })
+            };
+        }
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        let tote;
+        switch (requestData.action) {
+            case 'set-status':
+                tote = await setToteStatus(requestData.id, requestData.status, { source: 'staff' });
+                console.log(`📦 Tote ${tote.id} is now ${tote.status}`);
+                // The last tote back on a final return lets the cancellation finish
+                if (tote.status === 'returned' && tote.stripe_customer_id) {
+                    await completeCancellationIfReturned(tote.stripe_customer_id);
+                }
+                break;
+
+            case 'add-item':
+                tote = await addItem(requestData);
+                break;
+
+            case 'remove-item':
+                tote = await removeToteItem(requestData.id, requestData.item_id);
+                break;
+
+            default:
+                throw new Error('Invalid tote action');
+        }
+
+        return { statusCode: 200, headers, body: JSON.stringify({ tote: withPhotoUrls(tote) }) };
+
+    } catch (error) {
+        console.error('❌ Tote request failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('sign in')) {
+            statusCode = 401;
+        } else if (error.message.includes('Invalid') || error.message.includes('required')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: 'TOTE_ERROR' })
+        };
+    }
+};
@@ -0,0 +1,145 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - CARD UPDATE LINK
+ *
+ * Target of the card update link in the failed payment emails
+ * (lib/dunning-emails.js). Opening the link (GET) checks it and shows a
+ * "Update my card" button; the button (POST) uses the link up and sends the
+ * customer to the Billing Portal's card update page, no sign-in needed.
+ * The link only works once, and it isn't used up by a GET because mail
+ * scanners open links before the customer does.
+ * Saving the card triggers customer.updated, which retries the past-due
+ * invoice (stripe-webhook.js).
+ * Available at /api/update-card?token=... (see netlify.toml redirects).
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ * - ICTS_AUTH_SECRET: Secret used to sign card update links
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Card update links work once, from a button
+ */
+
+const {
+    verifyCardUpdateToken,
+    redeemCardUpdateToken,
+    createCardUpdateSession
+} = require('./lib/customer-accounts');
+const { escapeHtml } = require('./lib/email-templates');
+
+/**
+ * Render a page
+ * @param {string} content - HTML for the page body
+ * @returns {string} HTML page
+ */
+function renderPage(content) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Instant Closet Tote Storage</title>
+</head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 60px 20px; color: #333;">
+    <h1>Instant Closet Tote Storage</h1>
+    ${content}
+</body>
+</html>`;
+}
+
+/**
+ * Render the page with the button that opens the card update page
+ * @param {string} token - Token from the link
+ * @returns {string} HTML page
+ */
+function renderConfirmPage(token) {
+    return renderPage(`<p>Your last payment didn't go through. Update your card to keep your storage active.</p>
+    <form method="POST" action="/api/update-card">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <button type="submit" style="padding: 12px 24px; font-size: 16px;">Update my card</button>
+    </form>`);
+}
+
+/**
+ * Render the error page
+ * @param {string} message - Message to show
+ * @returns {string} HTML page
+ */
+function renderErrorPage(message) {
+    return renderPage(`<p>${message}</p>
+    <p><a href="/account.html">Sign in to your account</a> to update your card.</p>`);
+}
+
+/**
+ * Read the token from the query string (GET) or the form (POST)
+ * @param {Object} event - Netlify function event
+ * @returns {string|undefined} Token
+ */
+function readToken(event) {
+    if (event.httpMethod !== 'POST') {
+        return (event.queryStringParameters || {}).token;
+    }
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : (event.body || '');
+    return new URLSearchParams(rawBody).get('token') || undefined;
+}
+
+/**
+ * Map a failure to the error page
+ * @param {Error} error - What went wrong
+ * @returns {Object} Function response
+ */
+function errorResponse(error) {
+    console.error('❌ Card update link failed:', error.message);
+    const usedLink = error.message.includes('already been used');
+    const invalidLink = error.message.includes('Invalid');
+
+    let message = 'We couldn\'t open the card update page right now.';
+    if (usedLink) {
+        message = 'This card update link has already been used.';
+    } else if (invalidLink) {
+        message = 'This card update link has expired.';
+    }
+
+    return {
+        statusCode: usedLink || invalidLink ? 400 : 500,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+        body: renderErrorPage(message)
+    };
+}
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: 'Method not allowed' };
+    }
+
+    const token = readToken(event);
+
+    try {
+        if (event.httpMethod === 'GET') {
+            verifyCardUpdateToken(token);
+            return {
+                statusCode: 200,
+                headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+                body: renderConfirmPage(token)
+            };
+        }
+
+        const customerId = await redeemCardUpdateToken(token);
+        const portalUrl = await createCardUpdateSession(customerId);
+        console.log(`💳 Card update link used by ${customerId}`);
+
+        return {
+            statusCode: 303,
+            headers: {
+                Location: portalUrl,
+                'Cache-Control': 'no-store'
+            },
+            body: ''
+        };
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - VALIDATE PROMO CODE
+ *
+ * Checks a promo or referral code from the payment modal (lib/promotions.js)
+ * and returns the discount and the discounted quote to show. The code is
+ * looked up again when the payment intent is created, so this only decides
+ * what the customer sees.
+ * Available at /api/validate-promo (see netlify.toml redirects).
+ *
+ * Usage:
+ * - POST { code, tote_quantity, plan, email } -> { discount, quote }
+ *
+ * Environment Variables Required:
+ * - STRIPE_SECRET_KEY: Your Stripe secret key from dashboard
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Quotes for the chosen billing plan
+ */
+
+const pricing = require('./lib/pricing');
+const { resolvePromoCode } = require('./lib/promotions');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+
+// Stops guessing codes one after another
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 10 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        checkRateLimit(getClientIP(event, context));
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        const toteNumber = parseInt(requestData.tote_quantity);
+        const plan = pricing.getPlan(requestData.plan).id;
+        const discount = await resolvePromoCode(requestData.code, {
+            toteNumber: toteNumber,
+            plan: plan,
+            email: typeof requestData.email === 'string' ? requestData.email : null
+        });
+
+        console.log(`🏷️ Promo code ${discount.code} accepted: ${discount.label}`);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                discount: discount,
+                quote: pricing.calculateQuote({ toteNumber: toteNumber, plan: plan, discount: discount })
+            })
+        };
+
+    } catch (error) {
+        console.error('❌ Promo code check failed:', error.message);
+
+        let statusCode = 500;
+        let errorCode = 'PROMO_CODE_ERROR';
+        if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+            errorCode = 'RATE_LIMIT_EXCEEDED';
+        } else if (error.message.includes('promo code')) {
+            statusCode = 400;
+            errorCode = 'INVALID_PROMO_CODE';
+        } else if (error.message.includes('Invalid') || error.message.includes('must be')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: errorCode })
+        };
+    }
+};
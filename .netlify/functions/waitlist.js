@@ -0,0 +1,147 @@
+/**
+ * NETLIFY SERVERLESS FUNCTION - WAITLIST SIGNUP
+ *
+ * Saves visitors outside the service area to the lead store (lib/leads.js)
+ * so we can tell them when we start delivering to them. Signing up again
+ * with the same email updates the existing lead; customer service is only
+ * emailed about new signups.
+ * Available at /api/waitlist (see netlify.toml redirects).
+ *
+ * Usage:
+ * - POST { name, email, phone, zip, tote_interest, utm: { utm_source, ... }, landing_page }
+ *   -> { success, duplicate }
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.0.0 - Lead store and follow-up sequence
+ */
+
+const { normalizeZip } = require('./lib/address');
+const { recordLead } = require('./lib/leads');
+const { upsertCustomer } = require('./lib/orders');
+const { sendWaitlistNotification } = require('./lib/lead-emails');
+const { createRateLimiter, getClientIP } = require('./lib/rate-limit');
+
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, maxRequests: 5 });
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Validate the signup and pull out the lead details
+ * @param {Object} requestData - Request body
+ * @returns {Object} Details for recordLead
+ * @throws {Error} If a field is missing or invalid
+ */
+function validateSignup(requestData) {
+    const name = String(requestData.name || '').replace(/<[^>]*>?/g, '').trim().slice(0, 100);
+    const email = String(requestData.email || '').trim();
+    const phone = String(requestData.phone || '').replace(/\D/g, '');
+    const zip = normalizeZip(requestData.zip);
+
+    if (!name) {
+        throw new Error('Name is required');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error('Invalid email address');
+    }
+    if (phone && phone.length < 10) {
+        throw new Error('Phone number must be at least 10 digits');
+    }
+    if (!zip) {
+        throw new Error('ZIP code must be 5 digits');
+    }
+
+    const toteInterest = parseInt(requestData.tote_interest, 10);
+
+    return {
+        type: 'waitlist',
+        name: name,
+        email: email,
+        phone: phone || null,
+        zip: zip,
+        toteInterest: toteInterest > 0 ? toteInterest : null,
+        utm: requestData.utm,
+        landingPage: typeof requestData.landing_page === 'string'
+            ? requestData.landing_page.slice(0, 200)
+            : null
+    };
+}
+
+exports.handler = async (event, context) => {
+    // Handle preflight requests for CORS
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    try {
+        checkRateLimit(getClientIP(event, context));
+
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            throw new Error('Invalid request format');
+        }
+
+        const details = validateSignup(requestData);
+        const { lead, duplicate } = await recordLead(details);
+
+        // Keep the customer store in step with the other website forms
+        try {
+            await upsertCustomer({
+                email: lead.email,
+                name: lead.name,
+                phone: lead.phone,
+                source: 'waitlist'
+            });
+        } catch (storeError) {
+            console.warn('⚠️ Could not save waitlist signup to customer store:', storeError.message);
+        }
+
+        if (!duplicate) {
+            try {
+                await sendWaitlistNotification(lead);
+            } catch (emailError) {
+                // The lead is saved and shows up in the export
+                console.error('⚠️ Waitlist notification email failed:', emailError.message);
+            }
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, duplicate: duplicate })
+        };
+
+    } catch (error) {
+        console.error('❌ Waitlist signup failed:', error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('Too many requests')) {
+            statusCode = 429;
+        } else if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('must be')) {
+            statusCode = 400;
+        }
+
+        return {
+            statusCode: statusCode,
+            headers,
+            body: JSON.stringify({
+                error: error.message,
+                code: statusCode === 429 ? 'RATE_LIMIT_EXCEEDED' : 'WAITLIST_ERROR'
+            })
+        };
+    }
+};
@@ -0,0 +1,766 @@
+/**
+ * CUSTOMER ACCOUNT PAGE
+ *
+ * Self-service portal for existing customers (account.html):
+ * - Magic-link sign-in (account-login function emails the link)
+ * - Subscription summary: ID, status, billing plan, next billing date, amount, totes
+ *   (with a warning while the account is on hold for a past-due payment)
+ * - Tote inventory: each tote's ID, status and contents (a tote's QR label
+ *   links here with ?tote=T-XXXXXX, which highlights that tote)
+ * - Update card via Stripe Billing Portal
+ * - Invoice list with downloads
+ * - Change the tote count (prorated, plus a trip fee)
+ * - Book a tote return or re-pickup in a delivery window (trip fee charged now)
+ * - Cancel: book the final return of every tote and answer the exit survey;
+ *   the subscription ends at period end once every tote is back
+ * - Referral code and share link (a free month per referred customer)
+ *
+ * The session token lives in sessionStorage and is sent as a Bearer token
+ * to the account function.
+ *
+ * Dependencies: pricing-rules.js
+ *
+ * @author Stripe Integration Team
+ * @version 1.8.0 - Tote changes carry a request token and show prepaid credits
+ */
+
+const ACCOUNT_SESSION_KEY = 'icts_account_session';
+
+// Account page state
+let currentAccount = null;
+let currentTotes = [];
+
+// Tote opened from a QR label (?tote=T-XXXXXX)
+const highlightedToteId = (new URLSearchParams(window.location.search).get('tote') || '').toUpperCase();
+
+// Customer-facing names for tote statuses
+const TOTE_STATUS_LABELS = {
+    assigned: 'Being prepared',
+    empty_delivered: 'Empty - with you',
+    filled: 'Packed - waiting for pickup',
+    in_storage: 'In storage',
+    out_for_return: 'On its way back to you',
+    returned: 'Returned'
+};
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Raw value
+ * @returns {string} Escaped string
+ */
+function escapeAccountHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * Show a message above the account content
+ * @param {string} message - Message text (plain text)
+ * @param {string} type - 'success' or 'error'
+ */
+function showAccountMessage(message, type) {
+    const messageDiv = document.getElementById('account-message');
+    if (!messageDiv) return;
+
+    messageDiv.innerHTML = message
+        ? `<div class="form-message ${type}">${escapeAccountHtml(message)}</div>`
+        : '';
+
+    if (message) {
+        messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+/**
+ * Format a date string for display
+ * @param {string} isoDate - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatAccountDate(isoDate) {
+    if (!isoDate) return 'Not available';
+    return new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Call the account function
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} [body] - Request body for POST
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With the server message; error.sessionExpired on 401
+ */
+async function callAccountApi(method, body) {
+    const requestHeaders = { 'Content-Type': 'application/json' };
+    const sessionToken = sessionStorage.getItem(ACCOUNT_SESSION_KEY);
+
+    if (sessionToken) {
+        requestHeaders['Authorization'] = `Bearer ${sessionToken}`;
+    }
+
+    const response = await fetch('/.netlify/functions/account', {
+        method: method,
+        headers: requestHeaders,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Something went wrong. Please try again.');
+        error.sessionExpired = response.status === 401;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Handle a failed account request
+ * Expired sessions send the customer back to the sign-in form
+ * @param {Error} error - Error from callAccountApi
+ */
+function handleAccountError(error) {
+    console.error('❌ Account request failed:', error.message);
+
+    if (error.sessionExpired) {
+        signOutOfAccount();
+    }
+
+    showAccountMessage(error.message, 'error');
+}
+
+/**
+ * Render the account summary
+ * @param {Object} account - Account summary from the server
+ */
+function renderAccount(account) {
+    currentAccount = account;
+
+    const subscriptionDiv = document.getElementById('account-subscription');
+    const detailsDiv = document.getElementById('account-details');
+    const subscription = account.subscription;
+
+    if (subscription) {
+        let statusText = subscription.status;
+        if (subscription.cancellation_status === 'awaiting_return') {
+            statusText = 'Cancels once all your totes are returned';
+        } else if (subscription.cancel_at_period_end) {
+            statusText = `Cancels on ${formatAccountDate(subscription.current_period_end)}`;
+        }
+
+        subscriptionDiv.innerHTML = `
+            ${subscription.service_hold
+                ? '<div class="account-hold"><strong>Your account is on hold.</strong> We couldn\'t collect your last payment, so tote returns are paused. Update your card below and we\'ll retry it right away.</div>'
+                : ''}
+            <div class="account-field"><strong>Subscription ID:</strong> ${escapeAccountHtml(subscription.id)}</div>
+            <div class="account-field"><strong>Status:</strong> ${escapeAccountHtml(statusText)}</div>
+            <div class="account-field"><strong>Next Billing Date:</strong> ${escapeAccountHtml(formatAccountDate(subscription.next_billing_date))}</div>
+            <div class="account-field"><strong>Billing Plan:</strong> ${escapeAccountHtml(subscription.plan_label || 'Monthly')}</div>
+            ${subscription.billing_months > 1 && subscription.period_amount !== null
+                ? `<div class="account-field"><strong>Amount Every ${subscription.billing_months} Months:</strong> $${subscription.period_amount.toFixed(2)} ($${subscription.monthly_amount.toFixed(2)}/month)</div>`
+                : `<div class="account-field"><strong>Monthly Amount:</strong> ${subscription.monthly_amount !== null ? '$' + subscription.monthly_amount.toFixed(2) : 'Not available'}</div>`}
+            <div class="account-field"><strong>Totes:</strong> ${subscription.tote_quantity !== null ? escapeAccountHtml(subscription.tote_quantity) : 'Not available'}</div>
+        `;
+    } else {
+        subscriptionDiv.innerHTML = '<p>No storage subscription is linked to this account yet.</p>';
+    }
+
+    detailsDiv.innerHTML = `
+        <div class="account-field"><strong>Name:</strong> ${escapeAccountHtml(account.customer.name)}</div>
+        <div class="account-field"><strong>Email:</strong> ${escapeAccountHtml(account.customer.email)}</div>
+        <div class="account-field"><strong>Phone:</strong> ${escapeAccountHtml(account.customer.phone || 'Not provided')}</div>
+        <div class="account-field"><strong>Address:</strong> ${escapeAccountHtml(account.customer.address || 'Not provided')}</div>
+        <p class="account-note">Need to change these details? Call (828) 455-7793 or email customerservice@instantclosettotestorage.com.</p>
+    `;
+
+    const hasActiveSubscription = subscription && !subscription.cancel_at_period_end &&
+        !subscription.cancellation_status && subscription.status !== 'canceled';
+    document.getElementById('account-cancel').style.display = hasActiveSubscription ? '' : 'none';
+    if (!hasActiveSubscription) {
+        document.getElementById('account-cancel-card').style.display = 'none';
+    }
+    document.getElementById('account-tote-change').style.display = hasActiveSubscription ? '' : 'none';
+    document.getElementById('account-tote-trip').style.display = hasActiveSubscription ? '' : 'none';
+    document.getElementById('account-update-card').style.display = subscription ? '' : 'none';
+    renderToteOptions(subscription);
+    renderTripTotes(subscription);
+    loadAccountTotes();
+    loadAccountReferral();
+
+    document.getElementById('account-sign-in').style.display = 'none';
+    document.getElementById('account-dashboard').style.display = 'block';
+}
+
+/**
+ * Request a magic sign-in link
+ * @param {Event} event - Form submit event
+ */
+async function requestSignInLink(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    const originalText = button.innerHTML;
+
+    button.disabled = true;
+    button.innerHTML = '<span class="loading-spinner"></span>Sending...';
+
+    try {
+        const response = await fetch('/.netlify/functions/account-login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email: form.email.value.trim() })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Could not send your sign-in link.');
+        }
+
+        form.reset();
+        showAccountMessage(data.message, 'success');
+
+    } catch (error) {
+        console.error('❌ Sign-in link request failed:', error.message);
+        showAccountMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.innerHTML = originalText;
+    }
+}
+
+/**
+ * Exchange a magic link token from the URL for a session
+ * @param {string} token - Magic link token
+ */
+async function signInWithToken(token) {
+    // Don't leave the one-time token in the address bar or history
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    try {
+        const data = await callAccountApi('POST', { action: 'sign-in', token: token });
+        sessionStorage.setItem(ACCOUNT_SESSION_KEY, data.session_token);
+        renderAccount(data.account);
+    } catch (error) {
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Load the account for an existing session
+ */
+async function loadAccount() {
+    try {
+        const data = await callAccountApi('GET');
+        renderAccount(data.account);
+    } catch (error) {
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Open the Stripe Billing Portal to update the card on file
+ */
+async function updateAccountCard() {
+    const button = document.getElementById('account-update-card');
+    button.disabled = true;
+
+    try {
+        const data = await callAccountApi('POST', { action: 'update-card' });
+        window.location.href = data.url;
+    } catch (error) {
+        button.disabled = false;
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Load and render the invoice list
+ */
+async function loadAccountInvoices() {
+    const invoicesDiv = document.getElementById('account-invoices');
+    invoicesDiv.innerHTML = '<p><span class="loading-spinner"></span>Loading invoices...</p>';
+
+    try {
+        const data = await callAccountApi('POST', { action: 'invoices' });
+
+        if (data.invoices.length === 0) {
+            invoicesDiv.innerHTML = '<p>No invoices yet.</p>';
+            return;
+        }
+
+        const rows = data.invoices.map(invoice => `
+            <tr>
+                <td>${escapeAccountHtml(formatAccountDate(invoice.date))}</td>
+                <td>${escapeAccountHtml(invoice.number || invoice.id)}</td>
+                <td>$${invoice.amount_due.toFixed(2)}</td>
+                <td>${escapeAccountHtml(invoice.status)}</td>
+                <td>
+                    ${invoice.hosted_invoice_url ? `<a href="${escapeAccountHtml(invoice.hosted_invoice_url)}" target="_blank" rel="noopener">View</a>` : ''}
+                    ${invoice.invoice_pdf ? `<a href="${escapeAccountHtml(invoice.invoice_pdf)}" target="_blank" rel="noopener">PDF</a>` : ''}
+                </td>
+            </tr>
+        `).join('');
+
+        invoicesDiv.innerHTML = `
+            <table class="account-invoices-table">
+                <thead>
+                    <tr><th>Date</th><th>Invoice</th><th>Amount</th><th>Status</th><th>Download</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    } catch (error) {
+        invoicesDiv.innerHTML = '';
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Fill the tote quantity picker, selecting the current count
+ * @param {Object|null} subscription - Subscription summary
+ */
+function renderToteOptions(subscription) {
+    const select = document.getElementById('account-tote-quantity');
+    const config = window.PricingRules.PRICING_CONFIG;
+    const currentQuantity = subscription ? subscription.tote_quantity : null;
+    let options = '';
+
+    for (let totes = config.minTotes; totes <= config.maxTotes; totes++) {
+        const label = totes === currentQuantity ? `${totes} totes (current)` : `${totes} totes`;
+        options += `<option value="${totes}"${totes === currentQuantity ? ' selected' : ''}>${label}</option>`;
+    }
+
+    select.innerHTML = options;
+    document.getElementById('account-tote-preview').innerHTML = '';
+}
+
+// Token for the tote change being confirmed; each preview starts a new request
+let toteChangeRequestToken = null;
+
+/**
+ * Price the selected tote count and offer to confirm it
+ * @param {Event} event - Form submit event
+ */
+async function previewToteChange(event) {
+    event.preventDefault();
+
+    const previewDiv = document.getElementById('account-tote-preview');
+    const toteQuantity = parseInt(document.getElementById('account-tote-quantity').value);
+
+    if (currentAccount && currentAccount.subscription && toteQuantity === currentAccount.subscription.tote_quantity) {
+        previewDiv.innerHTML = '<p class="account-note">That is your current number of totes.</p>';
+        return;
+    }
+
+    previewDiv.innerHTML = '<p><span class="loading-spinner"></span>Calculating...</p>';
+
+    try {
+        const data = await callAccountApi('POST', { action: 'preview-totes', tote_quantity: toteQuantity });
+        const preview = data.preview;
+        const tripType = preview.new_tote_quantity > preview.current_tote_quantity ? 'delivery' : 'pickup';
+        toteChangeRequestToken = createTripRequestToken();
+
+        previewDiv.innerHTML = `
+            <div class="account-tote-summary">
+                <div class="account-field"><strong>Totes:</strong> ${preview.current_tote_quantity} → ${preview.new_tote_quantity}</div>
+                ${preview.billing_months > 1
+                    ? `<div class="account-field"><strong>New Rate Every ${preview.billing_months} Months:</strong> $${preview.new_period_amount.toFixed(2)}</div>`
+                    : `<div class="account-field"><strong>New Monthly Rate:</strong> $${preview.new_monthly_amount.toFixed(2)}</div>`}
+                <div class="account-field"><strong>Prorated Storage:</strong> $${preview.proration_amount.toFixed(2)}</div>
+                <div class="account-field"><strong>Trip Fee (${tripType}):</strong> $${preview.trip_fee.toFixed(2)}</div>
+                <div class="account-field"><strong>Due Today:</strong> $${preview.due_now.toFixed(2)}</div>
+                ${preview.credit_amount > 0
+                    ? `<div class="account-field"><strong>Credit Toward Your Next Invoice:</strong> $${preview.credit_amount.toFixed(2)}</div>`
+                    : ''}
+                <button type="button" id="account-confirm-totes" class="btn btn-primary">Confirm Change</button>
+            </div>
+        `;
+
+        document.getElementById('account-confirm-totes').addEventListener('click', () => confirmToteChange(toteQuantity));
+    } catch (error) {
+        previewDiv.innerHTML = '';
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Apply a tote count change
+ * @param {number} toteQuantity - Requested number of totes
+ */
+async function confirmToteChange(toteQuantity) {
+    const button = document.getElementById('account-confirm-totes');
+    button.disabled = true;
+    button.innerHTML = '<span class="loading-spinner"></span>Updating...';
+
+    try {
+        const data = await callAccountApi('POST', {
+            action: 'change-totes',
+            tote_quantity: toteQuantity,
+            request_token: toteChangeRequestToken
+        });
+        toteChangeRequestToken = null;
+        renderAccount(data.account);
+        showAccountMessage(
+            data.already_changed
+                ? `Your plan already covers ${toteQuantity} totes.`
+                : `Your plan now covers ${toteQuantity} totes. We charged $${data.amount_charged.toFixed(2)} to your card and will contact you to schedule the trip.`,
+            'success'
+        );
+    } catch (error) {
+        button.disabled = false;
+        button.innerHTML = 'Confirm Change';
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Load and render the customer's totes
+ */
+async function loadAccountTotes() {
+    const totesDiv = document.getElementById('account-totes');
+    totesDiv.innerHTML = '<p><span class="loading-spinner"></span>Loading totes...</p>';
+
+    try {
+        const data = await callAccountApi('POST', { action: 'totes' });
+        currentTotes = data.totes;
+        renderAccountTotes(currentTotes);
+        renderTripTotes(currentAccount ? currentAccount.subscription : null);
+    } catch (error) {
+        totesDiv.innerHTML = '';
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Render the tote list with contents
+ * @param {Array} totes - Totes from the server
+ */
+function renderAccountTotes(totes) {
+    const totesDiv = document.getElementById('account-totes');
+
+    if (totes.length === 0) {
+        totesDiv.innerHTML = '<p>Your tote IDs will show here once your order is confirmed.</p>';
+        return;
+    }
+
+    totesDiv.innerHTML = totes.map(tote => {
+        const contents = tote.contents.length > 0
+            ? `<ul class="account-tote-contents">${tote.contents.map(item => `
+                <li>
+                    ${item.photo_url ? `<a href="${escapeAccountHtml(item.photo_url)}" target="_blank" rel="noopener"><img src="${escapeAccountHtml(item.photo_url)}" alt="${escapeAccountHtml(item.description)}" loading="lazy"></a>` : ''}
+                    <span>${escapeAccountHtml(item.description)}${item.quantity > 1 ? ` &times; ${escapeAccountHtml(item.quantity)}` : ''}</span>
+                </li>
+            `).join('')}</ul>`
+            : '<p class="account-note">No contents recorded yet.</p>';
+
+        return `
+            <div class="account-tote${tote.id === highlightedToteId ? ' highlighted' : ''}" id="tote-${escapeAccountHtml(tote.id)}">
+                <div class="account-tote-header">
+                    <strong>${escapeAccountHtml(tote.id)}</strong>
+                    <span class="account-tote-number">Tote ${escapeAccountHtml(tote.number)}</span>
+                    <span class="account-tote-status">${escapeAccountHtml(TOTE_STATUS_LABELS[tote.status] || tote.status)}</span>
+                </div>
+                ${contents}
+            </div>
+        `;
+    }).join('');
+
+    const highlighted = highlightedToteId && document.getElementById(`tote-${highlightedToteId}`);
+    if (highlighted) {
+        highlighted.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+/**
+ * Load and render the customer's referral code
+ */
+async function loadAccountReferral() {
+    const referralDiv = document.getElementById('account-referral');
+
+    try {
+        const data = await callAccountApi('POST', { action: 'referral' });
+        const referral = data.referral;
+
+        if (!referral) {
+            referralDiv.innerHTML = '<p>Your referral code will show here once your order is confirmed.</p>';
+            return;
+        }
+
+        const shareUrl = `${window.location.origin}/?ref=${encodeURIComponent(referral.code)}#hero-form`;
+        referralDiv.innerHTML = `
+            <div class="account-field"><strong>Your Code:</strong> <span class="account-referral-code">${escapeAccountHtml(referral.code)}</span></div>
+            <div class="account-field"><strong>Share Link:</strong> <a href="${escapeAccountHtml(shareUrl)}">${escapeAccountHtml(shareUrl)}</a></div>
+            <div class="account-field"><strong>Free Months Earned:</strong> ${escapeAccountHtml(referral.credited)}${referral.pending > 0 ? ` (${escapeAccountHtml(referral.pending)} more on the way)` : ''}</div>
+        `;
+    } catch (error) {
+        referralDiv.innerHTML = '';
+        handleAccountError(error);
+    }
+}
+
+/**
+ * Fill the tote checkboxes for a return or re-pickup
+ * Uses the tote IDs once they are loaded; accounts from before tote labels
+ * pick by number.
+ * @param {Object|null} subscription - Subscription summary
+ */
+function renderTripTotes(subscription) {
+    const container = document.getElementById('account-trip-totes');
+    const toteQuantity = subscription && subscription.tote_quantity ? subscription.tote_quantity : 0;
+    let checkboxes = '';
+
+    if (currentTotes.length > 0) {
+        container.innerHTML = currentTotes.map(tote => `
+            <label class="account-trip-tote">
+                <input type="checkbox" name="totes" value="${escapeAccountHtml(tote.id)}"> ${escapeAccountHtml(tote.id)}
+            </label>
+        `).join('');
+        return;
+    }
+
+    for (let tote = 1; tote <= toteQuantity; tote++) {
+        checkboxes += `
+            <label class="account-trip-tote">
+                <input type="checkbox" name="totes" value="${tote}"> Tote #${tote}
+            </label>
+        `;
+    }
+
+    container.innerHTML = checkboxes;
+}
+
+/**
+ * Load delivery windows into the trip and cancellation forms
+ */
+async function loadTripWindows() {
+    const selects = [
+        document.getElementById('account-trip-window'),
+        document.getElementById('account-cancel-window')
+    ];
+
+    try {
+        const response = await fetch('/.netlify/functions/delivery-windows');
+        const data = await response.json();
+
+        if (!response.ok || data.error) {
+            throw new Error(data.error || 'Delivery times are unavailable right now.');
+        }
+
+        const options = data.windows.length > 0
+            ? '<option value="">Choose a time</option>' + data.windows.map(deliveryWindow =>
+                `<option value="${escapeAccountHtml(deliveryWindow.id)}">${escapeAccountHtml(deliveryWindow.label)}</option>`
+            ).join('')
+            : '<option value="">No times available - please call (828) 455-7793</option>';
+        selects.forEach(select => { select.innerHTML = options; });
+
+    } catch (error) {
+        console.error('❌ Could not load delivery windows:', error.message);
+        selects.forEach(select => {
+            select.innerHTML = '<option value="">Delivery times unavailable - please call (828) 455-7793</option>';
+        });
+    }
+}
+
+/**
+ * Create a token identifying one trip, cancellation or tote change request (retries reuse it)
+ * @returns {string} Request token
+ */
+function createTripRequestToken() {
+    return (window.crypto && window.crypto.randomUUID)
+        ? window.crypto.randomUUID()
+        : Date.now().toString(36) + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+}
+
+// Token for the trip request being submitted; cleared once it is booked
+let tripRequestToken = null;
+
+/**
+ * Book a tote return or re-pickup
+ * @param {Event} event - Form submit event
+ */
+async function requestToteTrip(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    const totes = Array.from(form.querySelectorAll('input[name="totes"]:checked')).map(input => input.value);
+    const tripType = form.trip_type.value;
+
+    if (totes.length === 0) {
+        showAccountMessage('Please choose at least one tote.', 'error');
+        return;
+    }
+
+    if (!form.window_id.value) {
+        showAccountMessage('Please choose a delivery time.', 'error');
+        return;
+    }
+
+    const confirmed = window.confirm(
+        `Book a ${tripType === 'return' ? 'return delivery' : 'pickup'} of ${totes.length} tote${totes.length === 1 ? '' : 's'} ` +
+        `for ${form.window_id.options[form.window_id.selectedIndex].text}? The trip fee will be charged to your card on file.`
+    );
+    if (!confirmed) return;
+
+    tripRequestToken = tripRequestToken || createTripRequestToken();
+    button.disabled = true;
+    button.innerHTML = '<span class="loading-spinner"></span>Booking...';
+
+    try {
+        const data = await callAccountApi('POST', {
+            action: 'request-trip',
+            trip_type: tripType,
+            totes: totes,
+            window_id: form.window_id.value,
+            notes: form.notes.value.trim(),
+            request_token: tripRequestToken
+        });
+
+        tripRequestToken = null;
+        form.reset();
+        loadTripWindows();
+        loadAccountTotes();
+        showAccountMessage(
+            `Booked for ${data.trip.window_label}. We charged $${data.amount_charged.toFixed(2)} to your card and emailed you a confirmation.`,
+            'success'
+        );
+    } catch (error) {
+        handleAccountError(error);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = 'Book Trip';
+    }
+}
+
+/**
+ * Show the cancellation form
+ */
+function showCancelForm() {
+    const card = document.getElementById('account-cancel-card');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Token for the cancellation being submitted; cleared once it is recorded
+let cancelRequestToken = null;
+
+/**
+ * Cancel the subscription: book the final return and send the exit survey
+ * @param {Event} event - Form submit event
+ */
+async function cancelAccountSubscription(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+
+    if (!form.window_id.value) {
+        showAccountMessage('Please choose a time for your final return.', 'error');
+        return;
+    }
+
+    if (!form.exit_reason.value) {
+        showAccountMessage('Please tell us why you are leaving.', 'error');
+        return;
+    }
+
+    const periodEnd = currentAccount && currentAccount.subscription
+        ? formatAccountDate(currentAccount.subscription.current_period_end)
+        : 'the end of your current billing period';
+
+    const confirmed = window.confirm(
+        `Cancel your storage subscription? We'll return all your totes on ${form.window_id.options[form.window_id.selectedIndex].text} ` +
+        `and charge the trip fee to your card on file now. Your service ends on ${periodEnd} once every tote is back.`
+    );
+    if (!confirmed) return;
+
+    cancelRequestToken = cancelRequestToken || createTripRequestToken();
+    button.disabled = true;
+    button.innerHTML = '<span class="loading-spinner"></span>Canceling...';
+
+    try {
+        const data = await callAccountApi('POST', {
+            action: 'cancel',
+            window_id: form.window_id.value,
+            exit_reason: form.exit_reason.value,
+            exit_detail: form.exit_detail.value.trim(),
+            notes: form.notes.value.trim(),
+            request_token: cancelRequestToken
+        });
+
+        cancelRequestToken = null;
+        form.reset();
+        renderAccount(data.account);
+        showAccountMessage(
+            `Your subscription is canceled. We'll return your totes ${data.final_return_window ? `on ${data.final_return_window}` : 'soon'} ` +
+            `and charged $${data.amount_charged.toFixed(2)} to your card. We emailed you a confirmation.`,
+            'success'
+        );
+    } catch (error) {
+        handleAccountError(error);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = 'Cancel and Book Final Return';
+    }
+}
+
+/**
+ * Forget the session and show the sign-in form
+ */
+function signOutOfAccount() {
+    sessionStorage.removeItem(ACCOUNT_SESSION_KEY);
+    currentAccount = null;
+    currentTotes = [];
+
+    document.getElementById('account-dashboard').style.display = 'none';
+    document.getElementById('account-sign-in').style.display = 'block';
+    document.getElementById('account-invoices').innerHTML = '';
+    document.getElementById('account-totes').innerHTML = '';
+    document.getElementById('account-referral').innerHTML = '';
+}
+
+/**
+ * Initialize the account page
+ */
+function initAccountPage() {
+    const signInForm = document.getElementById('account-sign-in-form');
+    if (!signInForm) return;
+
+    signInForm.addEventListener('submit', requestSignInLink);
+    document.getElementById('account-update-card').addEventListener('click', updateAccountCard);
+    document.getElementById('account-load-invoices').addEventListener('click', loadAccountInvoices);
+    document.getElementById('account-cancel').addEventListener('click', showCancelForm);
+    document.getElementById('account-cancel-form').addEventListener('submit', cancelAccountSubscription);
+    // Any change to the cancellation makes it a new request
+    document.getElementById('account-cancel-form').addEventListener('change', () => { cancelRequestToken = null; });
+    document.getElementById('account-tote-form').addEventListener('submit', previewToteChange);
+    document.getElementById('account-trip-form').addEventListener('submit', requestToteTrip);
+    // Any change to the request makes it a new request
+    document.getElementById('account-trip-form').addEventListener('change', () => { tripRequestToken = null; });
+    document.getElementById('account-sign-out').addEventListener('click', () => {
+        signOutOfAccount();
+        showAccountMessage('You have been signed out.', 'success');
+    });
+
+    loadTripWindows();
+
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (token) {
+        signInWithToken(token);
+    } else if (sessionStorage.getItem(ACCOUNT_SESSION_KEY)) {
+        loadAccount();
+    }
+
+    console.log('👤 Account page initialized');
+}
+
+document.addEventListener('DOMContentLoaded', initAccountPage);
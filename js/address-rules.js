@@ -0,0 +1,173 @@
+/**
+ * ADDRESS RULES - SHARED US ADDRESS NORMALIZATION
+ * Turns the hero form's street / unit / city / state / ZIP fields into one
+ * normalized US address. Loaded by the browser (js/forms.js) and by the
+ * Netlify functions (via .netlify/functions/lib/address.js), so the address
+ * checked in the form is exactly the one saved on the Stripe customer.
+ *
+ * Normalized addresses use Stripe's field names:
+ * { line1, line2, city, state, postal_code, country }
+ *
+ * @version 1.0.0 - Structured service addresses
+ */
+
+const AddressRules = (function() {
+    const US_STATES = {
+        AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+        CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+        FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+        IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+        ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+        MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+        NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+        NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+        PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+        TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+        WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+    };
+
+    // Street suffixes shortened the way USPS writes them
+    const STREET_SUFFIXES = {
+        avenue: 'Ave', boulevard: 'Blvd', circle: 'Cir', court: 'Ct', drive: 'Dr',
+        highway: 'Hwy', lane: 'Ln', parkway: 'Pkwy', place: 'Pl', road: 'Rd',
+        street: 'St', terrace: 'Ter', trail: 'Trl', way: 'Way'
+    };
+
+    /**
+     * Trim and collapse whitespace, dropping characters that never belong in an address
+     * @param {*} value - Raw field value
+     * @returns {string} Cleaned text
+     */
+    function cleanText(value) {
+        if (typeof value !== 'string') return '';
+        return value
+            .replace(/[<>"&]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 100);
+    }
+
+    /**
+     * Capitalize words typed all in lower or upper case ("main st" -> "Main St")
+     * Words with digits are upper-cased ("4b" -> "4B"); mixed case is kept ("McDowell").
+     * @param {string} text - Cleaned text
+     * @returns {string} Capitalized text
+     */
+    function capitalizeWords(text) {
+        return text.split(' ').map(word => {
+            if (/\d/.test(word)) return word.toUpperCase();
+            if (word === word.toLowerCase() || word === word.toUpperCase()) {
+                return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+            }
+            return word;
+        }).join(' ');
+    }
+
+    /**
+     * Normalize a street line ("123 main street" -> "123 Main St")
+     * @param {string} street - Street line
+     * @returns {string} Normalized street line
+     */
+    function normalizeStreet(street) {
+        const words = capitalizeWords(cleanText(street).replace(/[.,]+$/, '')).split(' ');
+        const suffix = STREET_SUFFIXES[words[words.length - 1].toLowerCase().replace(/\.$/, '')];
+        if (words.length > 1 && suffix) {
+            words[words.length - 1] = suffix;
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Normalize a state to its two-letter code ("north carolina" or "nc" -> "NC")
+     * @param {string} state - State name or code
+     * @returns {string|null} State code, or null if not a US state
+     */
+    function normalizeState(state) {
+        const cleaned = cleanText(state).replace(/\./g, '');
+        const code = cleaned.toUpperCase();
+        if (US_STATES[code]) return code;
+        return Object.keys(US_STATES).find(key => US_STATES[key].toLowerCase() === cleaned.toLowerCase()) || null;
+    }
+
+    /**
+     * Normalize a ZIP code to five digits ("28801-1234" -> "28801")
+     * @param {string} zip - ZIP or ZIP+4
+     * @returns {string|null} Five-digit ZIP, or null if invalid
+     */
+    function normalizeZip(zip) {
+        const match = /^(\d{5})(?:[-\s]?\d{4})?$/.exec(cleanText(String(zip || '')));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Validate and normalize the address fields from the order form
+     * @param {Object} fields - { street, unit, city, state, zip }
+     * @returns {Object} { address, errors } - address is null when there are errors
+     */
+    function normalizeAddress(fields) {
+        const input = fields || {};
+        const errors = [];
+        const line1 = normalizeStreet(input.street || '');
+        const city = capitalizeWords(cleanText(input.city));
+        const state = normalizeState(input.state || '');
+        const postalCode = normalizeZip(input.zip);
+
+        if (line1.length < 5 || !/\d/.test(line1)) {
+            errors.push('Street address is required (house number and street)');
+        }
+        if (city.length < 2) {
+            errors.push('City is required');
+        }
+        if (!state) {
+            errors.push('State must be a US state');
+        }
+        if (!postalCode) {
+            errors.push('ZIP code must be 5 digits');
+        }
+
+        if (errors.length > 0) {
+            return { address: null, errors: errors };
+        }
+
+        return {
+            address: {
+                line1: line1,
+                line2: capitalizeWords(cleanText(input.unit)) || null,
+                city: city,
+                state: state,
+                postal_code: postalCode,
+                country: 'US'
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Format an address on one line ("123 Main St, Apt 4, Asheville, NC 28801")
+     * Missing parts are skipped, so older Stripe addresses with only line1 still format.
+     * @param {Object} address - Normalized (or Stripe) address
+     * @returns {string} One-line address
+     */
+    function formatAddress(address) {
+        if (!address) return '';
+        const stateZip = [address.state, address.postal_code].filter(Boolean).join(' ');
+        return [address.line1, address.line2, address.city, stateZip]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    return {
+        US_STATES: US_STATES,
+        normalizeState: normalizeState,
+        normalizeZip: normalizeZip,
+        normalizeAddress: normalizeAddress,
+        formatAddress: formatAddress
+    };
+})();
+
+// Browser: expose globally. Node (Netlify functions): export as a module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AddressRules;
+} else {
+    window.AddressRules = AddressRules;
+}
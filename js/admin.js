@@ -0,0 +1,688 @@
+/**
+ * ADMIN DASHBOARD
+ *
+ * Staff operations page (admin/index.html):
+ * - Password sign-in (admin function exchanges it for a staff session)
+ * - Upcoming deliveries and pickups from the order store
+ * - Recent payments and subscriptions with the customer's tote count,
+ *   address and phone
+ * - Paid setup payments whose subscription failed, with a retry button
+ * - Customer search by email or phone
+ * - The driver's route for a day (route-plan function), with a printable
+ *   run sheet and CSV download, and assigning it to a driver
+ * - Inbox of customers' text messages, with replies sent as texts
+ *
+ * The staff session lives in sessionStorage and is sent as a Bearer token
+ * to the admin function.
+ *
+ * @author Stripe Integration Team
+ * @version 1.3.0 - Text message inbox
+ */
+
+const ADMIN_SESSION_KEY = 'icts_admin_session';
+
+// View shown in the main panel
+let currentAdminView = 'deliveries';
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeAdminHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * Show a message above the dashboard
+ * @param {string} message - Message text (plain text)
+ * @param {string} type - 'success' or 'error'
+ */
+function showAdminMessage(message, type) {
+    const messageDiv = document.getElementById('admin-message');
+
+    messageDiv.innerHTML = message
+        ? `<div class="form-message ${type}">${escapeAdminHtml(message)}</div>`
+        : '';
+}
+
+/**
+ * Format a date string for display
+ * @param {string} isoDate - ISO date
+ * @returns {string} e.g. "Oct 20, 2026, 9:00 AM"
+ */
+function formatAdminDate(isoDate) {
+    if (!isoDate) return '-';
+    return new Date(isoDate).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'America/New_York'
+    });
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number} amount - Amount in dollars
+ * @returns {string} e.g. "$45.00"
+ */
+function formatAdminAmount(amount) {
+    return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * Call a staff function
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} [options]
+ * @param {string} [options.functionName='admin'] - Function to call
+ * @param {Object} [options.query] - Query string parameters for GET
+ * @param {Object} [options.body] - Request body for POST
+ * @param {boolean} [options.asText] - Return the response body as text (run sheet, CSV)
+ * @returns {Promise<Object|string>} Response data
+ * @throws {Error} With the server message; error.sessionExpired on 401
+ */
+async function callAdminApi(method, options = {}) {
+    const requestHeaders = { 'Content-Type': 'application/json' };
+    const sessionToken = sessionStorage.getItem(ADMIN_SESSION_KEY);
+
+    if (sessionToken) {
+        requestHeaders['Authorization'] = `Bearer ${sessionToken}`;
+    }
+
+    const query = options.query ? `?${new URLSearchParams(options.query).toString()}` : '';
+    const response = await fetch(`/.netlify/functions/${options.functionName || 'admin'}${query}`, {
+        method: method,
+        headers: requestHeaders,
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (response.ok && options.asText) {
+        return response.text();
+    }
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Something went wrong. Please try again.');
+        error.sessionExpired = response.status === 401;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Handle a failed admin request
+ * Expired sessions go back to the sign-in form
+ * @param {Error} error - Error from callAdminApi
+ */
+function handleAdminError(error) {
+    if (error.sessionExpired) {
+        signOutOfAdmin();
+    }
+    showAdminMessage(error.message, 'error');
+}
+
+/**
+ * Render a table
+ * @param {Array} columns - Column headings
+ * @param {Array} rows - Rows of cell HTML (already escaped)
+ * @param {string} emptyText - Shown when there are no rows
+ * @returns {string} Table HTML
+ */
+function renderAdminTable(columns, rows, emptyText) {
+    if (rows.length === 0) {
+        return `<p class="account-note">${escapeAdminHtml(emptyText)}</p>`;
+    }
+
+    return `
+        <div class="admin-table-wrap">
+            <table class="admin-table">
+                <thead><tr>${columns.map(column => `<th>${escapeAdminHtml(column)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Customer cell: name, email and phone
+ * @param {Object} record - Row with customer_name, customer_email, customer_phone
+ * @returns {string} Cell HTML
+ */
+function renderCustomerCell(record) {
+    return [
+        `<strong>${escapeAdminHtml(record.customer_name || 'Unknown')}</strong>`,
+        record.customer_email ? `<a href="mailto:${escapeAdminHtml(record.customer_email)}">${escapeAdminHtml(record.customer_email)}</a>` : '',
+        record.customer_phone ? `<a href="tel:${escapeAdminHtml(record.customer_phone)}">${escapeAdminHtml(record.customer_phone)}</a>` : ''
+    ].filter(Boolean).join('<br>');
+}
+
+/**
+ * Render upcoming deliveries and pickups
+ * @param {Array} jobs - Delivery jobs
+ * @returns {string} HTML
+ */
+function renderDeliveries(jobs) {
+    const jobLabels = {
+        empty_tote_delivery: 'Empty tote delivery',
+        tote_pickup: 'Pickup',
+        tote_return: 'Return delivery'
+    };
+
+    return renderAdminTable(
+        ['When', 'Type', 'Customer', 'Address', 'Totes', 'Notes', 'Driver'],
+        jobs.map(job => [
+            [
+                job.window_label ? escapeAdminHtml(job.window_label) : '<span class="admin-flag">Not scheduled</span>',
+                job.status === 'exception'
+                    ? `<span class="admin-flag">Missed: ${escapeAdminHtml(job.exception.reason.replace(/_/g, ' '))}</span>`
+                    : ''
+            ].filter(Boolean).join('<br>'),
+            escapeAdminHtml(jobLabels[job.type] || job.type),
+            renderCustomerCell(job),
+            escapeAdminHtml(job.address || '-'),
+            escapeAdminHtml(job.totes ? job.totes.join(', ') : job.tote_count),
+            escapeAdminHtml([job.notes, job.exception && job.exception.notes].filter(Boolean).join(' / ')),
+            escapeAdminHtml(job.driver ? `${job.driver} #${job.route_sequence}` : '-')
+        ]),
+        'No upcoming deliveries or pickups.'
+    );
+}
+
+/**
+ * Render payment intents
+ * @param {Array} payments - Payment summaries
+ * @param {boolean} withRetry - Add a retry button (failed subscriptions view)
+ * @returns {string} HTML
+ */
+function renderPayments(payments, withRetry) {
+    const columns = ['Date', 'Customer', 'Address', 'Totes', 'Amount', 'Status', withRetry ? 'Error' : 'Subscription'];
+    if (withRetry) columns.push('');
+
+    return renderAdminTable(
+        columns,
+        payments.map(payment => {
+            const cells = [
+                escapeAdminHtml(formatAdminDate(payment.created)),
+                renderCustomerCell(payment),
+                escapeAdminHtml(payment.customer_address || '-'),
+                escapeAdminHtml(payment.tote_quantity || '-'),
+                escapeAdminHtml(formatAdminAmount(payment.amount)),
+                `${escapeAdminHtml(payment.status)}<br><small>${escapeAdminHtml(payment.type)}</small>`,
+                withRetry
+                    ? escapeAdminHtml(payment.subscription_error || 'No subscription recorded')
+                    : escapeAdminHtml(payment.subscription_id || '-')
+            ];
+            if (withRetry) {
+                cells.push(`<button type="button" class="btn btn-secondary admin-retry" data-payment-intent="${escapeAdminHtml(payment.id)}">Retry</button>`);
+            }
+            return cells;
+        }),
+        withRetry ? 'No failed subscription creations.' : 'No payments yet.'
+    );
+}
+
+/**
+ * Render subscriptions
+ * @param {Array} subscriptions - Subscription summaries
+ * @returns {string} HTML
+ */
+function renderSubscriptions(subscriptions) {
+    return renderAdminTable(
+        ['Started', 'Customer', 'Address', 'Totes', 'Plan', 'Status', 'Period Ends'],
+        subscriptions.map(subscription => [
+            escapeAdminHtml(formatAdminDate(subscription.created)),
+            renderCustomerCell(subscription),
+            escapeAdminHtml(subscription.customer_address || '-'),
+            escapeAdminHtml(subscription.tote_quantity || '-'),
+            escapeAdminHtml(subscription.plan),
+            [
+                escapeAdminHtml(subscription.status),
+                subscription.service_hold ? '<span class="admin-flag">On hold</span>' : '',
+                subscription.cancellation_status ? `<span class="admin-flag">Canceling: ${escapeAdminHtml(subscription.cancellation_status)}</span>` : ''
+            ].filter(Boolean).join('<br>'),
+            escapeAdminHtml(formatAdminDate(subscription.current_period_end))
+        ]),
+        'No subscriptions yet.'
+    );
+}
+
+/**
+ * Render text conversations with customers
+ * @param {Array} conversations - Conversations from the inbox view
+ * @returns {string} HTML
+ */
+function renderInbox(conversations) {
+    if (conversations.length === 0) {
+        return '<p class="account-note">No texts from customers yet.</p>';
+    }
+
+    const sentLabels = {
+        window_confirmation: 'Window confirmation',
+        on_the_way: 'On the way',
+        staff_reply: 'Staff reply'
+    };
+
+    return conversations.map(conversation => {
+        const messages = conversation.messages.map(message => `
+            <div class="admin-sms ${message.direction}${message.status === 'unread' ? ' unread' : ''}">
+                ${escapeAdminHtml(message.body)}${message.media_count ? ` <span class="admin-flag">${escapeAdminHtml(message.media_count)} photo(s) - see the SMS provider</span>` : ''}
+                <small>${escapeAdminHtml(formatAdminDate(message.created_at))}${message.direction === 'outbound'
+                    ? ` · ${escapeAdminHtml(sentLabels[message.kind] || message.kind)}${message.status === 'failed' ? ' · failed' : ''}`
+                    : ''}</small>
+            </div>
+        `).join('');
+
+        return `
+            <div class="admin-conversation">
+                <div class="admin-conversation-header">
+                    <div>${renderCustomerCell({
+                        customer_name: conversation.customer_name || 'Unknown number',
+                        customer_email: conversation.customer_email,
+                        customer_phone: conversation.phone
+                    })}</div>
+                    <div>
+                        ${conversation.opted_out ? '<span class="admin-flag">Texted STOP</span>' : ''}
+                        ${conversation.unread > 0
+                            ? `<span class="admin-flag">${escapeAdminHtml(conversation.unread)} unread</span>
+                               <button type="button" class="btn btn-secondary admin-mark-read" data-phone="${escapeAdminHtml(conversation.phone)}">Mark Read</button>`
+                            : ''}
+                    </div>
+                </div>
+                ${messages}
+                ${conversation.opted_out ? '' : `
+                    <form class="admin-reply-form" data-phone="${escapeAdminHtml(conversation.phone)}">
+                        <input type="text" name="body" maxlength="480" placeholder="Reply by text" required>
+                        <button type="submit" class="btn btn-primary">Send</button>
+                    </form>
+                `}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Tomorrow's date in the delivery time zone, YYYY-MM-DD
+ * @returns {string} Date for the route form
+ */
+function getTomorrowDate() {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    // en-CA formats dates as YYYY-MM-DD
+    return tomorrow.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Render the route form
+ * @returns {string} HTML
+ */
+function renderRouteForm() {
+    return `
+        <form id="admin-route-form" class="admin-route-form">
+            <label for="admin-route-date">Day</label>
+            <input type="date" id="admin-route-date" name="date" value="${getTomorrowDate()}" required>
+            <input type="text" id="admin-route-depot" name="depot" placeholder="Start (lat,lng) - optional">
+            <button type="submit" class="btn btn-primary">Plan Route</button>
+            <button type="button" class="btn btn-secondary admin-route-print">Print Run Sheet</button>
+            <button type="button" class="btn btn-secondary admin-route-csv">Download CSV</button>
+        </form>
+        <form id="admin-assign-form" class="admin-route-form">
+            <label for="admin-assign-driver">Driver</label>
+            <input type="text" id="admin-assign-driver" name="driver" placeholder="Driver name" required>
+            <button type="submit" class="btn btn-primary">Assign Day's Route</button>
+        </form>
+        <div id="admin-route-plan"></div>
+    `;
+}
+
+/**
+ * Render a planned route
+ * @param {Object} plan - Route plan from the route-plan function
+ * @returns {string} HTML
+ */
+function renderRoutePlan(plan) {
+    const summary = plan.stops.length > 0
+        ? `Leave ${plan.depot.name} at ${plan.depart_label} · ${plan.stops.length} stops · ${plan.total_miles} mi` +
+          (plan.return_label ? ` · back about ${plan.return_label}` : '')
+        : 'No stops with a location on this day.';
+
+    const routeRow = stop => [
+        escapeAdminHtml(stop.sequence || '-'),
+        `${escapeAdminHtml(stop.arrive_label || '')}<br><small>${escapeAdminHtml(stop.window_label || '')}</small>`,
+        escapeAdminHtml(stop.type_label),
+        renderCustomerCell(stop),
+        escapeAdminHtml(stop.address || '-'),
+        escapeAdminHtml(stop.totes ? stop.totes.join(', ') : stop.tote_count),
+        escapeAdminHtml(stop.notes || '')
+    ];
+    const columns = ['#', 'Arrive', 'Stop', 'Customer', 'Address', 'Totes', 'Notes'];
+
+    return `
+        <p class="account-note">${escapeAdminHtml(summary)}</p>
+        ${renderAdminTable(columns, plan.stops.map(routeRow), 'No stops scheduled.')}
+        ${plan.unrouted.length > 0 ? `
+            <p><span class="admin-flag">Address not found - not routed</span></p>
+            ${renderAdminTable(columns, plan.unrouted.map(routeRow), '')}
+        ` : ''}
+    `;
+}
+
+/**
+ * Query for the route-plan function from the route form
+ * @param {string} [format] - 'html' or 'csv'; JSON when omitted
+ * @returns {Object} Query string parameters
+ */
+function getRouteQuery(format) {
+    const query = { date: document.getElementById('admin-route-date').value };
+    const depot = document.getElementById('admin-route-depot').value.trim();
+
+    if (depot) query.depot = depot;
+    if (format) query.format = format;
+    return query;
+}
+
+/**
+ * Plan and show the route for the chosen day
+ * @param {Event} event - Form submit event
+ */
+async function planAdminRoute(event) {
+    event.preventDefault();
+    const planDiv = document.getElementById('admin-route-plan');
+    planDiv.innerHTML = '<p class="account-note">Planning route...</p>';
+
+    try {
+        const plan = await callAdminApi('GET', { functionName: 'route-plan', query: getRouteQuery() });
+        planDiv.innerHTML = renderRoutePlan(plan);
+    } catch (error) {
+        planDiv.innerHTML = '';
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Assign the chosen day's route to a driver
+ * @param {Event} event - Form submit event
+ */
+async function assignAdminRoute(event) {
+    event.preventDefault();
+    const query = getRouteQuery();
+    const button = event.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const data = await callAdminApi('POST', {
+            body: { action: 'assign-route', driver: event.target.driver.value, ...query }
+        });
+        showAdminMessage(`${data.assigned} stop(s) on ${query.date} assigned to ${data.driver}.`, 'success');
+    } catch (error) {
+        handleAdminError(error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Open the printable run sheet or download the CSV
+ * The functions need the staff session header, so the file is fetched
+ * here and handed to the browser as a blob.
+ * @param {string} format - 'html' or 'csv'
+ */
+async function exportAdminRoute(format) {
+    // Open the window now; browsers block popups opened after an await
+    const runSheetWindow = format === 'html' ? window.open('', '_blank') : null;
+
+    try {
+        const content = await callAdminApi('GET', {
+            functionName: 'route-plan',
+            query: getRouteQuery(format),
+            asText: true
+        });
+        const blob = new Blob([content], { type: format === 'html' ? 'text/html' : 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        if (runSheetWindow) {
+            runSheetWindow.location.href = url;
+        } else {
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `icts-route-${getRouteQuery().date}.csv`;
+            link.click();
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        if (runSheetWindow) runSheetWindow.close();
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Load and show one dashboard view
+ * @param {string} view - 'deliveries', 'payments', 'subscriptions', 'failed-subscriptions',
+ *                        'inbox' or 'route'
+ */
+async function loadAdminView(view) {
+    currentAdminView = view;
+    const viewDiv = document.getElementById('admin-view');
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.getAttribute('data-view') === view);
+    });
+
+    // The route is planned on request, for the day picked in its form
+    if (view === 'route') {
+        viewDiv.innerHTML = renderRouteForm();
+        document.getElementById('admin-route-form').addEventListener('submit', planAdminRoute);
+        document.getElementById('admin-assign-form').addEventListener('submit', assignAdminRoute);
+        return;
+    }
+
+    viewDiv.innerHTML = '<p class="account-note">Loading...</p>';
+
+    try {
+        const data = await callAdminApi('GET', { query: { view: view } });
+
+        if (view === 'deliveries') {
+            viewDiv.innerHTML = renderDeliveries(data.jobs);
+        } else if (view === 'payments') {
+            viewDiv.innerHTML = renderPayments(data.payments, false);
+        } else if (view === 'subscriptions') {
+            viewDiv.innerHTML = renderSubscriptions(data.subscriptions);
+        } else if (view === 'inbox') {
+            viewDiv.innerHTML = renderInbox(data.conversations);
+            viewDiv.querySelectorAll('.admin-reply-form').forEach(form => {
+                form.addEventListener('submit', sendAdminReply);
+            });
+        } else {
+            viewDiv.innerHTML = renderPayments(data.payments, true);
+        }
+    } catch (error) {
+        viewDiv.innerHTML = '';
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Text a reply to a customer from the Inbox
+ * @param {Event} event - Reply form submit event
+ */
+async function sendAdminReply(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        await callAdminApi('POST', {
+            body: { action: 'sms-reply', phone: form.getAttribute('data-phone'), body: form.body.value.trim() }
+        });
+        showAdminMessage('Reply sent.', 'success');
+        loadAdminView('inbox');
+    } catch (error) {
+        button.disabled = false;
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Mark an Inbox conversation read without replying
+ * @param {HTMLElement} button - Mark Read button
+ */
+async function markAdminConversationRead(button) {
+    button.disabled = true;
+
+    try {
+        await callAdminApi('POST', {
+            body: { action: 'sms-mark-read', phone: button.getAttribute('data-phone') }
+        });
+        loadAdminView('inbox');
+    } catch (error) {
+        button.disabled = false;
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Retry fulfillment for a paid setup payment with no subscription
+ * @param {HTMLElement} button - Retry button
+ */
+async function retryFulfillment(button) {
+    const paymentIntentId = button.getAttribute('data-payment-intent');
+    button.disabled = true;
+    button.innerHTML = 'Retrying...';
+
+    try {
+        const data = await callAdminApi('POST', {
+            body: { action: 'retry-fulfillment', payment_intent_id: paymentIntentId }
+        });
+
+        if (data.subscription_id) {
+            showAdminMessage(`Subscription ${data.subscription_id} created for ${paymentIntentId}.`, 'success');
+        } else {
+            showAdminMessage(`Still failing: ${data.subscription_error || 'unknown error'}`, 'error');
+        }
+        loadAdminView(currentAdminView);
+    } catch (error) {
+        button.disabled = false;
+        button.innerHTML = 'Retry';
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Search customers by email or phone
+ * @param {Event} event - Form submit event
+ */
+async function searchAdminCustomers(event) {
+    event.preventDefault();
+    const resultsDiv = document.getElementById('admin-search-results');
+    const query = event.target.q.value.trim();
+
+    resultsDiv.innerHTML = '<p class="account-note">Searching...</p>';
+
+    try {
+        const data = await callAdminApi('GET', { query: { view: 'search', q: query } });
+
+        resultsDiv.innerHTML = renderAdminTable(
+            ['Customer', 'Address', 'Subscription', 'Totes', 'Orders'],
+            data.customers.map(customer => [
+                renderCustomerCell({
+                    customer_name: customer.name,
+                    customer_email: customer.email,
+                    customer_phone: customer.phone
+                }) + (customer.stripe_customer_id ? `<br><small>${escapeAdminHtml(customer.stripe_customer_id)}</small>` : ''),
+                escapeAdminHtml(customer.address || '-'),
+                customer.subscription_id
+                    ? `${escapeAdminHtml(customer.subscription_id)}<br><small>${escapeAdminHtml(customer.subscription_status || '')}</small>`
+                    : '-',
+                escapeAdminHtml(customer.tote_quantity || '-'),
+                customer.orders.length > 0
+                    ? customer.orders.map(order => `${escapeAdminHtml(order.id)} <small>(${escapeAdminHtml(order.status)})</small>`).join('<br>')
+                    : '-'
+            ]),
+            `No customers match "${query}".`
+        );
+    } catch (error) {
+        resultsDiv.innerHTML = '';
+        handleAdminError(error);
+    }
+}
+
+/**
+ * Sign in with the admin password
+ * @param {Event} event - Form submit event
+ */
+async function signInToAdmin(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const data = await callAdminApi('POST', {
+            body: { action: 'sign-in', password: form.password.value }
+        });
+        sessionStorage.setItem(ADMIN_SESSION_KEY, data.session_token);
+        form.reset();
+        showAdminMessage('', '');
+        showAdminDashboard();
+    } catch (error) {
+        showAdminMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Show the dashboard and load the current view
+ */
+function showAdminDashboard() {
+    document.getElementById('admin-sign-in').style.display = 'none';
+    document.getElementById('admin-dashboard').style.display = 'block';
+    loadAdminView(currentAdminView);
+}
+
+/**
+ * Forget the session and show the sign-in form
+ */
+function signOutOfAdmin() {
+    sessionStorage.removeItem(ADMIN_SESSION_KEY);
+    document.getElementById('admin-dashboard').style.display = 'none';
+    document.getElementById('admin-sign-in').style.display = 'block';
+    document.getElementById('admin-view').innerHTML = '';
+    document.getElementById('admin-search-results').innerHTML = '';
+}
+
+/**
+ * Initialize the admin page
+ */
+function initAdminPage() {
+    const signInForm = document.getElementById('admin-sign-in-form');
+    if (!signInForm) return;
+
+    signInForm.addEventListener('submit', signInToAdmin);
+    document.getElementById('admin-search-form').addEventListener('submit', searchAdminCustomers);
+    document.getElementById('admin-sign-out').addEventListener('click', () => {
+        signOutOfAdmin();
+        showAdminMessage('You have been signed out.', 'success');
+    });
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.addEventListener('click', () => loadAdminView(tab.getAttribute('data-view')));
+    });
+    document.getElementById('admin-view').addEventListener('click', event => {
+        const button = event.target.closest('.admin-retry');
+        if (button) retryFulfillment(button);
+        const markReadButton = event.target.closest('.admin-mark-read');
+        if (markReadButton) markAdminConversationRead(markReadButton);
+        if (event.target.closest('.admin-route-print')) exportAdminRoute('html');
+        if (event.target.closest('.admin-route-csv')) exportAdminRoute('csv');
+    });
+
+    if (sessionStorage.getItem(ADMIN_SESSION_KEY)) {
+        showAdminDashboard();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initAdminPage);
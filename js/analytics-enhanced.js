@@ -7,11 +7,23 @@
  * - Payment events (revenue tracking)
  * - User engagement (scroll depth, time on page)
  * - Phone calls and CTA interactions
+ * - Campaign (UTM) parameters, kept for lead forms (forms.js)
  * 
  * @author Analytics Team
- * @version 1.1.0 - Fixed syntax errors and optimized tracking
+ * @version 1.3.0 - UTM capture for the lead store
  */
 
+const UTM_STORAGE_KEY = 'icts_utm';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Monthly price per tote in dollars, from the shared pricing engine when loaded
+ * @returns {number} Price per tote
+ */
+function getTotePrice() {
+    return window.PricingRules ? window.PricingRules.PRICING_CONFIG.totePerMonthCents / 100 : 10.00;
+}
+
 // Enhanced Analytics Tracking Functions
 const AnalyticsTracker = {
     
@@ -45,7 +57,7 @@ const AnalyticsTracker = {
                 'item_name': 'Tote Storage Setup',
                 'category': 'Storage Service',
                 'quantity': orderData.toteNumber,
-                'price': 10.00
+                'price': getTotePrice()
             }],
             'event_category': 'Ecommerce',
             'event_label': 'Payment Modal Opened'
@@ -69,7 +81,7 @@ const AnalyticsTracker = {
                 'item_name': 'Tote Storage Setup',
                 'category': 'Storage Service',
                 'quantity': orderData.toteNumber,
-                'price': 10.00
+                'price': getTotePrice()
             }],
             'event_category': 'Ecommerce',
             'event_label': 'Payment Completed'
@@ -245,6 +257,45 @@ const AnalyticsTracker = {
             'event_category': 'Form UX',
             'event_label': `Field ${action}: ${fieldName}`
         });
+    },
+    
+    /**
+     * Save the UTM parameters from the landing page URL
+     * First touch wins: a visitor who comes back later keeps their original campaign.
+     */
+    captureUtmParams: function() {
+        const params = new URLSearchParams(window.location.search);
+        const utm = {};
+        UTM_PARAMS.forEach(name => {
+            if (params.get(name)) {
+                utm[name] = params.get(name).slice(0, 100);
+            }
+        });
+        
+        if (Object.keys(utm).length === 0 || AnalyticsTracker.getUtmParams().utm) {
+            return;
+        }
+        
+        try {
+            localStorage.setItem(UTM_STORAGE_KEY, JSON.stringify({
+                utm: utm,
+                landing_page: window.location.pathname
+            }));
+        } catch (error) {
+            // Storage blocked (private mode) - leads are saved without a source
+        }
+    },
+    
+    /**
+     * Get the saved UTM parameters for lead forms
+     * @returns {Object} { utm, landing_page }, or {} if the visitor didn't come from a campaign
+     */
+    getUtmParams: function() {
+        try {
+            return JSON.parse(localStorage.getItem(UTM_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
     }
 };
 
@@ -253,6 +304,9 @@ const AnalyticsTracker = {
  * Sets up event listeners for common interactions
  */
 function initializeAnalyticsTracking() {
+    // Remember the campaign that brought the visitor here
+    AnalyticsTracker.captureUtmParams();
+    
     // Initialize engagement tracking
     AnalyticsTracker.trackScrollDepth();
     AnalyticsTracker.trackTimeOnPage();
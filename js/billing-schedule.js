@@ -0,0 +1,174 @@
+/**
+ * BILLING SCHEDULE - SHARED BILLING DATES
+ * Single source of truth for when a new customer's first invoice is due.
+ * Loaded by the browser (payment modal) and by the Netlify functions (via
+ * .netlify/functions/lib/billing-schedule.js), so the date in the order
+ * summary, the subscription's trial end and the receipt are always the same.
+ *
+ * Dates use calendar months in the business time zone: the setup payment
+ * covers the plan's first billing period, then an optional free period, and
+ * the first invoice falls on the same day of the month as the order (the
+ * last day of the month when that day doesn't exist, e.g. Jan 31 -> Feb 28).
+ * Stripe bills every later period on that same anchor day.
+ *
+ * The first invoice is due at noon in the business time zone, so its date
+ * reads the same in every US time zone.
+ *
+ * @version 1.0.0 - Calendar-month billing anchor and free period
+ */
+
+const BillingSchedule = (function() {
+    const BILLING_SCHEDULE_CONFIG = {
+        timeZone: 'America/New_York',       // Billing dates are calendar days here
+        freePeriod: { months: 0, days: 0 }  // Free storage after the paid first period
+    };
+
+    /**
+     * Get the calendar day and time of an instant in the business time zone
+     * @param {Date} date - Instant
+     * @returns {Object} { year, month (0-11), day, hour, minute }
+     */
+    function getZonedParts(date) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: BILLING_SCHEDULE_CONFIG.timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute
+        };
+    }
+
+    /**
+     * Get noon on a calendar day in the business time zone
+     * @param {Object} day - { year, month (0-11), day }
+     * @returns {Date} Instant of that noon
+     */
+    function getZonedNoon(day) {
+        // Noon UTC, moved by the zone's offset on that day
+        const guess = Date.UTC(day.year, day.month, day.day, 12);
+        const zoned = getZonedParts(new Date(guess));
+        const offsetMs = Date.UTC(zoned.year, zoned.month, zoned.day, zoned.hour, zoned.minute) - guess;
+        return new Date(guess - offsetMs);
+    }
+
+    /**
+     * Add calendar months to a day, keeping the day of the month
+     * Days past the end of the target month become its last day.
+     * @param {Object} day - { year, month (0-11), day }
+     * @param {number} months - Months to add
+     * @returns {Object} { year, month, day }
+     */
+    function addCalendarMonths(day, months) {
+        const target = new Date(Date.UTC(day.year, day.month + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        return {
+            year: target.getUTCFullYear(),
+            month: target.getUTCMonth(),
+            day: Math.min(day.day, lastDay)
+        };
+    }
+
+    /**
+     * Add days to a calendar day
+     * @param {Object} day - { year, month (0-11), day }
+     * @param {number} days - Days to add
+     * @returns {Object} { year, month, day }
+     */
+    function addDays(day, days) {
+        const target = new Date(Date.UTC(day.year, day.month, day.day + days));
+        return {
+            year: target.getUTCFullYear(),
+            month: target.getUTCMonth(),
+            day: target.getUTCDate()
+        };
+    }
+
+    /**
+     * Work out the billing schedule for an order
+     * @param {Date} [startDate] - When the setup payment was made (defaults to now)
+     * @param {Object} [options]
+     * @param {number} [options.billingMonths=1] - Months per billing period (plan.months)
+     * @param {Object} [options.freePeriod] - { months, days } instead of the configured free period
+     * @returns {Object} { startDate, billingMonths, freePeriod, firstInvoiceDate, firstInvoiceTimestamp, anchorDay }
+     */
+    function getBillingSchedule(startDate, options) {
+        const start = startDate ? new Date(startDate) : new Date();
+        const settings = options || {};
+        const billingMonths = settings.billingMonths || 1;
+        const freePeriod = settings.freePeriod || BILLING_SCHEDULE_CONFIG.freePeriod;
+
+        const orderDay = getZonedParts(start);
+        let invoiceDay = addCalendarMonths(orderDay, billingMonths + (freePeriod.months || 0));
+        if (freePeriod.days) {
+            invoiceDay = addDays(invoiceDay, freePeriod.days);
+        }
+        const firstInvoiceDate = getZonedNoon(invoiceDay);
+
+        return {
+            startDate: start,
+            billingMonths: billingMonths,
+            freePeriod: { months: freePeriod.months || 0, days: freePeriod.days || 0 },
+            firstInvoiceDate: firstInvoiceDate,
+            firstInvoiceTimestamp: Math.floor(firstInvoiceDate.getTime() / 1000), // For Stripe trial_end
+            anchorDay: invoiceDay.day
+        };
+    }
+
+    /**
+     * Get the date of the first invoice for an order
+     * @param {Date} [startDate] - When the setup payment was made (defaults to now)
+     * @param {Object} [options] - Same as getBillingSchedule
+     * @returns {Date} First invoice date
+     */
+    function getFirstInvoiceDate(startDate, options) {
+        return getBillingSchedule(startDate, options).firstInvoiceDate;
+    }
+
+    /**
+     * Format a billing date as a calendar day in the business time zone
+     * @param {Date|string|number} date - Date, ISO string or Unix timestamp (seconds)
+     * @param {string} [style='long'] - 'long' ("October 20, 2025"), 'medium' ("Oct 20, 2025") or 'short' ("Oct 20")
+     * @returns {string} Formatted date
+     */
+    function formatBillingDate(date, style) {
+        const value = typeof date === 'number' ? new Date(date * 1000) : new Date(date);
+        const formats = {
+            short: { month: 'short', day: 'numeric' },
+            medium: { year: 'numeric', month: 'short', day: 'numeric' },
+            long: { year: 'numeric', month: 'long', day: 'numeric' }
+        };
+        const format = Object.assign({}, formats[style] || formats.long);
+        format.timeZone = BILLING_SCHEDULE_CONFIG.timeZone;
+        return value.toLocaleDateString('en-US', format);
+    }
+
+    return {
+        BILLING_SCHEDULE_CONFIG: BILLING_SCHEDULE_CONFIG,
+        addCalendarMonths: addCalendarMonths,
+        getBillingSchedule: getBillingSchedule,
+        getFirstInvoiceDate: getFirstInvoiceDate,
+        formatBillingDate: formatBillingDate
+    };
+})();
+
+// Browser: expose globally. Node (Netlify functions): export as a module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BillingSchedule;
+} else {
+    window.BillingSchedule = BillingSchedule;
+}
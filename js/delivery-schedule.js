@@ -0,0 +1,209 @@
+/**
+ * DELIVERY SCHEDULING STEP
+ *
+ * First step of the payment modal: the customer picks a window for the
+ * empty tote drop-off from the capacity calendar (delivery-windows function).
+ * The chosen window is added to the order data as `deliveryWindow`
+ * ({ id, label }, or null for "call me to schedule") before the payment
+ * intent is created, so it ends up on the payment intent and the receipt.
+ *
+ * Dependencies: stripe-modal.js (startPaymentForm)
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.0 - Delivery window step
+ */
+
+// Order shown in the scheduling step
+let scheduleOrderData = null;
+
+/**
+ * Load the delivery windows that still have room
+ * @returns {Promise<Array>} Windows: { id, date, label, starts_at, ends_at, remaining }
+ */
+async function loadDeliveryWindows() {
+    const response = await fetch('/.netlify/functions/delivery-windows');
+    const data = await response.json();
+
+    if (!response.ok || data.error) {
+        throw new Error(data.error || `Server error: ${response.status}`);
+    }
+
+    return data.windows;
+}
+
+/**
+ * Build the window choices, grouped by day
+ * @param {Array} windows - Delivery windows
+ * @param {string} [selectedId] - Window to pre-select
+ * @returns {string} HTML
+ */
+function renderDeliveryWindows(windows, selectedId) {
+    const days = new Map();
+    windows.forEach(deliveryWindow => {
+        if (!days.has(deliveryWindow.date)) {
+            days.set(deliveryWindow.date, []);
+        }
+        days.get(deliveryWindow.date).push(deliveryWindow);
+    });
+
+    return Array.from(days.entries()).map(([date, dayWindows]) => {
+        const dayLabel = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+            timeZone: 'UTC',
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        const options = dayWindows.map(deliveryWindow => `
+            <label class="delivery-window-option">
+                <input type="radio" name="delivery-window" value="${deliveryWindow.id}" data-label="${deliveryWindow.label}" ${deliveryWindow.id === selectedId ? 'checked' : ''}>
+                <span>${deliveryWindow.label.split(', ').slice(2).join(', ')}</span>
+            </label>
+        `).join('');
+
+        return `
+            <div class="delivery-day">
+                <div class="delivery-day-label">${dayLabel}</div>
+                <div class="delivery-day-windows">${options}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show or clear the message above the window choices
+ * @param {string} [message] - Message text (empty clears it)
+ */
+function showDeliveryScheduleMessage(message) {
+    const messageElement = document.getElementById('delivery-schedule-message');
+    if (messageElement) {
+        messageElement.textContent = message || '';
+        messageElement.style.display = message ? 'block' : 'none';
+    }
+}
+
+/**
+ * Show the delivery window step and hide the payment form
+ * @param {Object} orderData - Customer order information
+ * @param {string} [message] - Why the customer has to choose (again)
+ */
+async function showDeliveryScheduleStep(orderData, message) {
+    const schedule = document.getElementById('delivery-schedule');
+    const windowsContainer = document.getElementById('delivery-windows');
+    const paymentForm = document.querySelector('.payment-form');
+
+    if (!schedule || !windowsContainer) {
+        // Page without the scheduling step - go straight to payment
+        orderData.deliveryWindow = null;
+        return startPaymentForm(orderData);
+    }
+
+    const previousId = orderData.deliveryWindow ? orderData.deliveryWindow.id : null;
+    delete orderData.deliveryWindow;
+    scheduleOrderData = orderData;
+
+    schedule.classList.remove('chosen');
+    if (paymentForm) {
+        paymentForm.style.display = 'none';
+    }
+
+    showDeliveryScheduleMessage(message);
+
+    windowsContainer.innerHTML = '<div class="delivery-windows-loading">Loading delivery times...</div>';
+
+    // Always possible: leave scheduling to a phone call
+    const callOption = `
+        <label class="delivery-window-option delivery-window-call">
+            <input type="radio" name="delivery-window" value="">
+            <span>None of these work - call me to schedule</span>
+        </label>
+    `;
+
+    try {
+        const windows = await loadDeliveryWindows();
+
+        windowsContainer.innerHTML = windows.length > 0
+            ? renderDeliveryWindows(windows, previousId) + callOption
+            : '<p class="delivery-windows-empty">All delivery times for the next two weeks are booked. We\'ll call you within 24 hours to schedule.</p>' + callOption;
+
+    } catch (error) {
+        console.error('❌ Error loading delivery windows:', error);
+        windowsContainer.innerHTML = '<p class="delivery-windows-empty">We couldn\'t load delivery times. Continue and we\'ll call you within 24 hours to schedule.</p>' + callOption;
+    }
+}
+
+/**
+ * Use the selected window and continue to payment
+ */
+function confirmDeliveryWindow() {
+    if (!scheduleOrderData) {
+        return;
+    }
+
+    const selected = document.querySelector('input[name="delivery-window"]:checked');
+    if (!selected) {
+        showDeliveryScheduleMessage('Please choose a delivery time.');
+        return;
+    }
+
+    showDeliveryScheduleMessage('');
+
+    const orderData = scheduleOrderData;
+    orderData.deliveryWindow = selected.value
+        ? { id: selected.value, label: selected.dataset.label }
+        : null;
+
+    console.log('📅 Delivery window chosen:', orderData.deliveryWindow);
+
+    showChosenDeliveryWindow(orderData);
+    startPaymentForm(orderData);
+}
+
+/**
+ * Collapse the step to the chosen window and show the payment form
+ * @param {Object} orderData - Customer order information (with deliveryWindow)
+ */
+function showChosenDeliveryWindow(orderData) {
+    const schedule = document.getElementById('delivery-schedule');
+    const chosen = document.getElementById('delivery-schedule-chosen');
+    const paymentForm = document.querySelector('.payment-form');
+
+    scheduleOrderData = orderData;
+
+    if (schedule && chosen) {
+        chosen.textContent = orderData.deliveryWindow
+            ? orderData.deliveryWindow.label
+            : 'We\'ll call you to schedule';
+        schedule.classList.add('chosen');
+    }
+
+    if (paymentForm) {
+        paymentForm.style.display = '';
+    }
+}
+
+/**
+ * Go back to the window choices (drops the loaded payment form)
+ */
+function changeDeliveryWindow() {
+    const orderData = scheduleOrderData;
+    if (!orderData) {
+        return;
+    }
+
+    // A different window is a different order; a new payment intent is created
+    if (window.currentPaymentElement) {
+        window.currentPaymentElement.destroy();
+        window.currentPaymentElement = null;
+    }
+    window.currentElements = null;
+    window.currentClientSecret = null;
+
+    showDeliveryScheduleStep(orderData);
+}
+
+// Export functions to global scope for use by other modules
+window.showDeliveryScheduleStep = showDeliveryScheduleStep;
+window.showChosenDeliveryWindow = showChosenDeliveryWindow;
+window.confirmDeliveryWindow = confirmDeliveryWindow;
+window.changeDeliveryWindow = changeDeliveryWindow;
@@ -0,0 +1,551 @@
+/**
+ * DRIVER PAGE
+ *
+ * Mobile page for drivers (driver/index.html):
+ * - Sign in with the driver's name and password (driver function)
+ * - Stops assigned from the admin dashboard, in route order, with call and
+ *   map links
+ * - "On My Way" texts the customer that the driver is heading to them
+ * - Complete a stop: scan tote QR codes (read from a camera photo, or typed),
+ *   take a photo, capture a signature
+ * - Report a stop that couldn't be done (nobody home, no access...)
+ *
+ * The driver session lives in localStorage so it survives the phone closing
+ * the tab between stops; it expires after a working day.
+ *
+ * @author Instant Closet Tote Storage Dev Team
+ * @version 1.1.0 - On the way texts
+ */
+
+const DRIVER_SESSION_KEY = 'icts_driver_session';
+
+// Photos are shrunk before upload; phone photos are far bigger than proof needs
+const PHOTO_MAX_SIZE = 1600;
+const PHOTO_QUALITY = 0.8;
+
+const DRIVER_JOB_LABELS = {
+    empty_tote_delivery: { title: 'Empty Tote Delivery', action: 'Mark Delivered' },
+    tote_pickup: { title: 'Pickup', action: 'Mark Picked Up' },
+    tote_return: { title: 'Return Delivery', action: 'Mark Returned' }
+};
+
+// Loaded jobs by ID, the job being worked on, and its scanned totes
+const driverJobs = new Map();
+let activeJob = null;
+let scannedTotes = [];
+let hasSignature = false;
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeDriverHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * Show a message at the top of the page
+ * @param {string} message - Message text (plain text)
+ * @param {string} type - 'success' or 'error'
+ */
+function showDriverMessage(message, type) {
+    const messageDiv = document.getElementById('driver-message');
+
+    messageDiv.innerHTML = message
+        ? `<div class="form-message ${type}">${escapeDriverHtml(message)}</div>`
+        : '';
+    if (message) window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+/**
+ * Call the driver function
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object} [body] - Request body for POST
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With the server message; error.sessionExpired on 401
+ */
+async function callDriverApi(method, body) {
+    const requestHeaders = { 'Content-Type': 'application/json' };
+    const sessionToken = localStorage.getItem(DRIVER_SESSION_KEY);
+
+    if (sessionToken) {
+        requestHeaders['Authorization'] = `Bearer ${sessionToken}`;
+    }
+
+    const response = await fetch('/.netlify/functions/driver', {
+        method: method,
+        headers: requestHeaders,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Something went wrong. Please try again.');
+        error.sessionExpired = response.status === 401;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Handle a failed driver request
+ * Expired sessions go back to the sign-in form
+ * @param {Error} error - Error from callDriverApi
+ */
+function handleDriverError(error) {
+    if (error.sessionExpired) {
+        signOutDriver();
+    }
+    showDriverMessage(error.message, 'error');
+}
+
+/**
+ * Show one panel: 'sign-in', 'dashboard', 'complete' or 'exception'
+ * @param {string} panel - Panel to show
+ */
+function showDriverPanel(panel) {
+    document.getElementById('driver-sign-in').style.display = panel === 'sign-in' ? 'block' : 'none';
+    document.getElementById('driver-dashboard').style.display = panel === 'dashboard' ? 'block' : 'none';
+    document.getElementById('driver-complete-card').style.display = panel === 'complete' ? 'block' : 'none';
+    document.getElementById('driver-exception-card').style.display = panel === 'exception' ? 'block' : 'none';
+}
+
+/**
+ * Render one stop
+ * @param {Object} job - Job from the driver function
+ * @returns {string} Card HTML
+ */
+function renderDriverJob(job) {
+    const labels = DRIVER_JOB_LABELS[job.type] || { title: job.type };
+    const mapUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(job.address || '')}`;
+    const totes = job.expected_totes.length > 0 ? job.expected_totes.join(', ') : `${job.tote_count} totes`;
+
+    return `
+        <div class="account-card driver-job${job.status === 'exception' ? ' driver-job-missed' : ''}">
+            <div class="driver-job-header">
+                <span class="driver-job-sequence">${escapeDriverHtml(job.route_sequence || '-')}</span>
+                <div>
+                    <strong>${escapeDriverHtml(labels.title)}</strong><br>
+                    <small>${escapeDriverHtml(job.window_label || 'No window')}</small>
+                </div>
+            </div>
+            ${job.status === 'exception' ? `<p class="driver-job-flag">Reported missed: ${escapeDriverHtml(job.exception.reason.replace(/_/g, ' '))}</p>` : ''}
+            <p><strong>${escapeDriverHtml(job.customer_name || 'Customer')}</strong>
+                ${job.customer_phone ? `<br><a href="tel:${escapeDriverHtml(job.customer_phone)}">${escapeDriverHtml(job.customer_phone)}</a>` : ''}</p>
+            <p><a href="${escapeDriverHtml(mapUrl)}" target="_blank" rel="noopener">${escapeDriverHtml(job.address || 'No address')}</a></p>
+            <p><small>Totes: ${escapeDriverHtml(totes)}</small></p>
+            ${job.notes ? `<p class="account-note">${escapeDriverHtml(job.notes)}</p>` : ''}
+            <div class="driver-job-actions">
+                ${job.on_the_way_at
+                    ? '<small>Customer told you\'re on the way</small>'
+                    : `<button type="button" class="btn btn-secondary driver-on-the-way" data-job-id="${escapeDriverHtml(job.id)}">On My Way</button>`}
+                <button type="button" class="btn btn-primary driver-complete" data-job-id="${escapeDriverHtml(job.id)}">${escapeDriverHtml(labels.action || 'Complete')}</button>
+                ${job.status === 'scheduled' ? `<button type="button" class="btn btn-secondary driver-exception" data-job-id="${escapeDriverHtml(job.id)}">Can't Complete</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Load and show the driver's stops
+ */
+async function loadDriverJobs() {
+    const jobsDiv = document.getElementById('driver-jobs');
+    jobsDiv.innerHTML = '<p class="account-note">Loading stops...</p>';
+    showDriverPanel('dashboard');
+
+    try {
+        const data = await callDriverApi('GET');
+
+        driverJobs.clear();
+        data.jobs.forEach(job => driverJobs.set(job.id, job));
+
+        const reasonSelect = document.getElementById('driver-exception-reason');
+        reasonSelect.innerHTML = '<option value="">What happened? *</option>' +
+            Object.entries(data.exception_reasons)
+                .map(([value, label]) => `<option value="${escapeDriverHtml(value)}">${escapeDriverHtml(label)}</option>`)
+                .join('');
+
+        jobsDiv.innerHTML = data.jobs.length > 0
+            ? data.jobs.map(renderDriverJob).join('')
+            : '<p class="account-note">No stops assigned to you right now.</p>';
+    } catch (error) {
+        jobsDiv.innerHTML = '';
+        handleDriverError(error);
+    }
+}
+
+/**
+ * Text the customer that the driver is heading to a stop
+ * @param {HTMLElement} button - On My Way button
+ */
+async function notifyOnTheWay(button) {
+    button.disabled = true;
+
+    try {
+        const data = await callDriverApi('POST', {
+            action: 'on-the-way',
+            job_id: button.getAttribute('data-job-id')
+        });
+
+        await loadDriverJobs();
+        showDriverMessage(data.notified || data.already_notified
+            ? 'Customer texted that you\'re on the way.'
+            : 'Noted - the customer couldn\'t be texted, call them if needed.', 'success');
+    } catch (error) {
+        button.disabled = false;
+        handleDriverError(error);
+    }
+}
+
+/**
+ * Read an image file as a JPEG data URL no bigger than PHOTO_MAX_SIZE
+ * @param {File} file - Image from the camera
+ * @returns {Promise<string>} Data URL
+ */
+async function readPhoto(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+}
+
+/**
+ * Add a tote to the scanned list
+ * @param {string} value - QR code text (a link ending in ?tote=T-...) or a typed ID
+ */
+function addScannedTote(value) {
+    const match = /T-[A-Z0-9]{4,12}/.exec(String(value).toUpperCase());
+    if (!match) {
+        showDriverMessage('That isn\'t a tote label. Tote IDs look like T-7K3QXM.', 'error');
+        return;
+    }
+
+    const toteId = match[0];
+    const expected = activeJob.expected_totes;
+    if (expected.length > 0 && !expected.includes(toteId)) {
+        showDriverMessage(`${toteId} is not on this stop.`, 'error');
+        return;
+    }
+
+    if (!scannedTotes.includes(toteId)) {
+        scannedTotes.push(toteId);
+    }
+    showDriverMessage('', '');
+    renderScannedTotes();
+}
+
+/**
+ * Show the scanned totes and how many are left
+ */
+function renderScannedTotes() {
+    const expected = activeJob.expected_totes;
+    const remaining = expected.filter(toteId => !scannedTotes.includes(toteId));
+
+    document.getElementById('driver-expected-totes').textContent = expected.length > 0
+        ? `${scannedTotes.length} of ${expected.length} scanned${remaining.length > 0 ? ` - still to scan: ${remaining.join(', ')}` : ''}`
+        : `${activeJob.tote_count} totes (no labels on file)`;
+
+    document.getElementById('driver-scanned-totes').innerHTML = scannedTotes
+        .map(toteId => `<li>${escapeDriverHtml(toteId)} <button type="button" class="driver-remove-tote" data-tote-id="${escapeDriverHtml(toteId)}" aria-label="Remove ${escapeDriverHtml(toteId)}">&times;</button></li>`)
+        .join('');
+}
+
+/**
+ * Read a tote QR code from a camera photo
+ * Uses the browser's barcode reader (Chrome on Android); elsewhere the
+ * driver types the ID printed on the label.
+ * @param {File} file - Photo of the label
+ */
+async function scanToteFromPhoto(file) {
+    if (!('BarcodeDetector' in window)) {
+        showDriverMessage('This phone can\'t read QR codes here. Type the tote ID printed on the label.', 'error');
+        return;
+    }
+
+    try {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const codes = await detector.detect(await createImageBitmap(file));
+        if (codes.length === 0) {
+            showDriverMessage('No QR code found. Try again closer to the label, or type the tote ID.', 'error');
+            return;
+        }
+        codes.forEach(code => addScannedTote(code.rawValue));
+    } catch (error) {
+        showDriverMessage('Could not read the QR code. Type the tote ID instead.', 'error');
+    }
+}
+
+/**
+ * Set up drawing on the signature pad (finger or mouse)
+ */
+function initSignaturePad() {
+    const canvas = document.getElementById('driver-signature-pad');
+    const context = canvas.getContext('2d');
+    let drawing = false;
+
+    context.lineWidth = 3;
+    context.lineCap = 'round';
+    context.strokeStyle = '#222';
+
+    const getPoint = event => {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (event.clientX - rect.left) * canvas.width / rect.width,
+            (event.clientY - rect.top) * canvas.height / rect.height
+        ];
+    };
+
+    canvas.addEventListener('pointerdown', event => {
+        drawing = true;
+        canvas.setPointerCapture(event.pointerId);
+        context.beginPath();
+        context.moveTo(...getPoint(event));
+    });
+    canvas.addEventListener('pointermove', event => {
+        if (!drawing) return;
+        context.lineTo(...getPoint(event));
+        context.stroke();
+        hasSignature = true;
+    });
+    canvas.addEventListener('pointerup', () => { drawing = false; });
+    canvas.addEventListener('pointercancel', () => { drawing = false; });
+}
+
+/**
+ * Clear the signature pad
+ */
+function clearSignature() {
+    const canvas = document.getElementById('driver-signature-pad');
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    hasSignature = false;
+}
+
+/**
+ * Open the complete form for a stop
+ * @param {string} jobId - Delivery job ID
+ */
+function showCompleteForm(jobId) {
+    activeJob = driverJobs.get(jobId);
+    scannedTotes = [];
+
+    const labels = DRIVER_JOB_LABELS[activeJob.type] || { title: activeJob.type, action: 'Complete' };
+    const form = document.getElementById('driver-complete-form');
+    form.reset();
+    clearSignature();
+    document.getElementById('driver-photo-preview').style.display = 'none';
+    document.getElementById('driver-complete-title').textContent = labels.title;
+    document.getElementById('driver-complete-summary').textContent =
+        `${activeJob.customer_name || 'Customer'} - ${activeJob.address || ''}`;
+    document.getElementById('driver-complete-submit').textContent = labels.action;
+    renderScannedTotes();
+
+    showDriverMessage('', '');
+    showDriverPanel('complete');
+    window.scrollTo({ top: 0 });
+}
+
+/**
+ * Open the missed stop form
+ * @param {string} jobId - Delivery job ID
+ */
+function showExceptionForm(jobId) {
+    activeJob = driverJobs.get(jobId);
+    document.getElementById('driver-exception-form').reset();
+    document.getElementById('driver-exception-summary').textContent =
+        `${activeJob.customer_name || 'Customer'} - ${activeJob.address || ''}`;
+
+    showDriverMessage('', '');
+    showDriverPanel('exception');
+    window.scrollTo({ top: 0 });
+}
+
+/**
+ * Complete the active stop
+ * @param {Event} event - Form submit event
+ */
+async function submitCompleteForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = document.getElementById('driver-complete-submit');
+    const photoFile = form.photo.files[0];
+
+    if (!photoFile && !hasSignature) {
+        showDriverMessage('Take a photo or get a signature before completing the stop.', 'error');
+        return;
+    }
+
+    const unscanned = activeJob.expected_totes.filter(toteId => !scannedTotes.includes(toteId));
+    if (unscanned.length > 0 &&
+        !window.confirm(`${unscanned.length} tote(s) not scanned: ${unscanned.join(', ')}. Complete anyway?`)) {
+        return;
+    }
+
+    button.disabled = true;
+    button.innerHTML = 'Saving...';
+
+    try {
+        const data = await callDriverApi('POST', {
+            action: 'complete',
+            job_id: activeJob.id,
+            tote_scans: scannedTotes,
+            photo: photoFile ? await readPhoto(photoFile) : null,
+            signature: hasSignature ? document.getElementById('driver-signature-pad').toDataURL('image/png') : null,
+            signed_by: form.signed_by.value,
+            notes: form.notes.value
+        });
+
+        await loadDriverJobs();
+        showDriverMessage(data.already_completed ? 'That stop was already completed.' : 'Stop completed.', 'success');
+    } catch (error) {
+        handleDriverError(error);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = (DRIVER_JOB_LABELS[activeJob.type] || {}).action || 'Complete';
+    }
+}
+
+/**
+ * Report the active stop as missed
+ * @param {Event} event - Form submit event
+ */
+async function submitExceptionForm(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    const photoFile = form.photo.files[0];
+
+    button.disabled = true;
+
+    try {
+        await callDriverApi('POST', {
+            action: 'exception',
+            job_id: activeJob.id,
+            reason: form.reason.value,
+            notes: form.notes.value,
+            photo: photoFile ? await readPhoto(photoFile) : null
+        });
+
+        await loadDriverJobs();
+        showDriverMessage('Missed stop reported. The office will rebook it.', 'success');
+    } catch (error) {
+        handleDriverError(error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Sign in with the driver's name and password
+ * @param {Event} event - Form submit event
+ */
+async function signInToDriverPage(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const data = await callDriverApi('POST', {
+            action: 'sign-in',
+            driver: form.driver.value,
+            password: form.password.value
+        });
+        localStorage.setItem(DRIVER_SESSION_KEY, data.session_token);
+        form.reset();
+        showDriverMessage('', '');
+        loadDriverJobs();
+    } catch (error) {
+        showDriverMessage(error.message, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Forget the session and show the sign-in form
+ */
+function signOutDriver() {
+    localStorage.removeItem(DRIVER_SESSION_KEY);
+    driverJobs.clear();
+    activeJob = null;
+    document.getElementById('driver-jobs').innerHTML = '';
+    showDriverPanel('sign-in');
+}
+
+/**
+ * Initialize the driver page
+ */
+function initDriverPage() {
+    const signInForm = document.getElementById('driver-sign-in-form');
+    if (!signInForm) return;
+
+    signInForm.addEventListener('submit', signInToDriverPage);
+    document.getElementById('driver-complete-form').addEventListener('submit', submitCompleteForm);
+    document.getElementById('driver-exception-form').addEventListener('submit', submitExceptionForm);
+    document.getElementById('driver-refresh').addEventListener('click', loadDriverJobs);
+    document.getElementById('driver-sign-out').addEventListener('click', () => {
+        signOutDriver();
+        showDriverMessage('You have been signed out.', 'success');
+    });
+
+    document.getElementById('driver-jobs').addEventListener('click', event => {
+        const completeButton = event.target.closest('.driver-complete');
+        const exceptionButton = event.target.closest('.driver-exception');
+        const onTheWayButton = event.target.closest('.driver-on-the-way');
+        if (completeButton) showCompleteForm(completeButton.getAttribute('data-job-id'));
+        if (exceptionButton) showExceptionForm(exceptionButton.getAttribute('data-job-id'));
+        if (onTheWayButton) notifyOnTheWay(onTheWayButton);
+    });
+    document.querySelectorAll('.driver-back').forEach(button => {
+        button.addEventListener('click', () => {
+            showDriverMessage('', '');
+            showDriverPanel('dashboard');
+        });
+    });
+
+    // Tote scanning
+    const scanInput = document.getElementById('driver-scan-input');
+    document.getElementById('driver-scan-button').addEventListener('click', () => scanInput.click());
+    scanInput.addEventListener('change', () => {
+        if (scanInput.files[0]) scanToteFromPhoto(scanInput.files[0]);
+        scanInput.value = '';
+    });
+    document.getElementById('driver-tote-add').addEventListener('click', () => {
+        const entry = document.getElementById('driver-tote-entry');
+        if (entry.value.trim()) addScannedTote(entry.value.trim());
+        entry.value = '';
+    });
+    document.getElementById('driver-scanned-totes').addEventListener('click', event => {
+        const removeButton = event.target.closest('.driver-remove-tote');
+        if (!removeButton) return;
+        scannedTotes = scannedTotes.filter(toteId => toteId !== removeButton.getAttribute('data-tote-id'));
+        renderScannedTotes();
+    });
+
+    // Photo preview (a data URL: the site's CSP allows data: images, not blob:) and signature
+    document.getElementById('driver-photo').addEventListener('change', async event => {
+        const preview = document.getElementById('driver-photo-preview');
+        const file = event.target.files[0];
+        preview.style.display = file ? 'block' : 'none';
+        if (file) preview.src = await readPhoto(file);
+    });
+    initSignaturePad();
+    document.getElementById('driver-signature-clear').addEventListener('click', clearSignature);
+
+    if (localStorage.getItem(DRIVER_SESSION_KEY)) {
+        loadDriverJobs();
+    } else {
+        showDriverPanel('sign-in');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initDriverPage);
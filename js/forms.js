@@ -2,9 +2,13 @@
  * FORM HANDLING - AWS SES VERSION
  * Updated form functionality to use AWS SES via Netlify Functions instead of EmailJS
  * Consolidated hero and contact form functionality
- * Depends on: pricing.js (for getOrderCost function)
+ * Depends on: pricing.js (for getOrderCost function), address-rules.js (AddressRules)
  * 
- * @version 3.0.0 - Migrated from EmailJS to AWS SES + Netlify Functions
+ * The hero form takes the service address as separate fields and checks it
+ * against the service area (service-area function) before the payment modal
+ * opens. Out-of-area visitors are offered the waitlist instead.
+ * 
+ * @version 3.3.0 - Billing plan on hero orders
  */
 
 // Form utilities
@@ -53,6 +57,25 @@ const FormUtils = {
         }
     },
 
+    /**
+     * Extract the structured address fields (hero form)
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object|null} { street, unit, city, state, zip }, or null if the form has no address fields
+     */
+    extractAddressFields: function(form) {
+        if (!form.querySelector('[name="street"]')) {
+            return null;
+        }
+        const formData = new FormData(form);
+        return {
+            street: formData.get('street') || '',
+            unit: formData.get('unit') || '',
+            city: formData.get('city') || '',
+            state: formData.get('state') || '',
+            zip: formData.get('zip') || ''
+        };
+    },
+
     /**
      * Extract form data into an object
      * @param {HTMLFormElement} form - Form element
@@ -60,17 +83,31 @@ const FormUtils = {
      */
     extractFormData: function(form) {
         const formData = new FormData(form);
+        const addressFields = FormUtils.extractAddressFields(form);
+        const normalized = addressFields ? AddressRules.normalizeAddress(addressFields) : null;
         return {
             name: formData.get('name'),
             email: formData.get('email'), 
             phone: formData.get('phone'),
-            address: formData.get('address') || 'Not provided',
+            address: normalized && normalized.address
+                ? AddressRules.formatAddress(normalized.address)
+                : formData.get('address') || 'Not provided',
+            addressFields: addressFields,
             tote_number: formData.get('tote_number') || 'Not specified',
+            plan: formData.get('plan') || PricingRules.PRICING_CONFIG.defaultPlan,
             message: formData.get('message') || 'No additional details provided'
         };
     }
 };
 
+/**
+ * Campaign source for lead forms (saved by analytics-enhanced.js)
+ * @returns {Object} { utm, landing_page }, or {} if unknown
+ */
+function getLeadSource() {
+    return window.AnalyticsTracker ? window.AnalyticsTracker.getUtmParams() : {};
+}
+
 /**
  * Send contact form via AWS SES Netlify function
  * Replaces EmailJS functionality with AWS SES backend
@@ -89,7 +126,9 @@ async function sendContactFormSES(formData, orderCost = 0) {
         address: formData.address,
         tote_number: formData.tote_number,
         message: formData.message,
-        order_cost: orderCost > 0 ? orderCost.toFixed(2) : 'Not calculated'
+        order_cost: orderCost > 0 ? orderCost.toFixed(2) : 'Not calculated',
+        zip: formData.addressFields ? formData.addressFields.zip : '',
+        ...getLeadSource()
     };
     
     // Send to AWS SES Netlify function
@@ -109,6 +148,37 @@ async function sendContactFormSES(formData, orderCost = 0) {
     return response.json();
 }
 
+/**
+ * Add an out-of-area visitor to the waitlist (lead store)
+ * @param {Object} formData - Form data object
+ * @returns {Promise<Object>} { success, duplicate }
+ */
+async function sendWaitlistSignup(formData) {
+    console.log('📝 Joining the waitlist...');
+    
+    const response = await fetch('/.netlify/functions/waitlist', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            name: formData.name,
+            email: formData.email,
+            phone: formData.phone,
+            zip: formData.addressFields ? formData.addressFields.zip : '',
+            tote_interest: formData.tote_number,
+            ...getLeadSource()
+        })
+    });
+    
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+    
+    return response.json();
+}
+
 /**
  * Send order confirmation email via AWS SES Netlify function
  * Sends professional receipt to customer and internal notification
@@ -135,6 +205,108 @@ async function sendOrderConfirmationSES(orderData) {
     return response.json();
 }
 
+// Last service area answer, so submitting right after the check doesn't ask again
+const serviceAreaCache = { address: null, result: null };
+
+/**
+ * Check whether we deliver to an address
+ * @param {Object} addressFields - { street, unit, city, state, zip }
+ * @returns {Promise<Object|null>} { in_area, formatted_address }, or null if the check is unavailable
+ * @throws {Error} If the server rejects the address
+ */
+async function checkServiceArea(addressFields) {
+    const normalized = AddressRules.normalizeAddress(addressFields);
+    const key = AddressRules.formatAddress(normalized.address);
+    
+    if (serviceAreaCache.address === key) {
+        return serviceAreaCache.result;
+    }
+    
+    try {
+        const response = await fetch('/.netlify/functions/service-area', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(addressFields)
+        });
+        const data = await response.json();
+        
+        if (response.status === 400) {
+            throw new Error(data.error);
+        }
+        if (!response.ok) {
+            // Checkout checks the area again, so don't block the customer here
+            console.warn('⚠️ Service area check unavailable:', data.error);
+            return null;
+        }
+        
+        serviceAreaCache.address = key;
+        serviceAreaCache.result = data;
+        return data;
+        
+    } catch (error) {
+        if (error instanceof TypeError) {
+            console.warn('⚠️ Service area check unavailable:', error.message);
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tell the visitor we don't deliver to them yet and offer the waitlist
+ * @param {HTMLFormElement} form - Order form element
+ * @param {HTMLElement} messageDiv - Message container element
+ * @param {string} [reason] - Message from the server
+ */
+function showWaitlistOffer(form, messageDiv, reason) {
+    const zip = (FormUtils.extractAddressFields(form) || {}).zip || '';
+    const intro = reason || `We don't deliver to ${zip} yet.`;
+    
+    FormUtils.showMessage(
+        messageDiv,
+        `📍 ${intro} Join our waitlist and we'll let you know as soon as we do. ` +
+        '<button type="button" class="btn btn-secondary waitlist-join">Join the Waitlist</button>',
+        'error'
+    );
+    
+    messageDiv.querySelector('.waitlist-join').addEventListener('click', () => joinWaitlist(form, messageDiv));
+    
+    if (window.AnalyticsTracker) {
+        window.AnalyticsTracker.trackFormFieldInteraction('zip', 'outside_service_area');
+    }
+}
+
+/**
+ * Add an out-of-area visitor to the waitlist
+ * @param {HTMLFormElement} form - Order form element
+ * @param {HTMLElement} messageDiv - Message container element
+ */
+async function joinWaitlist(form, messageDiv) {
+    const formData = FormUtils.extractFormData(form);
+    const button = messageDiv.querySelector('.waitlist-join');
+    
+    if (!formData.name || !formData.email || !formData.phone) {
+        FormUtils.showMessage(messageDiv, '❌ Please fill in your name, email and phone so we can reach you.', 'error');
+        return;
+    }
+    
+    if (button) {
+        FormUtils.setButtonLoading(button, true);
+    }
+    
+    try {
+        await sendWaitlistSignup(formData);
+        
+        FormUtils.showMessage(messageDiv, '🎉 You\'re on the waitlist! We\'ll contact you as soon as we deliver to your area.', 'success');
+        form.reset();
+    } catch (error) {
+        console.error('❌ Waitlist signup failed:', error);
+        FormUtils.showMessage(messageDiv, '❌ Sorry, we couldn\'t add you to the waitlist. Please call us at (828) 455-7793.', 'error');
+    }
+}
+
 /**
  * Handle form submission routing
  * Determines whether to process as order (Stripe) or contact (AWS SES)
@@ -161,7 +333,7 @@ function handleFormSubmission(form, messageDiv) {
  * @param {HTMLFormElement} form - Order form element
  * @param {HTMLElement} messageDiv - Message container element
  */
-function handleOrderSubmission(form, messageDiv) {
+async function handleOrderSubmission(form, messageDiv) {
     console.log('🚀 Processing order submission...');
     
     // Validate Stripe integration is available
@@ -176,7 +348,7 @@ function handleOrderSubmission(form, messageDiv) {
     
     if (totalCost <= 0) {
         console.warn('⚠️ Invalid cost calculation:', totalCost);
-        FormUtils.showMessage(messageDiv, '❌ Please enter a valid number of totes (2-10) to calculate cost.', 'error');
+        FormUtils.showMessage(messageDiv, `❌ Please enter a valid number of totes (${PricingRules.PRICING_CONFIG.minTotes}-${PricingRules.PRICING_CONFIG.maxTotes}) to calculate cost.`, 'error');
         return;
     }
     
@@ -187,10 +359,17 @@ function handleOrderSubmission(form, messageDiv) {
     const phoneRegex = /^\d+$/;
     
     if (!formData.name || !formData.email || !formData.phone || 
-        !formData.address || formData.address === 'Not provided' || formData.address.length < 10 ||
         !formData.tote_number || formData.tote_number === 'Not specified') {
         console.warn('⚠️ Missing required fields for order:', formData);
-        FormUtils.showMessage(messageDiv, '❌ Please fill in all required fields. Address must be at least 10 characters.', 'error');
+        FormUtils.showMessage(messageDiv, '❌ Please fill in all required fields.', 'error');
+        return;
+    }
+    
+    // Structured address validation (same rules as the server)
+    const addressCheck = AddressRules.normalizeAddress(formData.addressFields);
+    if (!addressCheck.address) {
+        console.warn('⚠️ Invalid address for order:', addressCheck.errors);
+        FormUtils.showMessage(messageDiv, `❌ ${addressCheck.errors[0]}.`, 'error');
         return;
     }
     
@@ -201,13 +380,27 @@ function handleOrderSubmission(form, messageDiv) {
         return;
     }
     
+    // Only open the payment modal for addresses we deliver to
+    try {
+        const serviceArea = await checkServiceArea(formData.addressFields);
+        if (serviceArea && !serviceArea.in_area) {
+            showWaitlistOffer(form, messageDiv);
+            return;
+        }
+    } catch (error) {
+        FormUtils.showMessage(messageDiv, `❌ ${error.message}.`, 'error');
+        return;
+    }
+    
     // Create order data object for Stripe
     const orderData = {
         name: formData.name,
         email: formData.email,
         phone: formData.phone,
         address: formData.address,
+        addressFields: formData.addressFields,
         toteNumber: parseInt(formData.tote_number),
+        plan: formData.plan,
         totalCost: totalCost
     };
     
@@ -299,7 +492,8 @@ function handleContactSubmission(form, messageDiv) {
  * @param {HTMLElement} messageDiv - Message container element
  */
 function initFormValidation(form, messageDiv) {
-    const addressField = form.querySelector('input[name="address"]');
+    const addressFields = form.querySelectorAll('input[name="street"], input[name="unit"], input[name="city"], input[name="state"], input[name="zip"]');
+    const zipField = form.querySelector('input[name="zip"]');
     const phoneField = form.querySelector('input[name="phone"]');
     
     // Add user interaction tracking to prevent premature validation styling
@@ -315,33 +509,41 @@ function initFormValidation(form, messageDiv) {
         field.addEventListener('focus', markAsInteracted, { once: true });
     });
     
-    // Enhanced address validation
-    if (addressField) {
-        // Add real-time validation for address field
-        addressField.addEventListener('input', function() {
-            const value = this.value.trim();
-            
-            // Clear any existing error messages when user starts typing
-            const errorMessage = messageDiv.querySelector('.form-message.error');
-            if (errorMessage) {
-                FormUtils.clearMessage(messageDiv);
-            }
-            
-            // Show character count feedback
+    // Structured address validation and service area check
+    if (zipField) {
+        zipField.addEventListener('input', function() {
             this.setCustomValidity('');
-            
-            if (value.length > 0 && value.length < 10) {
-                this.setCustomValidity(`Address must be at least 10 characters (${value.length}/10)`);
+            if (this.value.trim().length >= 5 && !AddressRules.normalizeZip(this.value)) {
+                this.setCustomValidity('ZIP code must be 5 digits');
             }
         });
         
-        // Show validation message on blur
-        addressField.addEventListener('blur', function() {
-            const value = this.value.trim();
+        addressFields.forEach(field => {
+            // Clear any existing error messages when user starts typing
+            field.addEventListener('input', () => {
+                const errorMessage = messageDiv.querySelector('.form-message.error');
+                if (errorMessage) {
+                    FormUtils.clearMessage(messageDiv);
+                }
+            });
             
-            if (this.hasAttribute('required') && value.length > 0 && value.length < 10) {
-                FormUtils.showMessage(messageDiv, `⚠️ Address must be at least 10 characters. Current: ${value.length} characters.`, 'error');
-            }
+            // Once the address is complete, check that we deliver there
+            field.addEventListener('change', async () => {
+                const fields = FormUtils.extractAddressFields(form);
+                if (!AddressRules.normalizeAddress(fields).address) {
+                    return;
+                }
+                
+                try {
+                    const serviceArea = await checkServiceArea(fields);
+                    zipField.setCustomValidity('');
+                    if (serviceArea && !serviceArea.in_area) {
+                        showWaitlistOffer(form, messageDiv);
+                    }
+                } catch (error) {
+                    FormUtils.showMessage(messageDiv, `⚠️ ${error.message}.`, 'error');
+                }
+            });
         });
     }
     
@@ -484,6 +686,7 @@ function clearMessage(messageDiv) {
 // Export AWS SES functions for use by Stripe integration
 window.FormUtils = FormUtils;
 window.sendOrderConfirmationSES = sendOrderConfirmationSES;
+window.showWaitlistOffer = showWaitlistOffer;
 
 // Initialize forms on DOM content loaded
 document.addEventListener('DOMContentLoaded', initForms);
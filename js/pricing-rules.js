@@ -0,0 +1,255 @@
+/**
+ * PRICING RULES - SHARED PRICING ENGINE
+ * Single source of truth for every price shown or charged.
+ * Loaded by the browser (js/pricing.js, payment modal) and by the Netlify
+ * functions (via .netlify/functions/lib/pricing.js), so the displayed quote
+ * and the charged amount always come from the same numbers.
+ *
+ * All amounts are integer cents. Bump PRICING_VERSION whenever a rule changes;
+ * the version is stored on every payment intent. js/ is cached as immutable
+ * (netlify.toml), so the pages load this file as pricing-rules.js?v=<version>:
+ * change the ?v= on each page's script tag in the same commit, or browsers
+ * keep quoting the old rules (test/pricing.test.js checks they match).
+ *
+ * Discounts from Stripe coupons, promotion codes and referral codes are looked
+ * up by the server (validate-promo / create-payment-intent / pricing) and passed
+ * in as `discount`; the browser never decides what a code is worth.
+ *
+ * Sales tax depends on the service address and is calculated by the server
+ * (lib/tax.js), then passed in as `tax`. Quotes without it are before tax.
+ *
+ * Storage is billed on a plan: monthly, or prepaid for several months at a
+ * discount (PRICING_CONFIG.plans). The first charge covers the trip fees and
+ * the plan's first billing period.
+ *
+ * @version 1.4.1 - Loaded with a ?v= cache-busting query
+ */
+
+const PricingRules = (function() {
+    const PRICING_VERSION = '2025.2';
+
+    const PRICING_CONFIG = {
+        currency: 'usd',
+        tripFeeCents: 1000,         // $10 per delivery or pickup trip
+        setupTrips: 2,              // Empty-tote delivery + filled-tote pickup
+        changeTrips: 1,             // One delivery or pickup when the tote count changes
+        totePerMonthCents: 1000,    // $10 per tote per month
+        minTotes: 2,
+        maxTotes: 10,
+        // Billing plans: months per billing period and the prepay discount on storage
+        plans: {
+            monthly: { label: 'Monthly', months: 1, percentOff: 0 },
+            semiannual: { label: '6 months prepaid', months: 6, percentOff: 10 },
+            annual: { label: 'Annual prepaid', months: 12, percentOff: 15 }
+        },
+        defaultPlan: 'monthly',
+        // Promo codes: { CODE: { label, percentOff } } or { CODE: { label, amountOffCents } }
+        // Checked before referral and Stripe promotion codes (lib/promotions.js)
+        promos: {}
+    };
+
+    /**
+     * Validate a tote quantity against the min/max rules
+     * @param {number} toteNumber - Requested number of totes
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateToteQuantity(toteNumber) {
+        if (!Number.isInteger(toteNumber) || toteNumber < PRICING_CONFIG.minTotes || toteNumber > PRICING_CONFIG.maxTotes) {
+            return `Tote quantity must be between ${PRICING_CONFIG.minTotes} and ${PRICING_CONFIG.maxTotes}`;
+        }
+        return null;
+    }
+
+    /**
+     * Calculate the monthly storage charge
+     * @param {number} toteNumber - Number of totes stored
+     * @returns {number} Monthly amount in cents
+     */
+    function calculateMonthlyCents(toteNumber) {
+        return toteNumber * PRICING_CONFIG.totePerMonthCents;
+    }
+
+    /**
+     * Look up a billing plan
+     * @param {string} [planId] - Plan ID (PRICING_CONFIG.plans); defaults to the monthly plan
+     * @returns {Object} Plan with its ID: { id, label, months, percentOff }
+     * @throws {Error} If the plan doesn't exist
+     */
+    function getPlan(planId) {
+        const id = planId || PRICING_CONFIG.defaultPlan;
+        const plan = PRICING_CONFIG.plans[id];
+        if (!plan) {
+            throw new Error('Invalid plan');
+        }
+        return Object.assign({ id: id }, plan);
+    }
+
+    /**
+     * Calculate the storage charge for one billing period of a plan
+     * @param {number} toteNumber - Number of totes stored
+     * @param {string} [planId] - Plan ID
+     * @returns {number} Amount per billing period in cents
+     */
+    function calculatePeriodCents(toteNumber, planId) {
+        const plan = getPlan(planId);
+        const totePerPeriodCents = Math.round(PRICING_CONFIG.totePerMonthCents * plan.months * (100 - plan.percentOff) / 100);
+        return toteNumber * totePerPeriodCents;
+    }
+
+    /**
+     * Look up a promo code
+     * @param {string} promoCode - Code entered by the customer
+     * @returns {Object|null} Promo definition with its normalized code
+     */
+    function findPromo(promoCode) {
+        if (!promoCode) return null;
+        const code = String(promoCode).trim().toUpperCase();
+        const promo = PRICING_CONFIG.promos[code];
+        return promo ? Object.assign({ code: code }, promo) : null;
+    }
+
+    /**
+     * Calculate a full quote for a first order
+     * @param {Object} options
+     * @param {number} options.toteNumber - Number of totes
+     * @param {string} [options.plan] - Billing plan ID (defaults to monthly)
+     * @param {string} [options.promoCode] - Optional promo code (PRICING_CONFIG.promos)
+     * @param {Object} [options.discount] - Discount resolved by the server instead of a promo code:
+     *   { code, label, percentOff | amountOffCents, appliesToSetup }
+     * @param {Object} [options.tax] - Sales tax on the setup charge from the server tax module:
+     *   { taxCents, rate, label }
+     * @returns {Object} Quote with all line items in cents
+     * @throws {Error} If the tote quantity or promo code is invalid
+     */
+    function calculateQuote(options) {
+        const toteNumber = parseInt(options && options.toteNumber);
+        const quantityError = validateToteQuantity(toteNumber);
+        if (quantityError) {
+            throw new Error(quantityError);
+        }
+
+        const plan = getPlan(options.plan);
+        const tripFeesCents = PRICING_CONFIG.tripFeeCents * PRICING_CONFIG.setupTrips;
+        const periodCents = calculatePeriodCents(toteNumber, plan.id);
+        const subtotalCents = tripFeesCents + periodCents;
+
+        let promo = null;
+        let discountCents = 0;
+        if (options.discount) {
+            promo = options.discount;
+        } else if (options.promoCode) {
+            promo = findPromo(options.promoCode);
+            if (!promo) {
+                throw new Error('Invalid promo code');
+            }
+        }
+        // Subscription-only discounts are shown but take nothing off the setup charge
+        if (promo && promo.appliesToSetup !== false) {
+            discountCents = promo.percentOff
+                ? Math.round(subtotalCents * promo.percentOff / 100)
+                : (promo.amountOffCents || 0);
+            discountCents = Math.min(discountCents, subtotalCents);
+        }
+
+        const taxableCents = subtotalCents - discountCents;
+        const tax = options.tax || null;
+        const taxCents = tax ? tax.taxCents : 0;
+
+        return {
+            version: PRICING_VERSION,
+            currency: PRICING_CONFIG.currency,
+            toteNumber: toteNumber,
+            tripFeeCents: PRICING_CONFIG.tripFeeCents,
+            tripCount: PRICING_CONFIG.setupTrips,
+            tripFeesCents: tripFeesCents,
+            totePerMonthCents: PRICING_CONFIG.totePerMonthCents,
+            plan: plan.id,
+            planLabel: plan.label,
+            billingMonths: plan.months,
+            periodCents: periodCents,
+            firstPeriodCents: periodCents,
+            // Per month on this plan (the prepay discount included)
+            monthlyCents: Math.round(periodCents / plan.months),
+            subtotalCents: subtotalCents,
+            promoCode: promo ? promo.code : null,
+            promoLabel: promo ? promo.label : null,
+            discountCents: discountCents,
+            totalBeforeTaxCents: taxableCents,
+            taxRate: tax ? tax.rate : 0,
+            taxLabel: tax ? tax.label : null,
+            taxCents: taxCents,
+            setupTotalCents: taxableCents + taxCents
+        };
+    }
+
+    /**
+     * Calculate a quote for changing the tote count on an existing subscription
+     * The storage difference is prorated by Stripe (by lib/subscriptions.js during the
+     * prepaid first period); only the trip fee is fixed.
+     * @param {Object} options
+     * @param {number} options.currentTotes - Totes currently on the subscription
+     * @param {number} options.newTotes - Requested number of totes
+     * @param {string} [options.plan] - The subscription's billing plan ID
+     * @returns {Object} Change quote in cents
+     * @throws {Error} If the new quantity is invalid or unchanged
+     */
+    function calculateToteChangeQuote(options) {
+        const currentTotes = parseInt(options && options.currentTotes);
+        const newTotes = parseInt(options && options.newTotes);
+        const plan = getPlan(options && options.plan);
+        const quantityError = validateToteQuantity(newTotes);
+        if (quantityError) {
+            throw new Error(quantityError);
+        }
+        if (newTotes === currentTotes) {
+            throw new Error('New tote quantity must be different from the current quantity');
+        }
+
+        return {
+            version: PRICING_VERSION,
+            currency: PRICING_CONFIG.currency,
+            currentTotes: currentTotes,
+            newTotes: newTotes,
+            toteDelta: newTotes - (currentTotes || 0),
+            plan: plan.id,
+            billingMonths: plan.months,
+            currentPeriodCents: calculatePeriodCents(currentTotes || 0, plan.id),
+            newPeriodCents: calculatePeriodCents(newTotes, plan.id),
+            currentMonthlyCents: Math.round(calculatePeriodCents(currentTotes || 0, plan.id) / plan.months),
+            newMonthlyCents: Math.round(calculatePeriodCents(newTotes, plan.id) / plan.months),
+            tripFeeCents: PRICING_CONFIG.tripFeeCents,
+            tripCount: PRICING_CONFIG.changeTrips,
+            tripFeesCents: PRICING_CONFIG.tripFeeCents * PRICING_CONFIG.changeTrips
+        };
+    }
+
+    /**
+     * Format cents as a dollar string ("$40" or "$40.50")
+     * @param {number} cents - Amount in cents
+     * @returns {string} Formatted amount
+     */
+    function formatCents(cents) {
+        const dollars = cents / 100;
+        return '$' + (Number.isInteger(dollars) ? dollars.toString() : dollars.toFixed(2));
+    }
+
+    return {
+        PRICING_VERSION: PRICING_VERSION,
+        PRICING_CONFIG: PRICING_CONFIG,
+        validateToteQuantity: validateToteQuantity,
+        calculateMonthlyCents: calculateMonthlyCents,
+        getPlan: getPlan,
+        calculatePeriodCents: calculatePeriodCents,
+        findPromo: findPromo,
+        calculateQuote: calculateQuote,
+        calculateToteChangeQuote: calculateToteChangeQuote,
+        formatCents: formatCents
+    };
+})();
+
+// Browser: expose globally. Node (Netlify functions): export as a module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingRules;
+} else {
+    window.PricingRules = PricingRules;
+}
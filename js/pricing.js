@@ -1,36 +1,75 @@
 /**
  * PRICING CALCULATOR
  * Calculates and displays order costs for tote storage service
- * Formula: $20 trip fee + ($10 × number of totes) for first order
+ * All numbers come from the shared pricing engine (pricing-rules.js),
+ * the same rules the Netlify functions use to charge the order
  * 
- * @version 2.0.0 - Removed unused Node.js exports, browser-optimized
+ * A form may have a billing plan select (name="plan"); prepaid plans put
+ * the whole first period in the setup cost
+ * 
+ * Depends on: pricing-rules.js
+ * 
+ * @version 3.1.0 - Prepaid billing plans
  */
 
 /**
  * Calculate the setup cost for the first order
  * @param {number} numTotes - Number of totes being ordered
- * @returns {number} Total setup cost
+ * @param {string} [planId] - Billing plan ID (defaults to monthly)
+ * @returns {number} Total setup cost in dollars
  */
-function calculateSetupCost(numTotes) {
-    const TRIP_FEE = 20;
-    const COST_PER_TOTE = 10;
-    
-    if (!numTotes || numTotes < 2 || numTotes > 10) {
+function calculateSetupCost(numTotes, planId) {
+    if (PricingRules.validateToteQuantity(numTotes)) {
         return 0; // Don't show cost for invalid input
     }
     
-    return TRIP_FEE + (COST_PER_TOTE * numTotes);
+    return PricingRules.calculateQuote({ toteNumber: numTotes, plan: planId }).setupTotalCents / 100;
 }
 
 /**
  * Format the setup cost display message
  * @param {number} totalCost - Total calculated cost
  * @param {number} numTotes - Number of totes
+ * @param {string} [planId] - Billing plan ID (defaults to monthly)
  * @returns {string} Formatted cost message
  */
-function formatCostMessage(totalCost, numTotes) {
-    const monthlyFee = numTotes * 10;
-    return `Setup Cost: $${totalCost} ($20 trip fee + $${monthlyFee} first monthly fee)`;
+function formatCostMessage(totalCost, numTotes, planId) {
+    const quote = PricingRules.calculateQuote({ toteNumber: numTotes, plan: planId });
+    const firstPeriod = quote.billingMonths > 1
+        ? `first ${quote.billingMonths} months prepaid`
+        : 'first monthly fee';
+    return `Setup Cost: $${totalCost} (${PricingRules.formatCents(quote.tripFeesCents)} trip fees + ${PricingRules.formatCents(quote.firstPeriodCents)} ${firstPeriod})`;
+}
+
+/**
+ * Get the billing plan chosen in a tote input's form
+ * @param {HTMLElement} toteInput - The tote number input element
+ * @returns {string|undefined} Plan ID, or undefined when the form has no plan select
+ */
+function getSelectedPlan(toteInput) {
+    const planSelect = toteInput.form ? toteInput.form.querySelector('[name="plan"]') : null;
+    return planSelect && planSelect.value ? planSelect.value : undefined;
+}
+
+/**
+ * Fill static pricing text from the shared pricing engine
+ * Elements opt in with a data-pricing attribute:
+ * "trip-fee", "tote-monthly" or "min-totes"
+ */
+function renderPricingText() {
+    const config = PricingRules.PRICING_CONFIG;
+    const values = {
+        'trip-fee': PricingRules.formatCents(config.tripFeeCents),
+        'tote-monthly': PricingRules.formatCents(config.totePerMonthCents),
+        'min-totes': String(config.minTotes)
+    };
+    
+    document.querySelectorAll('[data-pricing]').forEach(element => {
+        const value = values[element.getAttribute('data-pricing')];
+        if (value) {
+            element.textContent = value;
+        }
+    });
 }
 
 /**
@@ -40,27 +79,29 @@ function formatCostMessage(totalCost, numTotes) {
  */
 function updatePricingDisplay(toteInput, costDisplay) {
     const numTotes = parseInt(toteInput.value) || 0;
+    const config = PricingRules.PRICING_CONFIG;
     
-    // Check if user entered 0 or 1 totes
-    if (numTotes === 1 || (numTotes === 0 && toteInput.value !== '')) {
-        costDisplay.innerHTML = 'Minimum of two totes';
+    // Check if user entered fewer than the minimum totes
+    if ((numTotes > 0 && numTotes < config.minTotes) || (numTotes === 0 && toteInput.value !== '')) {
+        costDisplay.innerHTML = `Minimum of ${config.minTotes} totes`;
         costDisplay.style.display = 'block';
         costDisplay.setAttribute('data-cost', '0');
         return;
     }
     
-    // Check if user entered more than 10 totes
-    if (numTotes > 10) {
-        costDisplay.innerHTML = 'Maximum of ten totes';
+    // Check if user entered more than the maximum totes
+    if (numTotes > config.maxTotes) {
+        costDisplay.innerHTML = `Maximum of ${config.maxTotes} totes`;
         costDisplay.style.display = 'block';
         costDisplay.setAttribute('data-cost', '0');
         return;
     }
     
-    const setupCost = calculateSetupCost(numTotes);
+    const planId = getSelectedPlan(toteInput);
+    const setupCost = calculateSetupCost(numTotes, planId);
     
     if (setupCost > 0) {
-        const message = formatCostMessage(setupCost, numTotes);
+        const message = formatCostMessage(setupCost, numTotes, planId);
         costDisplay.innerHTML = message;
         costDisplay.style.display = 'block';
         
@@ -127,6 +168,14 @@ function initPricingForForm(toteInputSelector) {
         });
     });
     
+    // A different plan changes the first payment
+    const planSelect = toteInput.form ? toteInput.form.querySelector('[name="plan"]') : null;
+    if (planSelect) {
+        planSelect.addEventListener('change', function() {
+            updatePricingDisplay(toteInput, costDisplay);
+        });
+    }
+    
     // Initial calculation if there's already a value
     if (toteInput.value) {
         updatePricingDisplay(toteInput, costDisplay);
@@ -143,7 +192,7 @@ function initPricingForForm(toteInputSelector) {
 function getOrderCost(form) {
     const costDisplay = form.querySelector('.cost-display');
     if (costDisplay) {
-        return parseInt(costDisplay.getAttribute('data-cost')) || 0;
+        return parseFloat(costDisplay.getAttribute('data-cost')) || 0;
     }
     return 0;
 }
@@ -152,6 +201,9 @@ function getOrderCost(form) {
  * Initialize pricing calculators for all forms on the page
  */
 function initPricingCalculators() {
+    // Keep static pricing copy in sync with the pricing engine
+    renderPricingText();
+    
     // Initialize for hero form (index page)
     initPricingForForm('#hero-tote_number');
     
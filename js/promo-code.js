@@ -0,0 +1,240 @@
+/**
+ * PROMO CODE ENTRY
+ *
+ * Promo and referral code field in the payment modal's order summary.
+ * The code is checked by the validate-promo function, which returns the
+ * discount and the discounted quote; the order data then carries
+ * `promoCode` and `discount` so the summary and the payment intent use
+ * the discounted price. The server looks the code up again when the
+ * payment intent is created.
+ *
+ * Codes in a ?ref= or ?promo= link are remembered for the session and
+ * applied when the modal opens.
+ *
+ * Dependencies: stripe-modal.js (repriceOrder, startPaymentForm)
+ *
+ * @author Stripe Integration Team
+ * @version 1.1.0 - Codes checked against the chosen billing plan
+ */
+
+const PROMO_CODE_STORAGE_KEY = 'icts_promo_code';
+
+// Order shown in the payment modal
+let promoOrderData = null;
+
+/**
+ * Remember a code from a ?ref= or ?promo= link for this session
+ */
+function capturePromoCodeFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const code = (params.get('ref') || params.get('promo') || '').trim();
+    if (!code) {
+        return;
+    }
+
+    try {
+        sessionStorage.setItem(PROMO_CODE_STORAGE_KEY, code);
+        console.log('🏷️ Promo code from link:', code);
+    } catch (error) {
+        console.warn('⚠️ Could not store promo code:', error);
+    }
+}
+
+/**
+ * Code remembered from a link, if any
+ * @returns {string|null} Code
+ */
+function getStoredPromoCode() {
+    try {
+        return sessionStorage.getItem(PROMO_CODE_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Show or clear the message under the promo code field
+ * @param {string} [message] - Message text (empty clears it)
+ * @param {string} [type] - 'success' or 'error'
+ */
+function showPromoCodeMessage(message, type) {
+    const messageElement = document.getElementById('promo-code-message');
+    if (!messageElement) {
+        return;
+    }
+
+    messageElement.className = `promo-code-message${type ? ` ${type}` : ''}`;
+    messageElement.textContent = message || '';
+    messageElement.style.display = message ? 'block' : 'none';
+
+    if (type === 'success') {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'promo-code-remove';
+        removeButton.textContent = 'Remove';
+        removeButton.onclick = removePromoCode;
+        messageElement.appendChild(document.createTextNode(' '));
+        messageElement.appendChild(removeButton);
+    }
+}
+
+/**
+ * Set up the promo code field for the order in the modal
+ * @param {Object} orderData - Customer order information
+ */
+function preparePromoCodeEntry(orderData) {
+    const input = document.getElementById('promo-code-input');
+    promoOrderData = orderData;
+    if (!input) {
+        return;
+    }
+
+    if (orderData.discount) {
+        input.value = orderData.promoCode;
+        showPromoCodeMessage(orderData.discount.label, 'success');
+        return;
+    }
+
+    showPromoCodeMessage('');
+    const storedCode = getStoredPromoCode();
+    input.value = storedCode || '';
+    if (storedCode) {
+        applyPromoCode();
+    }
+}
+
+/**
+ * Price the order with (or without) a discount and reload the payment form
+ * @param {Object} orderData - Customer order information
+ * @param {Object|null} discount - Discount from validate-promo, or null to remove it
+ * @param {boolean} [reloadPayment=true] - Whether to load a payment form for the new price
+ */
+async function setOrderDiscount(orderData, discount, reloadPayment = true) {
+    if (discount) {
+        orderData.promoCode = discount.code;
+        orderData.discount = discount;
+    } else {
+        delete orderData.promoCode;
+        delete orderData.discount;
+    }
+
+    return repriceOrder(orderData, reloadPayment);
+}
+
+/**
+ * Check the entered code and apply it to the order
+ */
+async function applyPromoCode() {
+    const input = document.getElementById('promo-code-input');
+    const applyButton = document.getElementById('promo-code-apply');
+    const orderData = promoOrderData;
+    if (!input || !orderData) {
+        return;
+    }
+
+    const code = input.value.trim();
+    if (!code) {
+        showPromoCodeMessage('Please enter a code.', 'error');
+        return;
+    }
+    if (orderData.discount && orderData.promoCode.toUpperCase() === code.toUpperCase()) {
+        return;
+    }
+
+    if (applyButton) {
+        applyButton.disabled = true;
+    }
+    showPromoCodeMessage('Checking code...');
+
+    try {
+        const response = await fetch('/.netlify/functions/validate-promo', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                code: code,
+                tote_quantity: orderData.toteNumber,
+                plan: orderData.plan,
+                email: orderData.email
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok || data.error) {
+            if (data.code === 'INVALID_PROMO_CODE') {
+                // "Invalid promo code - it has expired" -> "Sorry, it has expired."
+                const reason = (data.error || '').split(' - ')[1];
+                throw new Error(reason ? `Sorry, ${reason}.` : 'That code isn\'t valid.');
+            }
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+
+        console.log('🏷️ Promo code applied:', data.discount);
+        showPromoCodeMessage(data.discount.label, 'success');
+        await setOrderDiscount(orderData, data.discount);
+
+    } catch (error) {
+        console.error('❌ Promo code not applied:', error);
+        showPromoCodeMessage(error.message, 'error');
+    } finally {
+        if (applyButton) {
+            applyButton.disabled = false;
+        }
+    }
+}
+
+/**
+ * Take the applied code off the order
+ */
+function removePromoCode() {
+    const input = document.getElementById('promo-code-input');
+    if (!promoOrderData) {
+        return;
+    }
+
+    try {
+        sessionStorage.removeItem(PROMO_CODE_STORAGE_KEY);
+    } catch (error) {
+        // Nothing stored
+    }
+
+    if (input) {
+        input.value = '';
+    }
+    showPromoCodeMessage('');
+    setOrderDiscount(promoOrderData, null);
+}
+
+/**
+ * Drop a code the server turned down while creating the payment intent
+ * Called by stripe-modal.js; loads the payment form again at the full price.
+ * @param {Object} orderData - Customer order information
+ * @param {string} message - Server error message
+ */
+function rejectPromoCode(orderData, message) {
+    const reason = (message || '').split(' - ')[1];
+
+    try {
+        sessionStorage.removeItem(PROMO_CODE_STORAGE_KEY);
+    } catch (error) {
+        // Nothing stored
+    }
+
+    setOrderDiscount(orderData, null, false);
+    showPromoCodeMessage(
+        `Your code was removed${reason ? ` (${reason})` : ''}. Please check the new total.`,
+        'error'
+    );
+
+    // Starts once the failed payment form load has finished
+    setTimeout(() => startPaymentForm(orderData), 0);
+}
+
+document.addEventListener('DOMContentLoaded', capturePromoCodeFromUrl);
+
+// Export functions to global scope for use by other modules
+window.preparePromoCodeEntry = preparePromoCodeEntry;
+window.applyPromoCode = applyPromoCode;
+window.removePromoCode = removePromoCode;
+window.rejectPromoCode = rejectPromoCode;
@@ -2,12 +2,15 @@
  * STRIPE PAYMENT HANDLERS
  * 
  * This module handles real payment processing using Stripe payment intents,
- * subscription creation, success/failure states, and email notifications.
+ * subscription creation and success/failure states. Order fulfillment
+ * (subscription + confirmation emails) runs on the server, triggered both
+ * from here and from the Stripe webhook, so it completes even if this
+ * page is closed.
  * 
- * Dependencies: stripe-payment.js, stripe-modal.js, AWS SES via Netlify Functions
+ * Dependencies: stripe-payment.js, stripe-modal.js
  * 
  * @author Stripe Integration Team
- * @version 4.0.0 - Updated to use AWS SES instead of EmailJS
+ * @version 5.3.0 - First invoice date from the shared billing schedule
  */
 
 /**
@@ -71,7 +74,8 @@ async function handlePaymentSubmission() {
         const result = await stripe.confirmPayment({
             elements: window.currentElements,
             confirmParams: {
-                return_url: window.location.href, // Return to same page after payment
+                // Return to same page after payment; handlePaymentRedirectReturn picks it up
+                return_url: window.location.origin + window.location.pathname,
             },
             redirect: 'if_required' // Only redirect if 3D Secure is needed
         });
@@ -124,8 +128,11 @@ async function handlePaymentSubmission() {
 /**
  * Create subscription after successful payment
  * 
- * Creates a monthly subscription for the customer using the saved payment method.
- * The subscription starts 30 days after the initial payment.
+ * Asks the server to fulfill the order: it creates the monthly subscription
+ * with the saved payment method and sends the confirmation emails.
+ * Customer, tote quantity and amounts are read from the payment intent
+ * on the server. The subscription's first invoice is on the billing schedule's
+ * first invoice date (billing-schedule.js), shown in the order summary.
  * 
  * @param {Object} paymentIntent - Successful Stripe payment intent object
  */
@@ -139,9 +146,6 @@ async function createSubscriptionAfterPayment(paymentIntent) {
             throw new Error('Order data not found');
         }
         
-        // Calculate monthly amount (same as initial payment formula minus setup fee)
-        const monthlyAmount = window.currentOrderData.toteNumber * 10; // Only $10 per tote, no $20 setup fee
-        
         console.log('📡 Calling subscription creation function...');
         
         // Call Netlify function to create subscription
@@ -151,10 +155,7 @@ async function createSubscriptionAfterPayment(paymentIntent) {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                payment_intent_id: paymentIntent.id,
-                customer_id: window.currentCustomerId, // Use stored customer ID
-                monthly_amount: monthlyAmount,
-                tote_quantity: window.currentOrderData.toteNumber
+                payment_intent_id: paymentIntent.id
             })
         });
         
@@ -196,8 +197,9 @@ async function createSubscriptionAfterPayment(paymentIntent) {
 /**
  * Handle successful payment completion
  * 
- * Coordinates post-payment actions including sending email notifications
- * to both customer and business via AWS SES, then displays success confirmation.
+ * Records the purchase in analytics and displays the success confirmation.
+ * Receipt and internal notification emails are sent by the server during
+ * order fulfillment, so nothing here depends on the page staying open.
  * 
  * @param {Object} paymentIntent - Real Stripe payment intent object
  * @param {string} paymentIntent.id - Unique payment identifier
@@ -212,81 +214,91 @@ async function handlePaymentSuccess(paymentIntent) {
         window.AnalyticsTracker.trackPaymentSuccess(window.currentOrderData, paymentIntent.id);
     }
     
-    try {
-        // Send order confirmation emails via AWS SES
-        await sendOrderConfirmationEmails(paymentIntent);
-        
-        // Show success message regardless of email status
-        // Payment succeeded, so user should see success even if emails fail
-        showPaymentSuccess();
-        
-        console.log('✅ Payment success handling completed');
-        
-    } catch (error) {
-        console.error('⚠️ Error in payment success handling:', error);
-        // Still show success since payment went through
-        showPaymentSuccess();
-    }
+    // The order is paid; the next order gets a fresh token
+    clearOrderToken();
+    
+    showPaymentSuccess();
+    
+    console.log('✅ Payment success handling completed');
 }
 
 /**
- * Send order confirmation emails via AWS SES
+ * Resume an order after a 3D Secure redirect
  * 
- * Uses AWS SES Netlify function to send professional receipt to customer
- * and internal notification to business with order details and subscription info.
+ * When a bank forces a redirect, the page reloads with `payment_intent` and
+ * `payment_intent_client_secret` query params and all in-page order state is
+ * gone. This asks the server to rebuild the order from the payment intent,
+ * finish fulfillment if the payment succeeded, and then shows the success
+ * or failure state in the payment modal.
  * 
- * @param {Object} paymentIntent - Real Stripe payment intent object
+ * @returns {Promise<boolean>} True if this page load was a payment return
  */
-async function sendOrderConfirmationEmails(paymentIntent) {
-    if (!window.currentOrderData) {
-        console.error('❌ No order data available for order confirmation');
-        return;
+async function handlePaymentRedirectReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const paymentIntentId = params.get('payment_intent');
+    const clientSecret = params.get('payment_intent_client_secret');
+    
+    if (!paymentIntentId || !clientSecret) {
+        return false;
     }
     
-    console.log('📧 Sending order confirmation emails via AWS SES...');
+    console.log('↩️ Returned from payment redirect:', paymentIntentId);
     
-    // Format subscription information
-    let subscriptionId = 'Pending setup';
-    if (window.currentSubscriptionData?.subscription_id) {
-        subscriptionId = window.currentSubscriptionData.subscription_id;
-    } else if (window.subscriptionCreationFailed) {
-        subscriptionId = 'Setup failed - will be resolved manually';
-    }
+    // Remove Stripe params so a refresh doesn't process the return again
+    ['payment_intent', 'payment_intent_client_secret', 'redirect_status'].forEach(key => params.delete(key));
+    const query = params.toString();
+    window.history.replaceState({}, document.title, window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
     
-    // Prepare order confirmation data for AWS SES function
-    const orderConfirmationData = {
-        customer_name: window.currentOrderData.name,
-        to_email: window.currentOrderData.email,
-        order_id: paymentIntent.id, // Real Stripe payment intent ID
-        subscription_id: subscriptionId,
-        amount_paid: (paymentIntent.amount / 100).toFixed(2), // Convert cents to dollars
-        tote_quantity: window.currentOrderData.toteNumber,
-        customer_address: window.currentOrderData.address,
-        customer_phone: window.currentOrderData.phone,
-        payment_date: new Date().toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        })
-    };
+    showPaymentProcessingState('Confirming your payment...');
     
     try {
-        // Use AWS SES function for order confirmation (defined in forms.js)
-        if (typeof window.sendOrderConfirmationSES === 'function') {
-            const result = await window.sendOrderConfirmationSES(orderConfirmationData);
-            console.log('✅ Order confirmation emails sent successfully via AWS SES:', result);
+        const response = await fetch('/.netlify/functions/payment-return', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                payment_intent_id: paymentIntentId,
+                client_secret: clientSecret
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok || (data.error && !data.status)) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        
+        // Restore the order state lost during the redirect
+        window.currentOrderData = data.order;
+        
+        if (data.status === 'succeeded') {
+            if (data.subscription) {
+                window.currentSubscriptionData = data.subscription;
+            } else if (data.subscription_error) {
+                window.subscriptionCreationFailed = true;
+                window.subscriptionError = data.subscription_error;
+            }
+            
+            await handlePaymentSuccess({ id: data.payment_intent_id, amount: data.amount, status: data.status });
+            
+        } else if (data.status === 'processing') {
+            showPaymentProcessingState('Your payment is still processing. We\'ll email your receipt as soon as your bank confirms it.');
+            
         } else {
-            console.error('❌ AWS SES order confirmation function not available');
-            throw new Error('Email system not properly initialized');
+            console.warn('⚠️ Returned payment not completed:', data.status);
+            showPaymentFailure(data.error || 'Your bank did not authorize this payment. No charge was made.', data.order);
         }
         
     } catch (error) {
-        console.error('⚠️ Failed to send order confirmation emails via AWS SES:', error);
-        // Don't throw - payment was successful regardless of email status
-        // We could potentially fall back to a different notification method here
+        console.error('❌ Error resuming payment after redirect:', error);
+        showPaymentFailure('We couldn\'t confirm your payment status. Please check your email for a receipt or call us at (855) 858-6837 before trying again.', null);
     }
+    
+    return true;
 }
 
 // Export functions to global scope for use by other modules
 window.handlePaymentSubmission = handlePaymentSubmission;
-window.handlePaymentSuccess = handlePaymentSuccess;
\ No newline at end of file
+window.handlePaymentSuccess = handlePaymentSuccess;
+window.handlePaymentRedirectReturn = handlePaymentRedirectReturn;
\ No newline at end of file
@@ -1,15 +1,13 @@
 /**
  * Calculate the next payment date in short format (for order summary)
- * @returns {string} Short formatted date string (e.g., "Oct. 20")
+ * The first invoice date of an order placed now, from the shared billing
+ * schedule - the same date the subscription and the receipt use.
+ * @param {number} [billingMonths=1] - Months per billing period
+ * @returns {string} Short formatted date string (e.g., "Oct 20", or "Oct 20, 2026" for prepaid plans)
  */
-function getNextPaymentDateShort() {
-    const nextPaymentDate = new Date();
-    nextPaymentDate.setDate(nextPaymentDate.getDate() + 30);
-    
-    return nextPaymentDate.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric'
-    });
+function getNextPaymentDateShort(billingMonths = 1) {
+    const firstInvoiceDate = BillingSchedule.getFirstInvoiceDate(new Date(), { billingMonths });
+    return BillingSchedule.formatBillingDate(firstInvoiceDate, billingMonths > 1 ? 'medium' : 'short');
 }
 
 /**
@@ -19,10 +17,11 @@ function getNextPaymentDateShort() {
  * and Stripe Elements initialization. It creates a professional payment
  * interface using real Stripe payment intents via Netlify functions.
  * 
- * Dependencies: stripe-payment.js, stripe-handlers.js
+ * Dependencies: stripe-payment.js, stripe-handlers.js, pricing-rules.js,
+ * billing-schedule.js, delivery-schedule.js, promo-code.js
  * 
  * @author Stripe Integration Team
- * @version 2.1.0 - Simplified monthly subscription details to single line
+ * @version 2.12.0 - Success screen points to the account page
  */
 
 /**
@@ -49,39 +48,136 @@ function hidePaymentError() {
     }
 }
 
+const ORDER_TOKEN_STORAGE_KEY = 'icts_order_token';
+
 /**
- * Show the payment modal with customer order details
+ * Get the order token for an order
  * 
- * Displays order summary and initializes Stripe Elements for payment processing.
- * Now uses real payment intents for actual payment processing.
+ * The server derives Stripe idempotency keys from this token. The same order
+ * details keep the same token for the whole browser session, so double clicks,
+ * retries and reopening the modal all resolve to the same customer and payment
+ * intent. Changing any detail starts a new order with a new token.
  * 
  * @param {Object} orderData - Customer order information
- * @param {string} orderData.name - Customer name
- * @param {string} orderData.email - Customer email
- * @param {string} orderData.phone - Customer phone
- * @param {string} orderData.address - Customer address
- * @param {number} orderData.toteNumber - Number of totes ordered
- * @param {number} orderData.totalCost - Total cost in dollars
+ * @returns {string} Order token
  */
-async function showPaymentModal(orderData) {
-    console.log('💳 Opening payment modal for order:', orderData);
+function getOrderToken(orderData) {
+    const fingerprint = [
+        orderData.name,
+        orderData.email,
+        orderData.phone,
+        orderData.address,
+        orderData.toteNumber,
+        orderData.plan || '',
+        orderData.promoCode || '',
+        orderData.deliveryWindow ? orderData.deliveryWindow.id : '',
+        Math.round(orderData.totalCost * 100)
+    ].join('|');
     
-    // Track payment initiation in analytics
-    if (window.AnalyticsTracker) {
-        window.AnalyticsTracker.trackPaymentStart(orderData);
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(ORDER_TOKEN_STORAGE_KEY));
+        if (stored && stored.fingerprint === fingerprint) {
+            return stored.token;
+        }
+    } catch (error) {
+        // Unreadable entry - replace it below
     }
     
-    // Get modal elements
-    const modal = document.getElementById('payment-modal');
+    const token = (window.crypto && window.crypto.randomUUID)
+        ? window.crypto.randomUUID()
+        : Date.now().toString(36) + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+    
+    try {
+        sessionStorage.setItem(ORDER_TOKEN_STORAGE_KEY, JSON.stringify({ token, fingerprint }));
+    } catch (error) {
+        console.warn('⚠️ Could not store order token:', error);
+    }
+    
+    return token;
+}
+
+/**
+ * Forget the current order token (after the order is paid)
+ */
+function clearOrderToken() {
+    try {
+        sessionStorage.removeItem(ORDER_TOKEN_STORAGE_KEY);
+    } catch (error) {
+        // Storage unavailable - nothing to clear
+    }
+}
+
+// Payment form currently being created (guards against double clicks)
+let paymentFormInitialization = null;
+
+// Original modal body markup, captured before any status screen replaces it
+let paymentModalBodyTemplate = null;
+
+// Order shown in the payment modal
+let paymentModalOrderData = null;
+
+/**
+ * Restore the original payment modal body (order summary + payment form)
+ * Success, processing and failure screens overwrite it in place.
+ */
+function restorePaymentModalBody() {
+    const modalBody = document.querySelector('.payment-modal-body');
+    if (modalBody && paymentModalBodyTemplate && !document.getElementById('order-details')) {
+        modalBody.innerHTML = paymentModalBodyTemplate;
+        
+        // Restored markup has no listeners yet
+        const submitBtn = document.getElementById('payment-submit');
+        if (submitBtn) {
+            submitBtn.onclick = handlePaymentSubmission; // Function from stripe-handlers.js
+        }
+    }
+}
+
+/**
+ * Render the order summary and total for an order
+ * Called again when a promo code is applied or removed, and with the
+ * server's quote once the payment intent exists (sales tax depends on the
+ * address, so only the server quote has it).
+ * @param {Object} orderData - Customer order information
+ * @param {Object} [serverQuote] - Quote returned by create-payment-intent
+ * @returns {boolean} False if the summary elements are missing
+ */
+function renderOrderSummary(orderData, serverQuote) {
     const orderDetails = document.getElementById('order-details');
     const totalAmount = document.getElementById('total-amount');
     
-    // Validate required DOM elements exist
-    if (!modal || !orderDetails || !totalAmount) {
-        console.error('❌ Payment modal elements not found in DOM');
-        return;
+    if (!orderDetails || !totalAmount) {
+        return false;
     }
     
+    // Price the order with the shared pricing engine (same rules as the server)
+    const quote = serverQuote || PricingRules.calculateQuote({
+        toteNumber: orderData.toteNumber,
+        plan: orderData.plan,
+        discount: orderData.discount
+    });
+    const isPrepaid = quote.billingMonths > 1;
+    
+    const planSelect = document.getElementById('payment-plan-select');
+    if (planSelect) {
+        planSelect.value = quote.plan;
+    }
+    
+    // Setup-charge discounts show the amount; subscription-only ones just the terms
+    const discountRow = quote.promoCode ? `
+        <div class="order-detail-item">
+            <span class="order-detail-label">Discount (${quote.promoCode}):</span>
+            <span class="order-detail-value">${quote.discountCents > 0 ? `-${PricingRules.formatCents(quote.discountCents)} ` : ''}${quote.promoLabel}</span>
+        </div>
+    ` : '';
+    
+    const taxRow = `
+        <div class="order-detail-item">
+            <span class="order-detail-label">${quote.taxLabel || 'Sales tax'}:</span>
+            <span class="order-detail-value">${serverQuote ? PricingRules.formatCents(quote.taxCents) : 'Calculated for your address'}</span>
+        </div>
+    `;
+    
     // Build order summary HTML
     orderDetails.innerHTML = `
         <div class="order-detail-item">
@@ -106,22 +202,141 @@ async function showPaymentModal(orderData) {
         </div>
         <div class="order-detail-item">
             <span class="order-detail-label">Setup Cost:</span>
-            <span class="order-detail-value">$${orderData.totalCost} ($20 trip fee + $${orderData.toteNumber * 10} first month)</span>
+            <span class="order-detail-value">${PricingRules.formatCents(quote.subtotalCents)} (${PricingRules.formatCents(quote.tripFeesCents)} trip fees + ${PricingRules.formatCents(quote.firstPeriodCents)} ${isPrepaid ? `first ${quote.billingMonths} months` : 'first month'})</span>
         </div>
         <div class="order-detail-item">
-            <span class="order-detail-label">Monthly subscription fee:</span>
-            <span class="order-detail-value">$${orderData.toteNumber * 10} (next payment due ${getNextPaymentDateShort()})</span>
+            <span class="order-detail-label">${isPrepaid ? `Renews every ${quote.billingMonths} months:` : 'Monthly subscription fee:'}</span>
+            <span class="order-detail-value">${PricingRules.formatCents(quote.periodCents)}${quote.taxCents > 0 ? ' + tax' : ''}${isPrepaid ? ` (${PricingRules.formatCents(quote.monthlyCents)}/month)` : ''} (next payment due ${getNextPaymentDateShort(quote.billingMonths)})</span>
         </div>
+        ${discountRow}
+        ${taxRow}
     `;
     
     // Update total amount display
-    totalAmount.textContent = `$${orderData.totalCost}`;
+    totalAmount.textContent = PricingRules.formatCents(quote.setupTotalCents);
+    return true;
+}
+
+/**
+ * Price the order again after its plan or discount changed
+ * Re-renders the summary and, once a delivery window is chosen, replaces
+ * the payment form: the loaded payment intent is for the old amount.
+ * @param {Object} orderData - Customer order information
+ * @param {boolean} [reloadPayment=true] - Whether to load a payment form for the new price
+ */
+async function repriceOrder(orderData, reloadPayment = true) {
+    const quote = PricingRules.calculateQuote({
+        toteNumber: orderData.toteNumber,
+        plan: orderData.plan,
+        discount: orderData.discount
+    });
+    orderData.totalCost = quote.setupTotalCents / 100;
+    renderOrderSummary(orderData);
+    
+    // Still choosing a delivery window - the payment form loads afterwards
+    if (!reloadPayment || orderData.deliveryWindow === undefined) {
+        return;
+    }
+    
+    if (paymentFormInitialization) {
+        await paymentFormInitialization.catch(() => {});
+    }
+    if (window.currentPaymentElement) {
+        window.currentPaymentElement.destroy();
+        window.currentPaymentElement = null;
+    }
+    window.currentElements = null;
+    window.currentClientSecret = null;
+    
+    return startPaymentForm(orderData);
+}
+
+/**
+ * Switch the order in the modal to another billing plan
+ * Called by the plan select in the order summary.
+ * @param {string} planId - Plan ID from PricingRules.PRICING_CONFIG.plans
+ */
+function changePaymentPlan(planId) {
+    const orderData = paymentModalOrderData;
+    if (!orderData || !PricingRules.PRICING_CONFIG.plans[planId] || orderData.plan === planId) {
+        return;
+    }
+    
+    console.log('📅 Billing plan changed:', planId);
+    orderData.plan = planId;
+    return repriceOrder(orderData);
+}
+
+/**
+ * Show the payment modal with customer order details
+ * 
+ * Displays order summary and initializes Stripe Elements for payment processing.
+ * Now uses real payment intents for actual payment processing.
+ * 
+ * @param {Object} orderData - Customer order information
+ * @param {string} orderData.name - Customer name
+ * @param {string} orderData.email - Customer email
+ * @param {string} orderData.phone - Customer phone
+ * @param {string} orderData.address - Customer address
+ * @param {number} orderData.toteNumber - Number of totes ordered
+ * @param {string} [orderData.plan] - Billing plan ID (monthly, semiannual, annual)
+ * @param {number} orderData.totalCost - Total cost in dollars, before sales tax
+ * @param {string} [orderData.promoCode] - Applied promo or referral code (promo-code.js)
+ * @param {Object} [orderData.discount] - Discount for that code from the server
+ */
+async function showPaymentModal(orderData) {
+    console.log('💳 Opening payment modal for order:', orderData);
+    
+    // Track payment initiation in analytics
+    if (window.AnalyticsTracker) {
+        window.AnalyticsTracker.trackPaymentStart(orderData);
+    }
+    
+    // Bring back the order summary + payment form if a status screen replaced it
+    restorePaymentModalBody();
+    
+    const modal = document.getElementById('payment-modal');
+    paymentModalOrderData = orderData;
+    
+    // Validate required DOM elements exist
+    if (!modal || !renderOrderSummary(orderData)) {
+        console.error('❌ Payment modal elements not found in DOM');
+        return;
+    }
+    
+    // Promo code entry for this order (pre-filled from a ?ref= or ?promo= link)
+    preparePromoCodeEntry(orderData);
     
     // Show modal with CSS animation
     modal.style.display = 'flex';
     
-    // Initialize Stripe payment form with real payment intent
-    await initializePaymentForm(orderData);
+    // The delivery window is part of the order, so it is chosen before the payment intent exists
+    if (orderData.deliveryWindow === undefined) {
+        showDeliveryScheduleStep(orderData); // Function from delivery-schedule.js
+        return;
+    }
+    
+    showChosenDeliveryWindow(orderData);
+    return startPaymentForm(orderData);
+}
+
+/**
+ * Load the payment form for an order that has its delivery window
+ * A second click while the form is loading waits for the first one.
+ * @param {Object} orderData - Customer order information (with deliveryWindow)
+ */
+async function startPaymentForm(orderData) {
+    if (paymentFormInitialization) {
+        console.log('⏳ Payment form already loading');
+        return paymentFormInitialization;
+    }
+    
+    paymentFormInitialization = initializePaymentForm(orderData);
+    try {
+        await paymentFormInitialization;
+    } finally {
+        paymentFormInitialization = null;
+    }
 }
 
 /**
@@ -164,8 +379,9 @@ async function initializePaymentForm(orderData) {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                amount: orderData.totalCost * 100, // Convert to cents
-                orderData: orderData
+                amount: Math.round(orderData.totalCost * 100), // Convert to cents
+                orderData: orderData,
+                order_token: getOrderToken(orderData)
             })
         });
 
@@ -175,6 +391,38 @@ async function initializePaymentForm(orderData) {
         if (!response.ok) {
             const errorText = await response.text();
             console.error('📡 Response body:', errorText);
+            
+            // Someone else booked the last spot - back to the window choices
+            let errorData = null;
+            try {
+                errorData = JSON.parse(errorText);
+            } catch (parseError) {
+                // Not JSON - handled as a server error below
+            }
+            if (errorData && errorData.code === 'DELIVERY_WINDOW_UNAVAILABLE') {
+                paymentElementContainer.innerHTML = '';
+                showDeliveryScheduleStep(orderData, errorData.error);
+                return;
+            }
+            
+            // The code stopped working (expired, used up) - price the order without it
+            if (errorData && errorData.code === 'INVALID_PROMO_CODE') {
+                paymentElementContainer.innerHTML = '';
+                rejectPromoCode(orderData, errorData.error);
+                return;
+            }
+            
+            // We don't deliver there - back to the form with the waitlist offer
+            if (errorData && errorData.code === 'OUTSIDE_SERVICE_AREA') {
+                closePaymentModal();
+                const heroForm = document.getElementById('hero-contact-form');
+                const heroMessage = document.getElementById('hero-form-message');
+                if (heroForm && heroMessage && window.showWaitlistOffer) {
+                    window.showWaitlistOffer(heroForm, heroMessage, errorData.error);
+                }
+                return;
+            }
+            
             throw new Error(`Server error: ${response.status} - ${errorText}`);
         }
 
@@ -184,6 +432,8 @@ async function initializePaymentForm(orderData) {
             // Handle specific error types
             if (data.code === 'RATE_LIMIT_EXCEEDED') {
                 throw new Error('Too many payment attempts. Please wait a minute and try again.');
+            } else if (data.code === 'ORDER_IN_PROGRESS') {
+                throw new Error('Your order is already being set up. Please wait a moment and try again.');
             } else if (data.code === 'VALIDATION_ERROR') {
                 throw new Error(`Order validation failed: ${data.error}`);
             } else {
@@ -193,6 +443,11 @@ async function initializePaymentForm(orderData) {
 
         const clientSecret = data.client_secret;
         console.log('✅ Payment intent created, initializing Stripe Elements...');
+        
+        // The server quote is authoritative - show exactly what will be charged, with tax
+        if (data.quote) {
+            renderOrderSummary(orderData, data.quote);
+        }
 
         // Clear loading message
         paymentElementContainer.innerHTML = '';
@@ -313,24 +568,30 @@ function showPaymentSuccess() {
         return;
     }
     
+    const deliveryWindow = window.currentOrderData ? window.currentOrderData.deliveryWindow : null;
+    const plan = PricingRules.getPlan(window.currentOrderData ? window.currentOrderData.plan : undefined);
+    const firstInvoiceDisplay = BillingSchedule.formatBillingDate(
+        window.currentSubscriptionData && window.currentSubscriptionData.next_billing_date
+            ? window.currentSubscriptionData.next_billing_date
+            : BillingSchedule.getFirstInvoiceDate(new Date(), { billingMonths: plan.months })
+    );
+    const billingStart = plan.months > 1
+        ? `Your first ${plan.months} months are paid - billing every ${plan.months} months begins on ${firstInvoiceDisplay}`
+        : `Monthly billing begins on ${firstInvoiceDisplay}`;
+    
     // Build subscription information
     let subscriptionSection = '';
     
     if (window.currentSubscriptionData) {
-        const nextBillingDate = new Date(window.currentSubscriptionData.next_billing_date).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long', 
-            day: 'numeric'
-        });
-        
         subscriptionSection = `
             <div class="subscription-info">
-                <h4>🔄 Monthly Subscription Active</h4>
+                <h4>🔄 ${plan.months > 1 ? plan.label : 'Monthly'} Subscription Active</h4>
                 <p><strong>Monthly Amount:</strong> $${window.currentSubscriptionData.monthly_amount}</p>
-                <p><strong>Next Billing Date:</strong> ${nextBillingDate}</p>
+                <p><strong>Next Billing Date:</strong> ${firstInvoiceDisplay}</p>
+                ${window.currentSubscriptionData.order_id ? `<p><strong>Order Number:</strong> ${window.currentSubscriptionData.order_id}</p>` : ''}
                 <p><strong>Subscription ID:</strong> ${window.currentSubscriptionData.subscription_id}</p>
                 <div class="manage-subscription">
-                    <p>To manage your subscription or cancel service, please call us at <strong>(855) 858-6837</strong></p>
+                    <p>To change your tote count, update your card or cancel service, sign in to <a href="account.html">My Account</a> with this email address.</p>
                 </div>
             </div>
         `;
@@ -346,8 +607,8 @@ function showPaymentSuccess() {
     } else {
         subscriptionSection = `
             <div class="subscription-info">
-                <h4>🔄 Monthly Subscription</h4>
-                <p>Your monthly subscription is being set up and will begin in 30 days.</p>
+                <h4>🔄 ${plan.months > 1 ? plan.label : 'Monthly'} Subscription</h4>
+                <p>Your subscription is being set up and will begin on ${firstInvoiceDisplay}.</p>
                 <p>You'll receive a confirmation email with subscription details shortly.</p>
             </div>
         `;
@@ -358,7 +619,9 @@ function showPaymentSuccess() {
         <div class="payment-success">
             <div class="success-icon">✓</div>
             <h3>Payment Successful!</h3>
-            <p>Thank you for your order! We'll contact you within 24 hours to schedule your first tote delivery.</p>
+            <p>Thank you for your order! ${deliveryWindow
+                ? `Your empty totes will be delivered on <strong>${deliveryWindow.label}</strong>.`
+                : 'We\'ll contact you within 24 hours to schedule your first tote delivery.'}</p>
             <p>A receipt has been sent to your email address.</p>
             
             ${subscriptionSection}
@@ -366,10 +629,12 @@ function showPaymentSuccess() {
             <div class="next-steps">
                 <h4>📦 What happens next?</h4>
                 <ol>
-                    <li>We'll call you within 24 hours to schedule delivery</li>
-                    <li>Your ${window.currentOrderData?.toteNumber || 'N/A'} totes will be delivered to your address</li>
-                    <li>Monthly billing begins 30 days from today</li>
-                    <li>To cancel or modify your subscription, call us at <strong>(855) 858-6837</strong></li>
+                    ${deliveryWindow
+                        ? `<li>Your ${window.currentOrderData.toteNumber} totes will be delivered to your address on ${deliveryWindow.label}</li>`
+                        : `<li>We'll call you within 24 hours to schedule delivery</li>
+                    <li>Your ${window.currentOrderData?.toteNumber || 'N/A'} totes will be delivered to your address</li>`}
+                    <li>${billingStart}</li>
+                    <li>Manage your totes, billing and subscription any time from <a href="account.html">My Account</a></li>
                 </ol>
             </div>
             
@@ -380,6 +645,113 @@ function showPaymentSuccess() {
     `;
 }
 
+/**
+ * Show the payment modal with a processing message
+ * 
+ * Used while an order returning from a 3D Secure redirect is being
+ * confirmed, and when the bank has not settled the payment yet.
+ * 
+ * @param {string} message - Status message to display
+ */
+function showPaymentProcessingState(message) {
+    const modal = document.getElementById('payment-modal');
+    const modalBody = document.querySelector('.payment-modal-body');
+    
+    if (!modal || !modalBody) {
+        console.warn('⚠️ Payment modal not found for processing display');
+        return;
+    }
+    
+    modalBody.innerHTML = `
+        <div class="payment-success payment-processing">
+            <div class="spinner"></div>
+            <p>${message}</p>
+            <div class="action-buttons">
+                <button onclick="closePaymentModal()" class="btn btn-secondary">Close</button>
+            </div>
+        </div>
+    `;
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * Display a payment failure state
+ * 
+ * Shown when a payment returning from a 3D Secure redirect was not
+ * authorized. If the order could be rebuilt, the customer can retry
+ * with their details already filled in.
+ * 
+ * @param {string} message - Failure reason to display
+ * @param {Object|null} orderData - Rebuilt order data, if available
+ */
+function showPaymentFailure(message, orderData) {
+    const modal = document.getElementById('payment-modal');
+    const modalBody = document.querySelector('.payment-modal-body');
+    
+    if (!modal || !modalBody) {
+        console.warn('⚠️ Payment modal not found for failure display');
+        return;
+    }
+    
+    window.failedOrderData = orderData || null;
+    
+    modalBody.innerHTML = `
+        <div class="payment-success payment-failure">
+            <div class="success-icon failure-icon">!</div>
+            <h3>Payment Not Completed</h3>
+            <p>${message}</p>
+            <p>Questions? Call us at <strong>(855) 858-6837</strong>.</p>
+            
+            <div class="action-buttons">
+                ${orderData ? '<button onclick="retryFailedOrder()" class="btn btn-primary">Try Again</button>' : ''}
+                <button onclick="closePaymentModal()" class="btn btn-secondary">Close</button>
+            </div>
+        </div>
+    `;
+    
+    modal.style.display = 'flex';
+}
+
+/**
+ * Retry an order whose payment failed after a redirect
+ * 
+ * Closes the modal and pre-fills the hero order form with the rebuilt
+ * order so the customer only has to submit it again.
+ */
+function retryFailedOrder() {
+    const orderData = window.failedOrderData;
+    closePaymentModal();
+    
+    const form = document.getElementById('hero-contact-form');
+    if (!form || !orderData) {
+        return;
+    }
+    
+    const addressFields = orderData.addressFields || {};
+    const fieldValues = {
+        name: orderData.name,
+        email: orderData.email,
+        phone: orderData.phone,
+        street: addressFields.street,
+        unit: addressFields.unit,
+        city: addressFields.city,
+        state: addressFields.state,
+        zip: addressFields.zip,
+        tote_number: orderData.toteNumber
+    };
+    
+    Object.keys(fieldValues).forEach(name => {
+        const field = form.querySelector(`[name="${name}"]`);
+        if (field && fieldValues[name]) {
+            field.value = fieldValues[name];
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    });
+    
+    document.getElementById('hero-form')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 /**
  * Initialize all modal event listeners
  * 
@@ -393,6 +765,12 @@ function initializeModalEventListeners() {
         closeBtn.onclick = closePaymentModal;
     }
     
+    // Remember the pristine modal body so it can be restored after status screens
+    const modalBody = document.querySelector('.payment-modal-body');
+    if (modalBody && !paymentModalBodyTemplate) {
+        paymentModalBodyTemplate = modalBody.innerHTML;
+    }
+    
     // Payment submit button
     const submitBtn = document.getElementById('payment-submit');
     if (submitBtn) {
@@ -415,8 +793,14 @@ function initializeModalEventListeners() {
 
 // Export functions to global scope for use by other modules
 window.showPaymentModal = showPaymentModal;
+window.startPaymentForm = startPaymentForm;
+window.changePaymentPlan = changePaymentPlan;
 window.closePaymentModal = closePaymentModal;
 window.showPaymentSuccess = showPaymentSuccess;
+window.showPaymentProcessingState = showPaymentProcessingState;
+window.showPaymentFailure = showPaymentFailure;
+window.retryFailedOrder = retryFailedOrder;
 window.showPaymentError = showPaymentError;
 window.hidePaymentError = hidePaymentError;
-window.initializeModalEventListeners = initializeModalEventListeners;
\ No newline at end of file
+window.initializeModalEventListeners = initializeModalEventListeners;
+window.clearOrderToken = clearOrderToken;
\ No newline at end of file
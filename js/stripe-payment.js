@@ -5,10 +5,10 @@
  * Instant Closet Tote Storage payment system. It creates real payment intents
  * and processes actual payments with subscription creation.
  * 
- * Dependencies: stripe-modal.js, stripe-handlers.js, pricing.js, forms.js
+ * Dependencies: stripe-modal.js, stripe-handlers.js, pricing.js, forms.js, address-rules.js
  * 
  * @author Stripe Integration Team
- * @version 3.0.0 - Real payment processing with subscriptions
+ * @version 3.3.0 - Billing plan on the order
  */
 
 // Stripe configuration - Your publishable key from Stripe dashboard
@@ -58,17 +58,23 @@ function processOrderSubmission(form, messageDiv) {
     // Validate cost calculation
     if (totalCost <= 0) {
         console.warn('⚠️ Invalid cost calculation:', totalCost);
-        showMessage(messageDiv, '❌ Please enter a valid number of totes (2-10) to calculate cost.', 'error');
+        showMessage(messageDiv, `❌ Please enter a valid number of totes (${PricingRules.PRICING_CONFIG.minTotes}-${PricingRules.PRICING_CONFIG.maxTotes}) to calculate cost.`, 'error');
         return;
     }
     
+    // Normalize the service address (the server re-checks it and the service area)
+    const addressFields = FormUtils.extractAddressFields(form);
+    const normalized = AddressRules.normalizeAddress(addressFields);
+    
     // Create order data object
     const orderData = {
         name: formData.get('name'),
         email: formData.get('email'),
         phone: formData.get('phone'),
-        address: formData.get('address'),
+        address: AddressRules.formatAddress(normalized.address),
+        addressFields: addressFields,
         toteNumber: parseInt(formData.get('tote_number')),
+        plan: formData.get('plan') || PricingRules.PRICING_CONFIG.defaultPlan,
         totalCost: totalCost
     };
     
@@ -103,6 +109,11 @@ function initializePaymentSystem() {
         if (typeof initializeModalEventListeners === 'function') {
             initializeModalEventListeners();
         }
+        
+        // Finish any order returning from a 3D Secure redirect (stripe-handlers.js)
+        if (typeof handlePaymentRedirectReturn === 'function') {
+            handlePaymentRedirectReturn();
+        }
         console.log('✅ Payment system initialized successfully');
     } else {
         console.error('❌ Payment system initialization failed');
@@ -0,0 +1,36 @@
+/**
+ * STRIPE CATALOG BOOTSTRAP
+ *
+ * One-time setup of the Stripe products and prices the site bills against
+ * (lookup keys tote_monthly, tote_semiannual, tote_annual, trip_fee,
+ * return_delivery; LOOKUP_KEYS in lib/catalog.js). Safe to re-run; run
+ * again after changing amounts or plans in js/pricing-rules.js.
+ *
+ * Usage:
+ *   STRIPE_SECRET_KEY=sk_... npm run catalog:bootstrap
+ *
+ * @author Stripe Integration Team
+ * @version 1.0.1 - Lists the prepaid plan lookup keys
+ */
+
+const { bootstrapCatalog } = require('../.netlify/functions/lib/catalog');
+
+async function main() {
+    if (!process.env.STRIPE_SECRET_KEY) {
+        console.error('❌ STRIPE_SECRET_KEY is required');
+        process.exit(1);
+    }
+
+    console.log('📦 Bootstrapping Stripe catalog...');
+
+    const results = await bootstrapCatalog();
+
+    results.forEach(result => {
+        console.log(`✅ ${result.lookupKey}: ${result.priceId} ($${(result.unitAmount / 100).toFixed(2)}) - ${result.action}`);
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Catalog bootstrap failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for the shared billing dates (js/billing-schedule.js)
+ *
+ * Every order time is fixed. The first invoice is due at noon in New York:
+ * 17:00 UTC in winter (EST) and 16:00 UTC in summer (EDT).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getBillingSchedule, formatBillingDate } = require('../.netlify/functions/lib/billing-schedule');
+
+function firstInvoice(orderedAt, options) {
+    return getBillingSchedule(new Date(orderedAt), options).firstInvoiceDate.toISOString();
+}
+
+test('an order on the 31st is first billed on the last day of a shorter month', () => {
+    assert.strictEqual(firstInvoice('2026-01-31T15:00:00Z'), '2026-02-28T17:00:00.000Z');
+    // Leap year
+    assert.strictEqual(firstInvoice('2028-01-31T15:00:00Z'), '2028-02-29T17:00:00.000Z');
+    assert.strictEqual(firstInvoice('2026-03-31T15:00:00Z'), '2026-04-30T16:00:00.000Z');
+
+    const schedule = getBillingSchedule(new Date('2026-01-31T15:00:00Z'));
+    assert.strictEqual(schedule.anchorDay, 28);
+});
+
+test('the order day is the calendar day in New York, not UTC', () => {
+    // 10:00 PM on Jan 31 in New York
+    assert.strictEqual(firstInvoice('2026-02-01T03:00:00Z'), '2026-02-28T17:00:00.000Z');
+});
+
+test('the first invoice stays at noon across daylight saving changes', () => {
+    // Clocks go forward on Mar 8, 2026 and back on Nov 1, 2026
+    assert.strictEqual(firstInvoice('2026-02-15T17:00:00Z'), '2026-03-15T16:00:00.000Z');
+    assert.strictEqual(firstInvoice('2026-02-08T17:00:00Z'), '2026-03-08T16:00:00.000Z');
+    assert.strictEqual(firstInvoice('2026-10-15T16:00:00Z'), '2026-11-15T17:00:00.000Z');
+    assert.strictEqual(firstInvoice('2026-10-01T16:00:00Z'), '2026-11-01T17:00:00.000Z');
+
+    const schedule = getBillingSchedule(new Date('2026-02-15T17:00:00Z'));
+    assert.strictEqual(formatBillingDate(schedule.firstInvoiceTimestamp), 'March 15, 2026');
+});
+
+test('each plan is first billed after its whole first period', () => {
+    const orderedAt = '2026-08-31T16:00:00Z';
+
+    assert.strictEqual(firstInvoice(orderedAt, { billingMonths: 1 }), '2026-09-30T16:00:00.000Z');
+    assert.strictEqual(firstInvoice(orderedAt, { billingMonths: 6 }), '2027-02-28T17:00:00.000Z');
+    assert.strictEqual(firstInvoice(orderedAt, { billingMonths: 12 }), '2027-08-31T16:00:00.000Z');
+    // Monthly when no plan is given
+    assert.strictEqual(firstInvoice(orderedAt), '2026-09-30T16:00:00.000Z');
+
+    const annual = getBillingSchedule(new Date(orderedAt), { billingMonths: 12 });
+    assert.strictEqual(annual.billingMonths, 12);
+    assert.strictEqual(annual.anchorDay, 31);
+    assert.strictEqual(annual.firstInvoiceTimestamp, Date.parse('2027-08-31T16:00:00Z') / 1000);
+});
+
+test('a free period pushes the first invoice back by its months and days', () => {
+    const orderedAt = '2026-01-25T15:00:00Z';
+
+    assert.strictEqual(firstInvoice(orderedAt, { freePeriod: { months: 1 } }), '2026-03-25T16:00:00.000Z');
+    // Days are counted after the months, past the end of February
+    assert.strictEqual(firstInvoice(orderedAt, { freePeriod: { days: 10 } }), '2026-03-07T17:00:00.000Z');
+    assert.strictEqual(
+        firstInvoice(orderedAt, { billingMonths: 6, freePeriod: { months: 1, days: 3 } }),
+        '2026-08-28T16:00:00.000Z'
+    );
+
+    const schedule = getBillingSchedule(new Date(orderedAt), { freePeriod: { days: 10 } });
+    assert.deepStrictEqual(schedule.freePeriod, { months: 0, days: 10 });
+    assert.strictEqual(schedule.anchorDay, 7);
+    // None configured
+    assert.deepStrictEqual(getBillingSchedule(new Date(orderedAt)).freePeriod, { months: 0, days: 0 });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for holding cancellations with totes still out (lib/cancellations.js)
+ *
+ * Stripe is an in-memory fake that records every call; the memory store is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const calls = [];
+let failInvoicePayment = false;
+
+function record(name, handler) {
+    return async (...args) => {
+        calls.push({ name: name, args: args });
+        return handler(...args);
+    };
+}
+
+function callsTo(name) {
+    return calls.filter(call => call.name === name);
+}
+
+const fakeStripe = {
+    subscriptions: {
+        retrieve: record('subscriptions.retrieve', (id) => ({
+            id: id,
+            status: 'active',
+            default_tax_rates: [{ id: 'txr_nc' }],
+            metadata: { tote_quantity: '2', plan: 'annual' }
+        })),
+        update: record('subscriptions.update', (id, params) => ({ id: id, ...params })),
+        cancel: record('subscriptions.cancel', (id) => ({ id: id, status: 'canceled' }))
+    },
+    invoices: {
+        create: record('invoices.create', () => ({
+            id: 'in_held',
+            status: 'draft',
+            created: Math.floor(Date.now() / 1000)
+        })),
+        finalizeInvoice: record('invoices.finalizeInvoice', (id) => ({ id: id, status: 'open' })),
+        pay: record('invoices.pay', (id) => {
+            if (failInvoicePayment) {
+                throw new Error('Your card was declined.');
+            }
+            return { id: id, status: 'paid' };
+        })
+    },
+    invoiceItems: {
+        create: record('invoiceItems.create', (params) => ({ id: 'ii_held', ...params }))
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const { getStore, setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const {
+    CANCELLATIONS_COLLECTION,
+    holdUnreturnedCancellations,
+    completeCancellationIfReturned
+} = require('../.netlify/functions/lib/cancellations');
+
+async function seedCancellation({ status, periodEnd, toteStatus }) {
+    const store = getStore();
+    for (const id of ['T-AAAAAA', 'T-BBBBBB']) {
+        await store.insert('totes', { id: id, number: id === 'T-AAAAAA' ? 1 : 2, stripe_customer_id: 'cus_test', status: toteStatus });
+    }
+    return store.insert(CANCELLATIONS_COLLECTION, {
+        id: 'cxl_test',
+        subscription_id: 'sub_test',
+        stripe_customer_id: 'cus_test',
+        status: status,
+        totes: ['T-AAAAAA', 'T-BBBBBB'],
+        period_end: periodEnd.toISOString(),
+        created_at: new Date(periodEnd.getTime() - 30 * DAY_MS).toISOString()
+    });
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+    calls.length = 0;
+    failInvoicePayment = false;
+});
+
+test('a period ending with totes out pauses the renewal instead of charging it', async () => {
+    await seedCancellation({ status: 'pending_return', periodEnd: new Date(Date.now() + DAY_MS), toteStatus: 'out_for_return' });
+
+    const held = await holdUnreturnedCancellations();
+
+    assert.strictEqual(held.length, 1);
+    assert.strictEqual(held[0].status, 'awaiting_return');
+    const [update] = callsTo('subscriptions.update');
+    assert.strictEqual(update.args[1].cancel_at_period_end, false);
+    assert.deepStrictEqual(update.args[1].pause_collection, { behavior: 'void' });
+    assert.strictEqual(update.args[1].items, undefined);
+    assert.strictEqual(callsTo('invoices.create').length, 0);
+});
+
+test('a cancellation with time left is not held yet', async () => {
+    await seedCancellation({ status: 'pending_return', periodEnd: new Date(Date.now() + 10 * DAY_MS), toteStatus: 'out_for_return' });
+
+    assert.deepStrictEqual(await holdUnreturnedCancellations(), []);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('the last tote back bills the extra days at the monthly rate and ends the subscription', async () => {
+    await seedCancellation({ status: 'awaiting_return', periodEnd: new Date(Date.now() - 10.5 * DAY_MS), toteStatus: 'returned' });
+
+    const cancellation = await completeCancellationIfReturned('cus_test');
+
+    assert.strictEqual(cancellation.status, 'returned');
+    const [invoice] = callsTo('invoices.create');
+    assert.strictEqual(invoice.args[0].customer, 'cus_test');
+    assert.deepStrictEqual(invoice.args[0].default_tax_rates, ['txr_nc']);
+    assert.strictEqual(invoice.args[1].idempotencyKey, 'icts-cancellation-hold-invoice-cxl_test');
+
+    // 2 totes at $10/month, 10 whole days of a 30-day month
+    const [storage] = callsTo('invoiceItems.create');
+    assert.strictEqual(storage.args[0].invoice, 'in_held');
+    assert.strictEqual(storage.args[0].amount, Math.round(2000 / 30 * 10));
+    assert.strictEqual(storage.args[0].metadata.held_days, '10');
+
+    assert.strictEqual(callsTo('invoices.pay').length, 1);
+    const [cancel] = callsTo('subscriptions.cancel');
+    assert.strictEqual(cancel.args[0], 'sub_test');
+    assert.deepStrictEqual(cancel.args[1], { prorate: false });
+});
+
+test('a declined held storage invoice still ends the subscription', async () => {
+    failInvoicePayment = true;
+    await seedCancellation({ status: 'awaiting_return', periodEnd: new Date(Date.now() - 3 * DAY_MS), toteStatus: 'returned' });
+
+    const cancellation = await completeCancellationIfReturned('cus_test');
+
+    assert.strictEqual(cancellation.status, 'returned');
+    assert.strictEqual(callsTo('subscriptions.cancel').length, 1);
+});
+
+test('totes back within a day of the period end are not billed extra', async () => {
+    await seedCancellation({ status: 'awaiting_return', periodEnd: new Date(Date.now() - 2 * 60 * 60 * 1000), toteStatus: 'returned' });
+
+    await completeCancellationIfReturned('cus_test');
+
+    assert.strictEqual(callsTo('invoices.create').length, 0);
+    assert.strictEqual(callsTo('subscriptions.cancel').length, 1);
+});
+
+test('totes back before the period end just let the subscription end', async () => {
+    await seedCancellation({ status: 'pending_return', periodEnd: new Date(Date.now() + 5 * DAY_MS), toteStatus: 'returned' });
+
+    const cancellation = await completeCancellationIfReturned('cus_test');
+
+    assert.strictEqual(cancellation.status, 'returned');
+    assert.strictEqual(callsTo('subscriptions.update')[0].args[1].metadata.cancellation_status, 'returned');
+    assert.strictEqual(callsTo('subscriptions.cancel').length, 0);
+    assert.strictEqual(callsTo('invoices.create').length, 0);
+});
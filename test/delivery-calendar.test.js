@@ -0,0 +1,153 @@
+/**
+ * Tests for delivery window capacity and slot reservations (lib/delivery-calendar.js)
+ *
+ * Runs against the memory store with a fixed clock: Monday 2026-10-19, 10:00
+ * in New York, so the first bookable day is Wednesday 2026-10-21.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+delete process.env.ICTS_DELIVERY_CALENDAR;
+
+const { getStore, setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { createDeliveryJob, DELIVERY_JOB_TYPES } = require('../.netlify/functions/lib/orders');
+const {
+    getDeliveryWindows,
+    reserveDeliveryWindow,
+    releaseDeliveryWindow
+} = require('../.netlify/functions/lib/delivery-calendar');
+
+const NOW = new Date('2026-10-19T14:00:00Z');
+const WINDOW_ID = '2026-10-21_0900-1200';   // Capacity 4
+const AFTER_HOLD = new Date(NOW.getTime() + 31 * 60 * 1000);
+
+function minutesLater(minutes) {
+    return new Date(NOW.getTime() + minutes * 60 * 1000);
+}
+
+async function remaining(windowId, now = NOW) {
+    const { windows } = await getDeliveryWindows({ now });
+    const window = windows.find(candidate => candidate.id === windowId);
+    return window ? window.remaining : 0;
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+});
+
+test('concurrent checkouts never take more slots than the window has', async () => {
+    const results = await Promise.allSettled([1, 2, 3, 4, 5, 6].map(number =>
+        reserveDeliveryWindow(WINDOW_ID, { holder: `order_token_${number}`, now: NOW })));
+
+    const reserved = results.filter(result => result.status === 'fulfilled').map(result => result.value.slot_id);
+    const full = results.filter(result => result.status === 'rejected');
+
+    assert.strictEqual(reserved.length, 4);
+    assert.strictEqual(new Set(reserved).size, 4);
+    assert.strictEqual(full.length, 2);
+    full.forEach(result => assert.match(result.reason.message, /delivery window is now full/));
+    assert.strictEqual(await remaining(WINDOW_ID), 0);
+});
+
+test('a retry with the same holder keeps its slot', async () => {
+    const first = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_retry', now: NOW });
+    const again = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_retry', now: minutesLater(5) });
+    // Even after the hold ran out, as long as nobody took the slot
+    const late = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_retry', now: AFTER_HOLD });
+
+    assert.strictEqual(first.slot_id, `${WINDOW_ID}#1`);
+    assert.strictEqual(again.slot_id, first.slot_id);
+    assert.strictEqual(late.slot_id, first.slot_id);
+    assert.strictEqual(first.label, 'Wed, Oct 21, 9:00 AM - 12:00 PM');
+    assert.strictEqual(await remaining(WINDOW_ID, AFTER_HOLD), 3);
+});
+
+test('an expired hold is taken over, a slot with a delivery job is not', async () => {
+    const paid = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_paid', now: NOW });
+    await createDeliveryJob({
+        type: DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY,
+        toteCount: 4,
+        address: '1 Main St, Asheville, NC 28801',
+        window: paid
+    });
+    const abandoned = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_abandoned', now: NOW });
+    assert.strictEqual(await remaining(WINDOW_ID), 2);
+
+    const next = await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_next', now: AFTER_HOLD });
+
+    assert.strictEqual(next.slot_id, abandoned.slot_id);
+    const slot = await getStore().get('window_slots', abandoned.slot_id);
+    assert.strictEqual(slot.holder, 'order_token_next');
+    assert.strictEqual(slot.claims, 2);
+    // The paid slot, plus the one just taken over
+    assert.strictEqual(await remaining(WINDOW_ID, AFTER_HOLD), 2);
+});
+
+test('only one checkout takes over an expired hold', async () => {
+    for (let number = 1; number <= 4; number++) {
+        await reserveDeliveryWindow(WINDOW_ID, { holder: `order_token_old_${number}`, now: NOW });
+    }
+    for (let number = 1; number <= 3; number++) {
+        await createDeliveryJob({
+            type: DELIVERY_JOB_TYPES.TOTE_RETURN,
+            toteCount: 1,
+            address: '1 Main St, Asheville, NC 28801',
+            window: { id: WINDOW_ID, slot_id: `${WINDOW_ID}#${number}`, starts_at: '2026-10-21T13:00:00.000Z' }
+        });
+    }
+
+    // Slot 4's hold ran out; three checkouts race for it
+    const results = await Promise.allSettled([1, 2, 3].map(number =>
+        reserveDeliveryWindow(WINDOW_ID, { holder: `order_token_race_${number}`, now: AFTER_HOLD })));
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.strictEqual(results.filter(result => result.status === 'rejected').length, 2);
+});
+
+test('bookings from before slots still count against capacity', async () => {
+    await createDeliveryJob({
+        type: DELIVERY_JOB_TYPES.TOTE_PICKUP,
+        toteCount: 2,
+        address: '1 Main St, Asheville, NC 28801',
+        window: { id: WINDOW_ID, starts_at: '2026-10-21T13:00:00.000Z' }
+    });
+    await getStore().insert('orders', {
+        id: 'ICTS-261019-OLD01',
+        status: 'pending_payment',
+        delivery_window_id: WINDOW_ID,
+        created_at: minutesLater(-10).toISOString()
+    });
+
+    assert.strictEqual(await remaining(WINDOW_ID), 2);
+    await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_a', now: NOW });
+    await reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_b', now: NOW });
+    await assert.rejects(
+        reserveDeliveryWindow(WINDOW_ID, { holder: 'order_token_c', now: NOW }),
+        /delivery window is now full/
+    );
+});
+
+test('a released slot can be booked again', async () => {
+    const trip = await reserveDeliveryWindow(WINDOW_ID, { holder: 'request_token_declined', now: NOW });
+
+    // Only the holder can give it back
+    await releaseDeliveryWindow(trip.slot_id, 'request_token_other');
+    assert.strictEqual(await remaining(WINDOW_ID), 3);
+
+    await releaseDeliveryWindow(trip.slot_id, 'request_token_declined');
+    assert.strictEqual(await remaining(WINDOW_ID), 4);
+
+    const next = await reserveDeliveryWindow(WINDOW_ID, { holder: 'request_token_next', now: NOW });
+    assert.strictEqual(next.slot_id, trip.slot_id);
+});
+
+test('windows that are not offered are refused', async () => {
+    await assert.rejects(reserveDeliveryWindow('tomorrow', { holder: 'token', now: NOW }), /Invalid delivery window/);
+    // Too soon, a time we don't offer, and a Sunday
+    for (const windowId of ['2026-10-20_0900-1200', '2026-10-21_0800-1200', '2026-10-25_1000-1400']) {
+        await assert.rejects(reserveDeliveryWindow(windowId, { holder: 'token', now: NOW }), /choose another time/);
+    }
+});
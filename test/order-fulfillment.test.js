@@ -0,0 +1,256 @@
+/**
+ * Tests for fulfillment step claims and the receipt (lib/order-fulfillment.js)
+ *
+ * Stripe is an in-memory fake, SES is stubbed and the memory store is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+
+const paymentIntents = {};
+const paymentIntentUpdates = [];
+
+const fakeStripe = {
+    paymentIntents: {
+        retrieve: async (id) => JSON.parse(JSON.stringify(paymentIntents[id])),
+        update: async (id, params) => {
+            paymentIntentUpdates.push({ id: id, metadata: params.metadata });
+            Object.assign(paymentIntents[id].metadata, params.metadata);
+            return paymentIntents[id];
+        }
+    },
+    subscriptions: {
+        retrieve: async (id) => ({ id: id, status: 'trialing', trial_end: 1767225600, metadata: {} })
+    },
+    webhooks: {
+        constructEvent: (body) => JSON.parse(body)
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const { getStore, setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { ses } = require('../.netlify/functions/lib/ses-email');
+const { fulfillPaymentIntent, runStep } = require('../.netlify/functions/lib/order-fulfillment');
+const { handler: webhookHandler } = require('../.netlify/functions/stripe-webhook');
+
+const sentEmails = [];
+ses.sendEmail = (params) => ({
+    promise: async () => {
+        sentEmails.push(params);
+        return { MessageId: `msg_${sentEmails.length}` };
+    }
+});
+
+const SIX_MINUTES_AGO = new Date(Date.now() - 6 * 60 * 1000).toISOString();
+
+function createPaymentIntent(id) {
+    paymentIntents[id] = {
+        id: id,
+        status: 'succeeded',
+        amount: 5000,
+        amount_received: 5000,
+        created: 1764547200,
+        metadata: {
+            payment_type: 'setup_with_subscription',
+            subscription_id: 'sub_existing',
+            customer_name: 'Pat Example',
+            customer_email: 'pat@example.com',
+            customer_phone: '8285551234',
+            customer_address: '1 Main St, Asheville, NC 28801',
+            tote_quantity: '4',
+            plan: 'monthly'
+        }
+    };
+    return id;
+}
+
+// A store whose every call fails, like a hosted store that can't be reached
+const unreachableStore = new Proxy({ name: 'unreachable' }, {
+    get: (target, property) => property === 'name'
+        ? 'unreachable'
+        : async () => { throw new Error('Store unreachable'); }
+});
+
+function newRun(waitMs = 0) {
+    return { source: 'test', waitUntil: Date.now() + waitMs, pending: false };
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+    sentEmails.length = 0;
+    paymentIntentUpdates.length = 0;
+});
+
+test('runStep runs a step once and skips it once it is done', async () => {
+    let runs = 0;
+    const first = await runStep('pi_once', 'lead', newRun(), async () => ++runs);
+    const second = await runStep('pi_once', 'lead', newRun(), async () => ++runs);
+
+    assert.deepStrictEqual(first, { ran: true, value: 1, pending: false });
+    assert.deepStrictEqual(second, { ran: false, value: null, pending: false });
+    assert.strictEqual(runs, 1);
+    assert.strictEqual((await getStore().get('fulfillment_steps', 'pi_once:lead')).status, 'done');
+});
+
+test('runStep waits for another run that finishes the step', async () => {
+    let releaseOther;
+    const other = runStep('pi_wait', 'order', newRun(), () => new Promise(resolve => { releaseOther = resolve; }));
+    setTimeout(() => releaseOther('ord_1'), 300);
+
+    let ranHere = false;
+    const run = newRun(2000);
+    const waited = await runStep('pi_wait', 'order', run, async () => { ranHere = true; });
+
+    assert.deepStrictEqual(waited, { ran: false, value: null, pending: false });
+    assert.strictEqual(ranHere, false);
+    assert.strictEqual(run.pending, false);
+    assert.strictEqual((await other).value, 'ord_1');
+});
+
+test('runStep reports a step still held by another run as pending after its wait', async () => {
+    await getStore().insert('fulfillment_steps', {
+        id: 'pi_held:confirmation',
+        status: 'running',
+        attempts: 1,
+        updated_at: new Date().toISOString()
+    });
+
+    let ranHere = false;
+    const run = newRun(300);
+    const started = Date.now();
+    const held = await runStep('pi_held', 'confirmation', run, async () => { ranHere = true; });
+
+    assert.deepStrictEqual(held, { ran: false, value: null, pending: true });
+    assert.strictEqual(ranHere, false);
+    assert.strictEqual(run.pending, true);
+    assert.ok(Date.now() - started < 1500, 'stopped waiting at the run deadline');
+});
+
+test('runStep retries a step that failed', async () => {
+    await assert.rejects(
+        runStep('pi_retry', 'tax', newRun(), async () => { throw new Error('Stripe Tax unavailable'); }),
+        /Stripe Tax unavailable/
+    );
+    const failed = await getStore().get('fulfillment_steps', 'pi_retry:tax');
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'Stripe Tax unavailable');
+
+    const retried = await runStep('pi_retry', 'tax', newRun(), async () => 'tax_txn_1');
+    assert.strictEqual(retried.value, 'tax_txn_1');
+    const done = await getStore().get('fulfillment_steps', 'pi_retry:tax');
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.attempts, 2);
+});
+
+test('runStep takes over a stale claim, and only one run gets it', async () => {
+    await getStore().insert('fulfillment_steps', {
+        id: 'pi_stale:totes',
+        status: 'running',
+        attempts: 1,
+        updated_at: SIX_MINUTES_AGO
+    });
+
+    let runs = 0;
+    const results = await Promise.all([1, 2, 3].map(() => runStep('pi_stale', 'totes', newRun(), async () => {
+        runs++;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return 'assigned';
+    })));
+
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(results.filter(result => result.ran).length, 1);
+    assert.strictEqual(results.filter(result => result.pending).length, 2);
+    assert.strictEqual((await getStore().get('fulfillment_steps', 'pi_stale:totes')).attempts, 2);
+});
+
+test('runStep does not take over a claim that is running and recent', async () => {
+    await getStore().insert('fulfillment_steps', {
+        id: 'pi_recent:totes',
+        status: 'running',
+        attempts: 1,
+        updated_at: new Date().toISOString()
+    });
+
+    let runs = 0;
+    const result = await runStep('pi_recent', 'totes', newRun(), async () => runs++);
+
+    assert.strictEqual(result.pending, true);
+    assert.strictEqual(runs, 0);
+});
+
+test('runStep runs the step unclaimed when the store is unreachable', async () => {
+    setStore(unreachableStore);
+
+    const result = await runStep('pi_nostore', 'confirmation', newRun(), async () => 'sent');
+
+    assert.deepStrictEqual(result, { ran: true, value: 'sent', pending: false });
+});
+
+test('fulfillPaymentIntent sends the receipt when the store is unreachable', async () => {
+    setStore(unreachableStore);
+    const paymentIntentId = createPaymentIntent('pi_receipt_nostore');
+
+    const fulfillment = await fulfillPaymentIntent(paymentIntentId, { source: 'stripe-webhook' });
+
+    assert.strictEqual(fulfillment.confirmationSent, true);
+    assert.strictEqual(fulfillment.confirmationError, null);
+    assert.strictEqual(fulfillment.pending, false);
+    assert.ok(sentEmails.some(email => email.Destination.ToAddresses.includes('pat@example.com')));
+    assert.ok(paymentIntents[paymentIntentId].metadata.confirmation_sent_at);
+});
+
+test('fulfillPaymentIntent does not count a receipt another run is still sending', async () => {
+    const paymentIntentId = createPaymentIntent('pi_receipt_held');
+    await getStore().insert('fulfillment_steps', {
+        id: `${paymentIntentId}:confirmation`,
+        status: 'running',
+        attempts: 1,
+        updated_at: new Date().toISOString()
+    });
+
+    const fulfillment = await fulfillPaymentIntent(paymentIntentId, { source: 'create-subscription' });
+
+    assert.strictEqual(fulfillment.confirmationSent, false);
+    assert.strictEqual(fulfillment.pending, true);
+    assert.strictEqual(sentEmails.length, 0);
+    assert.strictEqual(paymentIntents[paymentIntentId].metadata.confirmation_sent_at, undefined);
+});
+
+test('the webhook fails while the receipt is pending, so Stripe retries', async () => {
+    const paymentIntentId = createPaymentIntent('pi_webhook_pending');
+    await getStore().insert('fulfillment_steps', {
+        id: `${paymentIntentId}:confirmation`,
+        status: 'running',
+        attempts: 1,
+        updated_at: new Date().toISOString()
+    });
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+    const webhookEvent = (id) => ({
+        httpMethod: 'POST',
+        headers: { 'stripe-signature': 't=1,v1=test' },
+        body: JSON.stringify({
+            id: id,
+            type: 'payment_intent.succeeded',
+            data: { object: paymentIntents[paymentIntentId] }
+        })
+    });
+
+    const pending = await webhookHandler(webhookEvent('evt_1'));
+    assert.strictEqual(pending.statusCode, 500);
+    assert.match(JSON.parse(pending.body).error, /still running in another call/);
+
+    // The other run died; once its claim is stale the retry sends the receipt
+    await getStore().update('fulfillment_steps', `${paymentIntentId}:confirmation`, { updated_at: SIX_MINUTES_AGO });
+    const retried = await webhookHandler(webhookEvent('evt_1'));
+    assert.strictEqual(retried.statusCode, 200);
+    assert.ok(sentEmails.some(email => email.Destination.ToAddresses.includes('pat@example.com')));
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the pricing quote endpoint (/api/pricing)
+ *
+ * Stripe is an in-memory fake with one promotion code; the memory store is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+
+const fakeStripe = {
+    promotionCodes: {
+        list: async ({ code }) => ({
+            data: code === 'SPRING10' ? [{
+                id: 'promo_spring',
+                code: 'SPRING10',
+                active: true,
+                restrictions: {},
+                coupon: { id: 'coupon_spring', valid: true, percent_off: 10, duration: 'once', metadata: {} }
+            }] : []
+        })
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const { PRICING_VERSION } = require('../.netlify/functions/lib/pricing');
+const { handler } = require('../.netlify/functions/pricing');
+
+async function getQuote(event) {
+    const response = await handler(event);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('pricing quotes the monthly plan by default', async () => {
+    const { statusCode, body } = await getQuote({
+        httpMethod: 'GET',
+        queryStringParameters: { totes: '4' }
+    });
+
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.quote.plan, 'monthly');
+});
+
+test('pricing quotes the requested plan on GET and POST', async () => {
+    const fromQuery = await getQuote({
+        httpMethod: 'GET',
+        queryStringParameters: { totes: '4', plan: 'annual' }
+    });
+    const fromBody = await getQuote({
+        httpMethod: 'POST',
+        body: JSON.stringify({ toteNumber: 4, plan: 'annual' })
+    });
+
+    assert.strictEqual(fromQuery.statusCode, 200);
+    assert.strictEqual(fromQuery.body.quote.plan, 'annual');
+    assert.deepStrictEqual(fromBody.body.quote, fromQuery.body.quote);
+});
+
+test('pricing rejects an unknown plan', async () => {
+    const { statusCode, body } = await getQuote({
+        httpMethod: 'GET',
+        queryStringParameters: { totes: '4', plan: 'weekly' }
+    });
+
+    assert.strictEqual(statusCode, 400);
+    assert.strictEqual(body.error, 'Invalid plan');
+});
+
+test('pricing quotes a Stripe promotion code', async () => {
+    const { statusCode, body } = await getQuote({
+        httpMethod: 'GET',
+        headers: {},
+        queryStringParameters: { totes: '4', promo: 'SPRING10' }
+    });
+
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(body.quote.promoCode, 'SPRING10');
+    assert.strictEqual(body.quote.discountCents, Math.round(body.quote.subtotalCents / 10));
+});
+
+test('pricing rejects a promo code nobody issued', async () => {
+    const { statusCode, body } = await getQuote({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ toteNumber: 4, promoCode: 'NOTACODE' })
+    });
+
+    assert.strictEqual(statusCode, 400);
+    assert.strictEqual(body.code, 'INVALID_PROMO_CODE');
+});
+
+test('every page loads the pricing rules for the current PRICING_VERSION', () => {
+    const root = path.join(__dirname, '..');
+    const pages = fs.readdirSync(root).filter(file => file.endsWith('.html'));
+    const tags = pages.flatMap(page =>
+        fs.readFileSync(path.join(root, page), 'utf8').match(/<script src="js\/pricing-rules\.js[^"]*">/g) || []);
+
+    assert.ok(tags.length > 0);
+    tags.forEach(tag => assert.strictEqual(tag, `<script src="js/pricing-rules.js?v=${PRICING_VERSION}">`));
+});
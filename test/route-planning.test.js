@@ -0,0 +1,146 @@
+/**
+ * Tests for ordering a day's stops (lib/route-planning.js)
+ *
+ * Most points sit on a straight line, so every distance is known by hand. The day
+ * planned is Wednesday 2026-10-21 in New York; the memory store is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+delete process.env.ICTS_ROUTING;
+
+const { setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { createDeliveryJob, updateDeliveryJob, DELIVERY_JOB_TYPES } = require('../.netlify/functions/lib/orders');
+const {
+    nearestNeighborPath,
+    twoOptPath,
+    solveRoute,
+    planDayRoute,
+    setDistanceProvider
+} = require('../.netlify/functions/lib/route-planning');
+
+const MORNING = { id: '2026-10-21_0900-1200', starts_at: '2026-10-21T13:00:00.000Z', label: 'Wed 9-12' };
+const AFTERNOON = { id: '2026-10-21_1300-1600', starts_at: '2026-10-21T17:00:00.000Z', label: 'Wed 1-4' };
+
+/**
+ * Cost matrix for points on a line
+ * @param {Array} positions - Position of each point
+ * @returns {Array} Matrix [from][to]
+ */
+function lineMatrix(positions) {
+    return positions.map(from => positions.map(to => Math.abs(from - to)));
+}
+
+// Longitude apart is 1 km and 1 minute of driving
+const lineProvider = {
+    name: 'line',
+    getMatrix: async (points) => ({
+        distances: lineMatrix(points.map(point => point[0] * 1000)),
+        durations: lineMatrix(points.map(point => point[0] * 60))
+    })
+};
+
+async function scheduleStop(window, longitude, notes) {
+    const job = await createDeliveryJob({
+        type: DELIVERY_JOB_TYPES.EMPTY_TOTE_DELIVERY,
+        toteCount: 2,
+        window: window,
+        notes: notes
+    });
+    if (longitude !== null) {
+        await updateDeliveryJob(job.id, { location: [longitude, 35.6] });
+    }
+    return job;
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+    setDistanceProvider(lineProvider);
+});
+
+test.after(() => {
+    setDistanceProvider(null);
+});
+
+test('nearest-neighbor always drives to the closest stop left', () => {
+    // Depot at 0, stops at 5, 1 and 3
+    const matrix = lineMatrix([0, 5, 1, 3]);
+
+    assert.deepStrictEqual(nearestNeighborPath(matrix, 0, [1, 2, 3]), [0, 2, 3, 1]);
+});
+
+test('2-opt uncrosses a route and keeps its start', () => {
+    // Corners of a unit square; 0 -> 2 -> 1 -> 3 -> 0 crosses itself
+    const corners = [[0, 0], [0, 1], [1, 1], [1, 0]];
+    const matrix = corners.map(from => corners.map(to => Math.hypot(from[0] - to[0], from[1] - to[1])));
+
+    assert.deepStrictEqual(twoOptPath([0, 2, 1, 3], matrix, { end: 0 }), [0, 1, 2, 3]);
+    // Already the shortest, so left alone
+    assert.deepStrictEqual(twoOptPath([0, 1, 2, 3], matrix, { end: 0 }), [0, 1, 2, 3]);
+});
+
+test('2-opt follows one-way drive times', () => {
+    // 1 -> 2 is a long way round, 2 -> 1 is direct
+    const matrix = [
+        [0, 1, 1],
+        [1, 0, 10],
+        [1, 1, 0]
+    ];
+
+    assert.deepStrictEqual(twoOptPath([0, 1, 2], matrix), [0, 2, 1]);
+    assert.deepStrictEqual(twoOptPath([0, 2, 1], matrix), [0, 2, 1]);
+});
+
+test('every stop in a window is visited before the next window', () => {
+    // The morning stop is the farthest from the depot
+    const matrix = lineMatrix([0, 10, 1, 2]);
+
+    assert.deepStrictEqual(solveRoute(matrix, [[1], [2, 3]]), [1, 3, 2]);
+    assert.deepStrictEqual(solveRoute(matrix, [[2, 3], [1]]), [2, 3, 1]);
+    // Empty windows are skipped
+    assert.deepStrictEqual(solveRoute(matrix, [[], [3, 2]], { returnToDepot: false }), [2, 3]);
+});
+
+test('a day is planned window by window, and stops without a location are left out', async () => {
+    const b = await scheduleStop(MORNING, 1, 'B');
+    const a = await scheduleStop(MORNING, 5, 'A');
+    const c = await scheduleStop(AFTERNOON, 2, 'C');
+    const d = await scheduleStop(AFTERNOON, 9, 'D');
+    const nowhere = await scheduleStop(AFTERNOON, null, 'No address');
+    // Another day
+    await scheduleStop({ id: '2026-10-22_0900-1200', starts_at: '2026-10-22T13:00:00.000Z' }, 3, 'Thursday');
+
+    const plan = await planDayRoute({ date: '2026-10-21', depot: '35.6,0' });
+
+    assert.deepStrictEqual(plan.stops.map(stop => stop.job_id), [b.id, a.id, d.id, c.id]);
+    assert.deepStrictEqual(plan.stops.map(stop => stop.sequence), [1, 2, 3, 4]);
+    assert.deepStrictEqual(plan.unrouted.map(stop => stop.job_id), [nowhere.id]);
+    assert.strictEqual(plan.distance_provider, 'line');
+
+    // Leaves to reach the first stop as the morning window opens, then waits for the afternoon
+    assert.strictEqual(plan.depart_at, '2026-10-21T12:59:00.000Z');
+    assert.deepStrictEqual(plan.stops.map(stop => stop.arrive_at), [
+        '2026-10-21T13:00:00.000Z',
+        '2026-10-21T13:14:00.000Z',
+        '2026-10-21T17:00:00.000Z',
+        '2026-10-21T17:17:00.000Z'
+    ]);
+    assert.strictEqual(plan.return_at, '2026-10-21T17:29:00.000Z');
+    assert.strictEqual(plan.total_minutes, 270);
+    // 1 + 4 + 4 + 7 + 2 km
+    assert.strictEqual(plan.total_miles, 11.2);
+});
+
+test('a day with no placeable stops has an empty route', async () => {
+    const nowhere = await scheduleStop(MORNING, null, 'No address');
+
+    const plan = await planDayRoute({ date: '2026-10-21', depot: '35.6,0' });
+
+    assert.deepStrictEqual(plan.stops, []);
+    assert.deepStrictEqual(plan.unrouted.map(stop => stop.job_id), [nowhere.id]);
+    assert.strictEqual(plan.depart_at, null);
+    assert.strictEqual(plan.total_miles, 0);
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for choosing the SMS adapter (lib/sms.js)
+ *
+ * Uses the memory store; the deployed site is simulated with NETLIFY.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+
+const { getStore, setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { SMS_MESSAGES_COLLECTION, getSmsAdapter, setSmsAdapter } = require('../.netlify/functions/lib/sms');
+const { handler } = require('../.netlify/functions/sms-inbound');
+
+function inboundText() {
+    return handler({
+        httpMethod: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ From: '+18285551234', To: '+18285550000', Body: 'Hi', MessageSid: 'SM_test' }).toString()
+    });
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+    setSmsAdapter(null);
+    process.env.ICTS_SMS_ADAPTER = 'fake';
+});
+
+test.afterEach(() => {
+    setSmsAdapter(null);
+    delete process.env.ICTS_SMS_ADAPTER;
+    delete process.env.NETLIFY;
+});
+
+test('the fake SMS adapter works locally', async () => {
+    assert.strictEqual(getSmsAdapter().name, 'fake');
+
+    const response = await inboundText();
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual((await getStore().find(SMS_MESSAGES_COLLECTION, {})).length, 1);
+});
+
+test('a deployed site refuses the fake SMS adapter', async () => {
+    process.env.NETLIFY = 'true';
+
+    assert.throws(() => getSmsAdapter(), /only works locally/);
+
+    // Unsigned inbound texts are not accepted
+    const response = await inboundText();
+    assert.strictEqual(response.statusCode, 500);
+    assert.strictEqual((await getStore().find(SMS_MESSAGES_COLLECTION, {})).length, 0);
+});
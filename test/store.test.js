@@ -0,0 +1,178 @@
+/**
+ * Tests for the store adapters and adapter selection (lib/store.js)
+ *
+ * The Netlify Blobs adapter runs against the local BlobsServer that ships
+ * with @netlify/blobs, backed by a temp directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlobsServer } = require('@netlify/blobs/server');
+
+const { getStore, setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { createNetlifyBlobsAdapter } = require('../.netlify/functions/lib/store-adapters/netlify-blobs-adapter');
+
+const TOKEN = 'test-token';
+let blobsDirectory;
+let blobsServer;
+let blobsURL;
+
+test.before(async () => {
+    blobsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'icts-blobs-'));
+    blobsServer = new BlobsServer({ directory: blobsDirectory, token: TOKEN, logger: () => {} });
+    const { port } = await blobsServer.start();
+    blobsURL = `http://localhost:${port}`;
+});
+
+test.after(async () => {
+    await blobsServer.stop();
+    fs.rmSync(blobsDirectory, { recursive: true, force: true });
+});
+
+function createBlobsAdapter() {
+    return createNetlifyBlobsAdapter({
+        storeName: `test-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        siteID: 'site-test',
+        token: TOKEN,
+        apiURL: blobsURL,
+        edgeURL: blobsURL
+    });
+}
+
+/**
+ * Run the adapter interface checks against one adapter
+ * @param {string} name - Adapter under test
+ * @param {Function} createAdapter - Returns a fresh, empty adapter
+ */
+function describeAdapter(name, createAdapter) {
+    test(`${name}: insert, get and find`, async () => {
+        const store = createAdapter();
+        await store.insert('orders', { id: 'ord_1', status: 'paid', email: 'a@example.com' });
+        await store.insert('orders', { id: 'ord_2', status: 'pending', email: 'a@example.com' });
+        await store.insert('customers', { id: 'ord_1', name: 'Not an order' });
+
+        assert.deepStrictEqual(await store.get('orders', 'ord_1'), { id: 'ord_1', status: 'paid', email: 'a@example.com' });
+        assert.strictEqual(await store.get('orders', 'ord_missing'), null);
+        assert.strictEqual((await store.find('orders')).length, 2);
+        assert.deepStrictEqual((await store.find('orders', { status: 'paid' })).map(record => record.id), ['ord_1']);
+        assert.deepStrictEqual(await store.find('leads', {}), []);
+    });
+
+    test(`${name}: insert refuses a duplicate ID`, async () => {
+        const store = createAdapter();
+        await store.insert('fulfillment_steps', { id: 'pi_1:order', status: 'running' });
+
+        await assert.rejects(
+            store.insert('fulfillment_steps', { id: 'pi_1:order', status: 'running' }),
+            /already exists in fulfillment_steps/
+        );
+        await assert.rejects(store.insert('fulfillment_steps', { status: 'running' }), /Record id is required/);
+    });
+
+    test(`${name}: update merges a patch and keeps the ID`, async () => {
+        const store = createAdapter();
+        await store.insert('orders', { id: 'ord_1', status: 'pending', total: 40 });
+
+        const updated = await store.update('orders', 'ord_1', { status: 'paid', id: 'ignored' });
+        assert.deepStrictEqual(updated, { id: 'ord_1', status: 'paid', total: 40 });
+        assert.deepStrictEqual(await store.get('orders', 'ord_1'), updated);
+        assert.strictEqual(await store.update('orders', 'ord_missing', { status: 'paid' }), null);
+    });
+
+    test(`${name}: remove and clear`, async () => {
+        const store = createAdapter();
+        await store.insert('orders', { id: 'ord_1' });
+        await store.insert('leads', { id: 'lead_1' });
+
+        assert.strictEqual(await store.remove('orders', 'ord_1'), true);
+        assert.strictEqual(await store.remove('orders', 'ord_1'), false);
+        assert.strictEqual(await store.get('orders', 'ord_1'), null);
+
+        await store.clear();
+        assert.deepStrictEqual(await store.find('leads'), []);
+    });
+
+    test(`${name}: IDs with separators stay in their collection`, async () => {
+        const store = createAdapter();
+        await store.insert('window_slots', { id: 'win_2025-03-14-am/slot:1' });
+
+        assert.ok(await store.get('window_slots', 'win_2025-03-14-am/slot:1'));
+        assert.strictEqual((await store.find('window_slots')).length, 1);
+        assert.deepStrictEqual(await store.find('window'), []);
+    });
+}
+
+describeAdapter('memory', createMemoryAdapter);
+describeAdapter('netlify-blobs', createBlobsAdapter);
+
+/**
+ * Run a check with some environment variables set, then restore them
+ * @param {Object} env - Variables to set (undefined deletes one)
+ * @param {Function} check - Runs with the store reset
+ */
+function withEnv(env, check) {
+    const saved = {};
+    Object.keys(env).forEach(key => {
+        saved[key] = process.env[key];
+        if (env[key] === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = env[key];
+        }
+    });
+    setStore(null);
+    try {
+        check();
+    } finally {
+        Object.keys(saved).forEach(key => {
+            if (saved[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = saved[key];
+            }
+        });
+        setStore(null);
+    }
+}
+
+test('getStore uses Netlify Blobs by default on a deployed site', () => {
+    withEnv({
+        NETLIFY: 'true', NETLIFY_DEV: undefined, ICTS_STORE_ADAPTER: undefined,
+        ICTS_BLOBS_SITE_ID: 'site-test', ICTS_BLOBS_TOKEN: TOKEN
+    }, () => {
+        assert.strictEqual(getStore().name, 'netlify-blobs');
+    });
+});
+
+test('getStore explains missing Netlify Blobs credentials', () => {
+    withEnv({
+        NETLIFY: 'true', NETLIFY_DEV: undefined, ICTS_STORE_ADAPTER: undefined,
+        ICTS_BLOBS_SITE_ID: undefined, ICTS_BLOBS_TOKEN: undefined, NETLIFY_BLOBS_CONTEXT: undefined
+    }, () => {
+        assert.throws(() => getStore(), /set ICTS_BLOBS_SITE_ID and ICTS_BLOBS_TOKEN/);
+    });
+});
+
+test('getStore refuses local stores on a deployed site', () => {
+    ['file', 'memory'].forEach(adapterName => {
+        withEnv({ AWS_LAMBDA_FUNCTION_NAME: 'orders', NETLIFY_DEV: undefined, ICTS_STORE_ADAPTER: adapterName }, () => {
+            assert.throws(() => getStore(), new RegExp(`The ${adapterName} store only works locally`));
+        });
+    });
+});
+
+test('getStore uses the file store locally and under netlify dev', () => {
+    withEnv({
+        NETLIFY: undefined, CONTEXT: undefined, AWS_LAMBDA_FUNCTION_NAME: undefined, ICTS_STORE_ADAPTER: undefined,
+        ICTS_STORE_PATH: path.join(os.tmpdir(), 'icts-store-test-unused.json')
+    }, () => {
+        assert.strictEqual(getStore().name, 'file');
+    });
+    withEnv({ NETLIFY: 'true', NETLIFY_DEV: 'true', ICTS_STORE_ADAPTER: 'memory' }, () => {
+        assert.strictEqual(getStore().name, 'memory');
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the Stripe webhook (stripe-webhook.js)
+ *
+ * Stripe is an in-memory fake that accepts any signature.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const customerUpdates = [];
+
+const fakeStripe = {
+    subscriptions: {
+        retrieve: async (id) => ({ id: id, status: 'active', current_period_end: 1767225600, metadata: {} })
+    },
+    customers: {
+        update: async (id, params) => {
+            customerUpdates.push({ id: id, metadata: params.metadata });
+            return { id: id, metadata: params.metadata };
+        }
+    },
+    webhooks: {
+        constructEvent: (body) => JSON.parse(body)
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const { setStore } = require('../.netlify/functions/lib/store');
+const { handler } = require('../.netlify/functions/stripe-webhook');
+
+function webhookEvent(type, object) {
+    return {
+        httpMethod: 'POST',
+        headers: { 'stripe-signature': 't=1,v1=test' },
+        body: JSON.stringify({ id: `evt_${type}`, type: type, data: { object: object } })
+    };
+}
+
+test('invoice.paid is acknowledged even when the store is unreachable', async () => {
+    setStore(new Proxy({}, {
+        get: (target, property) => property === 'name'
+            ? 'unreachable'
+            : async () => { throw new Error('Store unreachable'); }
+    }));
+
+    const response = await handler(webhookEvent('invoice.paid', {
+        id: 'in_cycle',
+        customer: 'cus_test',
+        subscription: 'sub_test',
+        billing_reason: 'subscription_cycle',
+        amount_paid: 4000,
+        created: 1767225600,
+        status_transitions: { paid_at: 1767225600 }
+    }));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(customerUpdates.length, 1);
+    assert.strictEqual(customerUpdates[0].metadata.last_payment_amount, '40.00');
+    assert.strictEqual(customerUpdates[0].metadata.failed_payment_count, '0');
+});
@@ -0,0 +1,342 @@
+/**
+ * Tests for the subscription helpers (lib/subscriptions.js)
+ *
+ * Stripe is replaced with an in-memory fake that records every call, so
+ * these run without a network or a Stripe account: `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+
+const calls = [];
+let failSubscriptionUpdate = false;
+let failInvoicePayment = false;
+
+// One year of prepaid storage, a quarter of the way through when the change is invoiced
+const TRIAL_START = 1767225600;
+const TRIAL_END = TRIAL_START + 365 * 24 * 60 * 60;
+const INVOICE_CREATED = TRIAL_START + 365 * 6 * 60 * 60;
+const TRIP_FEE_CENTS = 1000;
+
+// What the fake invoice adds up to: its amount lines plus trip fees
+function invoiceTotal(invoiceId) {
+    return calls.filter(call => call.name === 'invoiceItems.create' && call.args[0].invoice === invoiceId)
+        .reduce((sum, call) => sum + (call.args[0].amount || TRIP_FEE_CENTS * call.args[0].quantity), 0);
+}
+
+function record(name, handler) {
+    return async (...args) => {
+        calls.push({ name: name, args: args });
+        return handler(...args);
+    };
+}
+
+const fakeStripe = {
+    prices: {
+        list: record('prices.list', (params) => ({
+            data: [{ id: `price_${params.lookup_keys[0]}`, lookup_key: params.lookup_keys[0] }]
+        }))
+    },
+    invoiceItems: {
+        create: record('invoiceItems.create', () => ({ id: 'ii_trip_fee', date: 1767312000 })),
+        del: record('invoiceItems.del', (id) => ({ id: id, deleted: true }))
+    },
+    invoices: {
+        retrieveUpcoming: record('invoices.retrieveUpcoming', () => ({
+            lines: { data: [{ proration: true, amount: 650 }, { proration: false, amount: 6000 }] }
+        })),
+        create: record('invoices.create', (params) => ({
+            id: 'in_tote_change',
+            status: 'draft',
+            created: INVOICE_CREATED,
+            customer: params.customer
+        })),
+        finalizeInvoice: record('invoices.finalizeInvoice', (id) => {
+            const total = invoiceTotal(id);
+            return { id: id, status: total > 0 ? 'open' : 'paid', created: INVOICE_CREATED, total: total, amount_due: Math.max(total, 0), amount_paid: 0 };
+        }),
+        pay: record('invoices.pay', (id) => {
+            if (failInvoicePayment) {
+                throw new Error('Your card was declined.');
+            }
+            return { id: id, status: 'paid', created: INVOICE_CREATED, total: invoiceTotal(id), amount_due: 0, amount_paid: invoiceTotal(id) };
+        }),
+        voidInvoice: record('invoices.voidInvoice', (id) => ({ id: id, status: 'void' }))
+    },
+    subscriptions: {
+        list: () => ({ async *[Symbol.asyncIterator]() {} }),
+        create: record('subscriptions.create', (params) => ({
+            id: 'sub_new',
+            status: 'trialing',
+            trial_end: params.trial_end,
+            metadata: params.metadata
+        })),
+        update: record('subscriptions.update', (id, params) => {
+            if (failSubscriptionUpdate) {
+                throw new Error('Your card was declined.');
+            }
+            return { id: id, metadata: params.metadata, latest_invoice: { id: 'in_change', status: 'paid' } };
+        })
+    },
+    customers: {
+        update: record('customers.update', (id, params) => ({ id: id, metadata: params.metadata }))
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const {
+    previewToteChange,
+    changeToteQuantity,
+    createSubscriptionForPaymentIntent
+} = require('../.netlify/functions/lib/subscriptions');
+
+const REQUEST_TOKEN = 'req_tote_change_0001';
+
+function buildSubscription(overrides = {}) {
+    return {
+        id: 'sub_test',
+        status: 'active',
+        cancel_at_period_end: false,
+        customer: 'cus_test',
+        items: { data: [{ id: 'si_totes' }] },
+        metadata: { tote_quantity: '4', plan: 'monthly' },
+        ...overrides
+    };
+}
+
+function buildPrepaidSubscription(overrides = {}) {
+    return buildSubscription({
+        status: 'trialing',
+        trial_start: TRIAL_START,
+        trial_end: TRIAL_END,
+        default_payment_method: 'pm_card',
+        default_tax_rates: [{ id: 'txr_nc' }],
+        metadata: { tote_quantity: '4', plan: 'annual' },
+        ...overrides
+    });
+}
+
+function callsTo(name) {
+    return calls.filter(call => call.name === name);
+}
+
+test.beforeEach(() => {
+    calls.length = 0;
+    failSubscriptionUpdate = false;
+    failInvoicePayment = false;
+});
+
+test('changeToteQuantity adds the trip fee and swaps the tote quantity', async () => {
+    const result = await changeToteQuantity(buildSubscription(), 6, { changedVia: 'test', requestToken: REQUEST_TOKEN });
+
+    const [tripFee] = callsTo('invoiceItems.create');
+    assert.ok(tripFee, 'trip fee invoice item was created');
+    assert.strictEqual(tripFee.args[0].price, 'price_trip_fee');
+    assert.strictEqual(tripFee.args[0].customer, 'cus_test');
+    assert.strictEqual(tripFee.args[0].subscription, 'sub_test');
+    assert.strictEqual(tripFee.args[0].quantity, result.quote.tripCount);
+    assert.match(tripFee.args[0].description, /delivery/);
+
+    const [update] = callsTo('subscriptions.update');
+    assert.strictEqual(update.args[0], 'sub_test');
+    assert.deepStrictEqual(update.args[1].items, [{ id: 'si_totes', price: 'price_tote_monthly', quantity: 6 }]);
+    assert.strictEqual(update.args[1].proration_behavior, 'always_invoice');
+    assert.strictEqual(update.args[1].metadata.tote_quantity, '6');
+    assert.strictEqual(update.args[1].metadata.previous_tote_quantity, '4');
+    assert.strictEqual(update.args[1].metadata.tote_quantity_changed_via, 'test');
+    assert.strictEqual(update.args[1].metadata.tote_change_request, REQUEST_TOKEN);
+    assert.strictEqual(update.args[2].idempotencyKey, `icts-tote-change-${REQUEST_TOKEN}`);
+    assert.strictEqual(tripFee.args[1].idempotencyKey, `icts-tote-change-trip-fee-${REQUEST_TOKEN}`);
+
+    const [customerUpdate] = callsTo('customers.update');
+    assert.strictEqual(customerUpdate.args[0], 'cus_test');
+    assert.strictEqual(customerUpdate.args[1].metadata.tote_quantity, '6');
+
+    assert.strictEqual(result.quote.toteDelta, 2);
+    assert.strictEqual(result.invoice.id, 'in_change');
+    assert.strictEqual(callsTo('invoiceItems.del').length, 0);
+});
+
+test('changeToteQuantity describes a smaller quantity as a pickup', async () => {
+    await changeToteQuantity(buildSubscription({ customer: { id: 'cus_expanded' } }), 2, { requestToken: REQUEST_TOKEN });
+
+    const [tripFee] = callsTo('invoiceItems.create');
+    assert.strictEqual(tripFee.args[0].customer, 'cus_expanded');
+    assert.match(tripFee.args[0].description, /pickup/);
+    assert.strictEqual(callsTo('subscriptions.update')[0].args[1].metadata.tote_quantity_changed_via, 'customer_portal');
+});
+
+test('changeToteQuantity removes the trip fee when the change is declined', async () => {
+    failSubscriptionUpdate = true;
+
+    await assert.rejects(changeToteQuantity(buildSubscription(), 6, { requestToken: REQUEST_TOKEN }), /card was declined/);
+
+    const [removed] = callsTo('invoiceItems.del');
+    assert.ok(removed, 'trip fee invoice item was removed');
+    assert.strictEqual(removed.args[0], 'ii_trip_fee');
+    assert.strictEqual(callsTo('customers.update').length, 0);
+});
+
+test('changeToteQuantity refuses subscriptions that are not active or are cancelling', async () => {
+    await assert.rejects(
+        changeToteQuantity(buildSubscription({ status: 'past_due' }), 6, { requestToken: REQUEST_TOKEN }),
+        /Only active subscriptions/
+    );
+    await assert.rejects(
+        changeToteQuantity(buildSubscription({ cancel_at_period_end: true }), 6, { requestToken: REQUEST_TOKEN }),
+        /scheduled to cancel/
+    );
+    await assert.rejects(changeToteQuantity(buildSubscription(), 6), /request token is required/);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('changeToteQuantity does nothing for a request that already went through', async () => {
+    const result = await changeToteQuantity(buildSubscription({
+        metadata: { tote_quantity: '6', previous_tote_quantity: '4', plan: 'monthly', tote_change_request: REQUEST_TOKEN }
+    }), 6, { requestToken: REQUEST_TOKEN });
+
+    assert.strictEqual(result.duplicate, true);
+    assert.strictEqual(result.quote.currentTotes, 4);
+    assert.strictEqual(result.quote.newTotes, 6);
+    assert.strictEqual(calls.length, 0);
+});
+
+test('changeToteQuantity charges added totes for the rest of the prepaid period', async () => {
+    const result = await changeToteQuantity(buildPrepaidSubscription(), 6, { requestToken: REQUEST_TOKEN });
+
+    const [invoice] = callsTo('invoices.create');
+    assert.strictEqual(invoice.args[0].subscription, 'sub_test');
+    assert.strictEqual(invoice.args[0].pending_invoice_items_behavior, 'exclude');
+    assert.strictEqual(invoice.args[0].default_payment_method, 'pm_card');
+    assert.deepStrictEqual(invoice.args[0].default_tax_rates, ['txr_nc']);
+    assert.strictEqual(invoice.args[1].idempotencyKey, `icts-tote-change-invoice-${REQUEST_TOKEN}`);
+
+    const [tripFee, prepaid] = callsTo('invoiceItems.create');
+    assert.strictEqual(tripFee.args[0].invoice, 'in_tote_change');
+    assert.strictEqual(tripFee.args[0].price, 'price_trip_fee');
+    // 2 more totes at the annual rate ($10 x 12 months, 15% off) for the last 3/4 of the year
+    assert.strictEqual(prepaid.args[0].invoice, 'in_tote_change');
+    assert.strictEqual(prepaid.args[0].amount, Math.round(2 * 1000 * 12 * 0.85 * 0.75));
+    assert.match(prepaid.args[0].description, /4 → 6 totes/);
+
+    assert.strictEqual(callsTo('invoices.pay').length, 1);
+    const [update] = callsTo('subscriptions.update');
+    assert.strictEqual(update.args[1].proration_behavior, 'none');
+    assert.strictEqual(update.args[1].metadata.tote_quantity, '6');
+    assert.strictEqual(update.args[1].metadata.tote_quantity_changed_at, new Date(INVOICE_CREATED * 1000).toISOString());
+    assert.strictEqual(result.invoice.amount_paid, 15300 + TRIP_FEE_CENTS);
+});
+
+test('changeToteQuantity credits removed totes in the prepaid period', async () => {
+    const result = await changeToteQuantity(buildPrepaidSubscription(), 2, { requestToken: REQUEST_TOKEN });
+
+    const prepaid = callsTo('invoiceItems.create').find(call => call.args[0].amount);
+    assert.strictEqual(prepaid.args[0].amount, -15300);
+    assert.match(prepaid.args[0].description, /credit/);
+    // The credit is larger than the trip fee: nothing to pay, the rest goes to the balance
+    assert.strictEqual(callsTo('invoices.pay').length, 0);
+    assert.strictEqual(result.invoice.status, 'paid');
+    assert.strictEqual(result.invoice.total, -15300 + TRIP_FEE_CENTS);
+    assert.strictEqual(callsTo('subscriptions.update')[0].args[1].metadata.tote_quantity, '2');
+});
+
+test('changeToteQuantity voids a declined prepaid change and keeps the tote count', async () => {
+    failInvoicePayment = true;
+
+    await assert.rejects(
+        changeToteQuantity(buildPrepaidSubscription(), 6, { requestToken: REQUEST_TOKEN }),
+        /card was declined/
+    );
+
+    assert.strictEqual(callsTo('invoices.voidInvoice')[0].args[0], 'in_tote_change');
+    assert.strictEqual(callsTo('subscriptions.update').length, 0);
+    assert.strictEqual(callsTo('customers.update').length, 0);
+});
+
+test('previewToteChange prices the prepaid difference while trialing', async () => {
+    const now = TRIAL_START + 365 * 12 * 60 * 60;   // Half way through the year
+    const realNow = Date.now;
+    Date.now = () => now * 1000;
+    try {
+        const added = await previewToteChange(buildPrepaidSubscription(), 6);
+        assert.strictEqual(added.prorationCents, 10200);
+        assert.strictEqual(added.dueNowCents, 10200 + TRIP_FEE_CENTS);
+        assert.strictEqual(added.creditCents, 0);
+
+        const removed = await previewToteChange(buildPrepaidSubscription(), 2);
+        assert.strictEqual(removed.prorationCents, -10200);
+        assert.strictEqual(removed.dueNowCents, 0);
+        assert.strictEqual(removed.creditCents, 10200 - TRIP_FEE_CENTS);
+    } finally {
+        Date.now = realNow;
+    }
+    assert.strictEqual(callsTo('invoices.retrieveUpcoming').length, 0);
+});
+
+test('previewToteChange uses Stripe proration once the subscription is active', async () => {
+    const preview = await previewToteChange(buildSubscription(), 6);
+
+    assert.strictEqual(callsTo('invoices.retrieveUpcoming').length, 1);
+    assert.strictEqual(preview.prorationCents, 650);
+    assert.strictEqual(preview.dueNowCents, 650 + TRIP_FEE_CENTS);
+});
+
+test('createSubscriptionForPaymentIntent copies only the customer keys onto the customer', async () => {
+    const checkoutMetadata = {
+        payment_type: 'setup_with_subscription',
+        customer_name: 'Pat Example',
+        customer_email: 'pat@example.com',
+        customer_phone: '8285551234',
+        customer_address: '1 Main St, Asheville, NC 28801',
+        tote_quantity: '4',
+        plan: 'annual',
+        order_token: 'tok_123',
+        order_id: 'ICTS-250314-7K2QD',
+        promo_code: 'SPRING',
+        pricing_version: '3',
+        total_cost: '540',
+        discount_cents: '1000',
+        tax_cents: '0',
+        tax_rate: '0',
+        delivery_window: 'win_1',
+        delivery_window_label: 'Fri, Mar 14, 9am-12pm',
+        utm_source: 'newsletter'
+    };
+
+    const subscription = await createSubscriptionForPaymentIntent({
+        id: 'pi_setup',
+        status: 'succeeded',
+        created: 1741953600,
+        customer: 'cus_test',
+        payment_method: 'pm_card',
+        metadata: checkoutMetadata
+    });
+
+    assert.strictEqual(subscription.id, 'sub_new');
+    const customerUpdate = callsTo('customers.update').find(call => call.args[1].metadata);
+    assert.deepStrictEqual(customerUpdate.args[1].metadata, {
+        customer_name: 'Pat Example',
+        customer_email: 'pat@example.com',
+        customer_phone: '8285551234',
+        customer_address: '1 Main St, Asheville, NC 28801',
+        order_id: 'ICTS-250314-7K2QD',
+        promo_code: 'SPRING',
+        tote_quantity: '4',
+        subscription_id: 'sub_new',
+        subscription_status: 'trialing',
+        next_billing_date: new Date(subscription.trial_end * 1000).toISOString(),
+        plan: 'annual',
+        billing_months: '12',
+        period_amount: customerUpdate.args[1].metadata.period_amount,
+        monthly_amount: customerUpdate.args[1].metadata.monthly_amount
+    });
+    assert.strictEqual(callsTo('subscriptions.create')[0].args[0].items[0].price, 'price_tote_annual');
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for single-use account links (lib/customer-accounts.js, update-card.js)
+ *
+ * Stripe is an in-memory fake and the memory store is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ICTS_STORE_ADAPTER = 'memory';
+process.env.ICTS_AUTH_SECRET = 'test-secret-that-is-long-enough-to-sign-tokens';
+
+const portalSessions = [];
+
+const fakeStripe = {
+    billingPortal: {
+        sessions: {
+            create: async (params) => {
+                portalSessions.push(params);
+                return { url: `https://billing.stripe.test/session/${portalSessions.length}` };
+            }
+        }
+    }
+};
+
+require.cache[require.resolve('stripe')] = {
+    id: 'stripe',
+    filename: 'stripe',
+    loaded: true,
+    exports: () => fakeStripe
+};
+
+const { setStore } = require('../.netlify/functions/lib/store');
+const { createMemoryAdapter } = require('../.netlify/functions/lib/store-adapters/memory-adapter');
+const { createToken } = require('../.netlify/functions/lib/auth-tokens');
+const {
+    createMagicLinkToken,
+    exchangeMagicLink,
+    createCardUpdateLink
+} = require('../.netlify/functions/lib/customer-accounts');
+const { handler } = require('../.netlify/functions/update-card');
+
+function linkToken(link) {
+    return new URL(link).searchParams.get('token');
+}
+
+function openLink(token) {
+    return handler({ httpMethod: 'GET', queryStringParameters: { token: token } });
+}
+
+function pressButton(token) {
+    return handler({
+        httpMethod: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token: token }).toString()
+    });
+}
+
+test.beforeEach(() => {
+    setStore(createMemoryAdapter());
+    portalSessions.length = 0;
+});
+
+test('a sign-in link works once', async () => {
+    const magicToken = createMagicLinkToken('cus_signin');
+
+    const { customerId, sessionToken } = await exchangeMagicLink(magicToken);
+    assert.strictEqual(customerId, 'cus_signin');
+    assert.ok(sessionToken);
+
+    await assert.rejects(exchangeMagicLink(magicToken), /already been used/);
+});
+
+test('opening a card update link shows the button without using the link up', async () => {
+    const token = linkToken(createCardUpdateLink('cus_card', 7));
+
+    const first = await openLink(token);
+    const second = await openLink(token);
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(second.statusCode, 200);
+    assert.match(first.body, /<form method="POST" action="\/api\/update-card">/);
+    assert.strictEqual(portalSessions.length, 0);
+});
+
+test('a card update link opens the portal once', async () => {
+    const token = linkToken(createCardUpdateLink('cus_card', 7));
+
+    const used = await pressButton(token);
+    assert.strictEqual(used.statusCode, 303);
+    assert.strictEqual(used.headers.Location, 'https://billing.stripe.test/session/1');
+    assert.strictEqual(portalSessions[0].customer, 'cus_card');
+
+    const reused = await pressButton(token);
+    assert.strictEqual(reused.statusCode, 400);
+    assert.match(reused.body, /already been used/);
+    assert.strictEqual(portalSessions.length, 1);
+});
+
+test('expired, unsigned and older card update links are refused', async () => {
+    const expired = linkToken(createCardUpdateLink('cus_card', -1));
+    // Links sent before card update links were single-use carry no ID
+    const withoutId = createToken('card-update', { sub: 'cus_card' }, 24 * 60 * 60);
+
+    for (const token of [expired, withoutId, 'not-a-token']) {
+        const opened = await openLink(token);
+        assert.strictEqual(opened.statusCode, 400);
+        assert.match(opened.body, /expired/);
+
+        const pressed = await pressButton(token);
+        assert.strictEqual(pressed.statusCode, 400);
+    }
+    assert.strictEqual(portalSessions.length, 0);
+});